@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Install a project template from a local directory
+ *
+ * Usage: npm run template:install -- <path-to-template>
+ *
+ * The directory must contain template.json and a files/ tree. It is copied
+ * into TEMPLATES_DIR and becomes selectable in GET /api/templates.
+ */
+
+import dotenv from 'dotenv';
+import templateService from '../src/services/templateService.js';
+
+dotenv.config();
+
+const sourceDir = process.argv[2];
+
+if (!sourceDir) {
+  console.error('Usage: npm run template:install -- <path-to-template>');
+  process.exit(1);
+}
+
+try {
+  const template = await templateService.installTemplate(sourceDir);
+  console.log(`   ${template.name} (${template.id}) is now available for new projects`);
+} catch (error) {
+  console.error(`❌ Failed to install template: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+-- Migration: Add personal_access_tokens table for scripted API access
+-- Created: 2026-10-19
+-- Description: Named, scoped, revocable tokens that can be used in place of a login session
+
+-- ============================================================================
+-- PERSONAL ACCESS TOKENS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Token data
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_prefix TEXT NOT NULL,  -- First characters of the token, for identification in listings
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read'],
+
+  -- Timing
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,  -- NULL = never expires
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT valid_scopes CHECK (scopes <@ ARRAY['read', 'write', 'build', 'chat'])
+);
+
+CREATE INDEX IF NOT EXISTS idx_pat_user ON personal_access_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_pat_token ON personal_access_tokens(token_hash);
+
+COMMENT ON TABLE personal_access_tokens IS 'Personal access tokens for CI scripts and tooling';
+COMMENT ON COLUMN personal_access_tokens.token_hash IS 'SHA256 hash of the token - the raw token is only shown once at creation';
+COMMENT ON COLUMN personal_access_tokens.scopes IS 'Granted scopes: read, write, build (build/deploy/previews), chat';
+COMMENT ON COLUMN personal_access_tokens.revoked_at IS 'Set when the token is revoked; revoked tokens are rejected';
@@ -0,0 +1,62 @@
+-- Migration: Add project_members table for project collaborators
+-- Created: 2026-10-19
+-- Description: Lets several users work in one project with owner/editor/viewer roles
+
+-- ============================================================================
+-- PROJECT MEMBERS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS project_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Access level
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_project ON project_members(project_id);
+CREATE INDEX IF NOT EXISTS idx_project_members_user ON project_members(user_id);
+
+COMMENT ON TABLE project_members IS 'Project collaborators and their roles';
+COMMENT ON COLUMN project_members.role IS 'owner: full control incl. delete/deploy, editor: chat and write files, viewer: read-only';
+COMMENT ON COLUMN project_members.invited_by IS 'User who added this member';
+
+DROP TRIGGER IF EXISTS update_project_members_updated_at ON project_members;
+CREATE TRIGGER update_project_members_updated_at
+  BEFORE UPDATE ON project_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- OWNER MEMBERSHIP
+-- ============================================================================
+
+-- Function to add the project creator as its first owner
+CREATE OR REPLACE FUNCTION add_project_owner_member()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.user_id IS NOT NULL THEN
+    INSERT INTO project_members (project_id, user_id, role) VALUES (NEW.id, NEW.user_id, 'owner');
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS add_project_owner_on_create ON projects;
+CREATE TRIGGER add_project_owner_on_create
+  AFTER INSERT ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION add_project_owner_member();
+
+-- Backfill existing projects, so every access check goes through this table
+INSERT INTO project_members (project_id, user_id, role)
+SELECT id, user_id, 'owner' FROM projects WHERE user_id IS NOT NULL
+ON CONFLICT (project_id, user_id) DO NOTHING;
@@ -0,0 +1,120 @@
+-- Migration: Add organizations with pooled quotas
+-- Created: 2026-10-19
+-- Description: Organizations own projects and share a pooled quota row, with per-member sub-limits
+
+-- ============================================================================
+-- ORGANIZATION TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+
+  -- Per-member sub-limits within the pool (NULL = limited only by the pool)
+  monthly_token_limit BIGINT,
+  monthly_cost_limit DECIMAL(10,2),
+  max_builds_per_day INT,
+  max_concurrent_containers INT,
+
+  -- Per-member usage against the pool
+  tokens_used_this_month BIGINT DEFAULT 0,
+  cost_this_month DECIMAL(10,2) DEFAULT 0.00,
+  builds_today INT DEFAULT 0,
+  day_window_start TIMESTAMPTZ DEFAULT NOW(),
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_members_user ON organization_members(user_id);
+
+-- Pooled quotas shared by every project the organization owns
+CREATE TABLE IF NOT EXISTS organization_quotas (
+  organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+
+  -- Claude API limits
+  monthly_token_limit BIGINT DEFAULT 5000000,
+  tokens_used_this_month BIGINT DEFAULT 0,
+  monthly_cost_limit DECIMAL(10,2) DEFAULT 250.00,
+  cost_this_month DECIMAL(10,2) DEFAULT 0.00,
+
+  -- Container limits
+  max_concurrent_containers INT DEFAULT 5,
+  max_container_memory_mb INT DEFAULT 1024,
+  max_container_vcpu DECIMAL(3,2) DEFAULT 1.00,
+
+  -- Rate limits
+  requests_per_hour INT DEFAULT 500,
+  requests_this_hour INT DEFAULT 0,
+  hour_window_start TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Build limits
+  max_builds_per_day INT DEFAULT 50,
+  builds_today INT DEFAULT 0,
+  day_window_start TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Status
+  quota_exceeded BOOLEAN DEFAULT FALSE,
+  quota_exceeded_reason TEXT,
+  last_reset TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_projects_organization ON projects(organization_id);
+
+COMMENT ON TABLE organizations IS 'Teams that own projects and share a quota pool';
+COMMENT ON TABLE organization_members IS 'Organization membership with per-member sub-limits';
+COMMENT ON TABLE organization_quotas IS 'ENFORCED pooled quotas for organization-owned projects';
+COMMENT ON COLUMN projects.organization_id IS 'Owning organization - quotas are debited from its pool when set';
+
+-- ============================================================================
+-- TRIGGERS
+-- ============================================================================
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at
+  BEFORE UPDATE ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_organization_members_updated_at ON organization_members;
+CREATE TRIGGER update_organization_members_updated_at
+  BEFORE UPDATE ON organization_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_organization_quotas_updated_at ON organization_quotas;
+CREATE TRIGGER update_organization_quotas_updated_at
+  BEFORE UPDATE ON organization_quotas
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to automatically create pooled quotas when an organization is created
+CREATE OR REPLACE FUNCTION create_default_organization_quota()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO organization_quotas (organization_id) VALUES (NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS create_organization_quota_on_create ON organizations;
+CREATE TRIGGER create_organization_quota_on_create
+  AFTER INSERT ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION create_default_organization_quota();
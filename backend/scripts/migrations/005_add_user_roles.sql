@@ -0,0 +1,19 @@
+-- Migration: Add a platform role to users
+-- Created: 2026-10-19
+-- Description: Admin role gating the /api/admin/* operational endpoints
+--
+-- Promote the first administrator manually after applying:
+--   UPDATE users SET role = 'admin' WHERE email = 'you@example.com';
+
+-- ============================================================================
+-- USER ROLE
+-- ============================================================================
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role = 'admin';
@@ -0,0 +1,13 @@
+-- Migration: Trace builds to a source revision
+-- Created: 2026-10-19
+-- Description: Project workspaces are git repos; each build records the commit it was built from
+--              (chat_messages.meta.commitSha records the commit for each Claude turn)
+
+-- ============================================================================
+-- BUILDS: SOURCE REVISION
+-- ============================================================================
+
+ALTER TABLE builds
+  ADD COLUMN IF NOT EXISTS commit_sha TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_builds_commit_sha ON builds(commit_sha);
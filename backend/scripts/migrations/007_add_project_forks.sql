@@ -0,0 +1,14 @@
+-- Migration: Link forked projects to their parent
+-- Created: 2026-10-19
+-- Description: A fork copies its parent's workspace, memory lineage and optionally chat history;
+--              parent_project_id and forked_from_commit record where it came from
+
+-- ============================================================================
+-- PROJECTS: FORK LINEAGE
+-- ============================================================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS parent_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS forked_from_commit TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_projects_parent ON projects(parent_project_id);
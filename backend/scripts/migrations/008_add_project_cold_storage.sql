@@ -0,0 +1,15 @@
+-- Migration: Archive idle projects to cold storage
+-- Created: 2026-10-19
+-- Description: Archived projects have their workspace compressed out of PROJECTS_DIR;
+--              archive_path points at the .tar.gz until the project is restored
+
+-- ============================================================================
+-- PROJECTS: COLD STORAGE
+-- ============================================================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS archive_path TEXT,
+  ADD COLUMN IF NOT EXISTS archive_size_bytes BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_projects_last_accessed ON projects(last_accessed) WHERE status = 'active';
@@ -0,0 +1,14 @@
+-- Migration: Trash for deleted projects
+-- Created: 2026-10-19
+-- Description: DELETE moves a project to the trash (status 'deleted') for PROJECT_TRASH_RETENTION_DAYS;
+--              a background job purges it permanently after that
+
+-- ============================================================================
+-- PROJECTS: TRASH
+-- ============================================================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_projects_deleted_at ON projects(deleted_at) WHERE status = 'deleted';
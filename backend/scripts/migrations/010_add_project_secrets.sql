@@ -0,0 +1,42 @@
+-- Migration: Add encrypted per-project secrets
+-- Created: 2026-10-19
+-- Description: Environment variables for dev servers, builders (opt-in) and runners,
+--              encrypted at rest with AES-256-GCM under SECRETS_MASTER_KEY
+
+-- ============================================================================
+-- PROJECT SECRETS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS project_secrets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (name ~ '^[A-Za-z_][A-Za-z0-9_]*$'),
+
+  -- AES-256-GCM ciphertext, IV and auth tag (base64); name and project are bound as AAD
+  value_encrypted TEXT NOT NULL,
+  iv TEXT NOT NULL,
+  auth_tag TEXT NOT NULL,
+
+  -- Builders run without secrets unless opted in
+  expose_to_build BOOLEAN NOT NULL DEFAULT FALSE,
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (project_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_secrets_project ON project_secrets(project_id);
+
+COMMENT ON TABLE project_secrets IS 'Encrypted per-project environment variables';
+COMMENT ON COLUMN project_secrets.expose_to_build IS 'Also inject into builder containers (dev servers and runners always get it)';
+
+DROP TRIGGER IF EXISTS update_project_secrets_updated_at ON project_secrets;
+CREATE TRIGGER update_project_secrets_updated_at
+  BEFORE UPDATE ON project_secrets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,48 @@
+-- Migration: Per-project disk usage metering and storage quotas
+-- Created: 2026-10-19
+-- Description: The storage meter records each project's disk usage on the project and in
+--              usage_ledger (kind 'storage'); accounts get a per-plan max_storage_mb
+
+-- ============================================================================
+-- PROJECTS: MEASURED DISK USAGE
+-- ============================================================================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS storage_bytes BIGINT DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS storage_measured_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- STORAGE LIMITS
+-- ============================================================================
+
+-- Default storage limit for a plan
+CREATE OR REPLACE FUNCTION plan_storage_limit_mb(plan TEXT)
+RETURNS INT AS $$
+BEGIN
+  RETURN CASE plan
+    WHEN 'enterprise' THEN 102400
+    WHEN 'pro' THEN 10240
+    ELSE 1024
+  END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE user_quotas
+  ADD COLUMN IF NOT EXISTS max_storage_mb INT DEFAULT 1024;
+
+ALTER TABLE organization_quotas
+  ADD COLUMN IF NOT EXISTS max_storage_mb INT DEFAULT 10240;
+
+UPDATE user_quotas uq
+SET max_storage_mb = plan_storage_limit_mb(u.plan)
+FROM users u
+WHERE u.id = uq.user_id;
+
+-- New users get the storage limit of their plan
+CREATE OR REPLACE FUNCTION create_default_user_quota()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO user_quotas (user_id, max_storage_mb) VALUES (NEW.id, plan_storage_limit_mb(NEW.plan));
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
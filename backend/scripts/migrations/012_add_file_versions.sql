@@ -0,0 +1,32 @@
+-- Migration: Add per-file local history
+-- Created: 2026-10-19
+-- Description: Previous version of a file before each save (PUT files/content, restore)
+--              or Claude Write/Edit turn, bounded per project by count and size
+
+-- ============================================================================
+-- FILE VERSIONS TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS file_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  path TEXT NOT NULL,                                   -- Project-relative, forward slashes
+
+  -- Content of the file before the change
+  content TEXT NOT NULL,
+  content_hash TEXT NOT NULL,                           -- SHA256, skips recording unchanged versions
+  size_bytes BIGINT NOT NULL,
+
+  -- The change that replaced this version
+  source TEXT NOT NULL CHECK (source IN ('user', 'claude')),
+  operation TEXT NOT NULL CHECK (operation IN ('save', 'restore', 'write', 'edit')),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Saving user, or the user who prompted Claude
+  prompt TEXT,                                          -- Claude turn prompt (redacted, truncated)
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_versions_project_path ON file_versions(project_id, path, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_file_versions_project_created ON file_versions(project_id, created_at DESC);
+
+COMMENT ON TABLE file_versions IS 'Per-file local history: the previous content of a file before each save or Claude edit';
@@ -19,6 +19,7 @@ CREATE TABLE users (
   password_hash TEXT,
   name TEXT,
   plan TEXT NOT NULL DEFAULT 'free' CHECK (plan IN ('free', 'pro', 'enterprise')),
+  role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),  -- admin gates /api/admin/*
   is_active BOOLEAN DEFAULT TRUE,
   email_verified BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -30,6 +31,7 @@ CREATE TABLE users (
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_plan ON users(plan);
 CREATE INDEX idx_users_active ON users(is_active);
+CREATE INDEX idx_users_role ON users(role) WHERE role = 'admin';
 
 -- ============================================================================
 -- USER QUOTAS TABLE (ENFORCED - NOT OPTIONAL)
@@ -59,6 +61,9 @@ CREATE TABLE user_quotas (
   builds_today INT DEFAULT 0,
   day_window_start TIMESTAMPTZ DEFAULT NOW(),
 
+  -- Storage limits (usage is the sum of the account's projects.storage_bytes)
+  max_storage_mb INT DEFAULT 1024,                      -- Free: 1GB, Pro: 10GB, Enterprise: 100GB
+
   -- Status
   quota_exceeded BOOLEAN DEFAULT FALSE,
   quota_exceeded_reason TEXT,
@@ -69,6 +74,81 @@ CREATE TABLE user_quotas (
 
 CREATE INDEX idx_user_quotas_exceeded ON user_quotas(quota_exceeded);
 
+-- ============================================================================
+-- ORGANIZATIONS (Teams with pooled quotas)
+-- ============================================================================
+
+CREATE TABLE organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  slug TEXT UNIQUE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE organization_members (
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+
+  -- Per-member sub-limits within the pool (NULL = limited only by the pool)
+  monthly_token_limit BIGINT,
+  monthly_cost_limit DECIMAL(10,2),
+  max_builds_per_day INT,
+  max_concurrent_containers INT,
+
+  -- Per-member usage against the pool
+  tokens_used_this_month BIGINT DEFAULT 0,
+  cost_this_month DECIMAL(10,2) DEFAULT 0.00,
+  builds_today INT DEFAULT 0,
+  day_window_start TIMESTAMPTZ DEFAULT NOW(),
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE INDEX idx_org_members_user ON organization_members(user_id);
+
+-- Pooled quotas shared by every project the organization owns
+CREATE TABLE organization_quotas (
+  organization_id UUID PRIMARY KEY REFERENCES organizations(id) ON DELETE CASCADE,
+
+  -- Claude API limits
+  monthly_token_limit BIGINT DEFAULT 5000000,
+  tokens_used_this_month BIGINT DEFAULT 0,
+  monthly_cost_limit DECIMAL(10,2) DEFAULT 250.00,
+  cost_this_month DECIMAL(10,2) DEFAULT 0.00,
+
+  -- Container limits
+  max_concurrent_containers INT DEFAULT 5,
+  max_container_memory_mb INT DEFAULT 1024,
+  max_container_vcpu DECIMAL(3,2) DEFAULT 1.00,
+
+  -- Rate limits
+  requests_per_hour INT DEFAULT 500,
+  requests_this_hour INT DEFAULT 0,
+  hour_window_start TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Build limits
+  max_builds_per_day INT DEFAULT 50,
+  builds_today INT DEFAULT 0,
+  day_window_start TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Storage limits
+  max_storage_mb INT DEFAULT 10240,
+
+  -- Status
+  quota_exceeded BOOLEAN DEFAULT FALSE,
+  quota_exceeded_reason TEXT,
+  last_reset TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================================================
 -- PROJECTS TABLE
 -- ============================================================================
@@ -81,6 +161,9 @@ CREATE TABLE projects (
   description TEXT,
   path TEXT,                                            -- Filesystem path to project
   repo_url TEXT,                                        -- Git repository URL (optional)
+  organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL, -- Owning organization (pooled quotas)
+  parent_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,   -- Project this one was forked from
+  forked_from_commit TEXT,                              -- Parent's commit at fork time
 
   -- Memory system
   has_memory BOOLEAN DEFAULT FALSE,
@@ -93,6 +176,15 @@ CREATE TABLE projects (
 
   -- Status
   status TEXT DEFAULT 'active' CHECK (status IN ('active', 'archived', 'deleted')),
+  archived_at TIMESTAMPTZ,
+  archive_path TEXT,                                    -- Compressed workspace while archived
+  archive_size_bytes BIGINT,
+  deleted_at TIMESTAMPTZ,                               -- In the trash since (purged after retention)
+  deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Disk usage (measured periodically by the storage meter)
+  storage_bytes BIGINT DEFAULT 0,
+  storage_measured_at TIMESTAMPTZ,
 
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -104,6 +196,62 @@ CREATE INDEX idx_projects_user ON projects(user_id);
 CREATE INDEX idx_projects_session ON projects(session_id);
 CREATE INDEX idx_projects_status ON projects(status);
 CREATE INDEX idx_projects_updated ON projects(updated_at DESC);
+CREATE INDEX idx_projects_organization ON projects(organization_id);
+CREATE INDEX idx_projects_parent ON projects(parent_project_id);
+CREATE INDEX idx_projects_last_accessed ON projects(last_accessed) WHERE status = 'active';
+CREATE INDEX idx_projects_deleted_at ON projects(deleted_at) WHERE status = 'deleted';
+
+-- ============================================================================
+-- PROJECT MEMBERS TABLE (Collaborators)
+-- ============================================================================
+
+CREATE TABLE project_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Access level
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (project_id, user_id)
+);
+
+CREATE INDEX idx_project_members_project ON project_members(project_id);
+CREATE INDEX idx_project_members_user ON project_members(user_id);
+
+-- ============================================================================
+-- PROJECT SECRETS TABLE (Encrypted environment variables)
+-- ============================================================================
+
+CREATE TABLE project_secrets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (name ~ '^[A-Za-z_][A-Za-z0-9_]*$'),
+
+  -- AES-256-GCM ciphertext, IV and auth tag (base64); name and project are bound as AAD
+  value_encrypted TEXT NOT NULL,
+  iv TEXT NOT NULL,
+  auth_tag TEXT NOT NULL,
+
+  -- Builders run without secrets unless opted in
+  expose_to_build BOOLEAN NOT NULL DEFAULT FALSE,
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (project_id, name)
+);
+
+CREATE INDEX idx_project_secrets_project ON project_secrets(project_id);
 
 -- ============================================================================
 -- BUILDS TABLE
@@ -122,6 +270,9 @@ CREATE TABLE builds (
   builder_container_id TEXT,
   image_id TEXT,
 
+  -- Source revision (git commit of the project workspace)
+  commit_sha TEXT,
+
   -- Logs and errors
   build_logs TEXT,
   error_message TEXT,
@@ -144,6 +295,7 @@ CREATE INDEX idx_builds_project ON builds(project_id);
 CREATE INDEX idx_builds_user ON builds(user_id);
 CREATE INDEX idx_builds_status ON builds(status);
 CREATE INDEX idx_builds_created ON builds(created_at DESC);
+CREATE INDEX idx_builds_commit_sha ON builds(commit_sha);
 
 -- ============================================================================
 -- PREVIEWS/DEPLOYMENTS TABLE
@@ -229,6 +381,32 @@ CREATE INDEX idx_memory_snapshots_kind ON memory_snapshots(kind);
 CREATE INDEX idx_memory_snapshots_created ON memory_snapshots(created_at DESC);
 CREATE INDEX idx_memory_snapshots_hash ON memory_snapshots(content_hash);
 
+-- ============================================================================
+-- FILE VERSIONS TABLE (Per-file local history)
+-- ============================================================================
+
+CREATE TABLE file_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  path TEXT NOT NULL,                                   -- Project-relative, forward slashes
+
+  -- Content of the file before the change
+  content TEXT NOT NULL,
+  content_hash TEXT NOT NULL,                           -- SHA256, skips recording unchanged versions
+  size_bytes BIGINT NOT NULL,
+
+  -- The change that replaced this version
+  source TEXT NOT NULL CHECK (source IN ('user', 'claude')),
+  operation TEXT NOT NULL CHECK (operation IN ('save', 'restore', 'write', 'edit')),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Saving user, or the user who prompted Claude
+  prompt TEXT,                                          -- Claude turn prompt (redacted, truncated)
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_file_versions_project_path ON file_versions(project_id, path, created_at DESC);
+CREATE INDEX idx_file_versions_project_created ON file_versions(project_id, created_at DESC);
+
 -- ============================================================================
 -- USAGE LEDGER TABLE (Billing and tracking)
 -- ============================================================================
@@ -321,6 +499,32 @@ CREATE INDEX idx_sessions_token ON sessions(token_hash);
 CREATE INDEX idx_sessions_active ON sessions(is_active);
 CREATE INDEX idx_sessions_expires ON sessions(expires_at);
 
+-- ============================================================================
+-- PERSONAL ACCESS TOKENS TABLE (Scripted API access)
+-- ============================================================================
+
+CREATE TABLE personal_access_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Token data
+  name TEXT NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  token_prefix TEXT NOT NULL,  -- First characters of the token, for identification in listings
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read'],
+
+  -- Timing
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,  -- NULL = never expires
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+
+  CONSTRAINT valid_scopes CHECK (scopes <@ ARRAY['read', 'write', 'build', 'chat'])
+);
+
+CREATE INDEX idx_pat_user ON personal_access_tokens(user_id);
+CREATE INDEX idx_pat_token ON personal_access_tokens(token_hash);
+
 -- ============================================================================
 -- CHAT MESSAGES TABLE (Persistent Chat History)
 -- ============================================================================
@@ -387,11 +591,48 @@ CREATE TRIGGER update_previews_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_project_members_updated_at
+  BEFORE UPDATE ON project_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_project_secrets_updated_at
+  BEFORE UPDATE ON project_secrets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organizations_updated_at
+  BEFORE UPDATE ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organization_members_updated_at
+  BEFORE UPDATE ON organization_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organization_quotas_updated_at
+  BEFORE UPDATE ON organization_quotas
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Default storage limit for a plan
+CREATE OR REPLACE FUNCTION plan_storage_limit_mb(plan TEXT)
+RETURNS INT AS $$
+BEGIN
+  RETURN CASE plan
+    WHEN 'enterprise' THEN 102400
+    WHEN 'pro' THEN 10240
+    ELSE 1024
+  END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
 -- Function to automatically create user quotas when user is created
 CREATE OR REPLACE FUNCTION create_default_user_quota()
 RETURNS TRIGGER AS $$
 BEGIN
-  INSERT INTO user_quotas (user_id) VALUES (NEW.id);
+  INSERT INTO user_quotas (user_id, max_storage_mb) VALUES (NEW.id, plan_storage_limit_mb(NEW.plan));
   RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
@@ -401,6 +642,36 @@ CREATE TRIGGER create_user_quota_on_signup
   FOR EACH ROW
   EXECUTE FUNCTION create_default_user_quota();
 
+-- Function to automatically create pooled quotas when an organization is created
+CREATE OR REPLACE FUNCTION create_default_organization_quota()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO organization_quotas (organization_id) VALUES (NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER create_organization_quota_on_create
+  AFTER INSERT ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION create_default_organization_quota();
+
+-- Function to add the project creator as its first owner
+CREATE OR REPLACE FUNCTION add_project_owner_member()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.user_id IS NOT NULL THEN
+    INSERT INTO project_members (project_id, user_id, role) VALUES (NEW.id, NEW.user_id, 'owner');
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER add_project_owner_on_create
+  AFTER INSERT ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION add_project_owner_member();
+
 -- ============================================================================
 -- INITIAL DATA (Optional - for development)
 -- ============================================================================
@@ -490,13 +761,20 @@ GROUP BY project_id;
 
 COMMENT ON TABLE users IS 'User accounts and authentication';
 COMMENT ON TABLE user_quotas IS 'ENFORCED resource quotas per user - prevents runaway costs';
+COMMENT ON TABLE organizations IS 'Teams that own projects and share a quota pool';
+COMMENT ON TABLE organization_members IS 'Organization membership with per-member sub-limits';
+COMMENT ON TABLE organization_quotas IS 'ENFORCED pooled quotas for organization-owned projects';
 COMMENT ON TABLE projects IS 'User projects with filesystem paths and memory tracking';
+COMMENT ON TABLE project_members IS 'Project collaborators and their roles';
+COMMENT ON TABLE project_secrets IS 'Encrypted per-project environment variables';
 COMMENT ON TABLE builds IS 'Build history with logs and timing';
+COMMENT ON TABLE file_versions IS 'Per-file local history: the previous content of a file before each save or Claude edit';
 COMMENT ON TABLE previews IS 'Active container deployments with health status';
 COMMENT ON TABLE memory_snapshots IS 'CLAUDE.md version history for session continuity';
 COMMENT ON TABLE usage_ledger IS 'Usage tracking for billing and analytics';
 COMMENT ON TABLE events IS 'Audit trail and observability events';
 COMMENT ON TABLE sessions IS 'User session management';
+COMMENT ON TABLE personal_access_tokens IS 'Personal access tokens for CI scripts and tooling';
 COMMENT ON TABLE chat_messages IS 'Persistent chat history for Claude Code conversations';
 
 -- ============================================================================
@@ -518,7 +796,7 @@ INSERT INTO schema_version (version, description) VALUES (1, 'Initial schema wit
 DO $$
 BEGIN
   RAISE NOTICE '✅ AtlasEngine database schema created successfully!';
-  RAISE NOTICE 'Tables: users, user_quotas, projects, builds, previews, memory_snapshots, usage_ledger, events, sessions, chat_messages';
+  RAISE NOTICE 'Tables: users, user_quotas, organizations, organization_members, organization_quotas, projects, project_members, project_secrets, builds, previews, memory_snapshots, usage_ledger, events, sessions, personal_access_tokens, chat_messages';
   RAISE NOTICE 'Views: user_usage_summary, project_health, recent_chat_messages, chat_stats_by_project';
   RAISE NOTICE 'Ready for application initialization';
 END $$;
@@ -21,18 +21,36 @@ import db from './src/db/connection.js';
 // Import services
 import dockerService from './src/services/dockerService.js';
 import portRegistry from './src/services/portRegistry.js';
-import claudeService from './src/services/claudeService.js';
-import memoryService from './src/services/memoryService.js';
+import lifecycleService from './src/services/lifecycleService.js';
+import storageService from './src/services/storageService.js';
+import realtimeService from './src/services/realtimeService.js';
+import watcherService from './src/services/watcherService.js';
+import chatTurnService from './src/services/chatTurnService.js';
+import agentRunner from './src/services/agentRunner.js';
 
 // Import middleware
 import { enforceQuotas, getQuotaSummary } from './src/middleware/quotas.js';
+import { authenticate, requireAuth, requireScope, requireSession, requireAdmin, resolveToken, extractBearerToken } from './src/middleware/auth.js';
+import { checkProjectAccess, isProjectReadOnly } from './src/middleware/projectAccess.js';
+import { resolveProjectPath } from './src/utils/projectPath.js';
 
 // Import routes
+import authRouter from './src/routes/auth.js';
+import tokensRouter from './src/routes/tokens.js';
+import organizationsRouter from './src/routes/organizations.js';
 import projectsRouter from './src/routes/projects.js';
 import memoryRouter from './src/routes/memory.js';
+import membersRouter from './src/routes/members.js';
+import versionsRouter from './src/routes/versions.js';
+import archivesRouter from './src/routes/archives.js';
+import secretsRouter from './src/routes/secrets.js';
+import searchRouter from './src/routes/search.js';
+import filesRouter from './src/routes/files.js';
 import buildsRouter from './src/routes/builds.js';
 import previewsRouter from './src/routes/previews.js';
 import chatRouter from './src/routes/chat.js';
+import templatesRouter from './src/routes/templates.js';
+import adminRouter from './src/routes/admin.js';
 import devServersRouter from './src/routes/devServers.js';
 
 // Initialize Express app
@@ -47,6 +65,16 @@ const io = new SocketIO(httpServer, {
   }
 });
 
+// Let routes and services broadcast to project rooms
+realtimeService.attach(io);
+
+// Stop watching a project's files once its last client leaves (or disconnects)
+io.of('/').adapter.on('delete-room', (room) => {
+  if (room.startsWith('project-')) {
+    watcherService.unwatchProject(room.slice('project-'.length));
+  }
+});
+
 // Server configuration
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -81,8 +109,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'X-Request-Id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['Content-Length', 'X-Request-Id', 'ETag'],
   maxAge: 86400 // 24 hours
 }));
 
@@ -111,18 +139,10 @@ if (NODE_ENV === 'development') {
   });
 }
 
-// Mock authentication middleware (replace with real JWT auth)
-app.use((req, res, next) => {
-  // For MVP, we use anonymous user by default (no auth required)
-  // In production, this would verify JWT tokens and set req.user
-  if (req.headers.authorization) {
-    req.user = {
-      id: '00000000-0000-0000-0000-000000000000',
-      email: 'anonymous@atlasengine.local'
-    };
-  }
-  next();
-});
+// Authentication - populates req.user from the bearer token
+// Protected routers are mounted behind requireAuth below; personal access
+// tokens are further limited per route with requireScope
+app.use(authenticate);
 
 // ============================================================================
 // ROUTES
@@ -154,82 +174,26 @@ app.get('/health', async (req, res) => {
 });
 
 // API routes
-app.use('/api/projects', projectsRouter);
-app.use('/api/projects', memoryRouter);
-app.use('/api/builds', buildsRouter);
-app.use('/api/previews', previewsRouter);
-app.use('/api/chat', chatRouter);
-app.use('/api/devservers', devServersRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/tokens', requireAuth, requireSession, tokensRouter);
+app.use('/api/organizations', requireAuth, organizationsRouter);
+app.use('/api/templates', requireAuth, requireScope('read'), templatesRouter);
+app.use('/api/projects', requireAuth, projectsRouter);
+app.use('/api/projects', requireAuth, filesRouter);
+app.use('/api/projects', requireAuth, memoryRouter);
+app.use('/api/projects', requireAuth, membersRouter);
+app.use('/api/projects', requireAuth, versionsRouter);
+app.use('/api/projects', requireAuth, archivesRouter);
+app.use('/api/projects', requireAuth, secretsRouter);
+app.use('/api/projects', requireAuth, searchRouter);
+app.use('/api/builds', requireAuth, requireScope('read'), buildsRouter);
+app.use('/api/previews', requireAuth, previewsRouter);
+app.use('/api/chat', requireAuth, requireScope('chat'), chatRouter);
+app.use('/api/devservers', requireAuth, devServersRouter);
+app.use('/api/admin', requireAuth, requireSession, requireAdmin, adminRouter);
 
 // Quota summary endpoint
-app.get('/api/quotas/summary', enforceQuotas, getQuotaSummary);
-
-// Port registry stats (admin only in production)
-app.get('/api/admin/ports', (req, res) => {
-  const stats = portRegistry.getStats();
-  const allocations = portRegistry.getAllocations();
-
-  res.json({
-    stats,
-    allocations
-  });
-});
-
-// Docker stats (admin only in production)
-app.get('/api/admin/docker', async (req, res) => {
-  try {
-    const containers = await dockerService.listContainers();
-    const health = await dockerService.healthCheck();
-
-    res.json({
-      health,
-      containers
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Claude sessions stats (admin only in production)
-app.get('/api/admin/claude-sessions', (req, res) => {
-  try {
-    const sessions = claudeService.getAllSessions();
-
-    res.json({
-      totalSessions: sessions.length,
-      activeSessions: sessions.filter(s => s.isActive).length,
-      sessions: sessions.map(s => ({
-        ...s,
-        uptimeFormatted: formatUptime(s.uptime),
-        lastActivityRelative: formatRelativeTime(s.lastActivity),
-      })),
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Helper functions for formatting
-function formatUptime(ms) {
-  const seconds = Math.floor(ms / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-
-  if (hours > 0) return `${hours}h ${minutes % 60}m`;
-  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
-  return `${seconds}s`;
-}
-
-function formatRelativeTime(timestamp) {
-  const diff = Date.now() - timestamp;
-  const seconds = Math.floor(diff / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
-
-  if (hours > 0) return `${hours}h ago`;
-  if (minutes > 0) return `${minutes}m ago`;
-  return `${seconds}s ago`;
-}
+app.get('/api/quotas/summary', requireAuth, requireScope('read'), enforceQuotas, getQuotaSummary);
 
 // Static file server for project previews
 app.use('/preview/:projectId', async (req, res, next) => {
@@ -238,10 +202,34 @@ app.use('/preview/:projectId', async (req, res, next) => {
     const { getProjectById } = await import('./src/db/queries.js');
     const project = await getProjectById(projectId);
 
-    if (!project) {
+    // Archived and deleted projects are gone as far as previews are concerned (their path may
+    // still hold files until cold storage or cleanup removes them)
+    if (!project || isProjectReadOnly(project)) {
       return res.status(404).send('Project not found');
     }
 
+    let requestedPath;
+    try {
+      requestedPath = decodeURIComponent(req.path).replace(/^\/+/, '');
+    } catch {
+      return res.status(400).send('Bad request');
+    }
+
+    // express.static follows symlinks, so check every file it might serve for this URL
+    // (the path itself, name.html for extensionless URLs, index.html in a directory)
+    const candidates = [
+      requestedPath,
+      `${requestedPath}.html`,
+      `${requestedPath}.htm`,
+      path.posix.join(requestedPath, 'index.html'),
+      path.posix.join(requestedPath, 'index.htm')
+    ];
+    for (const candidate of candidates) {
+      if (!(await resolveProjectPath(project.path, candidate))) {
+        return res.status(404).send('Not found');
+      }
+    }
+
     // Serve static files from project directory
     const express = await import('express');
     const staticMiddleware = express.default.static(project.path, {
@@ -278,18 +266,118 @@ app.use((err, req, res, next) => {
 // WEBSOCKET
 // ============================================================================
 
-// Track active Claude processes per socket
-const activeProcesses = new Map(); // socketId -> { process, projectId }
-// Track active Claude processes per project to prevent concurrent access
-const activeProjectProcesses = new Map(); // projectId -> { process, socketId, startedAt }
+// Log a rejected socket handshake or event with the client's IP and user agent
+async function logSocketDenied(socket, { userId = null, projectId = null, action, reason }) {
+  try {
+    const { logEvent } = await import('./src/db/queries.js');
+    await logEvent({
+      userId,
+      // events.project_id references projects, so unknown IDs only go in meta
+      projectId: reason === 'project_not_found' ? null : projectId,
+      kind: 'socket_unauthorized',
+      status: 'warning',
+      message: `Socket ${action} denied: ${reason}`,
+      meta: { socketId: socket.id, action, reason, projectId },
+      ipAddress: socket.handshake.address,
+      userAgent: socket.handshake.headers['user-agent']
+    });
+  } catch (error) {
+    console.error('Failed to log socket auth failure:', error.message);
+  }
+}
+
+// Authenticate the handshake with the same tokens as the REST API
+// Clients pass the token via io(url, { auth: { token } }) or an Authorization header
+io.use(async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      extractBearerToken(socket.handshake.headers.authorization);
+
+    const resolved = await resolveToken(token);
+
+    if (!resolved) {
+      await logSocketDenied(socket, {
+        action: 'connect',
+        reason: token ? 'invalid_token' : 'missing_token'
+      });
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.user = resolved.user;
+    socket.data.auth = resolved.auth;
+
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Authentication failed'));
+  }
+});
 
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  const user = socket.data.user;
+  console.log(`Client connected: ${socket.id} (user ${user.id})`);
+
+  /**
+   * Check the socket's user has a project role (and token scope) for an action
+   * Emits ai-error and logs the attempt when denied
+   * @returns {Promise<Object|null>} Project row, or null if denied
+   */
+  async function authorizeSocketProject(projectId, minRole, scope, action) {
+    let reason = null;
+    let project = null;
+
+    if (!projectId) {
+      reason = 'missing_project_id';
+    } else if (!socket.data.auth.scopes.includes(scope)) {
+      reason = `missing_scope_${scope}`;
+    } else {
+      const access = await checkProjectAccess(projectId, user.id, minRole);
+      project = access.project;
+
+      if (!project) {
+        reason = 'project_not_found';
+      } else if (!access.allowed) {
+        reason = access.role ? `requires_${minRole}` : 'not_a_member';
+      } else if (minRole !== 'viewer' && isProjectReadOnly(project)) {
+        reason = 'project_archived';
+      }
+    }
+
+    if (reason) {
+      await logSocketDenied(socket, { userId: user.id, projectId, action, reason });
+      socket.emit('ai-error', {
+        projectId,
+        error: reason === 'project_archived'
+          ? 'Project is archived; restore it to make changes'
+          : 'Not authorized for this project'
+      });
+      return null;
+    }
+
+    return project;
+  }
 
   // Join project room
-  socket.on('join-project', (projectId) => {
-    socket.join(`project-${projectId}`);
-    console.log(`Socket ${socket.id} joined project ${projectId}`);
+  socket.on('join-project', async (projectId) => {
+    try {
+      const project = await authorizeSocketProject(projectId, 'viewer', 'read', 'join-project');
+
+      if (!project) {
+        return;
+      }
+
+      socket.join(`project-${projectId}`);
+      console.log(`Socket ${socket.id} joined project ${projectId}`);
+
+      // Archived projects have no workspace to watch
+      if (!isProjectReadOnly(project)) {
+        watcherService.watchProject(projectId, project.path)
+          .catch(error => console.error(`Failed to watch project ${projectId}:`, error));
+      }
+    } catch (error) {
+      console.error('Join project error:', error);
+      socket.emit('ai-error', { projectId, error: 'Failed to join project' });
+    }
   });
 
   // Leave project room
@@ -299,345 +387,54 @@ io.on('connection', (socket) => {
   });
 
   // Stop current AI processing
-  socket.on('ai-stop', (data) => {
-    const { projectId } = data;
+  socket.on('ai-stop', async (data) => {
+    const { projectId } = data || {};
     console.log(`Stop requested for socket ${socket.id}, project ${projectId}`);
 
-    const processInfo = activeProcesses.get(socket.id);
-    if (processInfo && processInfo.process) {
-      console.log(`Killing Claude process for socket ${socket.id}, project ${projectId}`);
-      processInfo.process.kill('SIGTERM');
-      activeProcesses.delete(socket.id);
-      activeProjectProcesses.delete(projectId);
+    let project;
+    try {
+      project = await authorizeSocketProject(projectId, 'editor', 'chat', 'ai-stop');
+    } catch (error) {
+      console.error('AI stop authorization error:', error);
+      return;
+    }
+
+    if (!project) {
+      return;
+    }
 
+    if (chatTurnService.stop(socket.id, projectId)) {
       socket.emit('ai-stopped', { projectId });
       socket.to(`project-${projectId}`).emit('ai-stopped', { projectId });
     }
   });
 
-  // AI chat message handler with streaming support
+  // AI chat message handler with streaming support (the turn itself runs in chatTurnService)
   socket.on('ai-message', async (data) => {
-    const { projectId, message, attachments } = data;
+    const { projectId, message, attachments } = data || {};
 
     try {
-      // Forward typing event
-      socket.emit('ai-typing', { projectId });
-      socket.to(`project-${projectId}`).emit('ai-typing', { projectId });
-
-      // Get project details and initialize session if needed
-      const { getProjectById, saveChatMessage, getChatHistory } = await import('./src/db/queries.js');
-      const project = await getProjectById(projectId);
+      // Check membership before anything is broadcast or spawned
+      const project = await authorizeSocketProject(projectId, 'editor', 'chat', 'ai-message');
 
       if (!project) {
-        socket.emit('ai-error', { error: 'Project not found' });
         return;
       }
 
-      // Initialize session if needed
-      if (!claudeService.isSessionActive(projectId)) {
-        await claudeService.initializeSession(projectId, project.path, project.user_id);
-      }
-
-      // Save user message to database
-      try {
-        await saveChatMessage({
-          projectId,
-          userId: project.user_id,
-          role: 'user',
-          content: message,
-          tokensUsed: 0,
-          model: null,
-          meta: attachments && attachments.length > 0 ? { attachments } : null,
-        });
-      } catch (error) {
-        console.error('Failed to save user message:', error.message);
-      }
-
-      // Load conversation history for context
-      let conversationHistory = [];
-      try {
-        const dbHistory = await getChatHistory(projectId, 10);
-        conversationHistory = dbHistory.map(msg => ({
-          role: msg.role,
-          content: msg.content,
-        }));
-      } catch (error) {
-        console.warn('Failed to load conversation history:', error.message);
-      }
-
-      // Get session for project path
-      const session = claudeService.getSession(projectId);
-      if (!session) {
-        socket.emit('ai-error', { error: 'Session not initialized' });
-        return;
-      }
-
-      // Check if another Claude process is already running for this project
-      if (activeProjectProcesses.has(projectId)) {
-        const existingProcess = activeProjectProcesses.get(projectId);
-        console.log(`Claude process already running for project ${projectId} (started ${Date.now() - existingProcess.startedAt}ms ago)`);
-        socket.emit('ai-error', {
-          error: 'Another request is already being processed for this project. Please wait for it to complete.'
-        });
-        return;
-      }
-
-      // Spawn Claude CLI directly for streaming
-      const { spawn } = await import('child_process');
-      const { randomUUID } = await import('crypto');
-
-      // Generate unique UUID session ID for this request
-      // Each browser tab/connection gets its own Claude session to prevent lock conflicts
-      // Conversation history is maintained in database and CLAUDE.md, not in Claude CLI sessions
-      const sessionId = randomUUID();
-
-      // Note: Sessions are ephemeral and tied to socket lifecycle
-      // Project memory (CLAUDE.md) and database provide conversation continuity
-
-      // Prepend system instructions to keep Claude within project directory
-      const systemInstruction = `IMPORTANT SYSTEM INSTRUCTION: You are working on a user project located at: ${session.projectPath}
-
-You MUST ONLY read, write, or modify files within this directory. DO NOT access or modify any files outside of this directory, including:
-- The AtlasEngine MVP codebase at /Users/avinash/Projects/AI/AtlasEngineMVP
-- Any system files
-- Any files in parent directories
-
-Your working directory is: ${session.projectPath}
-Always use relative paths when working with files.
-
-User's request: ${message}`;
-
-      // Prepare Claude CLI arguments with image support
-      const claudeArgs = [
-        '--print',
-        '--output-format', 'stream-json',
-        '--verbose',
-        '--dangerously-skip-permissions',
-        '--session-id', sessionId,
-      ];
-
-      // If attachments exist, ask Claude to read the image files
-      const hasAttachments = attachments && attachments.length > 0;
-      let finalPrompt = systemInstruction;
-
-      if (hasAttachments) {
-        console.log(`Sending ${attachments.length} attachment(s) to Claude via Read tool`);
-        // Build prompt that asks Claude to read the image files
-        const imageFileList = attachments.map((p, i) => `${i + 1}. ${p}`).join('\n');
-        finalPrompt = `${systemInstruction}\n\nIMPORTANT: The user has attached the following image file(s). Please use the Read tool to view ${attachments.length > 1 ? 'them' : 'it'}:\n${imageFileList}\n\nAfter reading the image${attachments.length > 1 ? 's' : ''}, please respond to the user's request.`;
-      }
-
-      claudeArgs.push(finalPrompt);
-
-      const claudePath = '/opt/homebrew/bin/claude';
-      const claudeProcess = spawn(claudePath, claudeArgs, {
-        cwd: session.projectPath,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      // Register process for stopping (both by socket and project)
-      const processInfo = { process: claudeProcess, projectId, socketId: socket.id, startedAt: Date.now() };
-      activeProcesses.set(socket.id, processInfo);
-      activeProjectProcesses.set(projectId, processInfo);
-
-      let assistantMessage = '';
-      let tokensUsed = 0;
-      let model = 'claude-sonnet-4-5';
-      const toolUseEvents = []; // Collect tool use events for database storage
-
-      // Handle stdout - stream events to client in real-time
-      claudeProcess.stdout.on('data', (data) => {
-        const rawOutput = data.toString();
-        console.log('📥 Claude stdout received:', rawOutput.substring(0, 200)); // Log first 200 chars
-        const lines = rawOutput.split('\n').filter(line => line.trim());
-        console.log(`📋 Parsed ${lines.length} lines from stdout`);
-
-        for (const line of lines) {
-          try {
-            const event = JSON.parse(line);
-            console.log('🎯 Claude event:', event.type, event.message ? '(has message)' : '');
-
-            // Emit raw event to client for debugging
-            // console.log('Claude event:', event.type);
-
-            switch (event.type) {
-              case 'system':
-                if (event.model) {
-                  model = event.model;
-                }
-                // Send system init event
-                socket.emit('claude-stream-event', {
-                  type: 'system',
-                  data: event
-                });
-                socket.to(`project-${projectId}`).emit('claude-stream-event', {
-                  type: 'system',
-                  data: event
-                });
-                break;
-
-              case 'assistant':
-                if (event.message) {
-                  model = event.message.model || model;
-
-                  // Extract content array
-                  if (event.message.content && Array.isArray(event.message.content)) {
-                    for (const content of event.message.content) {
-                      if (content.type === 'text' && content.text) {
-                        // Stream text content
-                        assistantMessage += content.text;
-                        socket.emit('claude-stream-event', {
-                          type: 'text',
-                          data: { text: content.text }
-                        });
-                        socket.to(`project-${projectId}`).emit('claude-stream-event', {
-                          type: 'text',
-                          data: { text: content.text }
-                        });
-                      } else if (content.type === 'tool_use') {
-                        // Store tool use event for database persistence
-                        const toolEvent = {
-                          id: content.id,
-                          name: content.name,
-                          input: content.input
-                        };
-                        toolUseEvents.push(toolEvent);
-
-                        // Stream tool use event
-                        socket.emit('claude-stream-event', {
-                          type: 'tool_use',
-                          data: toolEvent
-                        });
-                        socket.to(`project-${projectId}`).emit('claude-stream-event', {
-                          type: 'tool_use',
-                          data: toolEvent
-                        });
-                      }
-                    }
-                  }
-
-                  // Extract token usage
-                  if (event.message.usage && event.message.usage.output_tokens) {
-                    tokensUsed = event.message.usage.output_tokens;
-                  }
-                }
-                break;
-
-              case 'result':
-                // Extract final token usage
-                if (event.usage && event.usage.output_tokens) {
-                  tokensUsed = event.usage.output_tokens;
-                }
-                if (event.modelUsage && event.modelUsage['claude-sonnet-4-5-20250929']) {
-                  tokensUsed = event.modelUsage['claude-sonnet-4-5-20250929'].outputTokens || tokensUsed;
-                }
-                break;
-            }
-          } catch (error) {
-            // Non-JSON line, likely verbose debug output - ignore
-          }
-        }
+      await chatTurnService.runTurn({
+        project,
+        user,
+        message,
+        attachments,
+        socketId: socket.id,
+        send: (event, payload) => socket.emit(event, payload),
+        broadcast: (event, payload) => {
+          socket.emit(event, payload);
+          socket.to(`project-${projectId}`).emit(event, payload);
+        },
+        ipAddress: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent']
       });
-
-      // Handle stderr
-      claudeProcess.stderr.on('data', (data) => {
-        const stderrOutput = data.toString();
-        console.error('❌ Claude CLI stderr:', stderrOutput);
-        // If stderr contains actual errors (not just warnings), emit to client
-        if (stderrOutput.toLowerCase().includes('error') || stderrOutput.toLowerCase().includes('failed')) {
-          socket.emit('claude-stream-event', {
-            type: 'error',
-            data: { error: stderrOutput }
-          });
-        }
-      });
-
-      // Handle process completion
-      claudeProcess.on('close', async (code) => {
-        // Clean up process from tracking (both maps)
-        activeProcesses.delete(socket.id);
-        activeProjectProcesses.delete(projectId);
-        console.log(`Claude process completed for project ${projectId} with code ${code}`);
-        console.log(`📊 Final state: assistantMessage length=${assistantMessage.length}, tokensUsed=${tokensUsed}, toolUseEvents=${toolUseEvents.length}`);
-
-        if (code === 0 || code === null || code === 143) { // null means killed by signal, 143 = SIGTERM (stopped by user)
-          // Save assistant message to database with tool use events in meta (only if not killed)
-          if (code === 0 && assistantMessage) {
-            try {
-              const meta = toolUseEvents.length > 0 ? { toolUseEvents } : null;
-              await saveChatMessage({
-                projectId,
-                userId: project.user_id,
-                role: 'assistant',
-                content: assistantMessage || 'No response',
-                tokensUsed: tokensUsed || 0,
-                model: model,
-                meta: meta,
-              });
-            } catch (error) {
-              console.error('Failed to save assistant message:', error.message);
-            }
-
-            // Analyze tool use and intelligently update CLAUDE.md memory
-            if (toolUseEvents.length > 0) {
-              try {
-                const memoryUpdate = await memoryService.analyzeAndUpdateFromToolUse(
-                  projectId,
-                  session.projectPath,
-                  project.user_id,
-                  toolUseEvents,
-                  message,
-                  assistantMessage
-                );
-
-                if (memoryUpdate.updated) {
-                  console.log(`✅ Memory updated for project ${projectId}:`, memoryUpdate.insights);
-
-                  if (memoryUpdate.checkpointCreated) {
-                    console.log(`📸 Auto-checkpoint created for milestone`);
-                  }
-                }
-              } catch (error) {
-                console.error('Failed to update memory from tool use:', error.message);
-                // Don't fail the request if memory update fails
-              }
-            }
-          }
-
-          // Send completion event
-          socket.emit('claude-complete', {
-            tokensUsed,
-            model,
-            exitCode: code
-          });
-          socket.to(`project-${projectId}`).emit('claude-complete', {
-            tokensUsed,
-            model,
-            exitCode: code
-          });
-
-          // Update session stats
-          if (session) {
-            session.messageCount++;
-            session.tokensUsed += tokensUsed || 0;
-          }
-        } else {
-          socket.emit('ai-error', { error: `Claude CLI exited with code ${code}` });
-        }
-      });
-
-      // Handle process errors
-      claudeProcess.on('error', (error) => {
-        console.error('Claude CLI process error:', error);
-        // Clean up process from tracking (both maps)
-        activeProcesses.delete(socket.id);
-        activeProjectProcesses.delete(projectId);
-        socket.emit('ai-error', { error: error.message });
-      });
-
-      // Close stdin
-      claudeProcess.stdin.end();
-
     } catch (error) {
       console.error('AI message error:', error);
       socket.emit('ai-error', { error: error.message });
@@ -649,17 +446,7 @@ User's request: ${message}`;
     console.log('Client disconnected:', socket.id);
 
     // Clean up any running Claude process for this socket
-    const processInfo = activeProcesses.get(socket.id);
-    if (processInfo) {
-      console.log(`Cleaning up Claude process for disconnected socket ${socket.id}, project ${processInfo.projectId}`);
-      try {
-        processInfo.process.kill('SIGTERM');
-      } catch (error) {
-        console.error(`Failed to kill process: ${error.message}`);
-      }
-      activeProcesses.delete(socket.id);
-      activeProjectProcesses.delete(processInfo.projectId);
-    }
+    chatTurnService.stopForSocket(socket.id);
   });
 });
 
@@ -698,6 +485,12 @@ async function initialize() {
     console.log('🧹 Cleaning up stopped containers...');
     await dockerService.cleanupStoppedContainers();
 
+    // Purge expired trash and archive idle projects to cold storage
+    lifecycleService.start();
+
+    // Meter per-project disk usage for storage quotas
+    storageService.start();
+
     console.log('✅ Initialization complete!');
   } catch (error) {
     console.error('❌ Initialization failed:', error);
@@ -722,29 +515,79 @@ async function start() {
     console.log(`📝 Environment: ${NODE_ENV}`);
     console.log(`🔗 API Base: http://localhost:${PORT}/api`);
     console.log(`❤️  Health check: http://localhost:${PORT}/health`);
+    console.log(`🤖 Agent runner: ${agentRunner.command ? `cli (${agentRunner.command})` : 'mock (replaying fixtures)'}`);
     console.log('');
     console.log('Available endpoints:');
-    console.log('  POST   /api/projects                 - Create project');
+    console.log('  POST   /api/auth/register            - Create account');
+    console.log('  POST   /api/auth/login               - Log in');
+    console.log('  POST   /api/auth/logout              - Log out');
+    console.log('  GET    /api/auth/me                  - Get current user');
+    console.log('  POST   /api/tokens                   - Create access token');
+    console.log('  GET    /api/tokens                   - List access tokens');
+    console.log('  DELETE /api/tokens/:id               - Revoke access token');
+    console.log('  GET    /api/templates                - List project templates');
+    console.log('  POST   /api/projects                 - Create project (optional template)');
+    console.log('  POST   /api/projects/import          - Import project from a git repository');
+    console.log('  POST   /api/projects/import/archive  - Import project from an exported archive');
+    console.log('  GET    /api/projects/:id/export      - Export project as .tar.gz');
     console.log('  GET    /api/projects                 - List projects');
     console.log('  GET    /api/projects/:id             - Get project');
+    console.log('  POST   /api/projects/:id/fork        - Fork project');
+    console.log('  POST   /api/projects/:id/archive     - Archive project to cold storage');
+    console.log('  DELETE /api/projects/:id             - Move project to trash');
+    console.log('  GET    /api/projects/trash           - List trashed projects');
+    console.log('  POST   /api/projects/:id/restore     - Restore project from trash');
+    console.log('  POST   /api/projects/:id/unarchive   - Restore archived project');
     console.log('  POST   /api/projects/:id/build       - Build project');
     console.log('  POST   /api/projects/:id/deploy      - Deploy project');
+    console.log('  GET    /api/projects/:id/files       - List files (?path=&depth=&includeIgnored=&offset=&limit=)');
+    console.log('  GET    /api/projects/:id/files/content - Read file');
+    console.log('  PUT    /api/projects/:id/files/content - Write file (If-Match: <etag>)');
+    console.log('  GET    /api/projects/:id/files/raw   - Download file bytes (?path=&download=true)');
+    console.log('  GET    /api/projects/:id/files/zip   - Download folder as zip (?path=)');
+    console.log('  POST   /api/projects/:id/files/upload - Upload files (multipart)');
+    console.log('  POST   /api/projects/:id/files       - Create file or directory');
+    console.log('  POST   /api/projects/:id/files/move  - Rename or move');
+    console.log('  POST   /api/projects/:id/files/copy  - Copy');
+    console.log('  DELETE /api/projects/:id/files       - Delete (?path=&recursive=true)');
+    console.log('  POST   /api/projects/:id/patch       - Apply unified diff (all or nothing, dryRun)');
+    console.log('  GET    /api/projects/:id/files/history - File versions (?path=)');
+    console.log('  GET    /api/projects/:id/files/history/:versionId - File version content');
+    console.log('  POST   /api/projects/:id/files/history/:versionId/restore - Restore file version');
     console.log('  GET    /api/projects/:id/memory      - Get CLAUDE.md');
     console.log('  POST   /api/projects/:id/memory      - Update CLAUDE.md');
     console.log('  POST   /api/projects/:id/memory/checkpoint - Create checkpoint');
+    console.log('  GET    /api/projects/:id/members     - List members');
+    console.log('  POST   /api/projects/:id/members     - Invite member');
+    console.log('  PATCH  /api/projects/:id/members/:userId - Change member role');
+    console.log('  DELETE /api/projects/:id/members/:userId - Remove member');
+    console.log('  GET    /api/projects/:id/secrets     - List secret names (values are write-only)');
+    console.log('  POST   /api/projects/:id/secrets     - Create secret');
+    console.log('  PUT    /api/projects/:id/secrets/:name - Update secret');
+    console.log('  DELETE /api/projects/:id/secrets/:name - Delete secret');
+    console.log('  GET    /api/projects/:id/search      - Search file contents (?q=&regex=&include=&exclude=)');
+    console.log('  GET    /api/projects/:id/commits     - Workspace git history');
+    console.log('  GET    /api/projects/:id/diff        - Diff two commits (?from=&to=)');
+    console.log('  POST   /api/projects/:id/commits/:sha/restore - Restore workspace to a commit');
     console.log('  GET    /api/builds/:id               - Get build details');
     console.log('  GET    /api/previews/:id             - Get preview details');
     console.log('  DELETE /api/previews/:id             - Stop preview');
-    console.log('  GET    /api/quotas/summary           - Get quota usage');
+    console.log('  GET    /api/quotas/summary           - Get quota usage (?organizationId= for pooled)');
+    console.log('  POST   /api/organizations            - Create organization');
+    console.log('  GET    /api/organizations/:orgId     - Organization, members and pooled quotas');
+    console.log('  POST   /api/organizations/:orgId/members - Add member with sub-limits');
     console.log('  POST   /api/chat/sessions/:id/init   - Initialize chat session');
     console.log('  POST   /api/chat/sessions/:id/message - Send chat message');
     console.log('  GET    /api/chat/sessions/:id/history - Get chat history');
+    console.log('  GET    /api/admin/claude-sessions    - Claude sessions (admin only)');
     console.log('');
     console.log('WebSocket events:');
     console.log('  ai-message                           - Send message to Claude');
     console.log('  ai-response                          - Receive Claude response');
     console.log('  ai-typing                            - Claude is typing');
     console.log('  ai-error                             - Error occurred');
+    console.log('  files-changed                        - File API change (create/move/delete...)');
+    console.log('  fs-changed                           - Workspace changed on disk (watched while joined)');
     console.log('');
     console.log('Ready to accept requests! 🎉');
     console.log('');
@@ -755,6 +598,10 @@ async function start() {
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
 
+  lifecycleService.stop();
+  storageService.stop();
+  watcherService.stop();
+
   httpServer.close(() => {
     console.log('HTTP server closed');
   });
@@ -766,6 +613,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
 
+  lifecycleService.stop();
+  storageService.stop();
+  watcherService.stop();
+
   httpServer.close(() => {
     console.log('HTTP server closed');
   });
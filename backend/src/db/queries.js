@@ -18,7 +18,7 @@ export async function createUser({ email, passwordHash, name, plan = 'free' }) {
   const result = await query(
     `INSERT INTO users (email, password_hash, name, plan)
      VALUES ($1, $2, $3, $4)
-     RETURNING id, email, name, plan, created_at`,
+     RETURNING id, email, name, plan, role, created_at`,
     [email, passwordHash, name, plan]
   );
 
@@ -65,6 +65,135 @@ export async function updateUserLastLogin(userId) {
   );
 }
 
+// ============================================================================
+// SESSION QUERIES
+// ============================================================================
+
+/**
+ * Create a login session
+ * @param {Object} sessionData - Session data
+ * @returns {Promise<Object>} Created session
+ */
+export async function createSession({ id, userId, tokenHash, ipAddress, userAgent, expiresAt }) {
+  const result = await query(
+    `INSERT INTO sessions (id, user_id, token_hash, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [id, userId, tokenHash, ipAddress, userAgent, expiresAt]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Find an active, unexpired session and record activity
+ * @param {string} sessionId - Session UUID
+ * @param {string} tokenHash - SHA256 hash of the session token
+ * @returns {Promise<Object|null>} Session or null
+ */
+export async function findActiveSession(sessionId, tokenHash) {
+  const result = await query(
+    `UPDATE sessions
+     SET last_activity = NOW()
+     WHERE id = $1 AND token_hash = $2 AND is_active = TRUE AND expires_at > NOW()
+     RETURNING *`,
+    [sessionId, tokenHash]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Deactivate a session (logout)
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<boolean>} True if a session was deactivated
+ */
+export async function deactivateSession(sessionId) {
+  const result = await query(
+    `UPDATE sessions
+     SET is_active = FALSE
+     WHERE id = $1 AND is_active = TRUE
+     RETURNING id`,
+    [sessionId]
+  );
+
+  return result.rowCount > 0;
+}
+
+// ============================================================================
+// PERSONAL ACCESS TOKEN QUERIES
+// ============================================================================
+
+/**
+ * Create a personal access token
+ * @param {Object} tokenData - Token data (hash only, never the raw token)
+ * @returns {Promise<Object>} Created token row
+ */
+export async function createAccessToken({ userId, name, tokenHash, tokenPrefix, scopes, expiresAt }) {
+  const result = await query(
+    `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, user_id, name, token_prefix, scopes, created_at, expires_at, last_used_at, revoked_at`,
+    [userId, name, tokenHash, tokenPrefix, scopes, expiresAt]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Find a usable (unrevoked, unexpired) token by hash and record usage
+ * @param {string} tokenHash - SHA256 hash of the raw token
+ * @returns {Promise<Object|null>} Token row or null
+ */
+export async function findActiveAccessToken(tokenHash) {
+  const result = await query(
+    `UPDATE personal_access_tokens
+     SET last_used_at = NOW()
+     WHERE token_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, user_id, name, scopes`,
+    [tokenHash]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a user's personal access tokens
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Tokens (without hashes)
+ */
+export async function getUserAccessTokens(userId) {
+  const result = await query(
+    `SELECT id, name, token_prefix, scopes, created_at, expires_at, last_used_at, revoked_at
+     FROM personal_access_tokens
+     WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Revoke a personal access token
+ * @param {string} tokenId - Token UUID
+ * @param {string} userId - Owning user UUID
+ * @returns {Promise<Object|null>} Revoked token or null if not found
+ */
+export async function revokeAccessToken(tokenId, userId) {
+  const result = await query(
+    `UPDATE personal_access_tokens
+     SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id, name, revoked_at`,
+    [tokenId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
 // ============================================================================
 // USER QUOTA QUERIES
 // ============================================================================
@@ -74,184 +203,1014 @@ export async function updateUserLastLogin(userId) {
  * @param {string} userId - User UUID
  * @returns {Promise<Object|null>} User quotas
  */
-export async function getUserQuotas(userId) {
+export async function getUserQuotas(userId) {
+  const result = await query(
+    'SELECT * FROM user_quotas WHERE user_id = $1',
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Update token usage
+ * @param {string} userId - User UUID
+ * @param {number} tokensUsed - Number of tokens used
+ * @param {number} cost - Cost in USD
+ * @returns {Promise<void>}
+ */
+export async function updateTokenUsage(userId, tokensUsed, cost) {
+  await query(
+    `UPDATE user_quotas
+     SET tokens_used_this_month = tokens_used_this_month + $1,
+         cost_this_month = cost_this_month + $2,
+         updated_at = NOW()
+     WHERE user_id = $3`,
+    [tokensUsed, cost, userId]
+  );
+}
+
+/**
+ * Record a build against the user's daily build window
+ * Starts a new window if the current one is older than 24 hours
+ * @param {string} userId - User UUID
+ * @returns {Promise<void>}
+ */
+export async function recordUserBuild(userId) {
+  await query(
+    `UPDATE user_quotas
+     SET builds_today = CASE WHEN day_window_start < NOW() - INTERVAL '24 hours' THEN 1 ELSE builds_today + 1 END,
+         day_window_start = CASE WHEN day_window_start < NOW() - INTERVAL '24 hours' THEN NOW() ELSE day_window_start END,
+         updated_at = NOW()
+     WHERE user_id = $1`,
+    [userId]
+  );
+}
+
+/**
+ * Count a user's running preview containers for personal (non-organization) projects
+ * @param {string} userId - User UUID
+ * @returns {Promise<number>} Running containers
+ */
+export async function countUserContainers(userId) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM previews pv
+     JOIN projects p ON p.id = pv.project_id
+     WHERE pv.user_id = $1
+       AND p.organization_id IS NULL
+       AND pv.status IN ('starting', 'healthy')`,
+    [userId]
+  );
+
+  return result.rows[0].count;
+}
+
+/**
+ * Check if user has exceeded quota
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object>} Quota check result
+ */
+export async function checkUserQuota(userId) {
+  const quotas = await getUserQuotas(userId);
+
+  if (!quotas) {
+    return { exceeded: false, reason: null };
+  }
+
+  if (quotas.quota_exceeded) {
+    return { exceeded: true, reason: quotas.quota_exceeded_reason || 'Quota exceeded' };
+  }
+
+  if (quotas.tokens_used_this_month >= quotas.monthly_token_limit) {
+    await query(
+      `UPDATE user_quotas
+       SET quota_exceeded = TRUE, quota_exceeded_reason = 'Token limit exceeded'
+       WHERE user_id = $1`,
+      [userId]
+    );
+    return { exceeded: true, reason: 'Token limit exceeded' };
+  }
+
+  if (quotas.cost_this_month >= quotas.monthly_cost_limit) {
+    await query(
+      `UPDATE user_quotas
+       SET quota_exceeded = TRUE, quota_exceeded_reason = 'Cost limit exceeded'
+       WHERE user_id = $1`,
+      [userId]
+    );
+    return { exceeded: true, reason: 'Cost limit exceeded' };
+  }
+
+  return { exceeded: false, reason: null };
+}
+
+/**
+ * Reset monthly quotas (called by cron job)
+ * @returns {Promise<number>} Number of users reset
+ */
+export async function resetMonthlyQuotas() {
+  const result = await query(
+    `UPDATE user_quotas
+     SET tokens_used_this_month = 0,
+         cost_this_month = 0,
+         quota_exceeded = FALSE,
+         quota_exceeded_reason = NULL,
+         last_reset = NOW()
+     WHERE last_reset < date_trunc('month', NOW())
+     RETURNING user_id`
+  );
+
+  // Organization pools and the per-member usage within them
+  const orgResult = await query(
+    `UPDATE organization_quotas
+     SET tokens_used_this_month = 0,
+         cost_this_month = 0,
+         quota_exceeded = FALSE,
+         quota_exceeded_reason = NULL,
+         last_reset = NOW()
+     WHERE last_reset < date_trunc('month', NOW())
+     RETURNING organization_id`
+  );
+
+  if (orgResult.rowCount > 0) {
+    await query(
+      `UPDATE organization_members
+       SET tokens_used_this_month = 0, cost_this_month = 0
+       WHERE organization_id = ANY($1)`,
+      [orgResult.rows.map(row => row.organization_id)]
+    );
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Total measured disk usage of the projects an account pays for
+ * Organization projects count against the pool, personal projects against the user
+ * Trashed and archived projects count until they are purged
+ * @param {Object} account - { userId, organizationId }
+ * @returns {Promise<number>} Bytes
+ */
+export async function getAccountStorageUsage({ userId, organizationId = null }) {
+  const result = organizationId
+    ? await query(
+      `SELECT COALESCE(SUM(storage_bytes), 0)::bigint AS bytes
+       FROM projects WHERE organization_id = $1`,
+      [organizationId]
+    )
+    : await query(
+      `SELECT COALESCE(SUM(storage_bytes), 0)::bigint AS bytes
+       FROM projects WHERE user_id = $1 AND organization_id IS NULL`,
+      [userId]
+    );
+
+  return parseInt(result.rows[0].bytes);
+}
+
+// ============================================================================
+// ORGANIZATION QUERIES
+// ============================================================================
+
+/**
+ * Create an organization with its creator as owner
+ * Pooled quotas are created by the create_organization_quota_on_create trigger
+ * @param {Object} orgData - Organization data
+ * @returns {Promise<Object>} Created organization
+ */
+export async function createOrganization({ name, slug, createdBy }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO organizations (name, slug, created_by)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, slug, createdBy]
+    );
+
+    const organization = result.rows[0];
+
+    await client.query(
+      `INSERT INTO organization_members (organization_id, user_id, role)
+       VALUES ($1, $2, 'owner')`,
+      [organization.id, createdBy]
+    );
+
+    return organization;
+  });
+}
+
+/**
+ * Get organization by ID
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object|null>} Organization or null
+ */
+export async function getOrganizationById(organizationId) {
+  const result = await query(
+    'SELECT * FROM organizations WHERE id = $1',
+    [organizationId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get organizations a user belongs to
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Organizations, each with the user's role
+ */
+export async function getUserOrganizations(userId) {
+  const result = await query(
+    `SELECT o.*, om.role
+     FROM organizations o
+     JOIN organization_members om ON om.organization_id = o.id
+     WHERE om.user_id = $1
+     ORDER BY o.name ASC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a user's membership (role, sub-limits and usage) in an organization
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>} Membership or null
+ */
+export async function getOrganizationMember(organizationId, userId) {
+  const result = await query(
+    'SELECT * FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get organization members with user details
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} Members
+ */
+export async function getOrganizationMembers(organizationId) {
+  const result = await query(
+    `SELECT om.*, u.email, u.name
+     FROM organization_members om
+     JOIN users u ON u.id = om.user_id
+     WHERE om.organization_id = $1
+     ORDER BY om.created_at ASC`,
+    [organizationId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Add a member to an organization
+ * @param {Object} memberData - Member data
+ * @returns {Promise<Object|null>} Created member or null if already a member
+ */
+export async function addOrganizationMember({ organizationId, userId, role = 'member' }) {
+  const result = await query(
+    `INSERT INTO organization_members (organization_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (organization_id, user_id) DO NOTHING
+     RETURNING *`,
+    [organizationId, userId, role]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a member's role and/or sub-limits
+ * Sub-limits set to null fall back to the pool limit
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - User UUID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object|null>} Updated member or null if not found
+ */
+export async function updateOrganizationMember(organizationId, userId, data = {}) {
+  const columns = {
+    role: 'role',
+    monthlyTokenLimit: 'monthly_token_limit',
+    monthlyCostLimit: 'monthly_cost_limit',
+    maxBuildsPerDay: 'max_builds_per_day',
+    maxConcurrentContainers: 'max_concurrent_containers'
+  };
+
+  const updates = [];
+  const values = [organizationId, userId];
+  let paramIndex = 3;
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (data[key] !== undefined) {
+      updates.push(`${column} = $${paramIndex++}`);
+      values.push(data[key]);
+    }
+  }
+
+  if (updates.length === 0) {
+    return getOrganizationMember(organizationId, userId);
+  }
+
+  const result = await query(
+    `UPDATE organization_members
+     SET ${updates.join(', ')}
+     WHERE organization_id = $1 AND user_id = $2
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove a member from an organization
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if a member was removed
+ */
+export async function removeOrganizationMember(organizationId, userId) {
+  const result = await query(
+    'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Get an organization's pooled quotas
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Object|null>} Organization quotas
+ */
+export async function getOrganizationQuotas(organizationId) {
+  const result = await query(
+    'SELECT * FROM organization_quotas WHERE organization_id = $1',
+    [organizationId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Debit token usage from an organization pool and the member's share of it
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - Member UUID
+ * @param {number} tokensUsed - Number of tokens used
+ * @param {number} cost - Cost in USD
+ * @returns {Promise<void>}
+ */
+export async function updateOrganizationTokenUsage(organizationId, userId, tokensUsed, cost) {
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE organization_quotas
+       SET tokens_used_this_month = tokens_used_this_month + $1,
+           cost_this_month = cost_this_month + $2
+       WHERE organization_id = $3`,
+      [tokensUsed, cost, organizationId]
+    );
+
+    await client.query(
+      `UPDATE organization_members
+       SET tokens_used_this_month = tokens_used_this_month + $1,
+           cost_this_month = cost_this_month + $2
+       WHERE organization_id = $3 AND user_id = $4`,
+      [tokensUsed, cost, organizationId, userId]
+    );
+  });
+}
+
+/**
+ * Record a build against the organization pool and the member's daily window
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - Member UUID
+ * @returns {Promise<void>}
+ */
+export async function recordOrganizationBuild(organizationId, userId) {
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE organization_quotas
+       SET builds_today = CASE WHEN day_window_start < NOW() - INTERVAL '24 hours' THEN 1 ELSE builds_today + 1 END,
+           day_window_start = CASE WHEN day_window_start < NOW() - INTERVAL '24 hours' THEN NOW() ELSE day_window_start END
+       WHERE organization_id = $1`,
+      [organizationId]
+    );
+
+    await client.query(
+      `UPDATE organization_members
+       SET builds_today = CASE WHEN day_window_start < NOW() - INTERVAL '24 hours' THEN 1 ELSE builds_today + 1 END,
+           day_window_start = CASE WHEN day_window_start < NOW() - INTERVAL '24 hours' THEN NOW() ELSE day_window_start END
+       WHERE organization_id = $1 AND user_id = $2`,
+      [organizationId, userId]
+    );
+  });
+}
+
+/**
+ * Count running preview containers across an organization's projects
+ * @param {string} organizationId - Organization UUID
+ * @param {string} userId - Optional member UUID to count only their containers
+ * @returns {Promise<number>} Running containers
+ */
+export async function countOrganizationContainers(organizationId, userId = null) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM previews pv
+     JOIN projects p ON p.id = pv.project_id
+     WHERE p.organization_id = $1
+       AND ($2::uuid IS NULL OR pv.user_id = $2)
+       AND pv.status IN ('starting', 'healthy')`,
+    [organizationId, userId]
+  );
+
+  return result.rows[0].count;
+}
+
+/**
+ * Debit token usage from whichever quota pays for a project
+ * Organization-owned projects debit the pool and the member's share, others the user
+ * @param {Object} usage - { userId, organizationId, tokensUsed, cost }
+ * @returns {Promise<void>}
+ */
+export async function recordTokenUsage({ userId, organizationId = null, tokensUsed, cost }) {
+  if (organizationId) {
+    await updateOrganizationTokenUsage(organizationId, userId, tokensUsed, cost);
+  } else {
+    await updateTokenUsage(userId, tokensUsed, cost);
+  }
+}
+
+/**
+ * Get an organization's projects
+ * @param {string} organizationId - Organization UUID
+ * @returns {Promise<Array>} Projects
+ */
+export async function getOrganizationProjects(organizationId) {
+  const result = await query(
+    `SELECT * FROM projects
+     WHERE organization_id = $1 AND status = 'active'
+     ORDER BY updated_at DESC`,
+    [organizationId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Move a project into (or out of) an organization
+ * @param {string} projectId - Project UUID
+ * @param {string|null} organizationId - Organization UUID or null for personal
+ * @returns {Promise<Object|null>} Updated project
+ */
+export async function setProjectOrganization(projectId, organizationId) {
+  const result = await query(
+    `UPDATE projects SET organization_id = $2 WHERE id = $1 RETURNING *`,
+    [projectId, organizationId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ============================================================================
+// PROJECT QUERIES
+// ============================================================================
+
+/**
+ * Create a new project
+ * @param {Object} projectData - Project data
+ * @returns {Promise<Object>} Created project
+ */
+export async function createProject({ userId, sessionId, name, description, path, framework, language, organizationId = null, repoUrl = null }) {
+  const result = await query(
+    `INSERT INTO projects (user_id, session_id, name, description, path, framework, language, organization_id, repo_url)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [userId, sessionId, name, description, path, framework, language, organizationId, repoUrl]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Create a fork of a project with its memory lineage and, optionally, its chat history
+ * Copied records keep their original authors and timestamps; all or nothing
+ *
+ * @param {Object} forkData - { parentProjectId, userId, sessionId, name, description, path, organizationId, forkedFromCommit, includeChat }
+ * @returns {Promise<Object>} Created project with memory_snapshots_copied and chat_messages_copied counts
+ */
+export async function createProjectFork({
+  parentProjectId,
+  userId,
+  sessionId,
+  name,
+  description,
+  path,
+  organizationId = null,
+  forkedFromCommit = null,
+  includeChat = false
+}) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO projects (user_id, session_id, name, description, path, framework, language, organization_id,
+                             repo_url, has_memory, memory_size, last_memory_update, parent_project_id, forked_from_commit)
+       SELECT $1, $2, $3, COALESCE($4, description), $5, framework, language, $6,
+              repo_url, has_memory, memory_size, last_memory_update, id, $7
+       FROM projects
+       WHERE id = $8
+       RETURNING *`,
+      [userId, sessionId, name, description, path, organizationId, forkedFromCommit, parentProjectId]
+    );
+
+    const fork = result.rows[0];
+
+    const snapshots = await client.query(
+      `INSERT INTO memory_snapshots (project_id, user_id, kind, path, content, content_hash, size_bytes,
+                                     context_size, notes, checkpoint_name, created_at)
+       SELECT $1, user_id, kind, path, content, content_hash, size_bytes,
+              context_size, notes, checkpoint_name, created_at
+       FROM memory_snapshots
+       WHERE project_id = $2
+       ORDER BY created_at ASC`,
+      [fork.id, parentProjectId]
+    );
+
+    let messages = { rowCount: 0 };
+    if (includeChat) {
+      messages = await client.query(
+        `INSERT INTO chat_messages (project_id, user_id, role, content, tokens_used, model, meta, created_at)
+         SELECT $1, user_id, role, content, tokens_used, model, meta, created_at
+         FROM chat_messages
+         WHERE project_id = $2 AND is_deleted = FALSE
+         ORDER BY created_at ASC`,
+        [fork.id, parentProjectId]
+      );
+    }
+
+    return {
+      ...fork,
+      memory_snapshots_copied: snapshots.rowCount,
+      chat_messages_copied: messages.rowCount
+    };
+  });
+}
+
+/**
+ * Permanently delete a project row
+ * For rolling back a project whose creation failed part-way and for purging the trash
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(projectId) {
+  await query('DELETE FROM projects WHERE id = $1', [projectId]);
+}
+
+/**
+ * Get project by ID
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object|null>} Project or null
+ */
+export async function getProjectById(projectId) {
+  const result = await query(
+    'SELECT * FROM projects WHERE id = $1',
+    [projectId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get project by session ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Project or null
+ */
+export async function getProjectBySessionId(sessionId) {
+  const result = await query(
+    'SELECT * FROM projects WHERE session_id = $1',
+    [sessionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get projects the user can access: direct memberships and their organizations' projects
+ * @param {string} userId - User UUID
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} User projects, each with project_role, org_role, parent_name and fork_count
+ */
+export async function getUserProjects(userId, { limit = 50, offset = 0, status = 'active' } = {}) {
+  const result = await query(
+    `SELECT p.*, pm.role AS project_role, om.role AS org_role, parent.name AS parent_name,
+            (SELECT COUNT(*)::int FROM projects f WHERE f.parent_project_id = p.id) AS fork_count
+     FROM projects p
+     LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+     LEFT JOIN organization_members om ON om.organization_id = p.organization_id AND om.user_id = $1
+     LEFT JOIN projects parent ON parent.id = p.parent_project_id
+     WHERE (pm.user_id IS NOT NULL OR om.user_id IS NOT NULL) AND p.status = $2
+     ORDER BY p.updated_at DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, status, limit, offset]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Update project memory status
+ * @param {string} projectId - Project UUID
+ * @param {number} memorySize - Memory size in bytes
+ * @returns {Promise<void>}
+ */
+export async function updateProjectMemory(projectId, memorySize) {
+  await query(
+    `UPDATE projects
+     SET has_memory = TRUE,
+         memory_size = $1,
+         last_memory_update = NOW()
+     WHERE id = $2`,
+    [memorySize, projectId]
+  );
+}
+
+/**
+ * Mark a project archived once its workspace is in cold storage
+ * @param {string} projectId - Project UUID
+ * @param {Object} archive - { archivePath, sizeBytes }
+ * @returns {Promise<Object>} Updated project
+ */
+export async function markProjectArchived(projectId, { archivePath, sizeBytes }) {
+  const result = await query(
+    `UPDATE projects
+     SET status = 'archived',
+         archived_at = NOW(),
+         archive_path = $1,
+         archive_size_bytes = $2
+     WHERE id = $3
+     RETURNING *`,
+    [archivePath, sizeBytes, projectId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Mark an archived project active again once its workspace is restored
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object>} Updated project
+ */
+export async function markProjectRestored(projectId) {
+  const result = await query(
+    `UPDATE projects
+     SET status = 'active',
+         archived_at = NULL,
+         archive_path = NULL,
+         archive_size_bytes = NULL,
+         last_accessed = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [projectId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Move a project to the trash
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User deleting it
+ * @returns {Promise<Object>} Updated project
+ */
+export async function markProjectDeleted(projectId, userId) {
+  const result = await query(
+    `UPDATE projects
+     SET status = 'deleted',
+         deleted_at = NOW(),
+         deleted_by = $1
+     WHERE id = $2
+     RETURNING *`,
+    [userId, projectId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Take a project out of the trash
+ * Projects deleted while archived go back to the archive
+ *
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object>} Updated project
+ */
+export async function markProjectUndeleted(projectId) {
+  const result = await query(
+    `UPDATE projects
+     SET status = CASE WHEN archive_path IS NOT NULL THEN 'archived' ELSE 'active' END,
+         deleted_at = NULL,
+         deleted_by = NULL,
+         last_accessed = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [projectId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get projects in the trash that a user can access
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} Trashed projects, each with project_role and org_role
+ */
+export async function getTrashedProjects(userId) {
+  const result = await query(
+    `SELECT p.*, pm.role AS project_role, om.role AS org_role
+     FROM projects p
+     LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+     LEFT JOIN organization_members om ON om.organization_id = p.organization_id AND om.user_id = $1
+     WHERE (pm.user_id IS NOT NULL OR om.user_id IS NOT NULL) AND p.status = 'deleted'
+     ORDER BY p.deleted_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get trashed projects past the retention period
+ * @param {number} days - Retention in days
+ * @param {number} limit - Maximum number of projects
+ * @returns {Promise<Array>} Expired projects, oldest first
+ */
+export async function getExpiredTrashedProjects(days, limit = 50) {
+  const result = await query(
+    `SELECT * FROM projects
+     WHERE status = 'deleted' AND deleted_at < NOW() - make_interval(days => $1)
+     ORDER BY deleted_at ASC
+     LIMIT $2`,
+    [days, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get active projects not accessed within a number of days
+ * @param {number} days - Idle threshold in days
+ * @param {number} limit - Maximum number of projects
+ * @returns {Promise<Array>} Idle projects, least recently accessed first
+ */
+export async function getIdleProjects(days, limit = 50) {
+  const result = await query(
+    `SELECT * FROM projects
+     WHERE status = 'active' AND last_accessed < NOW() - make_interval(days => $1)
+     ORDER BY last_accessed ASC
+     LIMIT $2`,
+    [days, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Record a project's measured disk usage
+ * @param {string} projectId - Project UUID
+ * @param {number} bytes - Disk usage in bytes
+ * @returns {Promise<void>}
+ */
+export async function updateProjectStorage(projectId, bytes) {
+  await query(
+    'UPDATE projects SET storage_bytes = $2, storage_measured_at = NOW() WHERE id = $1',
+    [projectId, bytes]
+  );
+}
+
+/**
+ * Get projects for the storage meter, least recently measured first
+ * @param {number} limit - Maximum projects to return
+ * @returns {Promise<Array>} Projects
+ */
+export async function getProjectsForStorageMetering(limit = 100) {
   const result = await query(
-    'SELECT * FROM user_quotas WHERE user_id = $1',
-    [userId]
+    `SELECT * FROM projects
+     ORDER BY storage_measured_at ASC NULLS FIRST
+     LIMIT $1`,
+    [limit]
   );
 
-  return result.rows[0] || null;
+  return result.rows;
 }
 
 /**
- * Update token usage
- * @param {string} userId - User UUID
- * @param {number} tokensUsed - Number of tokens used
- * @param {number} cost - Cost in USD
+ * Update project last accessed
+ * @param {string} projectId - Project UUID
  * @returns {Promise<void>}
  */
-export async function updateTokenUsage(userId, tokensUsed, cost) {
+export async function updateProjectLastAccessed(projectId) {
   await query(
-    `UPDATE user_quotas
-     SET tokens_used_this_month = tokens_used_this_month + $1,
-         cost_this_month = cost_this_month + $2,
-         updated_at = NOW()
-     WHERE user_id = $3`,
-    [tokensUsed, cost, userId]
+    'UPDATE projects SET last_accessed = NOW() WHERE id = $1',
+    [projectId]
   );
 }
 
+// ============================================================================
+// PROJECT MEMBER QUERIES
+// ============================================================================
+
 /**
- * Check if user has exceeded quota
+ * Get a user's direct project role and their role in the owning organization
+ * @param {string} projectId - Project UUID
  * @param {string} userId - User UUID
- * @returns {Promise<Object>} Quota check result
+ * @returns {Promise<Object>} { projectRole, orgRole } - either may be null
  */
-export async function checkUserQuota(userId) {
-  const quotas = await getUserQuotas(userId);
-
-  if (!quotas) {
-    return { exceeded: false, reason: null };
-  }
+export async function getProjectAccessRoles(projectId, userId) {
+  const result = await query(
+    `SELECT pm.role AS project_role, om.role AS org_role
+     FROM projects p
+     LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $2
+     LEFT JOIN organization_members om ON om.organization_id = p.organization_id AND om.user_id = $2
+     WHERE p.id = $1`,
+    [projectId, userId]
+  );
 
-  if (quotas.quota_exceeded) {
-    return { exceeded: true, reason: quotas.quota_exceeded_reason || 'Quota exceeded' };
-  }
+  const row = result.rows[0];
 
-  if (quotas.tokens_used_this_month >= quotas.monthly_token_limit) {
-    await query(
-      `UPDATE user_quotas
-       SET quota_exceeded = TRUE, quota_exceeded_reason = 'Token limit exceeded'
-       WHERE user_id = $1`,
-      [userId]
-    );
-    return { exceeded: true, reason: 'Token limit exceeded' };
-  }
+  return {
+    projectRole: row?.project_role || null,
+    orgRole: row?.org_role || null
+  };
+}
 
-  if (quotas.cost_this_month >= quotas.monthly_cost_limit) {
-    await query(
-      `UPDATE user_quotas
-       SET quota_exceeded = TRUE, quota_exceeded_reason = 'Cost limit exceeded'
-       WHERE user_id = $1`,
-      [userId]
-    );
-    return { exceeded: true, reason: 'Cost limit exceeded' };
-  }
+/**
+ * Get project members with user details
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Array>} Members
+ */
+export async function getProjectMembers(projectId) {
+  const result = await query(
+    `SELECT pm.user_id, pm.role, pm.invited_by, pm.created_at, u.email, u.name
+     FROM project_members pm
+     JOIN users u ON u.id = pm.user_id
+     WHERE pm.project_id = $1
+     ORDER BY pm.created_at ASC`,
+    [projectId]
+  );
 
-  return { exceeded: false, reason: null };
+  return result.rows;
 }
 
 /**
- * Reset monthly quotas (called by cron job)
- * @returns {Promise<number>} Number of users reset
+ * Add a member to a project
+ * @param {Object} memberData - Member data
+ * @returns {Promise<Object|null>} Created member or null if already a member
  */
-export async function resetMonthlyQuotas() {
+export async function addProjectMember({ projectId, userId, role, invitedBy }) {
   const result = await query(
-    `UPDATE user_quotas
-     SET tokens_used_this_month = 0,
-         cost_this_month = 0,
-         quota_exceeded = FALSE,
-         quota_exceeded_reason = NULL,
-         last_reset = NOW()
-     WHERE last_reset < date_trunc('month', NOW())
-     RETURNING user_id`
+    `INSERT INTO project_members (project_id, user_id, role, invited_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (project_id, user_id) DO NOTHING
+     RETURNING *`,
+    [projectId, userId, role, invitedBy]
   );
 
-  return result.rowCount;
+  return result.rows[0] || null;
 }
 
-// ============================================================================
-// PROJECT QUERIES
-// ============================================================================
-
 /**
- * Create a new project
- * @param {Object} projectData - Project data
- * @returns {Promise<Object>} Created project
+ * Change a member's role
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User UUID
+ * @param {string} role - New role
+ * @returns {Promise<Object|null>} Updated member or null if not found
  */
-export async function createProject({ userId, sessionId, name, description, path, framework, language }) {
+export async function updateProjectMemberRole(projectId, userId, role) {
   const result = await query(
-    `INSERT INTO projects (user_id, session_id, name, description, path, framework, language)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `UPDATE project_members
+     SET role = $3
+     WHERE project_id = $1 AND user_id = $2
      RETURNING *`,
-    [userId, sessionId, name, description, path, framework, language]
+    [projectId, userId, role]
   );
 
-  return result.rows[0];
+  return result.rows[0] || null;
 }
 
 /**
- * Get project by ID
+ * Remove a member from a project
  * @param {string} projectId - Project UUID
- * @returns {Promise<Object|null>} Project or null
+ * @param {string} userId - User UUID
+ * @returns {Promise<boolean>} True if a member was removed
  */
-export async function getProjectById(projectId) {
+export async function removeProjectMember(projectId, userId) {
   const result = await query(
-    'SELECT * FROM projects WHERE id = $1',
-    [projectId]
+    'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [projectId, userId]
   );
 
-  return result.rows[0] || null;
+  return result.rowCount > 0;
 }
 
 /**
- * Get project by session ID
- * @param {string} sessionId - Session ID
- * @returns {Promise<Object|null>} Project or null
+ * Count a project's owners
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<number>} Number of owners
  */
-export async function getProjectBySessionId(sessionId) {
+export async function countProjectOwners(projectId) {
   const result = await query(
-    'SELECT * FROM projects WHERE session_id = $1',
-    [sessionId]
+    `SELECT COUNT(*)::int AS count FROM project_members
+     WHERE project_id = $1 AND role = 'owner'`,
+    [projectId]
   );
 
-  return result.rows[0] || null;
+  return result.rows[0].count;
 }
 
+// ============================================================================
+// PROJECT SECRET QUERIES
+// ============================================================================
+
 /**
- * Get user projects
- * @param {string} userId - User UUID
- * @param {Object} options - Query options
- * @returns {Promise<Array>} User projects
+ * Get a project's secrets, including their encrypted values
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Array>} Secrets ordered by name
  */
-export async function getUserProjects(userId, { limit = 50, offset = 0, status = 'active' } = {}) {
+export async function getProjectSecrets(projectId) {
   const result = await query(
-    `SELECT * FROM projects
-     WHERE user_id = $1 AND status = $2
-     ORDER BY updated_at DESC
-     LIMIT $3 OFFSET $4`,
-    [userId, status, limit, offset]
+    'SELECT * FROM project_secrets WHERE project_id = $1 ORDER BY name',
+    [projectId]
   );
 
   return result.rows;
 }
 
 /**
- * Update project memory status
+ * Create a project secret
+ * @param {Object} secretData - { projectId, name, valueEncrypted, iv, authTag, exposeToBuild, createdBy }
+ * @returns {Promise<Object>} Created secret
+ */
+export async function createProjectSecret({ projectId, name, valueEncrypted, iv, authTag, exposeToBuild = false, createdBy }) {
+  const result = await query(
+    `INSERT INTO project_secrets (project_id, name, value_encrypted, iv, auth_tag, expose_to_build, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+     RETURNING *`,
+    [projectId, name, valueEncrypted, iv, authTag, exposeToBuild, createdBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update a project secret's value and/or build exposure
  * @param {string} projectId - Project UUID
- * @param {number} memorySize - Memory size in bytes
- * @returns {Promise<void>}
+ * @param {string} name - Secret name
+ * @param {Object} data - { valueEncrypted, iv, authTag, exposeToBuild, updatedBy }
+ * @returns {Promise<Object|null>} Updated secret or null if not found
  */
-export async function updateProjectMemory(projectId, memorySize) {
-  await query(
-    `UPDATE projects
-     SET has_memory = TRUE,
-         memory_size = $1,
-         last_memory_update = NOW()
-     WHERE id = $2`,
-    [memorySize, projectId]
+export async function updateProjectSecret(projectId, name, data = {}) {
+  const columns = {
+    valueEncrypted: 'value_encrypted',
+    iv: 'iv',
+    authTag: 'auth_tag',
+    exposeToBuild: 'expose_to_build',
+    updatedBy: 'updated_by'
+  };
+
+  const updates = [];
+  const values = [projectId, name];
+  let paramIndex = 3;
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (data[key] !== undefined) {
+      updates.push(`${column} = $${paramIndex++}`);
+      values.push(data[key]);
+    }
+  }
+
+  const result = await query(
+    `UPDATE project_secrets
+     SET ${updates.join(', ')}
+     WHERE project_id = $1 AND name = $2
+     RETURNING *`,
+    values
   );
+
+  return result.rows[0] || null;
 }
 
 /**
- * Update project last accessed
+ * Delete a project secret
  * @param {string} projectId - Project UUID
- * @returns {Promise<void>}
+ * @param {string} name - Secret name
+ * @returns {Promise<boolean>} True if a secret was deleted
  */
-export async function updateProjectLastAccessed(projectId) {
-  await query(
-    'UPDATE projects SET last_accessed = NOW() WHERE id = $1',
-    [projectId]
+export async function deleteProjectSecret(projectId, name) {
+  const result = await query(
+    'DELETE FROM project_secrets WHERE project_id = $1 AND name = $2',
+    [projectId, name]
   );
+
+  return result.rowCount > 0;
 }
 
 // ============================================================================
@@ -263,12 +1222,12 @@ export async function updateProjectLastAccessed(projectId) {
  * @param {Object} buildData - Build data
  * @returns {Promise<Object>} Created build
  */
-export async function createBuild({ projectId, userId, status = 'queued' }) {
+export async function createBuild({ projectId, userId, status = 'queued', commitSha = null }) {
   const result = await query(
-    `INSERT INTO builds (project_id, user_id, status, queued_at)
-     VALUES ($1, $2, $3, NOW())
+    `INSERT INTO builds (project_id, user_id, status, commit_sha, queued_at)
+     VALUES ($1, $2, $3, $4, NOW())
      RETURNING *`,
-    [projectId, userId, status]
+    [projectId, userId, status, commitSha]
   );
 
   return result.rows[0];
@@ -396,6 +1355,22 @@ export async function getActivePreview(projectId) {
   return result.rows[0] || null;
 }
 
+/**
+ * Get all running previews of a project
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Array>} Previews
+ */
+export async function getActivePreviews(projectId) {
+  const result = await query(
+    `SELECT * FROM previews
+     WHERE project_id = $1 AND status IN ('starting', 'healthy')
+     ORDER BY created_at DESC`,
+    [projectId]
+  );
+
+  return result.rows;
+}
+
 /**
  * Stop preview
  * @param {string} previewId - Preview UUID
@@ -451,6 +1426,112 @@ export async function getProjectMemorySnapshots(projectId, limit = 10) {
   return result.rows;
 }
 
+// ============================================================================
+// FILE VERSION QUERIES
+// ============================================================================
+
+/**
+ * Record the previous version of a file
+ * @param {Object} versionData - { projectId, path, content, contentHash, source, operation, userId, prompt }
+ * @returns {Promise<Object>} Created version (without content)
+ */
+export async function createFileVersion({ projectId, path, content, contentHash, source, operation, userId, prompt }) {
+  const sizeBytes = Buffer.byteLength(content, 'utf8');
+
+  const result = await query(
+    `INSERT INTO file_versions (project_id, path, content, content_hash, size_bytes, source, operation, user_id, prompt)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, project_id, path, content_hash, size_bytes, source, operation, user_id, prompt, created_at`,
+    [projectId, path, content, contentHash, sizeBytes, source, operation, userId || null, prompt || null]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Content hash of a file's most recent version
+ * @param {string} projectId - Project UUID
+ * @param {string} path - Project-relative file path
+ * @returns {Promise<string|null>} SHA256 hash or null if the file has no history
+ */
+export async function getLatestFileVersionHash(projectId, path) {
+  const result = await query(
+    `SELECT content_hash FROM file_versions
+     WHERE project_id = $1 AND path = $2
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [projectId, path]
+  );
+
+  return result.rows[0]?.content_hash || null;
+}
+
+/**
+ * List a file's versions, newest first (without content)
+ * @param {string} projectId - Project UUID
+ * @param {string} path - Project-relative file path
+ * @param {number} limit - Number of versions to return
+ * @returns {Promise<Array>} Versions with the author's name and email
+ */
+export async function getFileVersions(projectId, path, limit = 100) {
+  const result = await query(
+    `SELECT fv.id, fv.path, fv.content_hash, fv.size_bytes, fv.source, fv.operation,
+            fv.user_id, fv.prompt, fv.created_at, u.name AS user_name, u.email AS user_email
+     FROM file_versions fv
+     LEFT JOIN users u ON u.id = fv.user_id
+     WHERE fv.project_id = $1 AND fv.path = $2
+     ORDER BY fv.created_at DESC
+     LIMIT $3`,
+    [projectId, path, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get one version of a project file, with content
+ * @param {string} projectId - Project UUID
+ * @param {string} versionId - Version UUID
+ * @returns {Promise<Object|null>} Version or null
+ */
+export async function getFileVersion(projectId, versionId) {
+  const result = await query(
+    `SELECT fv.*, u.name AS user_name, u.email AS user_email
+     FROM file_versions fv
+     LEFT JOIN users u ON u.id = fv.user_id
+     WHERE fv.project_id = $1 AND fv.id = $2`,
+    [projectId, versionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Drop a project's oldest versions beyond the retention limits
+ * @param {string} projectId - Project UUID
+ * @param {number} maxVersions - Versions kept per project
+ * @param {number} maxBytes - Total content size kept per project
+ * @returns {Promise<number>} Number of versions removed
+ */
+export async function pruneFileVersions(projectId, maxVersions, maxBytes) {
+  const result = await query(
+    `DELETE FROM file_versions
+     WHERE id IN (
+       SELECT id FROM (
+         SELECT id,
+                ROW_NUMBER() OVER (ORDER BY created_at DESC, id) AS position,
+                SUM(size_bytes) OVER (ORDER BY created_at DESC, id) AS running_bytes
+         FROM file_versions
+         WHERE project_id = $1
+       ) ranked
+       WHERE position > $2 OR running_bytes > $3
+     )`,
+    [projectId, maxVersions, maxBytes]
+  );
+
+  return result.rowCount;
+}
+
 // ============================================================================
 // USAGE LEDGER QUERIES
 // ============================================================================
@@ -620,6 +1701,140 @@ export async function deleteChatMessage(messageId) {
   return result.rowCount > 0;
 }
 
+// ============================================================================
+// PROJECT ARCHIVE QUERIES
+// ============================================================================
+
+/**
+ * Get the database records included in a project export
+ * @param {string} projectId - Project UUID
+ * @returns {Promise<Object>} { memorySnapshots, chatMessages, builds }
+ */
+export async function getProjectArchiveData(projectId) {
+  const memorySnapshots = await query(
+    `SELECT kind, path, content, content_hash, context_size, notes, checkpoint_name, created_at
+     FROM memory_snapshots
+     WHERE project_id = $1
+     ORDER BY created_at ASC`,
+    [projectId]
+  );
+
+  const chatMessages = await query(
+    `SELECT role, content, tokens_used, model, meta, created_at
+     FROM chat_messages
+     WHERE project_id = $1 AND is_deleted = FALSE
+     ORDER BY created_at ASC`,
+    [projectId]
+  );
+
+  const builds = await query(
+    `SELECT build_number, status, commit_sha, error_message, queued_at, started_at,
+            finished_at, duration_seconds, created_at
+     FROM builds
+     WHERE project_id = $1
+     ORDER BY created_at ASC`,
+    [projectId]
+  );
+
+  return {
+    memorySnapshots: memorySnapshots.rows,
+    chatMessages: chatMessages.rows,
+    builds: builds.rows
+  };
+}
+
+/**
+ * Create a project and its history from an imported archive
+ * Everything gets new IDs and belongs to the importing user; all or nothing
+ *
+ * @param {Object} archiveData - { project, memorySnapshots, chatMessages, builds }
+ * @returns {Promise<Object>} Created project
+ */
+export async function createProjectFromArchive({ project, memorySnapshots = [], chatMessages = [], builds = [] }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO projects (user_id, session_id, name, description, path, framework, language,
+                             organization_id, repo_url, has_memory, memory_size, last_memory_update)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE, $10, NOW())
+       RETURNING *`,
+      [
+        project.userId,
+        project.sessionId,
+        project.name,
+        project.description,
+        project.path,
+        project.framework,
+        project.language,
+        project.organizationId,
+        project.repoUrl,
+        project.memorySize
+      ]
+    );
+
+    const created = result.rows[0];
+
+    for (const snapshot of memorySnapshots) {
+      await client.query(
+        `INSERT INTO memory_snapshots (project_id, user_id, kind, path, content, content_hash,
+                                       size_bytes, context_size, notes, checkpoint_name, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          created.id,
+          project.userId,
+          snapshot.kind,
+          snapshot.path,
+          snapshot.content,
+          snapshot.content_hash,
+          Buffer.byteLength(snapshot.content, 'utf8'),
+          snapshot.context_size,
+          snapshot.notes,
+          snapshot.checkpoint_name,
+          snapshot.created_at
+        ]
+      );
+    }
+
+    for (const message of chatMessages) {
+      await client.query(
+        `INSERT INTO chat_messages (project_id, user_id, role, content, tokens_used, model, meta, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          created.id,
+          project.userId,
+          message.role,
+          message.content,
+          message.tokens_used || 0,
+          message.model,
+          message.meta,
+          message.created_at
+        ]
+      );
+    }
+
+    for (const build of builds) {
+      await client.query(
+        `INSERT INTO builds (project_id, user_id, status, commit_sha, error_message, queued_at,
+                             started_at, finished_at, duration_seconds, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          created.id,
+          project.userId,
+          build.status,
+          build.commit_sha,
+          build.error_message,
+          build.queued_at,
+          build.started_at,
+          build.finished_at,
+          build.duration_seconds,
+          build.created_at
+        ]
+      );
+    }
+
+    return created;
+  });
+}
+
 // Export all functions
 export default {
   // Users
@@ -628,19 +1843,75 @@ export default {
   findUserById,
   updateUserLastLogin,
 
+  // Sessions
+  createSession,
+  findActiveSession,
+  deactivateSession,
+
+  // Access tokens
+  createAccessToken,
+  findActiveAccessToken,
+  getUserAccessTokens,
+  revokeAccessToken,
+
   // Quotas
   getUserQuotas,
   updateTokenUsage,
+  recordUserBuild,
+  countUserContainers,
   checkUserQuota,
   resetMonthlyQuotas,
+  getAccountStorageUsage,
+
+  // Organizations
+  createOrganization,
+  getOrganizationById,
+  getUserOrganizations,
+  getOrganizationMember,
+  getOrganizationMembers,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getOrganizationQuotas,
+  updateOrganizationTokenUsage,
+  recordTokenUsage,
+  recordOrganizationBuild,
+  countOrganizationContainers,
+  getOrganizationProjects,
+  setProjectOrganization,
 
   // Projects
   createProject,
+  createProjectFork,
+  deleteProject,
   getProjectById,
   getProjectBySessionId,
   getUserProjects,
   updateProjectMemory,
   updateProjectLastAccessed,
+  markProjectArchived,
+  markProjectRestored,
+  getIdleProjects,
+  markProjectDeleted,
+  markProjectUndeleted,
+  getTrashedProjects,
+  getExpiredTrashedProjects,
+  updateProjectStorage,
+  getProjectsForStorageMetering,
+
+  // Project members
+  getProjectAccessRoles,
+  getProjectMembers,
+  addProjectMember,
+  updateProjectMemberRole,
+  removeProjectMember,
+  countProjectOwners,
+
+  // Project secrets
+  getProjectSecrets,
+  createProjectSecret,
+  updateProjectSecret,
+  deleteProjectSecret,
 
   // Builds
   createBuild,
@@ -651,12 +1922,20 @@ export default {
   createPreview,
   updatePreviewStatus,
   getActivePreview,
+  getActivePreviews,
   stopPreview,
 
   // Memory
   createMemorySnapshot,
   getProjectMemorySnapshots,
 
+  // File versions
+  createFileVersion,
+  getLatestFileVersionHash,
+  getFileVersions,
+  getFileVersion,
+  pruneFileVersions,
+
   // Usage
   logUsage,
 
@@ -669,5 +1948,9 @@ export default {
   getChatHistory,
   clearChatHistory,
   getChatStats,
-  deleteChatMessage
+  deleteChatMessage,
+
+  // Project archives
+  getProjectArchiveData,
+  createProjectFromArchive
 };
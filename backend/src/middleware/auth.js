@@ -0,0 +1,320 @@
+/**
+ * Authentication Middleware
+ * Verifies bearer tokens and populates req.user
+ *
+ * Two kinds of bearer token are accepted:
+ * - Session tokens: signed JWTs bound to a row in the sessions table, so a
+ *   logout (or an admin disabling a user) revokes them before they expire.
+ * - Personal access tokens: opaque "atlas_pat_" strings for scripts and CI,
+ *   limited to the scopes they were created with.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createSession,
+  findActiveSession,
+  findActiveAccessToken,
+  findUserById,
+  logEvent
+} from '../db/queries.js';
+
+// Scopes a personal access token can be granted
+// read: GET endpoints, write: create/modify projects, files and memory,
+// build: build/deploy and preview/dev server control, chat: Claude sessions
+export const TOKEN_SCOPES = ['read', 'write', 'build', 'chat'];
+
+export const ACCESS_TOKEN_PREFIX = 'atlas_pat_';
+
+/**
+ * Get the JWT signing secret
+ * @returns {string} Secret
+ * @throws {Error} If JWT_SECRET is not configured
+ */
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  return secret;
+}
+
+/**
+ * Hash a token for storage (tokens are never stored in plaintext)
+ * @param {string} token - Raw token
+ * @returns {string} SHA256 hash
+ */
+export function hashToken(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Extract bearer token from an Authorization header value
+ * @param {string} header - Authorization header
+ * @returns {string|null} Token or null
+ */
+export function extractBearerToken(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token.trim();
+}
+
+/**
+ * Generate a new raw personal access token
+ * @returns {string} Token (shown to the user once, stored only as a hash)
+ */
+export function generateAccessToken() {
+  return ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Issue a new session token for a user
+ * @param {Object} user - User row
+ * @param {Object} context - Request context (ipAddress, userAgent)
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+export async function issueSessionToken(user, { ipAddress, userAgent } = {}) {
+  const sessionId = uuidv4();
+
+  const token = jwt.sign(
+    { sub: user.id, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+
+  const { exp } = jwt.decode(token);
+  const expiresAt = new Date(exp * 1000);
+
+  await createSession({
+    id: sessionId,
+    userId: user.id,
+    tokenHash: hashToken(token),
+    ipAddress,
+    userAgent,
+    expiresAt
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Resolve a raw token to an authenticated user
+ * Shared by the REST middleware and any other transport that carries tokens
+ *
+ * @param {string} token - Raw bearer token
+ * @returns {Promise<Object|null>} { user, auth } or null if invalid
+ */
+export async function resolveToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+    return resolveAccessToken(token);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return null;
+  }
+
+  const session = await findActiveSession(payload.sid, hashToken(token));
+
+  if (!session) {
+    return null;
+  }
+
+  const user = await findUserById(payload.sub);
+
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      plan: user.plan,
+      role: user.role
+    },
+    auth: {
+      type: 'session',
+      sessionId: session.id,
+      scopes: TOKEN_SCOPES
+    }
+  };
+}
+
+/**
+ * Resolve a personal access token to its user and scopes
+ * @param {string} token - Raw access token
+ * @returns {Promise<Object|null>} { user, auth } or null if invalid
+ */
+async function resolveAccessToken(token) {
+  const accessToken = await findActiveAccessToken(hashToken(token));
+
+  if (!accessToken) {
+    return null;
+  }
+
+  const user = await findUserById(accessToken.user_id);
+
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      plan: user.plan,
+      role: user.role
+    },
+    auth: {
+      type: 'token',
+      tokenId: accessToken.id,
+      scopes: accessToken.scopes
+    }
+  };
+}
+
+/**
+ * Populate req.user from the Authorization header
+ * Never rejects on its own - use requireAuth on protected routes
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const token = extractBearerToken(req.headers.authorization);
+
+    if (!token) {
+      return next();
+    }
+
+    const resolved = await resolveToken(token);
+
+    if (resolved) {
+      req.user = resolved.user;
+      req.auth = resolved.auth;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    next();
+  }
+}
+
+/**
+ * Reject requests without an authenticated user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  next();
+}
+
+/**
+ * Require a scope on the current credentials
+ * Session logins carry every scope; access tokens only what they were granted
+ *
+ * @param {string} scope - One of TOKEN_SCOPES
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.auth?.scopes?.includes(scope)) {
+      return res.status(403).json({
+        error: `Token is missing the '${scope}' scope`,
+        requiredScope: scope
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Reject requests authenticated with an access token
+ * Used for account management that only an interactive login may perform
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export function requireSession(req, res, next) {
+  if (req.auth?.type !== 'session') {
+    return res.status(403).json({ error: 'This endpoint requires a login session' });
+  }
+
+  next();
+}
+
+/**
+ * Require the platform admin role
+ * Denials are recorded in the events table so probing shows up in the audit trail
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export async function requireAdmin(req, res, next) {
+  if (req.user?.role === 'admin') {
+    return next();
+  }
+
+  try {
+    await logEvent({
+      userId: req.user?.id,
+      kind: 'admin_access_denied',
+      status: 'failure',
+      message: `${req.method} ${req.originalUrl}`,
+      meta: { method: req.method, path: req.originalUrl },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Error logging admin access denial:', error);
+  }
+
+  res.status(403).json({ error: 'Admin role required' });
+}
+
+export default {
+  authenticate,
+  requireAuth,
+  requireScope,
+  requireSession,
+  requireAdmin,
+  issueSessionToken,
+  generateAccessToken,
+  resolveToken,
+  hashToken,
+  extractBearerToken
+};
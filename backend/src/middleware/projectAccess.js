@@ -0,0 +1,194 @@
+/**
+ * Project Access Middleware
+ * Role-based authorization for project-scoped routes
+ *
+ * Roles are ordered: viewer < editor < owner
+ * - viewer: read files, memory, builds and previews
+ * - editor: chat with Claude, write files and memory, build
+ * - owner:  delete, deploy and manage members
+ *
+ * For organization-owned projects, organization membership also grants a
+ * project role (see ORG_ROLE_PROJECT_ROLE); the higher of the two applies.
+ *
+ * Archived projects are read-only: routes needing more than viewer are refused
+ * until the project is restored, and routes that read the workspace use
+ * requireWorkspace since its files are in cold storage. Projects in the trash
+ * are hidden (404) except from the routes that restore them.
+ *
+ * Several routers share the /api/projects mount, so a static path in a later
+ * router (e.g. POST /import/archive) also matches /:id routes of earlier ones.
+ * authorizeProject skips the route when the param is not a UUID, letting
+ * Express carry on to the route the request was meant for.
+ */
+
+import { validate as isUuid } from 'uuid';
+import {
+  getProjectById,
+  getProjectAccessRoles
+} from '../db/queries.js';
+
+export const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+// Project role implied by organization membership
+const ORG_ROLE_PROJECT_ROLE = {
+  owner: 'owner',
+  admin: 'owner',
+  member: 'editor'
+};
+
+/**
+ * Check whether a role satisfies a minimum role
+ * @param {string|null} role - Role the user holds
+ * @param {string} minRole - Minimum required role
+ * @returns {boolean} True if allowed
+ */
+export function hasProjectRole(role, minRole) {
+  if (!role) {
+    return false;
+  }
+
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+}
+
+/**
+ * Combine a direct project role with an organization role
+ * @param {string|null} projectRole - Role from project_members
+ * @param {string|null} orgRole - Role in the owning organization
+ * @returns {string|null} Effective project role
+ */
+export function effectiveProjectRole(projectRole, orgRole) {
+  const impliedRole = ORG_ROLE_PROJECT_ROLE[orgRole] || null;
+
+  if (!impliedRole) {
+    return projectRole;
+  }
+
+  return hasProjectRole(projectRole, impliedRole) ? projectRole : impliedRole;
+}
+
+/**
+ * Get a user's effective role in a project
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<string|null>} Role or null if no access
+ */
+export async function getProjectRole(projectId, userId) {
+  const { projectRole, orgRole } = await getProjectAccessRoles(projectId, userId);
+  return effectiveProjectRole(projectRole, orgRole);
+}
+
+/**
+ * Resolve a user's access to a project
+ * For handlers that only learn the project ID from another row (builds, previews)
+ *
+ * @param {string} projectId - Project UUID
+ * @param {string} userId - User UUID
+ * @param {string} minRole - Minimum required role
+ * @param {Object} options - { includeDeleted } to resolve projects in the trash
+ * @returns {Promise<Object>} { project, role, allowed } - project is null if not found
+ */
+export async function checkProjectAccess(projectId, userId, minRole, { includeDeleted = false } = {}) {
+  const project = await getProjectById(projectId);
+
+  if (!project || (project.status === 'deleted' && !includeDeleted)) {
+    return { project: null, role: null, allowed: false };
+  }
+
+  const role = await getProjectRole(project.id, userId);
+
+  return { project, role, allowed: hasProjectRole(role, minRole) };
+}
+
+/**
+ * Check whether a project refuses changes
+ * @param {Object} project - Project row
+ * @returns {boolean} True if read-only
+ */
+export function isProjectReadOnly(project) {
+  return project.status === 'archived' || project.status === 'deleted';
+}
+
+/**
+ * Require a minimum project role
+ * Loads the project from a route param and attaches req.project and req.projectRole
+ * Params that are not UUIDs skip to the next matching route (next('route'))
+ *
+ * @param {string} minRole - Minimum required role
+ * @param {string} param - Route param holding the project ID
+ * @param {Object} options - { allowReadOnly, allowDeleted } to let lifecycle routes act on
+ *                           archived and trashed projects
+ * @returns {Function} Express middleware
+ */
+export function authorizeProject(minRole, param = 'id', { allowReadOnly = false, allowDeleted = false } = {}) {
+  return async (req, res, next) => {
+    if (!isUuid(req.params[param] || '')) {
+      return next('route');
+    }
+
+    try {
+      const { project, role, allowed } = await checkProjectAccess(
+        req.params[param],
+        req.user.id,
+        minRole,
+        { includeDeleted: allowDeleted }
+      );
+
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      if (!allowed) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          requiredRole: minRole,
+          role
+        });
+      }
+
+      if (minRole !== 'viewer' && !allowReadOnly && isProjectReadOnly(project)) {
+        return res.status(409).json({
+          error: `Project is ${project.status} and read-only; restore it to make changes`,
+          status: project.status
+        });
+      }
+
+      req.project = project;
+      req.projectRole = role;
+
+      next();
+    } catch (error) {
+      console.error('Error authorizing project access:', error);
+      res.status(500).json({ error: 'Failed to authorize project access' });
+    }
+  };
+}
+
+/**
+ * Require the project workspace to be on disk
+ * Use after authorizeProject on routes that read files
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireWorkspace(req, res, next) {
+  if (req.project.status === 'archived') {
+    return res.status(409).json({
+      error: 'Project is archived; restore it to access its files',
+      status: req.project.status
+    });
+  }
+
+  next();
+}
+
+export default {
+  PROJECT_ROLES,
+  hasProjectRole,
+  effectiveProjectRole,
+  getProjectRole,
+  checkProjectAccess,
+  isProjectReadOnly,
+  authorizeProject,
+  requireWorkspace
+};
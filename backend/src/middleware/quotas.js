@@ -4,111 +4,242 @@
  *
  * This middleware is NOT optional - it enforces resource quotas
  * to protect against unexpected API costs and resource usage
+ *
+ * Requests against an organization-owned project (req.project, set by
+ * authorizeProject) are charged to the organization's pooled quotas, and
+ * additionally to the member's sub-limits within that pool. Everything
+ * else is charged to the user's own quotas.
  */
 
 import {
   getUserQuotas,
   checkUserQuota,
-  updateTokenUsage,
+  recordTokenUsage,
+  recordUserBuild,
+  countUserContainers,
+  getOrganizationQuotas,
+  getOrganizationMember,
+  recordOrganizationBuild,
+  countOrganizationContainers,
   logUsage,
   logEvent
 } from '../db/queries.js';
+import storageService from '../services/storageService.js';
 
 /**
- * Enforce user quotas before expensive operations
- * Checks:
- * - Token limits
- * - Cost limits
- * - Rate limits
- * - Container limits
- *
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Express next function
+ * Resolve the quota account a request is charged to
+ * @param {string} userId - User UUID
+ * @param {Object|null} project - Project row (if the request targets a project)
+ * @returns {Promise<Object>} { type, organizationId, quotas, member }
  */
-export async function enforceQuotas(req, res, next) {
-  try {
-    const userId = req.user?.id;
+export async function resolveQuotaAccount(userId, project = null) {
+  if (project?.organization_id) {
+    const [quotas, member] = await Promise.all([
+      getOrganizationQuotas(project.organization_id),
+      getOrganizationMember(project.organization_id, userId)
+    ]);
+
+    return {
+      type: 'organization',
+      organizationId: project.organization_id,
+      quotas,
+      member
+    };
+  }
 
-    // Skip quota check if no user (public endpoints)
-    if (!userId) {
-      return next();
-    }
+  return {
+    type: 'user',
+    organizationId: null,
+    quotas: await getUserQuotas(userId),
+    member: null
+  };
+}
 
-    // Get user quotas
-    const quotas = await getUserQuotas(userId);
+/**
+ * Check whether a count has hit a limit inside a time window
+ * @param {number} count - Usage in the current window
+ * @param {number|null} limit - Limit (null = unlimited)
+ * @param {Date|string} windowStart - Window start
+ * @param {number} windowHours - Window length in hours
+ * @returns {Object} { exceeded, retryAfter }
+ */
+function checkWindow(count, limit, windowStart, windowHours) {
+  const hoursSinceWindowStart = (Date.now() - new Date(windowStart)) / (1000 * 60 * 60);
 
-    if (!quotas) {
-      // No quotas found - this shouldn't happen due to trigger
-      // Create default quotas and continue
-      console.warn(`No quotas found for user ${userId} - this should not happen`);
-      return next();
-    }
+  if (limit === null || limit === undefined || hoursSinceWindowStart >= windowHours) {
+    return { exceeded: false, retryAfter: 0 };
+  }
 
-    // Check if quota exceeded flag is set
-    if (quotas.quota_exceeded) {
-      await logEvent({
-        userId,
-        kind: 'quota_exceeded',
-        status: 'warning',
-        message: `Request blocked: ${quotas.quota_exceeded_reason}`,
-        ipAddress: req.ip,
-        userAgent: req.get('user-agent')
-      });
+  return {
+    exceeded: count >= limit,
+    retryAfter: Math.ceil((windowHours - hoursSinceWindowStart) * 3600)
+  };
+}
 
-      return res.status(429).json({
+/**
+ * Check an account's token, cost and rate limits and the member's share of an organization pool
+ * Shared by enforceQuotas and the chat paths, which start turns outside Express middleware
+ *
+ * @param {string} userId - User UUID
+ * @param {Object|null} project - Project row the request targets (charges its organization)
+ * @param {Object} context - { ipAddress, userAgent } for the audit log
+ * @returns {Promise<Object>} { account, violation } - violation is the 429 response body, or null if allowed
+ */
+export async function checkQuotas(userId, project = null, { ipAddress = null, userAgent = null } = {}) {
+  // Get user or organization quotas
+  const account = await resolveQuotaAccount(userId, project);
+  const { quotas, member } = account;
+  const subject = account.type === 'organization' ? 'Your organization has' : 'You have';
+
+  if (!quotas) {
+    // No quotas found - this shouldn't happen due to trigger
+    console.warn(`No quotas found for ${account.type} ${account.organizationId || userId} - this should not happen`);
+    return { account, violation: null };
+  }
+
+  // Check if quota exceeded flag is set
+  if (quotas.quota_exceeded) {
+    await logEvent({
+      userId,
+      projectId: project?.id,
+      kind: 'quota_exceeded',
+      status: 'warning',
+      message: `Request blocked: ${quotas.quota_exceeded_reason}`,
+      meta: { account: account.type, organizationId: account.organizationId },
+      ipAddress,
+      userAgent
+    });
+
+    return {
+      account,
+      violation: {
         error: 'Quota exceeded',
         message: quotas.quota_exceeded_reason || 'Monthly limit reached',
         quotaExceeded: true,
         resetDate: getNextMonthStart()
-      });
-    }
+      }
+    };
+  }
 
-    // Check token limit
-    if (quotas.tokens_used_this_month >= quotas.monthly_token_limit) {
-      return res.status(429).json({
+  // Check token limit
+  if (quotas.tokens_used_this_month >= quotas.monthly_token_limit) {
+    return {
+      account,
+      violation: {
         error: 'Token limit exceeded',
-        message: `You have used ${quotas.tokens_used_this_month} of ${quotas.monthly_token_limit} tokens this month`,
+        message: `${subject} used ${quotas.tokens_used_this_month} of ${quotas.monthly_token_limit} tokens this month`,
         tokensUsed: quotas.tokens_used_this_month,
         tokenLimit: quotas.monthly_token_limit,
         resetDate: getNextMonthStart()
-      });
-    }
+      }
+    };
+  }
 
-    // Check cost limit
-    if (quotas.cost_this_month >= quotas.monthly_cost_limit) {
-      return res.status(429).json({
+  // Check cost limit
+  if (quotas.cost_this_month >= quotas.monthly_cost_limit) {
+    return {
+      account,
+      violation: {
         error: 'Cost limit exceeded',
-        message: `You have spent $${quotas.cost_this_month} of $${quotas.monthly_cost_limit} this month`,
+        message: `${subject} spent $${quotas.cost_this_month} of $${quotas.monthly_cost_limit} this month`,
         costThisMonth: quotas.cost_this_month,
         costLimit: quotas.monthly_cost_limit,
         resetDate: getNextMonthStart()
-      });
-    }
-
-    // Check hourly rate limit
-    const hoursSinceWindowStart =
-      (Date.now() - new Date(quotas.hour_window_start)) / (1000 * 60 * 60);
-
-    if (hoursSinceWindowStart >= 1) {
-      // Reset hourly window
-      // Note: This should be done with a proper query, but for simplicity:
-      quotas.requests_this_hour = 1;
-      quotas.hour_window_start = new Date();
-    } else if (quotas.requests_this_hour >= quotas.requests_per_hour) {
-      const retryAfter = Math.ceil((1 - hoursSinceWindowStart) * 3600);
+      }
+    };
+  }
 
-      return res.status(429).json({
+  // Check hourly rate limit
+  const hoursSinceWindowStart =
+    (Date.now() - new Date(quotas.hour_window_start)) / (1000 * 60 * 60);
+
+  if (hoursSinceWindowStart >= 1) {
+    // Reset hourly window
+    // Note: This should be done with a proper query, but for simplicity:
+    quotas.requests_this_hour = 1;
+    quotas.hour_window_start = new Date();
+  } else if (quotas.requests_this_hour >= quotas.requests_per_hour) {
+    const retryAfter = Math.ceil((1 - hoursSinceWindowStart) * 3600);
+
+    return {
+      account,
+      violation: {
         error: 'Rate limit exceeded',
-        message: `You have made ${quotas.requests_this_hour} requests in the last hour. Limit: ${quotas.requests_per_hour}/hour`,
+        message: `${subject} made ${quotas.requests_this_hour} requests in the last hour. Limit: ${quotas.requests_per_hour}/hour`,
         requestsThisHour: quotas.requests_this_hour,
         requestsPerHour: quotas.requests_per_hour,
         retryAfter
-      });
+      }
+    };
+  }
+
+  // Check the member's share of the organization pool
+  if (member) {
+    if (member.monthly_token_limit !== null && member.tokens_used_this_month >= member.monthly_token_limit) {
+      return {
+        account,
+        violation: {
+          error: 'Member token limit exceeded',
+          message: `You have used ${member.tokens_used_this_month} of your ${member.monthly_token_limit} token share this month`,
+          tokensUsed: member.tokens_used_this_month,
+          tokenLimit: member.monthly_token_limit,
+          resetDate: getNextMonthStart()
+        }
+      };
+    }
+
+    if (member.monthly_cost_limit !== null && parseFloat(member.cost_this_month) >= parseFloat(member.monthly_cost_limit)) {
+      return {
+        account,
+        violation: {
+          error: 'Member cost limit exceeded',
+          message: `You have spent $${member.cost_this_month} of your $${member.monthly_cost_limit} share this month`,
+          costThisMonth: member.cost_this_month,
+          costLimit: member.monthly_cost_limit,
+          resetDate: getNextMonthStart()
+        }
+      };
+    }
+  }
+
+  return { account, violation: null };
+}
+
+/**
+ * Enforce user quotas before expensive operations
+ * Checks:
+ * - Token limits
+ * - Cost limits
+ * - Rate limits
+ * - Member sub-limits in an organization pool
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export async function enforceQuotas(req, res, next) {
+  try {
+    const userId = req.user?.id;
+
+    // Skip quota check if no user (public endpoints)
+    if (!userId) {
+      return next();
+    }
+
+    const { account, violation } = await checkQuotas(userId, req.project, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (violation) {
+      return res.status(429).json(violation);
     }
 
     // Attach quotas to request for later use
-    req.userQuotas = quotas;
+    if (account.quotas) {
+      req.userQuotas = account.quotas;
+      req.quotaAccount = account;
+    }
 
     // Continue to next middleware
     next();
@@ -155,8 +286,13 @@ export function trackUsage(options = {}) {
           const cost = calculateCost(data.usage || {}, options);
 
           if (tokensUsed > 0) {
-            // Update user quotas
-            await updateTokenUsage(userId, tokensUsed, cost);
+            // Update user or organization quotas
+            await recordTokenUsage({
+              userId,
+              organizationId: req.project?.organization_id,
+              tokensUsed,
+              cost
+            });
 
             // Log to usage ledger
             await logUsage({
@@ -201,26 +337,42 @@ export async function checkContainerQuota(req, res, next) {
       return next();
     }
 
-    const quotas = await getUserQuotas(userId);
+    const account = req.quotaAccount || await resolveQuotaAccount(userId, req.project);
+    const { quotas, member } = account;
 
     if (!quotas) {
       return next();
     }
 
-    // Get current number of running containers for user
-    // This would need to query the previews table
-    // For now, we'll use a placeholder
-    const runningContainers = 0; // TODO: Query from database
+    // Running containers across the pool (organization) or the user's own projects
+    const runningContainers = account.type === 'organization'
+      ? await countOrganizationContainers(account.organizationId)
+      : await countUserContainers(userId);
 
     if (runningContainers >= quotas.max_concurrent_containers) {
+      const subject = account.type === 'organization' ? 'Your organization has' : 'You have';
+
       return res.status(429).json({
         error: 'Container limit exceeded',
-        message: `You have ${runningContainers} running containers. Limit: ${quotas.max_concurrent_containers}`,
+        message: `${subject} ${runningContainers} running containers. Limit: ${quotas.max_concurrent_containers}`,
         runningContainers,
         maxContainers: quotas.max_concurrent_containers
       });
     }
 
+    if (member && member.max_concurrent_containers !== null) {
+      const memberContainers = await countOrganizationContainers(account.organizationId, userId);
+
+      if (memberContainers >= member.max_concurrent_containers) {
+        return res.status(429).json({
+          error: 'Member container limit exceeded',
+          message: `You have ${memberContainers} running containers in this organization. Limit: ${member.max_concurrent_containers}`,
+          runningContainers: memberContainers,
+          maxContainers: member.max_concurrent_containers
+        });
+      }
+    }
+
     next();
   } catch (error) {
     console.error('Error checking container quota:', error);
@@ -242,31 +394,49 @@ export async function checkBuildQuota(req, res, next) {
       return next();
     }
 
-    const quotas = await getUserQuotas(userId);
+    const account = req.quotaAccount || await resolveQuotaAccount(userId, req.project);
+    const { quotas, member } = account;
 
     if (!quotas) {
       return next();
     }
 
-    // Check daily build limit
-    const hoursSinceDayStart =
-      (Date.now() - new Date(quotas.day_window_start)) / (1000 * 60 * 60);
+    // Check daily build limit (the window resets itself after 24 hours)
+    const poolWindow = checkWindow(quotas.builds_today, quotas.max_builds_per_day, quotas.day_window_start, 24);
 
-    if (hoursSinceDayStart >= 24) {
-      // Reset daily window
-      quotas.builds_today = 0;
-    } else if (quotas.builds_today >= quotas.max_builds_per_day) {
-      const retryAfter = Math.ceil((24 - hoursSinceDayStart) * 3600);
+    if (poolWindow.exceeded) {
+      const subject = account.type === 'organization' ? 'Your organization has' : 'You have';
 
       return res.status(429).json({
         error: 'Daily build limit exceeded',
-        message: `You have triggered ${quotas.builds_today} builds today. Limit: ${quotas.max_builds_per_day}/day`,
+        message: `${subject} triggered ${quotas.builds_today} builds today. Limit: ${quotas.max_builds_per_day}/day`,
         buildsToday: quotas.builds_today,
         maxBuildsPerDay: quotas.max_builds_per_day,
-        retryAfter
+        retryAfter: poolWindow.retryAfter
       });
     }
 
+    if (member) {
+      const memberWindow = checkWindow(member.builds_today, member.max_builds_per_day, member.day_window_start, 24);
+
+      if (memberWindow.exceeded) {
+        return res.status(429).json({
+          error: 'Member daily build limit exceeded',
+          message: `You have triggered ${member.builds_today} builds in this organization today. Limit: ${member.max_builds_per_day}/day`,
+          buildsToday: member.builds_today,
+          maxBuildsPerDay: member.max_builds_per_day,
+          retryAfter: memberWindow.retryAfter
+        });
+      }
+    }
+
+    // Debit the build up front so concurrent requests can't overshoot the limit
+    if (account.type === 'organization') {
+      await recordOrganizationBuild(account.organizationId, userId);
+    } else {
+      await recordUserBuild(userId);
+    }
+
     next();
   } catch (error) {
     console.error('Error checking build quota:', error);
@@ -274,6 +444,59 @@ export async function checkBuildQuota(req, res, next) {
   }
 }
 
+/**
+ * Response body for a request rejected by the storage quota
+ * @param {Object} account - Quota account (see resolveQuotaAccount)
+ * @param {Object} storage - Storage usage (see storageService.getAccountStorage)
+ * @returns {Object} 429 response body
+ */
+export function storageExceededResponse(account, storage) {
+  const subject = account.type === 'organization' ? 'Your organization is' : 'You are';
+  const usedMb = Math.ceil(storage.usedBytes / (1024 * 1024));
+
+  return {
+    error: 'Storage limit exceeded',
+    message: `${subject} using ${usedMb} MB of ${storage.limitMb} MB storage. Delete files or projects to free space`,
+    storageUsedBytes: storage.usedBytes,
+    storageLimitMb: storage.limitMb
+  };
+}
+
+/**
+ * Check storage quota before anything that grows a workspace
+ * (file writes, uploads, imports, builds). Usage comes from the storage
+ * meter, so it can trail the disk by one re-measure.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+export async function checkStorageQuota(req, res, next) {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return next();
+    }
+
+    const account = req.quotaAccount || await resolveQuotaAccount(userId, req.project);
+
+    if (!account.quotas) {
+      return next();
+    }
+
+    const storage = await storageService.getAccountStorage(account, userId);
+
+    if (storage.exceeded) {
+      return res.status(429).json(storageExceededResponse(account, storage));
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking storage quota:', error);
+    next();
+  }
+}
+
 /**
  * Calculate cost based on token usage
  * @param {Object} usage - Usage object with token counts
@@ -318,23 +541,43 @@ function getNextMonthStart() {
 
 /**
  * Quota summary for user dashboard
+ * Pass ?organizationId= to get an organization's pooled quotas and your share
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
 export async function getQuotaSummary(req, res) {
   try {
     const userId = req.user?.id;
+    const { organizationId } = req.query;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const quotas = await getUserQuotas(userId);
+    let quotas;
+    let member = null;
+
+    if (organizationId) {
+      member = await getOrganizationMember(organizationId, userId);
+
+      if (!member) {
+        return res.status(403).json({ error: 'Not a member of this organization' });
+      }
+
+      quotas = await getOrganizationQuotas(organizationId);
+    } else {
+      quotas = await getUserQuotas(userId);
+    }
 
     if (!quotas) {
       return res.status(404).json({ error: 'Quotas not found' });
     }
 
+    const storage = await storageService.getAccountStorage(
+      { type: organizationId ? 'organization' : 'user', organizationId, quotas },
+      userId
+    );
+
     const summary = {
       tokens: {
         used: quotas.tokens_used_this_month,
@@ -358,6 +601,13 @@ export async function getQuotaSummary(req, res) {
         limit: quotas.max_builds_per_day,
         windowStart: quotas.day_window_start
       },
+      storage: {
+        usedBytes: storage.usedBytes,
+        limitMb: storage.limitMb,
+        limitBytes: storage.limitBytes,
+        percentage: storage.limitBytes ? ((storage.usedBytes / storage.limitBytes) * 100).toFixed(2) : null,
+        exceeded: storage.exceeded
+      },
       containers: {
         limit: quotas.max_concurrent_containers,
         memoryLimitMb: quotas.max_container_memory_mb,
@@ -371,6 +621,20 @@ export async function getQuotaSummary(req, res) {
       nextReset: getNextMonthStart()
     };
 
+    if (member) {
+      summary.organizationId = organizationId;
+      summary.member = {
+        role: member.role,
+        tokens: { used: member.tokens_used_this_month, limit: member.monthly_token_limit },
+        cost: {
+          used: parseFloat(member.cost_this_month),
+          limit: member.monthly_cost_limit === null ? null : parseFloat(member.monthly_cost_limit)
+        },
+        builds: { today: member.builds_today, limit: member.max_builds_per_day },
+        containers: { limit: member.max_concurrent_containers }
+      };
+    }
+
     res.json(summary);
   } catch (error) {
     console.error('Error getting quota summary:', error);
@@ -379,9 +643,13 @@ export async function getQuotaSummary(req, res) {
 }
 
 export default {
+  resolveQuotaAccount,
+  checkQuotas,
   enforceQuotas,
   trackUsage,
   checkContainerQuota,
   checkBuildQuota,
+  checkStorageQuota,
+  storageExceededResponse,
   getQuotaSummary
 };
@@ -0,0 +1,115 @@
+/**
+ * Admin Routes
+ * Operational views of ports, Docker and Claude sessions
+ *
+ * Mounted behind requireAuth + requireSession + requireAdmin (access tokens
+ * are never accepted here); every request is recorded as an admin_action event.
+ */
+
+import express from 'express';
+import dockerService from '../services/dockerService.js';
+import portRegistry from '../services/portRegistry.js';
+import claudeService from '../services/claudeService.js';
+import { logEvent } from '../db/queries.js';
+
+const router = express.Router();
+
+// Helper functions for formatting
+function formatUptime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+function formatRelativeTime(timestamp) {
+  const diff = Date.now() - timestamp;
+  const seconds = Math.floor(diff / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+
+  if (hours > 0) return `${hours}h ago`;
+  if (minutes > 0) return `${minutes}m ago`;
+  return `${seconds}s ago`;
+}
+
+/**
+ * Audit trail for admin endpoints
+ * Logged once the response is sent so the outcome is recorded too
+ */
+router.use((req, res, next) => {
+  res.on('finish', () => {
+    logEvent({
+      userId: req.user.id,
+      kind: 'admin_action',
+      status: res.statusCode < 400 ? 'success' : 'failure',
+      message: `${req.method} ${req.originalUrl}`,
+      meta: { method: req.method, path: req.originalUrl, statusCode: res.statusCode },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => {
+      console.error('Error logging admin action:', error);
+    });
+  });
+
+  next();
+});
+
+/**
+ * GET /api/admin/ports
+ * Port registry stats and allocations
+ */
+router.get('/ports', (req, res) => {
+  const stats = portRegistry.getStats();
+  const allocations = portRegistry.getAllocations();
+
+  res.json({
+    stats,
+    allocations
+  });
+});
+
+/**
+ * GET /api/admin/docker
+ * Docker health and managed containers
+ */
+router.get('/docker', async (req, res) => {
+  try {
+    const containers = await dockerService.listContainers();
+    const health = await dockerService.healthCheck();
+
+    res.json({
+      health,
+      containers
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/claude-sessions
+ * Active Claude Code sessions across all users
+ */
+router.get('/claude-sessions', (req, res) => {
+  try {
+    const sessions = claudeService.getAllSessions();
+
+    res.json({
+      totalSessions: sessions.length,
+      activeSessions: sessions.filter(s => s.isActive).length,
+      sessions: sessions.map(s => ({
+        ...s,
+        uptimeFormatted: formatUptime(s.uptime),
+        lastActivityRelative: formatRelativeTime(s.lastActivity),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
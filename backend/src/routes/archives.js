@@ -0,0 +1,151 @@
+/**
+ * Project Archive Routes
+ * Export projects as .tar.gz archives and import them on any instance
+ */
+
+import express from 'express';
+import multer from 'multer';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { getOrganizationMember, logEvent } from '../db/queries.js';
+import archiveService from '../services/archiveService.js';
+import storageService from '../services/storageService.js';
+import { enforceQuotas, checkStorageQuota } from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, requireWorkspace } from '../middleware/projectAccess.js';
+
+const router = express.Router();
+
+// Base projects directory from environment
+const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(process.cwd(), '../projects');
+
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024; // 200 MB
+
+// Uploaded archives are staged in the OS temp dir and removed after import
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE,
+    files: 1
+  }
+});
+
+// Helper middleware to accept a single archive upload with readable errors
+function receiveArchive(req, res, next) {
+  upload.single('archive')(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Archive exceeds the ${MAX_ARCHIVE_SIZE / 1024 / 1024} MB limit` });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    next();
+  });
+}
+
+// Helper function to build a download filename from a project name
+function archiveFileName(project) {
+  const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug}-${date}.tar.gz`;
+}
+
+/**
+ * GET /api/projects/:id/export
+ * Download the project (workspace, memory, chat and build history) as a .tar.gz
+ */
+router.get('/:id/export', requireScope('read'), authorizeProject('owner', 'id', { allowReadOnly: true }), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const project = req.project;
+    const { archivePath, cleanup } = await archiveService.exportProject(project);
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: project.id,
+      kind: 'project_exported',
+      status: 'success',
+      message: `Project ${project.name} exported`
+    });
+
+    res.download(archivePath, archiveFileName(project), (error) => {
+      if (error && !res.headersSent) {
+        res.status(500).json({ error: 'Failed to send archive' });
+      }
+      cleanup().catch(cleanupError => console.error('Error removing export staging dir:', cleanupError));
+    });
+  } catch (error) {
+    console.error('Error exporting project:', error);
+    res.status(500).json({ error: 'Failed to export project' });
+  }
+});
+
+/**
+ * POST /api/projects/import/archive
+ * Recreate a project from an exported archive (multipart field "archive")
+ * The project gets new IDs and belongs to the caller
+ */
+router.post('/import/archive', requireScope('write'), enforceQuotas, checkStorageQuota, receiveArchive, async (req, res) => {
+  const userId = req.user.id;
+  const { name, organizationId } = req.body;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Archive file is required (multipart field "archive")' });
+    }
+
+    if (organizationId && !(await getOrganizationMember(organizationId, userId))) {
+      return res.status(403).json({ error: 'Not a member of this organization' });
+    }
+
+    const { project, manifest } = await archiveService.importArchive(req.file.path, {
+      userId,
+      projectsDir: PROJECTS_DIR,
+      name: name || null,
+      organizationId: organizationId || null
+    });
+
+    await logEvent({
+      userId,
+      projectId: project.id,
+      kind: 'project_archive_imported',
+      status: 'success',
+      message: `Imported archive of ${manifest.project.name}`,
+      meta: { archiveVersion: manifest.version, exportedAt: manifest.exportedAt, counts: manifest.counts }
+    });
+
+    storageService.scheduleMeasure(project.id);
+
+    res.status(201).json({
+      success: true,
+      project: {
+        id: project.id,
+        sessionId: project.session_id,
+        name: project.name,
+        description: project.description,
+        framework: project.framework,
+        language: project.language,
+        organizationId: project.organization_id,
+        repoUrl: project.repo_url,
+        hasMemory: project.has_memory,
+        createdAt: project.created_at
+      },
+      imported: manifest.counts
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ARCHIVE') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error importing project archive:', error);
+    res.status(500).json({ error: 'Failed to import project archive' });
+  } finally {
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true });
+    }
+  }
+});
+
+export default router;
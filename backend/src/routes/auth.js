@@ -0,0 +1,196 @@
+/**
+ * Auth Routes
+ * Registration, login, logout and current user
+ */
+
+import express from 'express';
+import bcrypt from 'bcrypt';
+import {
+  createUser,
+  findUserByEmail,
+  findUserById,
+  updateUserLastLogin,
+  deactivateSession,
+  logEvent
+} from '../db/queries.js';
+import { issueSessionToken, requireAuth, requireSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Helper function to shape a user row for API responses
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    plan: user.plan,
+    role: user.role,
+    createdAt: user.created_at,
+    lastLogin: user.last_login
+  };
+}
+
+// Helper function to normalize emails before lookup/storage
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account and start a session
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { password, name } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const existing = await findUserByEmail(email);
+
+    if (existing) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const rounds = parseInt(process.env.BCRYPT_ROUNDS || '10', 10);
+    const passwordHash = await bcrypt.hash(password, rounds);
+
+    const user = await createUser({ email, passwordHash, name: name || null });
+
+    const session = await issueSessionToken(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await logEvent({
+      userId: user.id,
+      kind: 'user_registered',
+      status: 'success',
+      message: `User ${email} registered`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email/password for a session token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!email || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await findUserByEmail(email);
+
+    // Same response for unknown email and wrong password
+    const passwordMatches = user?.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
+
+    if (!user || !user.is_active || !passwordMatches) {
+      await logEvent({
+        userId: user?.id || null,
+        kind: 'user_login_failed',
+        status: 'warning',
+        message: `Failed login for ${email}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const session = await issueSessionToken(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await updateUserLastLogin(user.id);
+
+    await logEvent({
+      userId: user.id,
+      kind: 'user_login',
+      status: 'success',
+      message: `User ${email} logged in`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session token
+ */
+router.post('/logout', requireAuth, requireSession, async (req, res) => {
+  try {
+    await deactivateSession(req.auth.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the current user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error getting current user:', error);
+    res.status(500).json({ error: 'Failed to get current user' });
+  }
+});
+
+export default router;
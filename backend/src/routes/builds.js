@@ -7,17 +7,10 @@ import express from 'express';
 import { getProjectBuilds } from '../db/queries.js';
 import { query } from '../db/connection.js';
 import { enforceQuotas } from '../middleware/quotas.js';
+import { authorizeProject, checkProjectAccess } from '../middleware/projectAccess.js';
 
 const router = express.Router();
 
-// Anonymous user ID for MVP (no authentication required)
-const ANONYMOUS_USER_ID = '00000000-0000-0000-0000-000000000000';
-
-// Helper function to get effective user ID (supports anonymous access in MVP)
-function getEffectiveUserId(req) {
-  return req.user?.id || ANONYMOUS_USER_ID;
-}
-
 /**
  * GET /api/builds/:id
  * Get build details
@@ -25,7 +18,7 @@ function getEffectiveUserId(req) {
 router.get('/:id', enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const result = await query('SELECT * FROM builds WHERE id = $1', [id]);
 
@@ -35,9 +28,10 @@ router.get('/:id', enforceQuotas, async (req, res) => {
 
     const build = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (build.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(build.project_id, userId, 'viewer');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -51,6 +45,7 @@ router.get('/:id', enforceQuotas, async (req, res) => {
         errorMessage: build.error_message,
         builderContainerId: build.builder_container_id,
         imageId: build.image_id,
+        commitSha: build.commit_sha,
         queuedAt: build.queued_at,
         startedAt: build.started_at,
         finishedAt: build.finished_at,
@@ -68,27 +63,11 @@ router.get('/:id', enforceQuotas, async (req, res) => {
  * GET /api/projects/:projectId/builds
  * Get build history for a project
  */
-router.get('/project/:projectId', enforceQuotas, async (req, res) => {
+router.get('/project/:projectId', authorizeProject('viewer', 'projectId'), enforceQuotas, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user?.id;
     const { limit = 10 } = req.query;
 
-    // Verify project ownership
-    const projectResult = await query(
-      'SELECT user_id FROM projects WHERE id = $1',
-      [projectId]
-    );
-
-    if (projectResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    const effectiveUserId = getEffectiveUserId(req);
-    if (projectResult.rows[0].user_id !== effectiveUserId) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     // Get builds
     const builds = await getProjectBuilds(projectId, parseInt(limit));
 
@@ -97,6 +76,7 @@ router.get('/project/:projectId', enforceQuotas, async (req, res) => {
       builds: builds.map(b => ({
         id: b.id,
         status: b.status,
+        commitSha: b.commit_sha,
         queuedAt: b.queued_at,
         startedAt: b.started_at,
         finishedAt: b.finished_at,
@@ -118,10 +98,10 @@ router.get('/project/:projectId', enforceQuotas, async (req, res) => {
 router.get('/:id/logs', enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const result = await query(
-      'SELECT user_id, build_logs FROM builds WHERE id = $1',
+      'SELECT project_id, build_logs FROM builds WHERE id = $1',
       [id]
     );
 
@@ -131,9 +111,10 @@ router.get('/:id/logs', enforceQuotas, async (req, res) => {
 
     const build = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (build.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(build.project_id, userId, 'viewer');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -8,22 +8,23 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
 import claudeService from '../services/claudeService.js';
+import storageService from '../services/storageService.js';
 import {
-  getProjectById,
   getChatHistory,
   clearChatHistory,
   getChatStats
 } from '../db/queries.js';
 import logger from '../utils/logger.js';
+import { authorizeProject } from '../middleware/projectAccess.js';
+import { checkStorageQuota } from '../middleware/quotas.js';
 
 const router = express.Router();
 
-// Multer configuration for file uploads
+// Multer configuration for file uploads (kept in the workspace, where attachments are resolved)
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
     try {
-      const { projectId } = req.params;
-      const uploadDir = path.join(process.cwd(), 'projects', projectId, 'uploads');
+      const uploadDir = path.join(req.project.path, 'uploads');
 
       // Create uploads directory if it doesn't exist
       await fs.mkdir(uploadDir, { recursive: true });
@@ -65,25 +66,14 @@ const upload = multer({
  * POST /api/chat/sessions/:projectId/init
  * Initialize a Claude Code session for a project
  */
-router.post('/sessions/:projectId/init', async (req, res) => {
+router.post('/sessions/:projectId/init', authorizeProject('editor', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user?.id || req.body.userId; // Get from auth or body
-
-    // Get project details
-    const project = await getProjectById(projectId);
-    if (!project) {
-      return res.status(404).json({ success: false, error: 'Project not found' });
-    }
-
-    // Verify user owns the project
-    if (project.userId !== userId) {
-      return res.status(403).json({ success: false, error: 'Unauthorized' });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Initialize session
-    const projectPath = project.projectPath || `/var/atlasengine/projects/${projectId}`;
-    const session = await claudeService.initializeSession(projectId, projectPath, userId);
+    const session = await claudeService.initializeSession(projectId, project.path, userId);
 
     res.json({
       success: true,
@@ -103,26 +93,10 @@ router.post('/sessions/:projectId/init', async (req, res) => {
  * POST /api/chat/sessions/:projectId/upload
  * Upload files (images) for use in chat messages
  */
-router.post('/sessions/:projectId/upload', upload.array('files', 20), async (req, res) => {
+// Authorization and the storage quota run before multer so rejected requests never touch the disk
+router.post('/sessions/:projectId/upload', authorizeProject('editor', 'projectId'), checkStorageQuota, upload.array('files', 20), async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user?.id || req.body.userId || '00000000-0000-0000-0000-000000000000'; // Default to all-zeros UUID for MVP
-
-    // Verify project exists and user owns it
-    const project = await getProjectById(projectId);
-    if (!project) {
-      return res.status(404).json({ success: false, error: 'Project not found' });
-    }
-
-    // Database uses snake_case (user_id) not camelCase (userId)
-    // For MVP, also accept if project uses the default all-zeros UUID
-    const isAuthorized = project.user_id === userId ||
-                         project.user_id === '00000000-0000-0000-0000-000000000000';
-
-    if (!isAuthorized) {
-      logger.warn(`Upload auth failed: project.user_id=${project.user_id}, userId=${userId}`);
-      return res.status(403).json({ success: false, error: 'Unauthorized' });
-    }
 
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ success: false, error: 'No files uploaded' });
@@ -141,6 +115,8 @@ router.post('/sessions/:projectId/upload', upload.array('files', 20), async (req
 
     logger.info(`Uploaded ${files.length} file(s) for project ${projectId}`);
 
+    storageService.scheduleMeasure(projectId);
+
     res.json({
       success: true,
       files,
@@ -172,32 +148,37 @@ router.post('/sessions/:projectId/upload', upload.array('files', 20), async (req
  * POST /api/chat/sessions/:projectId/message
  * Send a message to Claude (with optional file attachments)
  */
-router.post('/sessions/:projectId/message', async (req, res) => {
+// Token, cost and member limits are checked by sendMessage, right before the turn starts
+router.post('/sessions/:projectId/message', authorizeProject('editor', 'projectId'), checkStorageQuota, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { message, attachments } = req.body; // attachments is an array of file paths
-    const userId = req.user?.id || req.body.userId;
+    const { message, attachments } = req.body; // attachments is an array of file paths in the workspace
+    const userId = req.user.id;
 
     if (!message || typeof message !== 'string') {
       return res.status(400).json({ success: false, error: 'Message is required' });
     }
 
+    const project = req.project;
+
     // Check if session exists, initialize if needed
     if (!claudeService.isSessionActive(projectId)) {
-      const project = await getProjectById(projectId);
-      if (!project) {
-        return res.status(404).json({ success: false, error: 'Project not found' });
-      }
-
-      const projectPath = project.projectPath || `/var/atlasengine/projects/${projectId}`;
-      await claudeService.initializeSession(projectId, projectPath, userId);
+      await claudeService.initializeSession(projectId, project.path, userId);
     }
 
-    // Send message with optional attachments
-    const response = await claudeService.sendMessage(projectId, message, attachments);
+    // Send message with optional attachments, as the caller (the session may have been opened by a collaborator)
+    const response = await claudeService.sendMessage(projectId, req.user, message, attachments);
 
     res.json(response);
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ success: false, ...error.quota });
+    }
+
+    if (error.code === 'INVALID_ATTACHMENT') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
     logger.error(`Failed to send message: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
@@ -207,7 +188,7 @@ router.post('/sessions/:projectId/message', async (req, res) => {
  * GET /api/chat/sessions/:projectId/history
  * Get message history for a session (from database)
  */
-router.get('/sessions/:projectId/history', async (req, res) => {
+router.get('/sessions/:projectId/history', authorizeProject('viewer', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
@@ -231,7 +212,7 @@ router.get('/sessions/:projectId/history', async (req, res) => {
  * DELETE /api/chat/sessions/:projectId/history
  * Clear message history for a session (both database and in-memory)
  */
-router.delete('/sessions/:projectId/history', async (req, res) => {
+router.delete('/sessions/:projectId/history', authorizeProject('editor', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -256,7 +237,7 @@ router.delete('/sessions/:projectId/history', async (req, res) => {
  * GET /api/chat/sessions/:projectId/stats
  * Get session statistics (from database and active session)
  */
-router.get('/sessions/:projectId/stats', async (req, res) => {
+router.get('/sessions/:projectId/stats', authorizeProject('viewer', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -285,7 +266,7 @@ router.get('/sessions/:projectId/stats', async (req, res) => {
  * DELETE /api/chat/sessions/:projectId
  * End a Claude Code session
  */
-router.delete('/sessions/:projectId', async (req, res) => {
+router.delete('/sessions/:projectId', authorizeProject('editor', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
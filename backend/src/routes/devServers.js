@@ -5,7 +5,8 @@
 
 import express from 'express';
 import devServerService from '../services/devServerService.js';
-import { getProjectById } from '../db/queries.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject } from '../middleware/projectAccess.js';
 
 const router = express.Router();
 
@@ -13,19 +14,11 @@ const router = express.Router();
  * POST /api/devservers/:projectId/start
  * Start development server for a project
  */
-router.post('/:projectId/start', async (req, res) => {
+router.post('/:projectId/start', requireScope('build'), authorizeProject('editor', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user?.id || 'anonymous';
-
-    // Get project details
-    const project = await getProjectById(projectId);
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        error: 'Project not found',
-      });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Start dev server
     const result = await devServerService.startDevServer(
@@ -51,7 +44,7 @@ router.post('/:projectId/start', async (req, res) => {
  * DELETE /api/devservers/:projectId
  * Stop development server for a project
  */
-router.delete('/:projectId', async (req, res) => {
+router.delete('/:projectId', requireScope('build'), authorizeProject('editor', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -74,7 +67,7 @@ router.delete('/:projectId', async (req, res) => {
  * GET /api/devservers/:projectId/status
  * Get development server status
  */
-router.get('/:projectId/status', async (req, res) => {
+router.get('/:projectId/status', requireScope('read'), authorizeProject('viewer', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
 
@@ -97,7 +90,7 @@ router.get('/:projectId/status', async (req, res) => {
  * GET /api/devservers/:projectId/logs
  * Get development server logs
  */
-router.get('/:projectId/logs', async (req, res) => {
+router.get('/:projectId/logs', requireScope('read'), authorizeProject('viewer', 'projectId'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const limit = parseInt(req.query.limit) || 100;
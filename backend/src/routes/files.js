@@ -0,0 +1,1047 @@
+/**
+ * Project File Routes
+ * Browse and edit a project's workspace: list, read, write, create, move, copy and delete,
+ * plus binary-safe upload, raw download (with range requests), folder-as-zip download,
+ * unified-diff patches and per-file local history
+ *
+ * Every change is auto-committed to the project's git history and broadcast
+ * to open clients as a `files-changed` Socket.IO event.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import archiver from 'archiver';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { getFileVersions, getFileVersion } from '../db/queries.js';
+import gitService from '../services/gitService.js';
+import fileService from '../services/fileService.js';
+import fileHistoryService from '../services/fileHistoryService.js';
+import patchService from '../services/patchService.js';
+import storageService from '../services/storageService.js';
+import realtimeService from '../services/realtimeService.js';
+import { enforceQuotas, checkStorageQuota } from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, requireWorkspace } from '../middleware/projectAccess.js';
+import { resolveProjectPath } from '../utils/projectPath.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_UPLOAD_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+const MAX_UPLOAD_FILES = 100;
+
+// Uploads are staged in the OS temp dir, then moved into the workspace once every path is validated
+const upload = multer({
+  dest: os.tmpdir(),
+  // Keep folder structure from directory uploads ("assets/img/logo.png"); paths are validated below
+  preservePath: true,
+  limits: {
+    fileSize: MAX_UPLOAD_FILE_SIZE,
+    files: MAX_UPLOAD_FILES
+  }
+});
+
+// Served as text so browsers and proxies don't treat source files as media (.ts is MPEG-TS to mime tables)
+const TEXT_CONTENT_TYPES = {
+  '.ts': 'text/plain', '.tsx': 'text/plain', '.mts': 'text/plain', '.cts': 'text/plain', '.jsx': 'text/plain'
+};
+
+// Helper middleware to accept multipart uploads (field "files") with readable errors
+function receiveUploads(req, res, next) {
+  upload.array('files', MAX_UPLOAD_FILES)(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Files must be at most ${MAX_UPLOAD_FILE_SIZE / 1024 / 1024} MB` });
+    }
+
+    if (error?.code === 'LIMIT_FILE_COUNT' || error?.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Upload at most ${MAX_UPLOAD_FILES} files per request (multipart field "files")` });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    next();
+  });
+}
+
+// Helper function to move a staged upload into place (rename fails across filesystems)
+async function moveIntoPlace(stagedPath, targetPath) {
+  try {
+    await fs.rename(stagedPath, targetPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.copyFile(stagedPath, targetPath);
+    await fs.unlink(stagedPath);
+  }
+}
+
+// Helper function to read a file's current bytes for a precondition check, or null if it is missing
+async function readCurrentVersion(targetPath) {
+  try {
+    return await fs.readFile(targetPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Helper function to check an If-Match header (a list of quoted ETags or *) against the current ETag
+function etagMatches(ifMatch, etag) {
+  return ifMatch.split(',').some(tag => {
+    const candidate = tag.trim();
+    return candidate === '*' || candidate === etag;
+  });
+}
+
+// Helper function to shape a file version row for API responses
+function formatVersion(version) {
+  return {
+    id: version.id,
+    path: version.path,
+    sizeBytes: Number(version.size_bytes),
+    source: version.source,
+    operation: version.operation,
+    user: version.user_id
+      ? { id: version.user_id, name: version.user_name, email: version.user_email }
+      : null,
+    prompt: version.prompt,
+    createdAt: version.created_at
+  };
+}
+
+// Helper function to load a version of the request's project, or null for unknown or malformed IDs
+async function loadVersion(req) {
+  if (!UUID_PATTERN.test(req.params.versionId)) {
+    return null;
+  }
+  return getFileVersion(req.project.id, req.params.versionId);
+}
+
+// Helper function to build a download filename for a folder zip
+function zipFileName(project, relativePath) {
+  const baseName = relativePath ? path.basename(relativePath) : project.name;
+  const slug = baseName.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^-|-$/g, '') || 'project';
+  return `${slug}.zip`;
+}
+
+// Helper function to check whether a path is the project root or inside .git (never changed through the API)
+function isProtectedPath(project, targetPath) {
+  const relative = path.relative(project.path, targetPath);
+  return relative === '' || relative.split(path.sep)[0] === '.git';
+}
+
+// Helper function to resolve a path the API may change, or null if it escapes the project or reaches
+// its .git (also through a symlink such as foo -> .git)
+async function resolveChangeablePath(project, relativePath, { followLeaf = true } = {}) {
+  const targetPath = await resolveProjectPath(project.path, relativePath, { followLeaf, excludeGitDir: true });
+  return targetPath && !isProtectedPath(project, targetPath) ? targetPath : null;
+}
+
+// Helper function to check whether a path exists
+async function pathExists(targetPath) {
+  try {
+    await fs.lstat(targetPath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Helper function to commit a change, refresh storage and notify open clients
+async function recordFileChange(req, change, commitMessage) {
+  const project = req.project;
+
+  const commitSha = await gitService.autoCommit(project.path, commitMessage, gitService.authorFor(req.user));
+
+  storageService.scheduleMeasure(project.id);
+  realtimeService.emitFileChange(project.id, { ...change, userId: req.user.id, commitSha });
+
+  return commitSha;
+}
+
+// Helper function to resolve and validate a writable path from a request, sending 400/403 on failure
+// followLeaf: false for operations on a symlink itself rather than its target (delete, move, copy)
+async function resolveWritablePath(req, res, relativePath, { field = 'path', followLeaf = true } = {}) {
+  if (!relativePath || typeof relativePath !== 'string') {
+    res.status(400).json({ error: `${field} is required` });
+    return null;
+  }
+
+  const targetPath = await resolveChangeablePath(req.project, relativePath, { followLeaf });
+
+  if (!targetPath) {
+    res.status(403).json({ error: 'Invalid path' });
+    return null;
+  }
+
+  return targetPath;
+}
+
+// Helper function to express a path relative to the project, with forward slashes
+function toRelativePath(project, targetPath) {
+  return path.relative(project.path, targetPath).split(path.sep).join('/');
+}
+
+/**
+ * GET /api/projects/:id/files
+ * List project files with size, mtime, binary and language metadata
+ * Options: path, depth (recursive up to 10 levels), includeIgnored (node_modules and
+ * .gitignore'd paths), offset/limit (pagination over the depth-first listing)
+ */
+router.get('/:id/files', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { path: relativePath = '' } = req.query;
+
+    const project = req.project;
+
+    const targetPath = await resolveProjectPath(project.path, relativePath);
+
+    // Security check: ensure path is within project directory
+    if (!targetPath) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const listing = await fileService.listDirectory(project.path, toRelativePath(project, targetPath), {
+      depth: req.query.depth,
+      includeIgnored: req.query.includeIgnored === 'true',
+      offset: req.query.offset,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      files: listing.entries,
+      currentPath: relativePath,
+      total: listing.total,
+      offset: listing.offset,
+      limit: listing.limit,
+      hasMore: listing.hasMore,
+      nextOffset: listing.nextOffset,
+      truncated: listing.truncated
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return res.status(404).json({ error: 'Directory not found' });
+    }
+
+    console.error('Error listing files:', error);
+    res.status(500).json({ error: 'Failed to list files' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/files/content
+ * Get file content and its ETag (also sent as the ETag header); pass it as If-Match when saving
+ */
+router.get('/:id/files/content', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { path: relativePath } = req.query;
+
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const project = req.project;
+
+    const targetPath = await resolveProjectPath(project.path, relativePath);
+
+    // Security check: ensure path is within project directory
+    if (!targetPath) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const stats = await fs.stat(targetPath);
+
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is a directory' });
+    }
+
+    // Decoding binaries as UTF-8 corrupts them; they are served by /files/raw instead
+    if (await fileService.isBinary(targetPath, stats.size)) {
+      return res.status(415).json({
+        error: 'Binary files cannot be opened as text; download them from /files/raw',
+        isBinary: true,
+        size: stats.size
+      });
+    }
+
+    const buffer = await fs.readFile(targetPath);
+    const etag = fileService.contentEtag(buffer);
+
+    res.set('ETag', etag);
+    res.json({
+      success: true,
+      content: buffer.toString('utf8'),
+      path: relativePath,
+      etag
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    console.error('Error reading file:', error);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/files/raw?path=<path>&download=true
+ * Stream a file's bytes with its content type; supports Range and conditional requests
+ */
+router.get('/:id/files/raw', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { path: relativePath } = req.query;
+
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const project = req.project;
+
+    const targetPath = await resolveProjectPath(project.path, relativePath);
+
+    // Security check: ensure path is within project directory
+    if (!targetPath) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const stats = await fs.stat(targetPath);
+
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is a directory; download it from /files/zip' });
+    }
+
+    const headers = {};
+    const textType = TEXT_CONTENT_TYPES[path.extname(targetPath).toLowerCase()];
+    if (textType) {
+      headers['Content-Type'] = `${textType}; charset=utf-8`;
+    }
+
+    if (req.query.download === 'true') {
+      res.attachment(path.basename(targetPath));
+    }
+
+    // send handles Range, ETag/Last-Modified and the content type by extension
+    res.sendFile(targetPath, { dotfiles: 'allow', headers }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 500).json({ error: 'Failed to send file' });
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    console.error('Error downloading file:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/files/zip?path=<dir>&includeIgnored=true
+ * Download a folder (default: the whole workspace) as a .zip
+ * .git is never included; node_modules only with includeIgnored
+ */
+router.get('/:id/files/zip', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { path: relativePath = '' } = req.query;
+
+    const project = req.project;
+
+    const targetPath = await resolveProjectPath(project.path, relativePath);
+
+    // Security check: ensure path is within project directory
+    if (!targetPath) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const stats = await fs.stat(targetPath);
+
+    if (!stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is not a directory; download it from /files/raw' });
+    }
+
+    const ignore = ['.git/**', '**/.git/**'];
+    if (req.query.includeIgnored !== 'true') {
+      ignore.push('node_modules/**', '**/node_modules/**');
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    archive.on('warning', (warning) => console.warn('⚠️  Zip warning:', warning.message));
+    archive.on('error', (error) => {
+      console.error('Error zipping folder:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to zip folder' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    // Stop compressing if the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        archive.abort();
+      }
+    });
+
+    res.attachment(zipFileName(project, toRelativePath(project, targetPath)));
+    archive.pipe(res);
+    archive.glob('**', { cwd: targetPath, dot: true, ignore });
+    await archive.finalize();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Directory not found' });
+    }
+
+    console.error('Error zipping folder:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to zip folder' });
+    }
+  }
+});
+
+/**
+ * POST /api/projects/:id/files/upload
+ * Upload files byte-for-byte (multipart field "files", repeatable) into a directory
+ * Body fields: path (target directory, default project root), overwrite ('true' to replace)
+ * File names may include subdirectories, e.g. from a folder upload
+ */
+// Authorization and the storage quota run before multer so rejected requests never touch the disk
+router.post('/:id/files/upload', requireScope('write'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, receiveUploads, async (req, res) => {
+  const stagedFiles = req.files || [];
+
+  try {
+    if (stagedFiles.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded (multipart field "files")' });
+    }
+
+    const project = req.project;
+    const { path: directory = '' } = req.body;
+    const overwrite = req.body.overwrite === 'true';
+
+    const directoryPath = await resolveProjectPath(project.path, directory, { excludeGitDir: true });
+    if (!directoryPath || (directoryPath !== project.path && isProtectedPath(project, directoryPath))) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    // Validate every destination before writing anything
+    const uploads = [];
+    for (const file of stagedFiles) {
+      const targetPath = await resolveChangeablePath(project, path.join(toRelativePath(project, directoryPath), file.originalname));
+
+      if (!targetPath) {
+        return res.status(403).json({ error: `Invalid file name: ${file.originalname}` });
+      }
+
+      uploads.push({ file, targetPath, relativePath: toRelativePath(project, targetPath) });
+    }
+
+    const duplicates = uploads.filter((item, index) => uploads.findIndex(other => other.targetPath === item.targetPath) !== index);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ error: `Duplicate file name: ${duplicates[0].relativePath}` });
+    }
+
+    const existing = [];
+    for (const item of uploads) {
+      const target = await fs.lstat(item.targetPath).catch(() => null);
+
+      if (target?.isDirectory()) {
+        return res.status(409).json({ error: `A directory already exists at ${item.relativePath}` });
+      }
+
+      if (target) {
+        existing.push(item.relativePath);
+      }
+    }
+
+    if (existing.length > 0 && !overwrite) {
+      return res.status(409).json({
+        error: 'Some files already exist; pass overwrite=true to replace them',
+        existing
+      });
+    }
+
+    for (const item of uploads) {
+      await fs.mkdir(path.dirname(item.targetPath), { recursive: true });
+      await moveIntoPlace(item.file.path, item.targetPath);
+    }
+
+    const paths = uploads.map(item => item.relativePath);
+    const summary = paths.length === 1 ? paths[0] : `${paths.length} files to ${toRelativePath(project, directoryPath) || '/'}`;
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'uploaded', type: 'file', path: toRelativePath(project, directoryPath), paths },
+      `Upload ${summary}`
+    );
+
+    res.status(201).json({
+      success: true,
+      files: uploads.map(item => ({
+        path: item.relativePath,
+        size: item.file.size,
+        mimetype: item.file.mimetype,
+        replaced: existing.includes(item.relativePath)
+      })),
+      commitSha
+    });
+  } catch (error) {
+    if (error.code === 'ENOTDIR') {
+      return res.status(400).json({ error: 'A parent of this path is a file' });
+    }
+
+    console.error('Error uploading files:', error);
+    res.status(500).json({ error: 'Failed to upload files' });
+  } finally {
+    // Remove staged files that were not moved into place
+    await Promise.all(stagedFiles.map(file => fs.rm(file.path, { force: true })));
+  }
+});
+
+/**
+ * PUT /api/projects/:id/files/content
+ * Update file content: { path, content }
+ * Requires If-Match with the ETag the edit was based on (or If-None-Match: * to create a new file);
+ * if the file changed meanwhile, responds 409 with the current content and ETag so the client can merge
+ */
+router.put('/:id/files/content', requireScope('write'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, async (req, res) => {
+  try {
+    const { path: relativePath, content } = req.body;
+
+    if (!relativePath || content === undefined) {
+      return res.status(400).json({ error: 'File path and content are required' });
+    }
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'content must be a string' });
+    }
+
+    const ifMatch = req.get('If-Match');
+    const ifNoneMatch = req.get('If-None-Match');
+
+    if (!ifMatch && ifNoneMatch !== '*') {
+      return res.status(428).json({
+        error: 'If-Match header is required: send the ETag from GET files/content, or If-None-Match: * to create a file'
+      });
+    }
+
+    const targetPath = await resolveWritablePath(req, res, relativePath);
+    if (!targetPath) {
+      return;
+    }
+
+    // Someone (often Claude) changed or removed the file since the client loaded it
+    const current = await readCurrentVersion(targetPath);
+    const currentEtag = current ? fileService.contentEtag(current) : null;
+    const conflict = ifMatch ? !current || !etagMatches(ifMatch, currentEtag) : current !== null;
+
+    if (conflict) {
+      return res.status(409).json({
+        error: current ? 'File has changed since it was loaded' : 'File has been deleted since it was loaded',
+        path: relativePath,
+        exists: current !== null,
+        content: current ? current.toString('utf8') : null,
+        etag: currentEtag
+      });
+    }
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, content, 'utf8');
+
+    // Keep the previous version once the save has happened (a failed write leaves no history entry)
+    await fileHistoryService.recordVersion({
+      projectId: req.project.id,
+      path: toRelativePath(req.project, targetPath),
+      content: current,
+      source: 'user',
+      operation: 'save',
+      userId: req.user.id
+    });
+
+    const etag = fileService.contentEtag(content);
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'updated', type: 'file', path: toRelativePath(req.project, targetPath) },
+      `Update ${relativePath}`
+    );
+
+    res.set('ETag', etag);
+    res.json({
+      success: true,
+      message: 'File updated successfully',
+      path: relativePath,
+      etag,
+      commitSha
+    });
+  } catch (error) {
+    console.error('Error writing file:', error);
+    res.status(500).json({ error: 'Failed to write file' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/files
+ * Create a file or directory: { path, type: 'file' | 'directory', content }
+ * Missing parent directories are created; an existing path is a 409
+ */
+router.post('/:id/files', requireScope('write'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, async (req, res) => {
+  try {
+    const { path: relativePath, type = 'file', content = '' } = req.body;
+
+    if (type !== 'file' && type !== 'directory') {
+      return res.status(400).json({ error: "type must be 'file' or 'directory'" });
+    }
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'content must be a string' });
+    }
+
+    const targetPath = await resolveWritablePath(req, res, relativePath);
+    if (!targetPath) {
+      return;
+    }
+
+    if (await pathExists(targetPath)) {
+      return res.status(409).json({ error: 'A file or directory already exists at this path' });
+    }
+
+    if (type === 'directory') {
+      await fs.mkdir(targetPath, { recursive: true });
+    } else {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      // 'wx' so a file created concurrently is never overwritten
+      await fs.writeFile(targetPath, content, { encoding: 'utf8', flag: 'wx' });
+    }
+
+    const createdPath = toRelativePath(req.project, targetPath);
+
+    // Empty directories are invisible to git, so there may be nothing to commit
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'created', type, path: createdPath },
+      `Create ${createdPath}`
+    );
+
+    res.status(201).json({
+      success: true,
+      path: createdPath,
+      type,
+      etag: type === 'file' ? fileService.contentEtag(content) : null,
+      commitSha
+    });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return res.status(409).json({ error: 'A file or directory already exists at this path' });
+    }
+
+    if (error.code === 'ENOTDIR') {
+      return res.status(400).json({ error: 'A parent of this path is a file' });
+    }
+
+    console.error('Error creating file:', error);
+    res.status(500).json({ error: 'Failed to create file' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/files/move
+ * Rename or move a file or directory: { from, to, overwrite }
+ */
+router.post('/:id/files/move', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
+  try {
+    const { from, to, overwrite = false } = req.body;
+
+    const sourcePath = await resolveWritablePath(req, res, from, { field: 'from', followLeaf: false });
+    if (!sourcePath) {
+      return;
+    }
+
+    const targetPath = await resolveWritablePath(req, res, to, { field: 'to', followLeaf: false });
+    if (!targetPath) {
+      return;
+    }
+
+    if (sourcePath === targetPath) {
+      return res.status(400).json({ error: 'Source and destination are the same' });
+    }
+
+    if (targetPath.startsWith(sourcePath + path.sep)) {
+      return res.status(400).json({ error: 'Cannot move a directory into itself' });
+    }
+
+    const source = await fs.lstat(sourcePath).catch(() => null);
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    if (await pathExists(targetPath)) {
+      if (!overwrite) {
+        return res.status(409).json({ error: 'Destination already exists; pass overwrite to replace it' });
+      }
+      await fs.rm(targetPath, { recursive: true, force: true });
+    }
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.rename(sourcePath, targetPath);
+
+    const fromPath = toRelativePath(req.project, sourcePath);
+    const toPath = toRelativePath(req.project, targetPath);
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'moved', type: source.isDirectory() ? 'directory' : 'file', from: fromPath, path: toPath },
+      `Move ${fromPath} to ${toPath}`
+    );
+
+    res.json({
+      success: true,
+      from: fromPath,
+      path: toPath,
+      commitSha
+    });
+  } catch (error) {
+    console.error('Error moving file:', error);
+    res.status(500).json({ error: 'Failed to move file' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/files/copy
+ * Copy a file or directory (recursively): { from, to, overwrite }
+ */
+router.post('/:id/files/copy', requireScope('write'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, async (req, res) => {
+  try {
+    const { from, to, overwrite = false } = req.body;
+
+    const sourcePath = await resolveWritablePath(req, res, from, { field: 'from', followLeaf: false });
+    if (!sourcePath) {
+      return;
+    }
+
+    const targetPath = await resolveWritablePath(req, res, to, { field: 'to', followLeaf: false });
+    if (!targetPath) {
+      return;
+    }
+
+    if (sourcePath === targetPath || targetPath.startsWith(sourcePath + path.sep)) {
+      return res.status(400).json({ error: 'Cannot copy a path onto or into itself' });
+    }
+
+    const source = await fs.lstat(sourcePath).catch(() => null);
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    if (await pathExists(targetPath)) {
+      if (!overwrite) {
+        return res.status(409).json({ error: 'Destination already exists; pass overwrite to replace it' });
+      }
+      await fs.rm(targetPath, { recursive: true, force: true });
+    }
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.cp(sourcePath, targetPath, { recursive: true, verbatimSymlinks: true, errorOnExist: true, force: false });
+
+    const fromPath = toRelativePath(req.project, sourcePath);
+    const toPath = toRelativePath(req.project, targetPath);
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'copied', type: source.isDirectory() ? 'directory' : 'file', from: fromPath, path: toPath },
+      `Copy ${fromPath} to ${toPath}`
+    );
+
+    res.status(201).json({
+      success: true,
+      from: fromPath,
+      path: toPath,
+      commitSha
+    });
+  } catch (error) {
+    console.error('Error copying file:', error);
+    res.status(500).json({ error: 'Failed to copy file' });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/files?path=<path>&recursive=true
+ * Delete a file or directory; non-empty directories require recursive=true
+ */
+router.delete('/:id/files', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
+  try {
+    const { path: relativePath } = req.query;
+    const recursive = req.query.recursive === 'true';
+
+    const targetPath = await resolveWritablePath(req, res, relativePath, { followLeaf: false });
+    if (!targetPath) {
+      return;
+    }
+
+    const target = await fs.lstat(targetPath).catch(() => null);
+    if (!target) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (target.isDirectory()) {
+      const entries = await fs.readdir(targetPath);
+
+      if (entries.length > 0 && !recursive) {
+        return res.status(409).json({
+          error: 'Directory is not empty; pass recursive=true to delete it and its contents',
+          entries: entries.length
+        });
+      }
+
+      await fs.rm(targetPath, { recursive: true });
+    } else {
+      await fs.unlink(targetPath);
+    }
+
+    const deletedPath = toRelativePath(req.project, targetPath);
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'deleted', type: target.isDirectory() ? 'directory' : 'file', path: deletedPath },
+      `Delete ${deletedPath}`
+    );
+
+    res.json({
+      success: true,
+      path: deletedPath,
+      commitSha
+    });
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/patch
+ * Apply a multi-file unified diff: { patch, dryRun, strip }
+ * All files change or none do; if any hunk does not apply, responds 409 with per-file rejects.
+ * dryRun reports what would change without writing. strip removes leading path components
+ * (default: 1 when paths have git's a/ b/ prefixes, else 0)
+ */
+router.post('/:id/patch', requireScope('write'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, async (req, res) => {
+  try {
+    const { patch, dryRun = false, strip } = req.body;
+
+    if (typeof patch !== 'string' || !patch.trim()) {
+      return res.status(400).json({ error: 'patch is required (unified diff text)' });
+    }
+
+    if (strip !== undefined && (!Number.isInteger(strip) || strip < 0)) {
+      return res.status(400).json({ error: 'strip must be a non-negative integer' });
+    }
+
+    const project = req.project;
+
+    // Plan and write under the project lock, so another patch, a restore or a commit
+    // cannot change the files between reading them and writing the result
+    const plan = await gitService.withLock(project.path, async () => {
+      const planned = await patchService.planPatch(patch, {
+        strip,
+        resolveTarget: async (relativePath) => {
+          return resolveChangeablePath(project, relativePath);
+        }
+      });
+
+      if (!planned.hasRejects && !dryRun) {
+        await patchService.writePlan(planned);
+      }
+
+      return planned;
+    });
+
+    const files = plan.files.map(file => file.result);
+
+    if (plan.hasRejects) {
+      return res.status(409).json({
+        error: 'Patch does not apply; no files were changed',
+        dryRun: Boolean(dryRun),
+        applied: false,
+        files
+      });
+    }
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, applied: false, files });
+    }
+
+    // Only once the write has stuck; a rolled-back patch changed nothing to restore
+    for (const file of plan.files) {
+      await fileHistoryService.recordVersion({
+        projectId: project.id,
+        path: file.result.oldPath ?? file.result.path,
+        content: file.previous,
+        source: 'user',
+        operation: 'save',
+        userId: req.user.id
+      });
+    }
+
+    const paths = files.flatMap(file => (file.oldPath ? [file.oldPath, file.path] : [file.path]));
+    const summary = files.length === 1 ? files[0].path : `${files.length} files`;
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'patched', type: 'file', path: '', paths },
+      `Apply patch to ${summary}`
+    );
+
+    res.json({
+      success: true,
+      dryRun: false,
+      applied: true,
+      // ETags let open editors keep saving the patched files without a conflict
+      files: plan.files.map(file => ({
+        ...file.result,
+        etag: file.content !== null ? fileService.contentEtag(file.content) : null
+      })),
+      commitSha
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_PATCH') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error.code === 'INVALID_PATH') {
+      return res.status(403).json({ error: 'Invalid path', path: error.path });
+    }
+
+    if (error.code === 'EISDIR' || error.code === 'ENOTDIR' || error.code === 'EEXIST') {
+      return res.status(409).json({ error: 'A file or directory is in the way of a patched file; no files were changed' });
+    }
+
+    console.error('Error applying patch:', error);
+    res.status(500).json({ error: 'Failed to apply patch' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/files/history?path=<path>&limit=100
+ * List a file's previous versions, newest first, with who made each change
+ */
+router.get('/:id/files/history', requireScope('read'), authorizeProject('viewer', 'id', { allowReadOnly: true }), enforceQuotas, async (req, res) => {
+  try {
+    const { path: relativePath } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const targetPath = await resolveProjectPath(req.project.path, relativePath);
+
+    // Security check: ensure path is within project directory
+    if (!targetPath) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const versions = await getFileVersions(req.project.id, toRelativePath(req.project, targetPath), limit);
+
+    res.json({
+      success: true,
+      path: toRelativePath(req.project, targetPath),
+      versions: versions.map(formatVersion)
+    });
+  } catch (error) {
+    console.error('Error listing file history:', error);
+    res.status(500).json({ error: 'Failed to list file history' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/files/history/:versionId
+ * Get one previous version of a file, with its content
+ */
+router.get('/:id/files/history/:versionId', requireScope('read'), authorizeProject('viewer', 'id', { allowReadOnly: true }), enforceQuotas, async (req, res) => {
+  try {
+    const version = await loadVersion(req);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      version: { ...formatVersion(version), content: version.content }
+    });
+  } catch (error) {
+    console.error('Error reading file version:', error);
+    res.status(500).json({ error: 'Failed to read file version' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/files/history/:versionId/restore
+ * Write a previous version back to its path; the replaced content becomes a version itself
+ */
+router.post('/:id/files/history/:versionId/restore', requireScope('write'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, async (req, res) => {
+  try {
+    const version = await loadVersion(req);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const targetPath = await resolveWritablePath(req, res, version.path);
+    if (!targetPath) {
+      return;
+    }
+
+    await fileHistoryService.recordVersion({
+      projectId: req.project.id,
+      path: version.path,
+      content: await readCurrentVersion(targetPath),
+      source: 'user',
+      operation: 'restore',
+      userId: req.user.id
+    });
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, version.content, 'utf8');
+
+    const etag = fileService.contentEtag(version.content);
+    const restoredAt = new Date(version.created_at).toISOString();
+
+    const commitSha = await recordFileChange(
+      req,
+      { action: 'updated', type: 'file', path: version.path },
+      `Restore ${version.path} to version from ${restoredAt}`
+    );
+
+    res.set('ETag', etag);
+    res.json({
+      success: true,
+      path: version.path,
+      content: version.content,
+      etag,
+      commitSha
+    });
+  } catch (error) {
+    if (error.code === 'EISDIR' || error.code === 'ENOTDIR') {
+      return res.status(409).json({ error: 'A directory is in the way of this file' });
+    }
+
+    console.error('Error restoring file version:', error);
+    res.status(500).json({ error: 'Failed to restore file version' });
+  }
+});
+
+export default router;
@@ -0,0 +1,199 @@
+/**
+ * Project Member Routes
+ * Invite, list, update and remove project collaborators
+ */
+
+import express from 'express';
+import {
+  findUserByEmail,
+  getProjectMembers,
+  addProjectMember,
+  updateProjectMemberRole,
+  removeProjectMember,
+  countProjectOwners,
+  logEvent
+} from '../db/queries.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, PROJECT_ROLES } from '../middleware/projectAccess.js';
+
+const router = express.Router();
+
+// Helper function to shape a member row for API responses
+function toPublicMember(member) {
+  return {
+    userId: member.user_id,
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    invitedBy: member.invited_by,
+    createdAt: member.created_at
+  };
+}
+
+/**
+ * GET /api/projects/:id/members
+ * List project members
+ */
+router.get('/:id/members', requireScope('read'), authorizeProject('viewer'), async (req, res) => {
+  try {
+    const members = await getProjectMembers(req.project.id);
+
+    res.json({
+      success: true,
+      members: members.map(toPublicMember),
+      total: members.length
+    });
+  } catch (error) {
+    console.error('Error listing project members:', error);
+    res.status(500).json({ error: 'Failed to list project members' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/members
+ * Invite an existing user by email
+ */
+router.post('/:id/members', requireScope('write'), authorizeProject('owner'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const project = req.project;
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${PROJECT_ROLES.join(', ')}` });
+    }
+
+    const invitee = await findUserByEmail(email.trim().toLowerCase());
+
+    if (!invitee || !invitee.is_active) {
+      return res.status(404).json({ error: 'No active user with that email' });
+    }
+
+    const member = await addProjectMember({
+      projectId: project.id,
+      userId: invitee.id,
+      role,
+      invitedBy: userId
+    });
+
+    if (!member) {
+      return res.status(409).json({ error: 'User is already a member of this project' });
+    }
+
+    await logEvent({
+      userId,
+      projectId: project.id,
+      kind: 'project_member_added',
+      status: 'success',
+      message: `${invitee.email} added as ${role}`,
+      meta: { memberId: invitee.id, role }
+    });
+
+    res.status(201).json({
+      success: true,
+      member: toPublicMember({ ...member, email: invitee.email, name: invitee.name })
+    });
+  } catch (error) {
+    console.error('Error adding project member:', error);
+    res.status(500).json({ error: 'Failed to add project member' });
+  }
+});
+
+/**
+ * PATCH /api/projects/:id/members/:userId
+ * Change a member's role
+ */
+router.patch('/:id/members/:userId', requireScope('write'), authorizeProject('owner'), async (req, res) => {
+  try {
+    const project = req.project;
+    const memberId = req.params.userId;
+    const { role } = req.body;
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${PROJECT_ROLES.join(', ')}` });
+    }
+
+    const members = await getProjectMembers(project.id);
+    const existing = members.find(m => m.user_id === memberId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // A project must always keep at least one owner
+    if (existing.role === 'owner' && role !== 'owner' && await countProjectOwners(project.id) <= 1) {
+      return res.status(400).json({ error: 'Cannot demote the last owner' });
+    }
+
+    const member = await updateProjectMemberRole(project.id, memberId, role);
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: project.id,
+      kind: 'project_member_updated',
+      status: 'success',
+      message: `${existing.email} changed from ${existing.role} to ${role}`,
+      meta: { memberId, previousRole: existing.role, role }
+    });
+
+    res.json({
+      success: true,
+      member: toPublicMember({ ...member, email: existing.email, name: existing.name })
+    });
+  } catch (error) {
+    console.error('Error updating project member:', error);
+    res.status(500).json({ error: 'Failed to update project member' });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/members/:userId
+ * Remove a member (owners can remove anyone, members can remove themselves)
+ */
+router.delete('/:id/members/:userId', requireScope('write'), authorizeProject('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+    const memberId = req.params.userId;
+    const isSelf = memberId === req.user.id;
+
+    if (!isSelf && req.projectRole !== 'owner') {
+      return res.status(403).json({ error: 'Forbidden', requiredRole: 'owner', role: req.projectRole });
+    }
+
+    const members = await getProjectMembers(project.id);
+    const existing = members.find(m => m.user_id === memberId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (existing.role === 'owner' && await countProjectOwners(project.id) <= 1) {
+      return res.status(400).json({ error: 'Cannot remove the last owner' });
+    }
+
+    await removeProjectMember(project.id, memberId);
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: project.id,
+      kind: 'project_member_removed',
+      status: 'success',
+      message: isSelf ? `${existing.email} left the project` : `${existing.email} removed`,
+      meta: { memberId, role: existing.role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    console.error('Error removing project member:', error);
+    res.status(500).json({ error: 'Failed to remove project member' });
+  }
+});
+
+export default router;
@@ -4,45 +4,21 @@
  */
 
 import express from 'express';
-import { getProjectById } from '../db/queries.js';
 import memoryService from '../services/memoryService.js';
 import { enforceQuotas } from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, requireWorkspace } from '../middleware/projectAccess.js';
 
 const router = express.Router();
 
-// Anonymous user ID for MVP (no authentication required)
-const ANONYMOUS_USER_ID = '00000000-0000-0000-0000-000000000000';
-
-// Helper function to get effective user ID (supports anonymous access in MVP)
-function getEffectiveUserId(req) {
-  return req.user?.id || ANONYMOUS_USER_ID;
-}
-
-// Helper function to check project ownership (supports anonymous access in MVP)
-function checkOwnership(project, req) {
-  const effectiveUserId = getEffectiveUserId(req);
-  return project.user_id === effectiveUserId;
-}
-
 /**
  * GET /api/projects/:id/memory
  * Get CLAUDE.md content for a project
  */
-router.get('/:id/memory', enforceQuotas, async (req, res) => {
+router.get('/:id/memory', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Get memory content
     const content = await memoryService.getMemoryContent(project.path);
@@ -75,26 +51,16 @@ router.get('/:id/memory', enforceQuotas, async (req, res) => {
  * POST /api/projects/:id/memory
  * Update CLAUDE.md content
  */
-router.post('/:id/memory', enforceQuotas, async (req, res) => {
+router.post('/:id/memory', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const { updates } = req.body;
 
     if (!updates) {
       return res.status(400).json({ error: 'Updates are required' });
     }
 
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const project = req.project;
 
     // Update memory
     const success = await memoryService.updateMemory(
@@ -122,26 +88,16 @@ router.post('/:id/memory', enforceQuotas, async (req, res) => {
  * POST /api/projects/:id/memory/checkpoint
  * Create a named checkpoint
  */
-router.post('/:id/memory/checkpoint', enforceQuotas, async (req, res) => {
+router.post('/:id/memory/checkpoint', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const { name, notes } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Checkpoint name is required' });
     }
 
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const project = req.project;
 
     // Create checkpoint
     const checkpoint = await memoryService.createCheckpoint(
@@ -172,21 +128,10 @@ router.post('/:id/memory/checkpoint', enforceQuotas, async (req, res) => {
  * GET /api/projects/:id/memory/stats
  * Get memory statistics
  */
-router.get('/:id/memory/stats', enforceQuotas, async (req, res) => {
+router.get('/:id/memory/stats', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Get stats
     const stats = await memoryService.getMemoryStats(project.id, project.path);
@@ -213,22 +158,12 @@ router.get('/:id/memory/stats', enforceQuotas, async (req, res) => {
  * POST /api/projects/:id/memory/compact
  * Compact memory (remove old auto-snapshots)
  */
-router.post('/:id/memory/compact', enforceQuotas, async (req, res) => {
+router.post('/:id/memory/compact', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const { keepLastN = 5 } = req.body;
 
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const project = req.project;
 
     // Compact memory
     const removedCount = await memoryService.compactMemory(project.id, keepLastN);
@@ -248,21 +183,10 @@ router.post('/:id/memory/compact', enforceQuotas, async (req, res) => {
  * GET /api/projects/:id/memory/health
  * Analyze memory health
  */
-router.get('/:id/memory/health', enforceQuotas, async (req, res) => {
+router.get('/:id/memory/health', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Analyze health
     const health = await memoryService.analyzeMemoryHealth(project.id, project.path);
@@ -281,21 +205,10 @@ router.get('/:id/memory/health', enforceQuotas, async (req, res) => {
  * POST /api/projects/:id/memory/init
  * Initialize memory for existing project
  */
-router.post('/:id/memory/init', enforceQuotas, async (req, res) => {
+router.post('/:id/memory/init', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Check if memory already exists
     const exists = await memoryService.memoryExists(project.path);
@@ -0,0 +1,474 @@
+/**
+ * Organization Routes
+ * Teams that own projects and share a pooled quota
+ */
+
+import express from 'express';
+import {
+  createOrganization,
+  getOrganizationById,
+  getUserOrganizations,
+  getOrganizationMember,
+  getOrganizationMembers,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getOrganizationQuotas,
+  getOrganizationProjects,
+  setProjectOrganization,
+  findUserByEmail,
+  logEvent
+} from '../db/queries.js';
+import { requireScope } from '../middleware/auth.js';
+import { checkProjectAccess } from '../middleware/projectAccess.js';
+
+const router = express.Router();
+
+const ORG_ROLES = ['member', 'admin', 'owner'];
+
+// Sub-limit fields accepted from the API, mapped to their row columns
+const MEMBER_LIMIT_FIELDS = {
+  monthlyTokenLimit: 'monthly_token_limit',
+  monthlyCostLimit: 'monthly_cost_limit',
+  maxBuildsPerDay: 'max_builds_per_day',
+  maxConcurrentContainers: 'max_concurrent_containers'
+};
+
+// Helper function to shape a member row for API responses
+function toPublicMember(member) {
+  const limits = {};
+  const usage = {
+    tokensUsedThisMonth: member.tokens_used_this_month,
+    costThisMonth: parseFloat(member.cost_this_month),
+    buildsToday: member.builds_today
+  };
+
+  for (const [field, column] of Object.entries(MEMBER_LIMIT_FIELDS)) {
+    limits[field] = member[column];
+  }
+
+  return {
+    userId: member.user_id,
+    email: member.email,
+    name: member.name,
+    role: member.role,
+    limits,
+    usage,
+    createdAt: member.created_at
+  };
+}
+
+// Helper function to turn a name into a URL-safe slug
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+}
+
+// Helper function to validate sub-limits (non-negative numbers or null to clear)
+function parseLimits(limits = {}) {
+  const parsed = {};
+
+  for (const field of Object.keys(MEMBER_LIMIT_FIELDS)) {
+    if (limits[field] === undefined) {
+      continue;
+    }
+
+    if (limits[field] === null) {
+      parsed[field] = null;
+      continue;
+    }
+
+    const value = Number(limits[field]);
+
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${field} must be a non-negative number or null`);
+    }
+
+    parsed[field] = value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Require a minimum organization role
+ * Attaches req.organization and req.organizationMember
+ *
+ * @param {string} minRole - Minimum required role
+ * @returns {Function} Express middleware
+ */
+function authorizeOrganization(minRole) {
+  return async (req, res, next) => {
+    try {
+      const organization = await getOrganizationById(req.params.orgId);
+
+      if (!organization) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+
+      const member = await getOrganizationMember(organization.id, req.user.id);
+
+      if (!member || ORG_ROLES.indexOf(member.role) < ORG_ROLES.indexOf(minRole)) {
+        return res.status(403).json({ error: 'Forbidden', requiredRole: minRole, role: member?.role || null });
+      }
+
+      req.organization = organization;
+      req.organizationMember = member;
+
+      next();
+    } catch (error) {
+      console.error('Error authorizing organization access:', error);
+      res.status(500).json({ error: 'Failed to authorize organization access' });
+    }
+  };
+}
+
+/**
+ * POST /api/organizations
+ * Create an organization (the creator becomes its owner)
+ */
+router.post('/', requireScope('write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+
+    const slug = slugify(req.body.slug || name);
+
+    if (!slug) {
+      return res.status(400).json({ error: 'Organization slug must contain letters or numbers' });
+    }
+
+    let organization;
+    try {
+      organization = await createOrganization({ name: name.trim(), slug, createdBy: userId });
+    } catch (error) {
+      // Unique violation on slug
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Organization slug "${slug}" is already taken` });
+      }
+      throw error;
+    }
+
+    await logEvent({
+      userId,
+      kind: 'organization_created',
+      status: 'success',
+      message: `Organization ${organization.slug} created`,
+      meta: { organizationId: organization.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        slug: organization.slug,
+        role: 'owner',
+        createdAt: organization.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Failed to create organization' });
+  }
+});
+
+/**
+ * GET /api/organizations
+ * List the current user's organizations
+ */
+router.get('/', requireScope('read'), async (req, res) => {
+  try {
+    const organizations = await getUserOrganizations(req.user.id);
+
+    res.json({
+      success: true,
+      organizations: organizations.map(o => ({
+        id: o.id,
+        name: o.name,
+        slug: o.slug,
+        role: o.role,
+        createdAt: o.created_at
+      })),
+      total: organizations.length
+    });
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    res.status(500).json({ error: 'Failed to list organizations' });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId
+ * Get organization details, members, projects and pooled quotas
+ */
+router.get('/:orgId', requireScope('read'), authorizeOrganization('member'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    const [members, projects, quotas] = await Promise.all([
+      getOrganizationMembers(organization.id),
+      getOrganizationProjects(organization.id),
+      getOrganizationQuotas(organization.id)
+    ]);
+
+    res.json({
+      success: true,
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        slug: organization.slug,
+        role: req.organizationMember.role,
+        createdAt: organization.created_at
+      },
+      members: members.map(toPublicMember),
+      projects: projects.map(p => ({
+        id: p.id,
+        name: p.name,
+        description: p.description,
+        framework: p.framework,
+        updatedAt: p.updated_at
+      })),
+      quotas: quotas && {
+        tokens: { used: quotas.tokens_used_this_month, limit: quotas.monthly_token_limit },
+        cost: { used: parseFloat(quotas.cost_this_month), limit: parseFloat(quotas.monthly_cost_limit) },
+        builds: { today: quotas.builds_today, limit: quotas.max_builds_per_day },
+        containers: { limit: quotas.max_concurrent_containers }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting organization:', error);
+    res.status(500).json({ error: 'Failed to get organization' });
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/members
+ * Add an existing user to the organization
+ */
+router.post('/:orgId/members', requireScope('write'), authorizeOrganization('admin'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { email, role = 'member' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORG_ROLES.join(', ')}` });
+    }
+
+    // Only owners can create other owners
+    if (role === 'owner' && req.organizationMember.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can add owners' });
+    }
+
+    let limits;
+    try {
+      limits = parseLimits(req.body.limits);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const invitee = await findUserByEmail(email.trim().toLowerCase());
+
+    if (!invitee || !invitee.is_active) {
+      return res.status(404).json({ error: 'No active user with that email' });
+    }
+
+    const added = await addOrganizationMember({
+      organizationId: organization.id,
+      userId: invitee.id,
+      role
+    });
+
+    if (!added) {
+      return res.status(409).json({ error: 'User is already a member of this organization' });
+    }
+
+    const member = await updateOrganizationMember(organization.id, invitee.id, limits);
+
+    await logEvent({
+      userId: req.user.id,
+      kind: 'organization_member_added',
+      status: 'success',
+      message: `${invitee.email} added to ${organization.slug} as ${role}`,
+      meta: { organizationId: organization.id, memberId: invitee.id, role, limits }
+    });
+
+    res.status(201).json({
+      success: true,
+      member: toPublicMember({ ...member, email: invitee.email, name: invitee.name })
+    });
+  } catch (error) {
+    console.error('Error adding organization member:', error);
+    res.status(500).json({ error: 'Failed to add organization member' });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:userId
+ * Change a member's role and/or sub-limits (null clears a sub-limit)
+ */
+router.patch('/:orgId/members/:userId', requireScope('write'), authorizeOrganization('admin'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const memberId = req.params.userId;
+    const { role } = req.body;
+
+    if (role !== undefined && !ORG_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORG_ROLES.join(', ')}` });
+    }
+
+    let limits;
+    try {
+      limits = parseLimits(req.body.limits);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const members = await getOrganizationMembers(organization.id);
+    const existing = members.find(m => m.user_id === memberId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const touchesOwner = existing.role === 'owner' || role === 'owner';
+
+    if (touchesOwner && req.organizationMember.role !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can change owners' });
+    }
+
+    if (existing.role === 'owner' && role && role !== 'owner' &&
+        members.filter(m => m.role === 'owner').length <= 1) {
+      return res.status(400).json({ error: 'Cannot demote the last owner' });
+    }
+
+    const member = await updateOrganizationMember(organization.id, memberId, { ...limits, role });
+
+    await logEvent({
+      userId: req.user.id,
+      kind: 'organization_member_updated',
+      status: 'success',
+      message: `${existing.email} updated in ${organization.slug}`,
+      meta: { organizationId: organization.id, memberId, role, limits }
+    });
+
+    res.json({
+      success: true,
+      member: toPublicMember({ ...member, email: existing.email, name: existing.name })
+    });
+  } catch (error) {
+    console.error('Error updating organization member:', error);
+    res.status(500).json({ error: 'Failed to update organization member' });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:userId
+ * Remove a member (admins can remove others, members can remove themselves)
+ */
+router.delete('/:orgId/members/:userId', requireScope('write'), authorizeOrganization('member'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const memberId = req.params.userId;
+    const isSelf = memberId === req.user.id;
+    const actorRole = req.organizationMember.role;
+
+    if (!isSelf && actorRole === 'member') {
+      return res.status(403).json({ error: 'Forbidden', requiredRole: 'admin', role: actorRole });
+    }
+
+    const members = await getOrganizationMembers(organization.id);
+    const existing = members.find(m => m.user_id === memberId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (existing.role === 'owner' && !isSelf && actorRole !== 'owner') {
+      return res.status(403).json({ error: 'Only owners can remove owners' });
+    }
+
+    if (existing.role === 'owner' && members.filter(m => m.role === 'owner').length <= 1) {
+      return res.status(400).json({ error: 'Cannot remove the last owner' });
+    }
+
+    await removeOrganizationMember(organization.id, memberId);
+
+    await logEvent({
+      userId: req.user.id,
+      kind: 'organization_member_removed',
+      status: 'success',
+      message: isSelf ? `${existing.email} left ${organization.slug}` : `${existing.email} removed from ${organization.slug}`,
+      meta: { organizationId: organization.id, memberId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    console.error('Error removing organization member:', error);
+    res.status(500).json({ error: 'Failed to remove organization member' });
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/projects
+ * Move a project you own into the organization (its usage is then pooled)
+ */
+router.post('/:orgId/projects', requireScope('write'), authorizeOrganization('member'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { projectId } = req.body;
+
+    if (!projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    const { project, allowed } = await checkProjectAccess(projectId, req.user.id, 'owner');
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ error: 'Only project owners can move a project' });
+    }
+
+    if (project.organization_id === organization.id) {
+      return res.status(409).json({ error: 'Project already belongs to this organization' });
+    }
+
+    await setProjectOrganization(project.id, organization.id);
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: project.id,
+      kind: 'project_moved_to_organization',
+      status: 'success',
+      message: `Project ${project.name} moved to ${organization.slug}`,
+      meta: { organizationId: organization.id, previousOrganizationId: project.organization_id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Project moved to organization'
+    });
+  } catch (error) {
+    console.error('Error moving project to organization:', error);
+    res.status(500).json({ error: 'Failed to move project to organization' });
+  }
+});
+
+export default router;
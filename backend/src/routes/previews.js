@@ -8,26 +8,21 @@ import { getActivePreview } from '../db/queries.js';
 import { query } from '../db/connection.js';
 import dockerService from '../services/dockerService.js';
 import portRegistry from '../services/portRegistry.js';
+import secretsService from '../services/secretsService.js';
 import { enforceQuotas } from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, checkProjectAccess } from '../middleware/projectAccess.js';
 
 const router = express.Router();
 
-// Anonymous user ID for MVP (no authentication required)
-const ANONYMOUS_USER_ID = '00000000-0000-0000-0000-000000000000';
-
-// Helper function to get effective user ID (supports anonymous access in MVP)
-function getEffectiveUserId(req) {
-  return req.user?.id || ANONYMOUS_USER_ID;
-}
-
 /**
  * GET /api/previews/:id
  * Get preview details
  */
-router.get('/:id', enforceQuotas, async (req, res) => {
+router.get('/:id', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const result = await query('SELECT * FROM previews WHERE id = $1', [id]);
 
@@ -37,9 +32,10 @@ router.get('/:id', enforceQuotas, async (req, res) => {
 
     const preview = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (preview.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(preview.project_id, userId, 'viewer');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -72,25 +68,9 @@ router.get('/:id', enforceQuotas, async (req, res) => {
  * GET /api/projects/:projectId/preview
  * Get active preview for a project
  */
-router.get('/project/:projectId', enforceQuotas, async (req, res) => {
+router.get('/project/:projectId', requireScope('read'), authorizeProject('viewer', 'projectId'), enforceQuotas, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.user?.id;
-
-    // Verify project ownership
-    const projectResult = await query(
-      'SELECT user_id FROM projects WHERE id = $1',
-      [projectId]
-    );
-
-    if (projectResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    const effectiveUserId = getEffectiveUserId(req);
-    if (projectResult.rows[0].user_id !== effectiveUserId) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
 
     // Get active preview
     const preview = await getActivePreview(projectId);
@@ -126,10 +106,10 @@ router.get('/project/:projectId', enforceQuotas, async (req, res) => {
  * DELETE /api/previews/:id
  * Stop and remove a preview
  */
-router.delete('/:id', enforceQuotas, async (req, res) => {
+router.delete('/:id', requireScope('build'), enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const result = await query(
       'SELECT * FROM previews WHERE id = $1',
@@ -142,9 +122,10 @@ router.delete('/:id', enforceQuotas, async (req, res) => {
 
     const preview = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (preview.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(preview.project_id, userId, 'owner');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -169,14 +150,14 @@ router.delete('/:id', enforceQuotas, async (req, res) => {
  * GET /api/previews/:id/logs
  * Get container logs
  */
-router.get('/:id/logs', enforceQuotas, async (req, res) => {
+router.get('/:id/logs', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const { tail = 100 } = req.query;
 
     const result = await query(
-      'SELECT user_id, container_id FROM previews WHERE id = $1',
+      'SELECT project_id, container_id FROM previews WHERE id = $1',
       [id]
     );
 
@@ -186,16 +167,18 @@ router.get('/:id/logs', enforceQuotas, async (req, res) => {
 
     const preview = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (preview.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(preview.project_id, userId, 'viewer');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    // Get logs
-    const logs = await dockerService.getContainerLogs(preview.container_id, {
+    // Get logs, with project secrets scrubbed
+    const redact = await secretsService.redactorFor(preview.project_id);
+    const logs = redact(await dockerService.getContainerLogs(preview.container_id, {
       tail: parseInt(tail)
-    });
+    }));
 
     res.json({
       success: true,
@@ -211,13 +194,13 @@ router.get('/:id/logs', enforceQuotas, async (req, res) => {
  * GET /api/previews/:id/stats
  * Get container stats
  */
-router.get('/:id/stats', enforceQuotas, async (req, res) => {
+router.get('/:id/stats', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const result = await query(
-      'SELECT user_id, container_id FROM previews WHERE id = $1',
+      'SELECT project_id, container_id FROM previews WHERE id = $1',
       [id]
     );
 
@@ -227,9 +210,10 @@ router.get('/:id/stats', enforceQuotas, async (req, res) => {
 
     const preview = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (preview.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(preview.project_id, userId, 'viewer');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -257,13 +241,13 @@ router.get('/:id/stats', enforceQuotas, async (req, res) => {
  * POST /api/previews/:id/health
  * Trigger health check
  */
-router.post('/:id/health', enforceQuotas, async (req, res) => {
+router.post('/:id/health', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const result = await query(
-      'SELECT user_id, port FROM previews WHERE id = $1',
+      'SELECT project_id, port FROM previews WHERE id = $1',
       [id]
     );
 
@@ -273,9 +257,10 @@ router.post('/:id/health', enforceQuotas, async (req, res) => {
 
     const preview = result.rows[0];
 
-    // Check ownership
-    const effectiveUserId = getEffectiveUserId(req);
-    if (preview.user_id !== effectiveUserId) {
+    // Check project membership
+    const { allowed } = await checkProjectAccess(preview.project_id, userId, 'viewer');
+
+    if (!allowed) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -302,20 +287,21 @@ router.post('/:id/health', enforceQuotas, async (req, res) => {
 
 /**
  * GET /api/previews/all
- * List all previews for user
+ * List all previews for projects the user is a member of
  */
-router.get('/', enforceQuotas, async (req, res) => {
+router.get('/', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     if (!userId) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const result = await query(
-      `SELECT * FROM previews
-       WHERE user_id = $1 AND status IN ('starting', 'healthy')
-       ORDER BY created_at DESC`,
+      `SELECT pv.* FROM previews pv
+       JOIN project_members pm ON pm.project_id = pv.project_id
+       WHERE pm.user_id = $1 AND pv.status IN ('starting', 'healthy')
+       ORDER BY pv.created_at DESC`,
       [userId]
     );
 
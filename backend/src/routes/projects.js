@@ -9,55 +9,78 @@ import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 import {
   createProject,
-  getProjectById,
+  createProjectFork,
+  deleteProject,
   getProjectBySessionId,
+  getOrganizationMember,
   getUserProjects,
-  updateProjectLastAccessed
+  getTrashedProjects,
+  updateProjectLastAccessed,
+  logEvent
 } from '../db/queries.js';
 import memoryService from '../services/memoryService.js';
+import templateService from '../services/templateService.js';
+import gitService from '../services/gitService.js';
+import importService from '../services/importService.js';
 import dockerService from '../services/dockerService.js';
-import { enforceQuotas, checkBuildQuota, checkContainerQuota } from '../middleware/quotas.js';
+import lifecycleService from '../services/lifecycleService.js';
+import storageService from '../services/storageService.js';
+import {
+  enforceQuotas,
+  checkBuildQuota,
+  checkContainerQuota,
+  checkStorageQuota,
+  resolveQuotaAccount,
+  storageExceededResponse
+} from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, requireWorkspace, hasProjectRole, effectiveProjectRole, getProjectRole } from '../middleware/projectAccess.js';
 
 const router = express.Router();
 
 // Base projects directory from environment
 const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(process.cwd(), '../projects');
 
-// Anonymous user ID for MVP (no authentication required)
-const ANONYMOUS_USER_ID = '00000000-0000-0000-0000-000000000000';
-
-// Helper function to get effective user ID (supports anonymous access in MVP)
-function getEffectiveUserId(req) {
-  return req.user?.id || ANONYMOUS_USER_ID;
-}
-
-// Helper function to check project ownership (supports anonymous access in MVP)
-function checkOwnership(project, req) {
-  const effectiveUserId = getEffectiveUserId(req);
-  return project.user_id === effectiveUserId;
-}
-
 /**
  * POST /api/projects
  * Create a new project with memory initialization
+ * Optional `template` scaffolds a starter tree (see GET /api/templates)
  */
-router.post('/', enforceQuotas, async (req, res) => {
+router.post('/', requireScope('write'), enforceQuotas, checkStorageQuota, async (req, res) => {
   try {
-    const { name, description, framework, language } = req.body;
-    // For MVP: Use anonymous user if not authenticated
-    const userId = req.user?.id || '00000000-0000-0000-0000-000000000000';
+    const { name, description, organizationId, template: templateId } = req.body;
+    const userId = req.user.id;
 
     if (!name) {
       return res.status(400).json({ error: 'Project name is required' });
     }
 
+    const template = templateId ? await templateService.getTemplate(templateId) : null;
+
+    if (templateId && !template) {
+      return res.status(400).json({ error: `Unknown template: ${templateId}` });
+    }
+
+    // Explicit values win over the template's defaults
+    const framework = req.body.framework || template?.framework;
+    const language = req.body.language || template?.language;
+
+    // Organization projects draw on the organization's pooled quotas
+    if (organizationId && !(await getOrganizationMember(organizationId, userId))) {
+      return res.status(403).json({ error: 'Not a member of this organization' });
+    }
+
     // Generate unique session ID
     const sessionId = uuidv4();
 
     // Create project directory
-    const projectPath = path.join(PROJECTS_DIR, `${userId === '00000000-0000-0000-0000-000000000000' ? 'anonymous' : userId}_${sessionId}`);
+    const projectPath = path.join(PROJECTS_DIR, `${userId}_${sessionId}`);
     await fs.mkdir(projectPath, { recursive: true });
 
+    if (template) {
+      await templateService.applyTemplate(template, projectPath);
+    }
+
     // Create project in database
     const project = await createProject({
       userId,
@@ -66,7 +89,8 @@ router.post('/', enforceQuotas, async (req, res) => {
       description,
       path: projectPath,
       framework,
-      language
+      language,
+      organizationId: organizationId || null
     });
 
     // Initialize memory system
@@ -75,9 +99,22 @@ router.post('/', enforceQuotas, async (req, res) => {
       projectPath,
       name,
       userId,
-      { framework, language, description }
+      { framework, language, description, template, techStack: template?.techStack }
     );
 
+    // Version the workspace from its very first state
+    try {
+      await gitService.initRepo(
+        projectPath,
+        template ? `Initialize project from ${template.name} template` : 'Initialize project',
+        gitService.authorFor(req.user)
+      );
+    } catch (error) {
+      console.error(`⚠️  Failed to initialize git for project ${project.id}:`, error.message);
+    }
+
+    storageService.scheduleMeasure(project.id);
+
     res.status(201).json({
       success: true,
       project: {
@@ -87,6 +124,8 @@ router.post('/', enforceQuotas, async (req, res) => {
         description: project.description,
         framework: project.framework,
         language: project.language,
+        organizationId: project.organization_id,
+        template: template?.id || null,
         hasMemory: true,
         createdAt: project.created_at
       }
@@ -97,20 +136,252 @@ router.post('/', enforceQuotas, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/projects/import
+ * Create a project by cloning a git repository
+ * Clone or setup failures leave no project row or directory behind
+ */
+router.post('/import', requireScope('write'), enforceQuotas, checkStorageQuota, async (req, res) => {
+  const { repoUrl, branch, description, organizationId } = req.body;
+  const userId = req.user.id;
+
+  const urlError = gitService.validateRepoUrl(repoUrl);
+  if (urlError) {
+    return res.status(400).json({ error: urlError });
+  }
+
+  if (branch && !/^[\w][\w./-]*$/.test(branch)) {
+    return res.status(400).json({ error: 'Invalid branch name' });
+  }
+
+  const sessionId = uuidv4();
+  const projectPath = path.join(PROJECTS_DIR, `${userId}_${sessionId}`);
+  let project = null;
+
+  try {
+    if (organizationId && !(await getOrganizationMember(organizationId, userId))) {
+      return res.status(403).json({ error: 'Not a member of this organization' });
+    }
+
+    await fs.mkdir(PROJECTS_DIR, { recursive: true });
+
+    try {
+      await gitService.cloneRepo(repoUrl, projectPath, { branch });
+    } catch (error) {
+      if (error.code === 'CLONE_FAILED') {
+        await fs.rm(projectPath, { recursive: true, force: true });
+        return res.status(422).json({ error: 'Failed to clone repository', details: error.message });
+      }
+      throw error;
+    }
+
+    const analysis = await importService.analyzeProject(projectPath, { repoUrl, description });
+
+    // Default name: the repository's name without .git
+    const name = req.body.name || path.basename(repoUrl.replace(/\/+$/, '')).replace(/\.git$/, '') || analysis.packageName;
+
+    project = await createProject({
+      userId,
+      sessionId,
+      name,
+      description: description || null,
+      path: projectPath,
+      framework: analysis.framework,
+      language: analysis.language,
+      organizationId: organizationId || null,
+      repoUrl
+    });
+
+    await memoryService.initializeMemory(
+      project.id,
+      projectPath,
+      name,
+      userId,
+      {
+        framework: analysis.framework,
+        language: analysis.language,
+        overview: analysis.overview,
+        techStack: analysis.techStack,
+        repoUrl,
+        preserveExisting: true
+      }
+    );
+
+    const commitSha = await gitService.autoCommit(projectPath, 'Add AtlasEngine project memory', gitService.authorFor(req.user));
+
+    await logEvent({
+      userId,
+      projectId: project.id,
+      kind: 'project_imported',
+      status: 'success',
+      message: `Imported ${repoUrl}`,
+      meta: { repoUrl, branch: branch || null, commitSha, framework: analysis.framework, language: analysis.language }
+    });
+
+    storageService.scheduleMeasure(project.id);
+
+    res.status(201).json({
+      success: true,
+      project: {
+        id: project.id,
+        sessionId: project.session_id,
+        name: project.name,
+        description: project.description,
+        framework: project.framework,
+        language: project.language,
+        organizationId: project.organization_id,
+        repoUrl: project.repo_url,
+        hasMemory: true,
+        createdAt: project.created_at
+      },
+      commitSha
+    });
+  } catch (error) {
+    console.error('Error importing project:', error);
+
+    // Roll back so a failed import leaves nothing half-created
+    try {
+      if (project) {
+        await deleteProject(project.id);
+      }
+      await fs.rm(projectPath, { recursive: true, force: true });
+    } catch (cleanupError) {
+      console.error('Error cleaning up failed import:', cleanupError);
+    }
+
+    res.status(500).json({ error: 'Failed to import project' });
+  }
+});
+
+// Never copied into a fork; dependencies are reinstalled on the next build
+const FORK_EXCLUDED_DIRS = ['node_modules'];
+
+/**
+ * POST /api/projects/:id/fork
+ * Copy a project (workspace, git history, CLAUDE.md and memory snapshots) into a new project
+ * linked to its parent; `includeChat` also copies the chat history
+ * Editors snapshot pending edits into the parent first; viewers fork from its current HEAD
+ * and the edits come along uncommitted
+ */
+router.post('/:id/fork', requireScope('write'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  const parent = req.project;
+  const userId = req.user.id;
+  const { description, includeChat = false } = req.body;
+  const name = req.body.name || `${parent.name} (fork)`;
+
+  const sessionId = uuidv4();
+  const projectPath = path.join(PROJECTS_DIR, `${userId}_${sessionId}`);
+  let copied = false;
+
+  try {
+    // Forks stay in the parent's organization unless told otherwise
+    let organizationId = req.body.organizationId !== undefined ? req.body.organizationId : parent.organization_id;
+    if (organizationId && !(await getOrganizationMember(organizationId, userId))) {
+      if (req.body.organizationId) {
+        return res.status(403).json({ error: 'Not a member of this organization' });
+      }
+      organizationId = null;
+    }
+
+    // The fork is charged to the account it lands in, not the parent's
+    const account = await resolveQuotaAccount(userId, { organization_id: organizationId });
+    const storage = await storageService.getAccountStorage(account, userId);
+    if (storage.exceeded) {
+      return res.status(429).json(storageExceededResponse(account, storage));
+    }
+
+    // Commit pending edits so the fork point is a real revision (viewers may not write to the parent)
+    if (hasProjectRole(req.projectRole, 'editor')) {
+      await gitService.autoCommit(parent.path, 'Snapshot before fork', gitService.authorFor(req.user));
+    }
+    const forkedFromCommit = await gitService.getHead(parent.path);
+
+    await fs.mkdir(PROJECTS_DIR, { recursive: true });
+    copied = true;
+    // Copy under the repo lock so .git is never caught mid-commit
+    await gitService.withLock(parent.path, () => fs.cp(parent.path, projectPath, {
+      recursive: true,
+      verbatimSymlinks: true,
+      filter: (src) => !FORK_EXCLUDED_DIRS.includes(path.basename(src))
+    }));
+
+    const project = await createProjectFork({
+      parentProjectId: parent.id,
+      userId,
+      sessionId,
+      name,
+      description: description || null,
+      path: projectPath,
+      organizationId: organizationId || null,
+      forkedFromCommit,
+      includeChat: Boolean(includeChat)
+    });
+
+    await logEvent({
+      userId,
+      projectId: project.id,
+      kind: 'project_forked',
+      status: 'success',
+      message: `Forked from ${parent.name}`,
+      meta: {
+        parentProjectId: parent.id,
+        forkedFromCommit,
+        memorySnapshots: project.memory_snapshots_copied,
+        chatMessages: project.chat_messages_copied
+      }
+    });
+
+    console.log(`🍴 Forked project ${parent.id} -> ${project.id}`);
+
+    storageService.scheduleMeasure(project.id);
+
+    res.status(201).json({
+      success: true,
+      project: {
+        id: project.id,
+        sessionId: project.session_id,
+        name: project.name,
+        description: project.description,
+        framework: project.framework,
+        language: project.language,
+        organizationId: project.organization_id,
+        repoUrl: project.repo_url,
+        parentProjectId: project.parent_project_id,
+        parentName: parent.name,
+        forkedFromCommit: project.forked_from_commit,
+        role: 'owner',
+        hasMemory: project.has_memory,
+        createdAt: project.created_at
+      },
+      copied: {
+        memorySnapshots: project.memory_snapshots_copied,
+        chatMessages: project.chat_messages_copied
+      }
+    });
+  } catch (error) {
+    console.error('Error forking project:', error);
+
+    if (copied) {
+      await fs.rm(projectPath, { recursive: true, force: true }).catch(cleanupError =>
+        console.error('Error cleaning up failed fork:', cleanupError)
+      );
+    }
+
+    res.status(500).json({ error: 'Failed to fork project' });
+  }
+});
+
 /**
  * GET /api/projects
  * List user's projects
  */
-router.get('/', enforceQuotas, async (req, res) => {
+router.get('/', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
-    const userId = req.user?.id;
-
-    // For MVP: Use anonymous user if not authenticated
-    const effectiveUserId = userId || '00000000-0000-0000-0000-000000000000';
+    const userId = req.user.id;
 
     const { limit = 50, offset = 0, status = 'active' } = req.query;
 
-    const projects = await getUserProjects(effectiveUserId, {
+    const projects = await getUserProjects(userId, {
       limit: parseInt(limit),
       offset: parseInt(offset),
       status
@@ -128,6 +399,14 @@ router.get('/', enforceQuotas, async (req, res) => {
         hasMemory: p.has_memory,
         memorySize: p.memory_size,
         status: p.status,
+        organizationId: p.organization_id,
+        repoUrl: p.repo_url,
+        parentProjectId: p.parent_project_id,
+        parentName: p.parent_name,
+        forkedFromCommit: p.forked_from_commit,
+        forkCount: p.fork_count,
+        archivedAt: p.archived_at,
+        role: effectiveProjectRole(p.project_role, p.org_role),
         createdAt: p.created_at,
         updatedAt: p.updated_at,
         lastAccessed: p.last_accessed
@@ -140,25 +419,45 @@ router.get('/', enforceQuotas, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/projects/trash
+ * List trashed projects the user owns, with when each will be purged
+ */
+router.get('/trash', requireScope('read'), enforceQuotas, async (req, res) => {
+  try {
+    const projects = (await getTrashedProjects(req.user.id))
+      .filter(p => effectiveProjectRole(p.project_role, p.org_role) === 'owner');
+
+    res.json({
+      success: true,
+      projects: projects.map(p => ({
+        id: p.id,
+        name: p.name,
+        description: p.description,
+        framework: p.framework,
+        organizationId: p.organization_id,
+        deletedAt: p.deleted_at,
+        deletedBy: p.deleted_by,
+        purgeAfter: lifecycleService.purgeDate(p.deleted_at)
+      })),
+      retentionDays: lifecycleService.trashRetentionDays,
+      total: projects.length
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
 /**
  * GET /api/projects/:id
  * Get project details
  */
-router.get('/:id', enforceQuotas, async (req, res) => {
+router.get('/:id', requireScope('read'), authorizeProject('viewer'), enforceQuotas, async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user?.id;
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const userId = req.user.id;
+    const project = req.project;
 
     // Update last accessed
     await updateProjectLastAccessed(id);
@@ -177,6 +476,13 @@ router.get('/:id', enforceQuotas, async (req, res) => {
         memorySize: project.memory_size,
         lastMemoryUpdate: project.last_memory_update,
         status: project.status,
+        organizationId: project.organization_id,
+        repoUrl: project.repo_url,
+        parentProjectId: project.parent_project_id,
+        forkedFromCommit: project.forked_from_commit,
+        archivedAt: project.archived_at,
+        archiveSizeBytes: project.archive_size_bytes,
+        role: req.projectRole,
         createdAt: project.created_at,
         updatedAt: project.updated_at,
         lastAccessed: project.last_accessed
@@ -192,10 +498,10 @@ router.get('/:id', enforceQuotas, async (req, res) => {
  * GET /api/projects/session/:sessionId
  * Get project by session ID
  */
-router.get('/session/:sessionId', enforceQuotas, async (req, res) => {
+router.get('/session/:sessionId', requireScope('read'), enforceQuotas, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
 
     const project = await getProjectBySessionId(sessionId);
 
@@ -203,8 +509,10 @@ router.get('/session/:sessionId', enforceQuotas, async (req, res) => {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Check ownership
-    if (!checkOwnership(project, req)) {
+    // Check membership
+    const role = await getProjectRole(project.id, userId);
+
+    if (!hasProjectRole(role, 'viewer')) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -218,6 +526,7 @@ router.get('/session/:sessionId', enforceQuotas, async (req, res) => {
         framework: project.framework,
         language: project.language,
         hasMemory: project.has_memory,
+        role,
         createdAt: project.created_at
       }
     });
@@ -231,23 +540,11 @@ router.get('/session/:sessionId', enforceQuotas, async (req, res) => {
  * PATCH /api/projects/:id
  * Update project details
  */
-router.patch('/:id', enforceQuotas, async (req, res) => {
+router.patch('/:id', requireScope('write'), authorizeProject('owner'), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const { name, description, framework, language } = req.body;
 
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     // Note: In a full implementation, we'd have an updateProject query
     // For now, this is a placeholder
     res.json({
@@ -262,55 +559,129 @@ router.patch('/:id', enforceQuotas, async (req, res) => {
 
 /**
  * DELETE /api/projects/:id
- * Archive a project (soft delete)
+ * Move a project to the trash (restorable until PROJECT_TRASH_RETENTION_DAYS pass)
  */
-router.delete('/:id', enforceQuotas, async (req, res) => {
+router.delete('/:id', requireScope('write'), authorizeProject('owner', 'id', { allowReadOnly: true }), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const project = await lifecycleService.trashProject(req.project.id, { userId: req.user.id });
 
-    const project = await getProjectById(id);
+    res.json({
+      success: true,
+      message: 'Project moved to trash',
+      project: {
+        id: project.id,
+        status: project.status,
+        deletedAt: project.deleted_at,
+        purgeAfter: project.purge_after
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
 
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
+/**
+ * POST /api/projects/:id/restore
+ * Take a project out of the trash
+ */
+router.post('/:id/restore', requireScope('write'), authorizeProject('owner', 'id', { allowReadOnly: true, allowDeleted: true }), enforceQuotas, async (req, res) => {
+  try {
+    const project = await lifecycleService.restoreFromTrash(req.project.id, { userId: req.user.id });
 
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
+    res.json({
+      success: true,
+      project: {
+        id: project.id,
+        sessionId: project.session_id,
+        name: project.name,
+        description: project.description,
+        framework: project.framework,
+        language: project.language,
+        status: project.status,
+        organizationId: project.organization_id,
+        repoUrl: project.repo_url,
+        role: req.projectRole,
+        hasMemory: project.has_memory,
+        createdAt: project.created_at,
+        updatedAt: project.updated_at
+      }
+    });
+  } catch (error) {
+    if (error.code === 'NOT_DELETED') {
+      return res.status(409).json({ error: error.message });
     }
 
-    // Note: In a full implementation, we'd update status to 'archived'
-    // For now, this is a placeholder
+    console.error('Error restoring project from trash:', error);
+    res.status(500).json({ error: 'Failed to restore project' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/archive
+ * Stop the project's dev server and previews and move its workspace to cold storage
+ * The project stays readable but refuses changes until unarchived
+ */
+router.post('/:id/archive', requireScope('write'), authorizeProject('owner'), enforceQuotas, async (req, res) => {
+  try {
+    const project = await lifecycleService.archiveProject(req.project.id, {
+      userId: req.user.id,
+      reason: 'manual'
+    });
+
     res.json({
       success: true,
-      message: 'Project archive endpoint - to be implemented with updateProject query'
+      project: {
+        id: project.id,
+        status: project.status,
+        archivedAt: project.archived_at,
+        archiveSizeBytes: project.archive_size_bytes
+      }
     });
   } catch (error) {
+    if (error.code === 'ALREADY_ARCHIVED') {
+      return res.status(409).json({ error: error.message });
+    }
+
     console.error('Error archiving project:', error);
     res.status(500).json({ error: 'Failed to archive project' });
   }
 });
 
 /**
- * POST /api/projects/:id/build
- * Trigger a build for the project
+ * POST /api/projects/:id/unarchive
+ * Restore an archived project's workspace from cold storage
  */
-router.post('/:id/build', enforceQuotas, checkBuildQuota, async (req, res) => {
+router.post('/:id/unarchive', requireScope('write'), authorizeProject('editor', 'id', { allowReadOnly: true }), enforceQuotas, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const project = await lifecycleService.restoreProject(req.project.id, { userId: req.user.id });
 
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    res.json({
+      success: true,
+      project: {
+        id: project.id,
+        status: project.status,
+        lastAccessed: project.last_accessed
+      }
+    });
+  } catch (error) {
+    if (error.code === 'NOT_ARCHIVED') {
+      return res.status(409).json({ error: error.message });
     }
 
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    console.error('Error restoring project:', error);
+    res.status(500).json({ error: 'Failed to restore project' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/build
+ * Trigger a build for the project
+ */
+router.post('/:id/build', requireScope('build'), authorizeProject('editor'), enforceQuotas, checkStorageQuota, checkBuildQuota, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const project = req.project;
 
     // Trigger build asynchronously
     const buildResult = await dockerService.buildProject(
@@ -319,9 +690,13 @@ router.post('/:id/build', enforceQuotas, checkBuildQuota, async (req, res) => {
       userId
     );
 
+    // Build output lands in the workspace
+    storageService.scheduleMeasure(project.id);
+
     res.json({
       success: buildResult.success,
       buildId: buildResult.buildId,
+      commitSha: buildResult.commitSha,
       message: buildResult.success ? 'Build completed successfully' : 'Build failed',
       logs: buildResult.logs,
       error: buildResult.error
@@ -336,22 +711,12 @@ router.post('/:id/build', enforceQuotas, checkBuildQuota, async (req, res) => {
  * POST /api/projects/:id/deploy
  * Deploy a project
  */
-router.post('/:id/deploy', enforceQuotas, checkContainerQuota, async (req, res) => {
+router.post('/:id/deploy', requireScope('build'), authorizeProject('owner'), enforceQuotas, checkContainerQuota, async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const { buildId } = req.body;
 
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
+    const project = req.project;
 
     // Deploy project
     const deployResult = await dockerService.deployProject(
@@ -378,141 +743,4 @@ router.post('/:id/deploy', enforceQuotas, checkContainerQuota, async (req, res)
   }
 });
 
-/**
- * GET /api/projects/:id/files
- * List project files
- */
-router.get('/:id/files', enforceQuotas, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-    const { path: relativePath = '' } = req.query;
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    const targetPath = path.join(project.path, relativePath);
-
-    // Security check: ensure path is within project directory
-    if (!targetPath.startsWith(project.path)) {
-      return res.status(403).json({ error: 'Invalid path' });
-    }
-
-    const files = await fs.readdir(targetPath, { withFileTypes: true });
-
-    const fileList = files.map(file => ({
-      name: file.name,
-      type: file.isDirectory() ? 'directory' : 'file',
-      path: path.join(relativePath, file.name)
-    }));
-
-    res.json({
-      success: true,
-      files: fileList,
-      currentPath: relativePath
-    });
-  } catch (error) {
-    console.error('Error listing files:', error);
-    res.status(500).json({ error: 'Failed to list files' });
-  }
-});
-
-/**
- * GET /api/projects/:id/files/content
- * Get file content
- */
-router.get('/:id/files/content', enforceQuotas, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-    const { path: relativePath } = req.query;
-
-    if (!relativePath) {
-      return res.status(400).json({ error: 'File path is required' });
-    }
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    const targetPath = path.join(project.path, relativePath);
-
-    // Security check: ensure path is within project directory
-    if (!targetPath.startsWith(project.path)) {
-      return res.status(403).json({ error: 'Invalid path' });
-    }
-
-    const content = await fs.readFile(targetPath, 'utf8');
-
-    res.json({
-      success: true,
-      content,
-      path: relativePath
-    });
-  } catch (error) {
-    console.error('Error reading file:', error);
-    res.status(500).json({ error: 'Failed to read file' });
-  }
-});
-
-/**
- * PUT /api/projects/:id/files/content
- * Update file content
- */
-router.put('/:id/files/content', enforceQuotas, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user?.id;
-    const { path: relativePath, content } = req.body;
-
-    if (!relativePath || content === undefined) {
-      return res.status(400).json({ error: 'File path and content are required' });
-    }
-
-    const project = await getProjectById(id);
-
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-
-    // Check ownership
-    if (!checkOwnership(project, req)) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
-    const targetPath = path.join(project.path, relativePath);
-
-    // Security check: ensure path is within project directory
-    if (!targetPath.startsWith(project.path)) {
-      return res.status(403).json({ error: 'Invalid path' });
-    }
-
-    await fs.writeFile(targetPath, content, 'utf8');
-
-    res.json({
-      success: true,
-      message: 'File updated successfully',
-      path: relativePath
-    });
-  } catch (error) {
-    console.error('Error writing file:', error);
-    res.status(500).json({ error: 'Failed to write file' });
-  }
-});
-
 export default router;
@@ -0,0 +1,60 @@
+/**
+ * Project Search Routes
+ * Full-text search across a project's files
+ */
+
+import express from 'express';
+import searchService from '../services/searchService.js';
+import { enforceQuotas } from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, requireWorkspace } from '../middleware/projectAccess.js';
+
+const router = express.Router();
+
+// Helper function to read a boolean query flag ("true"/"1")
+function queryFlag(value, defaultValue = false) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  return value === 'true' || value === '1';
+}
+
+/**
+ * GET /api/projects/:id/search?q=<text>
+ * Search file contents
+ * Options: regex, caseSensitive, wholeWord, include/exclude (comma-separated globs),
+ * gitignore (default true), maxResults, context (lines around each match)
+ */
+router.get('/:id/search', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { q, include, exclude, maxResults, context } = req.query;
+
+    const search = await searchService.search(req.project.path, {
+      query: q,
+      regex: queryFlag(req.query.regex),
+      caseSensitive: queryFlag(req.query.caseSensitive),
+      wholeWord: queryFlag(req.query.wholeWord),
+      include,
+      exclude,
+      respectGitignore: queryFlag(req.query.gitignore, true),
+      maxResults,
+      contextLines: context
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      ...search
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Error searching project:', error);
+    res.status(500).json({ error: 'Failed to search project' });
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+/**
+ * Project Secret Routes
+ * Manage encrypted environment variables; values are write-only over the API
+ */
+
+import express from 'express';
+import { logEvent } from '../db/queries.js';
+import secretsService from '../services/secretsService.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject } from '../middleware/projectAccess.js';
+
+const router = express.Router();
+
+// Helper middleware to refuse secret writes when no master key is configured
+function requireSecretsConfigured(req, res, next) {
+  if (!secretsService.isConfigured()) {
+    return res.status(503).json({ error: 'Project secrets are not configured on this server (SECRETS_MASTER_KEY)' });
+  }
+
+  next();
+}
+
+// Helper function to map secrets service errors to responses
+function handleSecretError(res, error, fallbackMessage) {
+  if (error.code === 'INVALID_SECRET') {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.code === 'SECRETS_DISABLED') {
+    return res.status(503).json({ error: error.message });
+  }
+
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'A secret with this name already exists' });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+/**
+ * GET /api/projects/:id/secrets
+ * List secret names and settings (never values)
+ */
+router.get('/:id/secrets', requireScope('read'), authorizeProject('editor'), async (req, res) => {
+  try {
+    const secrets = await secretsService.listSecrets(req.project.id);
+
+    res.json({
+      success: true,
+      secrets,
+      configured: secretsService.isConfigured(),
+      total: secrets.length
+    });
+  } catch (error) {
+    console.error('Error listing project secrets:', error);
+    res.status(500).json({ error: 'Failed to list secrets' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/secrets
+ * Create a secret: { name, value, exposeToBuild }
+ * Takes effect on the next dev server start, build or deploy
+ */
+router.post('/:id/secrets', requireScope('write'), authorizeProject('owner'), requireSecretsConfigured, async (req, res) => {
+  try {
+    const { name, value, exposeToBuild = false } = req.body;
+
+    const secret = await secretsService.createSecret(req.project.id, { name, value, exposeToBuild }, req.user.id);
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: req.project.id,
+      kind: 'secret_created',
+      status: 'success',
+      message: `Secret ${secret.name} created`,
+      meta: { name: secret.name, exposeToBuild: secret.exposeToBuild }
+    });
+
+    res.status(201).json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    handleSecretError(res, error, 'Failed to create secret');
+  }
+});
+
+/**
+ * PUT /api/projects/:id/secrets/:name
+ * Replace a secret's value and/or change exposeToBuild
+ */
+router.put('/:id/secrets/:name', requireScope('write'), authorizeProject('owner'), requireSecretsConfigured, async (req, res) => {
+  try {
+    const { value, exposeToBuild } = req.body;
+
+    const secret = await secretsService.updateSecret(req.project.id, req.params.name, { value, exposeToBuild }, req.user.id);
+
+    if (!secret) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: req.project.id,
+      kind: 'secret_updated',
+      status: 'success',
+      message: `Secret ${secret.name} updated`,
+      meta: { name: secret.name, valueChanged: value !== undefined, exposeToBuild: secret.exposeToBuild }
+    });
+
+    res.json({
+      success: true,
+      secret
+    });
+  } catch (error) {
+    handleSecretError(res, error, 'Failed to update secret');
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/secrets/:name
+ * Delete a secret
+ */
+router.delete('/:id/secrets/:name', requireScope('write'), authorizeProject('owner'), async (req, res) => {
+  try {
+    const deleted = await secretsService.deleteSecret(req.project.id, req.params.name);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: req.project.id,
+      kind: 'secret_deleted',
+      status: 'success',
+      message: `Secret ${req.params.name} deleted`,
+      meta: { name: req.params.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Secret deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting project secret:', error);
+    res.status(500).json({ error: 'Failed to delete secret' });
+  }
+});
+
+export default router;
@@ -0,0 +1,38 @@
+/**
+ * Template Routes
+ * List starter templates available for new projects
+ */
+
+import express from 'express';
+import templateService from '../services/templateService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/templates
+ * List available project templates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await templateService.listTemplates();
+
+    res.json({
+      success: true,
+      templates: templates.map(t => ({
+        id: t.id,
+        name: t.name,
+        description: t.description,
+        framework: t.framework,
+        language: t.language,
+        techStack: t.techStack,
+        source: t.source
+      })),
+      total: templates.length
+    });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+/**
+ * Personal Access Token Routes
+ * Create, list and revoke tokens for scripted API access
+ */
+
+import express from 'express';
+import {
+  createAccessToken,
+  getUserAccessTokens,
+  revokeAccessToken,
+  logEvent
+} from '../db/queries.js';
+import {
+  TOKEN_SCOPES,
+  generateAccessToken,
+  hashToken
+} from '../middleware/auth.js';
+
+const router = express.Router();
+
+const MAX_TOKEN_NAME_LENGTH = 100;
+const MAX_EXPIRY_DAYS = 365;
+
+// Helper function to shape a token row for API responses
+function toPublicToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.token_prefix,
+    scopes: token.scopes,
+    createdAt: token.created_at,
+    expiresAt: token.expires_at,
+    lastUsedAt: token.last_used_at,
+    revokedAt: token.revoked_at
+  };
+}
+
+/**
+ * POST /api/tokens
+ * Create a personal access token (the raw token is only returned here)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_TOKEN_NAME_LENGTH) {
+      return res.status(400).json({ error: `Token name is required (max ${MAX_TOKEN_NAME_LENGTH} characters)` });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required', validScopes: TOKEN_SCOPES });
+    }
+
+    const invalidScopes = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        error: `Invalid scopes: ${invalidScopes.join(', ')}`,
+        validScopes: TOKEN_SCOPES
+      });
+    }
+
+    let expiresAt = null;
+
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const rawToken = generateAccessToken();
+
+    const token = await createAccessToken({
+      userId,
+      name: name.trim(),
+      tokenHash: hashToken(rawToken),
+      tokenPrefix: rawToken.slice(0, 16),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    await logEvent({
+      userId,
+      kind: 'access_token_created',
+      status: 'success',
+      message: `Access token "${token.name}" created`,
+      meta: { tokenId: token.id, scopes: token.scopes },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    console.log(`🔑 Access token created for user ${userId}: ${token.name} [${token.scopes.join(', ')}]`);
+
+    res.status(201).json({
+      success: true,
+      token: rawToken,
+      accessToken: toPublicToken(token)
+    });
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+});
+
+/**
+ * GET /api/tokens
+ * List the current user's tokens (never includes the token itself)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await getUserAccessTokens(req.user.id);
+
+    res.json({
+      success: true,
+      tokens: tokens.map(toPublicToken)
+    });
+  } catch (error) {
+    console.error('Error listing access tokens:', error);
+    res.status(500).json({ error: 'Failed to list access tokens' });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke a token
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const revoked = await revokeAccessToken(req.params.id, userId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    await logEvent({
+      userId,
+      kind: 'access_token_revoked',
+      status: 'success',
+      message: `Access token "${revoked.name}" revoked`,
+      meta: { tokenId: revoked.id },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Access token revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+/**
+ * Version Routes
+ * Git history, diffs and restores for project workspaces
+ */
+
+import express from 'express';
+import path from 'path';
+import { logEvent } from '../db/queries.js';
+import gitService from '../services/gitService.js';
+import fileHistoryService from '../services/fileHistoryService.js';
+import realtimeService from '../services/realtimeService.js';
+import storageService from '../services/storageService.js';
+import { enforceQuotas } from '../middleware/quotas.js';
+import { requireScope } from '../middleware/auth.js';
+import { authorizeProject, requireWorkspace } from '../middleware/projectAccess.js';
+
+const router = express.Router();
+
+// Helper function to validate an optional path filter (relative, inside the project)
+function isSafeRelativePath(relativePath) {
+  const normalized = path.normalize(relativePath);
+  return !path.isAbsolute(normalized) && !normalized.startsWith('..');
+}
+
+/**
+ * GET /api/projects/:id/commits
+ * List workspace commits, newest first (optional ?path= to filter by file)
+ */
+router.get('/:id/commits', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { path: filePath } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (filePath && !isSafeRelativePath(filePath)) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const commits = await gitService.getLog(req.project.path, { limit, offset, path: filePath });
+
+    res.json({
+      success: true,
+      commits,
+      head: await gitService.getHead(req.project.path),
+      total: commits.length
+    });
+  } catch (error) {
+    console.error('Error listing commits:', error);
+    res.status(500).json({ error: 'Failed to list commits' });
+  }
+});
+
+/**
+ * GET /api/projects/:id/diff?from=<sha>&to=<sha>
+ * Diff two commits (optional ?path= to limit to one file)
+ */
+router.get('/:id/diff', requireScope('read'), authorizeProject('viewer'), requireWorkspace, enforceQuotas, async (req, res) => {
+  try {
+    const { from, to, path: filePath } = req.query;
+
+    if (!gitService.isValidSha(from) || !gitService.isValidSha(to)) {
+      return res.status(400).json({ error: 'from and to must be commit SHAs' });
+    }
+
+    if (filePath && !isSafeRelativePath(filePath)) {
+      return res.status(403).json({ error: 'Invalid path' });
+    }
+
+    const fromSha = await gitService.resolveCommit(req.project.path, from);
+    const toSha = await gitService.resolveCommit(req.project.path, to);
+
+    if (!fromSha || !toSha) {
+      return res.status(404).json({ error: 'Commit not found' });
+    }
+
+    const { files, diff } = await gitService.getDiff(req.project.path, fromSha, toSha, filePath);
+
+    res.json({
+      success: true,
+      from: fromSha,
+      to: toSha,
+      files,
+      diff
+    });
+  } catch (error) {
+    console.error('Error diffing commits:', error);
+    res.status(500).json({ error: 'Failed to diff commits' });
+  }
+});
+
+/**
+ * POST /api/projects/:id/commits/:sha/restore
+ * Restore the workspace to a commit (recorded as a new commit, history is kept)
+ * Responds with the paths the restore changed; their replaced versions go to file history
+ */
+router.post('/:id/commits/:sha/restore', requireScope('write'), authorizeProject('editor'), enforceQuotas, async (req, res) => {
+  try {
+    const project = req.project;
+    const sha = await gitService.resolveCommit(project.path, req.params.sha);
+
+    if (!sha) {
+      return res.status(404).json({ error: 'Commit not found' });
+    }
+
+    const { commitSha, previousSha } = await gitService.restore(project.path, sha, gitService.authorFor(req.user));
+
+    // Like the file write routes: keep what the restore replaced and tell open clients what changed
+    const paths = commitSha === previousSha ? [] : await gitService.getChangedPaths(project.path, previousSha, commitSha);
+
+    if (paths.length > 0) {
+      await fileHistoryService.recordRestore(project, paths, previousSha, { userId: req.user.id });
+
+      storageService.scheduleMeasure(project.id);
+      realtimeService.emitFileChange(project.id, { action: 'restored', type: 'file', path: '', paths, userId: req.user.id, commitSha });
+    }
+
+    await logEvent({
+      userId: req.user.id,
+      projectId: project.id,
+      kind: 'workspace_restored',
+      status: 'success',
+      message: `Workspace restored to ${sha.slice(0, 7)}`,
+      meta: { restoredSha: sha, commitSha }
+    });
+
+    res.json({
+      success: true,
+      message: `Workspace restored to ${sha.slice(0, 7)}`,
+      restoredSha: sha,
+      commitSha,
+      paths
+    });
+  } catch (error) {
+    console.error('Error restoring workspace:', error);
+    res.status(500).json({ error: 'Failed to restore workspace' });
+  }
+});
+
+export default router;
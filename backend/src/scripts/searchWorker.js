@@ -0,0 +1,117 @@
+/**
+ * Search Worker
+ * Matches a compiled search query against project files off the main thread
+ *
+ * Started by searchService for every search. User-supplied regular expressions
+ * can backtrack catastrophically, and V8 cannot interrupt a running exec(), so
+ * matching runs here where the service can terminate the whole thread at the
+ * search deadline without blocking the event loop.
+ *
+ * workerData: { projectPath, files, source, flags, limit, context,
+ *               maxFileBytes, maxLineLength, maxPreviewLength }
+ * Messages posted to the parent:
+ *   { type: 'file', path, matches, filesSearched } - after every searched file
+ *   { type: 'done', filesSearched, truncated }     - when all files are searched
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parentPort, workerData } from 'worker_threads';
+
+const {
+  projectPath,
+  files,
+  source,
+  flags,
+  limit,
+  context,
+  maxFileBytes,
+  maxLineLength,
+  maxPreviewLength
+} = workerData;
+
+/**
+ * Read a file as lines, skipping large, binary and vanished files
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<Array<string>|null>} Lines or null if the file is not searchable
+ */
+async function readTextLines(filePath) {
+  try {
+    const stats = await fs.lstat(filePath);
+    if (!stats.isFile() || stats.size > maxFileBytes) {
+      return null;
+    }
+
+    const buffer = await fs.readFile(filePath);
+    // Same heuristic as git: a NUL byte near the start means binary
+    if (buffer.subarray(0, 8000).includes(0)) {
+      return null;
+    }
+
+    return buffer.toString('utf8').split(/\r?\n/);
+  } catch (error) {
+    // Tracked but deleted from the workspace, or removed mid-search
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+const matcher = new RegExp(source, flags);
+let totalMatches = 0;
+let filesSearched = 0;
+let truncated = false;
+
+for (const file of files) {
+  if (totalMatches >= limit) {
+    truncated = true;
+    break;
+  }
+
+  const lines = await readTextLines(path.join(projectPath, file));
+  if (!lines) {
+    continue;
+  }
+  filesSearched++;
+
+  const matches = [];
+
+  for (let index = 0; index < lines.length && totalMatches < limit; index++) {
+    const line = lines[index];
+    if (line.length > maxLineLength) {
+      continue;
+    }
+
+    matcher.lastIndex = 0;
+    let match;
+
+    while ((match = matcher.exec(line)) !== null) {
+      // Zero-length matches (e.g. /^/) would otherwise never advance
+      if (match[0].length === 0) {
+        matcher.lastIndex++;
+      }
+
+      matches.push({
+        line: index + 1,
+        column: match.index + 1,
+        length: match[0].length,
+        text: line.slice(0, maxPreviewLength),
+        ...(context > 0 && {
+          before: lines.slice(Math.max(0, index - context), index).map(text => text.slice(0, maxPreviewLength)),
+          after: lines.slice(index + 1, index + 1 + context).map(text => text.slice(0, maxPreviewLength))
+        })
+      });
+      totalMatches++;
+
+      if (totalMatches >= limit) {
+        truncated = true;
+        break;
+      }
+    }
+  }
+
+  parentPort.postMessage({ type: 'file', path: file, matches, filesSearched });
+}
+
+parentPort.postMessage({ type: 'done', filesSearched, truncated });
@@ -0,0 +1,273 @@
+/**
+ * Agent Runner
+ * Runs one AI agent turn and streams its events, independent of how the agent is run
+ *
+ * Both chat paths (socket ai-message turns in chatTurnService.js and the REST
+ * chat API in claudeService.js) start turns through the runner chosen by
+ * AGENT_RUNNER:
+ *
+ * - cli (default): spawns the Claude Code CLI. AGENT_CLI_PATH is the binary
+ *   (default `claude` on PATH) and AGENT_CLI_ARGS its flags (default
+ *   DEFAULT_CLI_ARGS). The session ID and prompt are appended per turn, the
+ *   prompt after `--` so text starting with "-" is not read as a flag. Turns
+ *   that carry content blocks (images) send user messages on stdin instead,
+ *   with --input-format stream-json (see userMessage).
+ * - mock: replays recorded stream-json fixtures (AGENT_MOCK_FIXTURES, a comma
+ *   separated list of JSONL files, one per turn; the last one repeats, with
+ *   AGENT_MOCK_DELAY_MS between events) so streaming, persistence and memory
+ *   updates can be tested without the CLI.
+ *
+ * A turn is an AgentRun: it emits `event` for every stream-json object
+ * (system, assistant, user, result), `stderr` for diagnostic output, `error`
+ * if it could not start, and `close` with the exit code (null when stopped).
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+
+export const DEFAULT_CLI_ARGS = [
+  '--print',                          // Non-interactive mode
+  '--output-format', 'stream-json',   // One JSON event per line
+  '--verbose',                        // Required for stream-json with --print
+  '--dangerously-skip-permissions'    // Auto-accept permissions for automation
+];
+
+/**
+ * Wrap content as a stream-json input message (the envelope the CLI reads with --input-format stream-json)
+ * @param {string|Array<Object>} content - Text, or content blocks (text, image)
+ * @returns {Object} { type: 'user', message: { role: 'user', content } }
+ */
+export function userMessage(content) {
+  return { type: 'user', message: { role: 'user', content } };
+}
+
+/**
+ * One running agent turn
+ * Runners emit its events; callers listen and may stop it
+ */
+export class AgentRun extends EventEmitter {
+  constructor(stopHandler) {
+    super();
+    this.stopHandler = stopHandler;
+    this.stopped = false;
+    this.closed = false;
+  }
+
+  /**
+   * Stop the turn; it closes with exit code null
+   */
+  stop() {
+    if (this.stopped || this.closed) {
+      return;
+    }
+    this.stopped = true;
+    this.stopHandler();
+  }
+
+  /**
+   * Finish the turn (called by runners)
+   * @param {number|null} code - Exit code, null if stopped
+   */
+  finish(code) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close', code);
+  }
+}
+
+/**
+ * Runs turns with the Claude Code CLI (stream-json output)
+ */
+export class CliAgentRunner {
+  /**
+   * @param {Object} options - { command: CLI binary, args: flags before the per-turn arguments }
+   */
+  constructor({ command = 'claude', args = DEFAULT_CLI_ARGS } = {}) {
+    this.command = command;
+    this.args = args;
+  }
+
+  /**
+   * Start a turn
+   * @param {Object} options - { prompt, cwd, sessionId, input, env }
+   *   input: stream-json user messages (see userMessage) written to stdin with --input-format stream-json;
+   *   when given they are the whole turn and prompt is not used
+   * @returns {AgentRun} Running turn
+   */
+  start({ prompt = null, cwd, sessionId, input = null, env = process.env }) {
+    const args = [...this.args];
+
+    if (sessionId) {
+      args.push('--session-id', sessionId);
+    }
+
+    if (input) {
+      args.push('--input-format', 'stream-json');
+    } else if (prompt !== null) {
+      args.push('--', prompt);
+    }
+
+    const child = spawn(this.command, args, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'] });
+    const run = new AgentRun(() => child.kill('SIGTERM'));
+
+    // Events can be split across chunks; keep the unfinished last line for the next one
+    let buffered = '';
+    const emitLines = (text) => {
+      for (const line of text.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          run.emit('event', JSON.parse(line));
+        } catch {
+          // Non-JSON line, likely verbose debug output - ignore
+        }
+      }
+    };
+
+    child.stdout.on('data', (data) => {
+      buffered += data.toString();
+      const lastNewline = buffered.lastIndexOf('\n');
+      if (lastNewline !== -1) {
+        emitLines(buffered.slice(0, lastNewline));
+        buffered = buffered.slice(lastNewline + 1);
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      run.emit('stderr', data.toString());
+    });
+
+    child.on('close', (code) => {
+      emitLines(buffered);
+      buffered = '';
+      run.finish(run.stopped ? null : code);
+    });
+
+    child.on('error', (error) => {
+      run.closed = true;
+      run.emit('error', new Error(`Failed to start agent CLI (${this.command}): ${error.message}`));
+    });
+
+    // The CLI waits for stdin to close before it starts
+    if (input) {
+      for (const message of input) {
+        child.stdin.write(JSON.stringify(message) + '\n');
+      }
+    }
+    child.stdin.end();
+
+    return run;
+  }
+}
+
+/**
+ * Replays recorded stream-json fixtures instead of running an agent
+ */
+export class MockAgentRunner {
+  /**
+   * @param {Object} options - { fixtures: JSONL file paths or event arrays, one per turn (the last repeats),
+   *   delayMs: pause between events, exitCode }
+   */
+  constructor({ fixtures = [], delayMs = 0, exitCode = 0 } = {}) {
+    if (fixtures.length === 0) {
+      throw new Error('MockAgentRunner needs at least one fixture');
+    }
+
+    this.fixtures = fixtures;
+    this.delayMs = delayMs;
+    this.exitCode = exitCode;
+    this.calls = []; // Options of every started turn, for assertions
+  }
+
+  /**
+   * Load a fixture's events
+   * @param {string|Array<Object>} fixture - JSONL file path or events
+   * @returns {Array<Object>} Events
+   */
+  loadFixture(fixture) {
+    if (Array.isArray(fixture)) {
+      return fixture;
+    }
+
+    return fs.readFileSync(fixture, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Start a turn that replays the next fixture
+   * @param {Object} options - Same as CliAgentRunner.start (recorded, otherwise ignored)
+   * @returns {AgentRun} Running turn
+   */
+  start(options = {}) {
+    const fixture = this.fixtures[Math.min(this.calls.length, this.fixtures.length - 1)];
+    this.calls.push(options);
+
+    let timer = null;
+    const run = new AgentRun(() => {
+      clearTimeout(timer);
+      // Stopping is asynchronous for the CLI too
+      setImmediate(() => run.finish(null));
+    });
+
+    let events;
+    try {
+      events = this.loadFixture(fixture);
+    } catch (error) {
+      setImmediate(() => {
+        run.closed = true;
+        run.emit('error', new Error(`Failed to load agent fixture: ${error.message}`));
+      });
+      return run;
+    }
+
+    const replay = (index) => {
+      if (run.stopped) {
+        return;
+      }
+      if (index >= events.length) {
+        run.finish(this.exitCode);
+        return;
+      }
+      run.emit('event', events[index]);
+      timer = setTimeout(() => replay(index + 1), this.delayMs);
+    };
+
+    // Listeners are attached after start() returns
+    timer = setTimeout(() => replay(0), this.delayMs);
+
+    return run;
+  }
+}
+
+/**
+ * Create the runner configured by environment variables
+ * @param {Object} env - Environment (AGENT_RUNNER, AGENT_CLI_PATH, AGENT_CLI_ARGS, AGENT_MOCK_FIXTURES)
+ * @returns {CliAgentRunner|MockAgentRunner} Runner
+ */
+export function createAgentRunner(env = process.env) {
+  const type = env.AGENT_RUNNER || 'cli';
+
+  if (type === 'mock') {
+    const fixtures = (env.AGENT_MOCK_FIXTURES || '').split(',').map(file => file.trim()).filter(Boolean);
+    return new MockAgentRunner({ fixtures, delayMs: parseInt(env.AGENT_MOCK_DELAY_MS || '0') });
+  }
+
+  if (type !== 'cli') {
+    throw new Error(`Unknown AGENT_RUNNER "${type}" (expected cli or mock)`);
+  }
+
+  return new CliAgentRunner({
+    command: env.AGENT_CLI_PATH || 'claude',
+    args: env.AGENT_CLI_ARGS ? env.AGENT_CLI_ARGS.split(/\s+/).filter(Boolean) : DEFAULT_CLI_ARGS
+  });
+}
+
+// Export singleton instance
+const agentRunner = createAgentRunner();
+export default agentRunner;
@@ -0,0 +1,372 @@
+/**
+ * Archive Service
+ * Export and import whole projects as portable .tar.gz archives
+ *
+ * Archive layout:
+ *   manifest.json           - format, version, project metadata, record counts
+ *   data/memory_snapshots.json
+ *   data/chat_messages.json
+ *   data/builds.json        - build metadata (no logs)
+ *   history.bundle          - git history of the workspace (when it has commits)
+ *   workspace/              - project files, without node_modules or .git
+ *
+ * Imports validate the manifest version and reject any archive containing
+ * absolute paths, ".." segments, a .git directory inside workspace/ (its hooks
+ * and config would run on the server) or workspace links pointing outside
+ * workspace/ or into .git.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as tar from 'tar';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  getProjectArchiveData,
+  createProjectFromArchive
+} from '../db/queries.js';
+import gitService from './gitService.js';
+
+export const ARCHIVE_FORMAT = 'atlasengine-project';
+export const ARCHIVE_VERSION = 1;
+
+// Manifest versions this server can import
+const SUPPORTED_VERSIONS = [1];
+
+const MANIFEST_FILE = 'manifest.json';
+const DATA_DIR = 'data';
+const WORKSPACE_DIR = 'workspace';
+const BUNDLE_FILE = 'history.bundle';
+
+// Never exported; .git travels as a bundle instead
+const EXCLUDED_DIRS = ['node_modules', '.git'];
+
+// Entry types allowed in an imported archive
+const ALLOWED_ENTRY_TYPES = ['File', 'OldFile', 'ContiguousFile', 'Directory', 'SymbolicLink'];
+
+// Builds that were in flight at export time cannot resume elsewhere
+const TERMINAL_BUILD_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+class ArchiveService {
+  /**
+   * Build a validation error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code INVALID_ARCHIVE
+   */
+  invalidArchive(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ARCHIVE';
+    return error;
+  }
+
+  /**
+   * Check whether an archive entry path stays inside the archive
+   * @param {string} entryPath - Path from the tar header
+   * @returns {boolean} True if safe
+   */
+  isSafeEntryPath(entryPath) {
+    if (!entryPath || entryPath.includes('\0')) {
+      return false;
+    }
+
+    if (path.posix.isAbsolute(entryPath) || path.win32.isAbsolute(entryPath)) {
+      return false;
+    }
+
+    return !entryPath.split(/[\\/]+/).includes('..');
+  }
+
+  /**
+   * Check whether an entry is a .git directory (or inside one) under workspace/
+   * @param {string} entryPath - Path from the tar header
+   * @returns {boolean} True if the entry would plant git config or hooks in the project
+   */
+  isWorkspaceGitEntry(entryPath) {
+    const segments = entryPath.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+    return segments[0] === WORKSPACE_DIR && segments.slice(1).some(segment => segment.toLowerCase() === '.git');
+  }
+
+  /**
+   * Check whether a symlink target stays inside the directory that holds it
+   * Workspace links must resolve inside workspace/ (which becomes the project directory,
+   * so anything above it is another user's project) and never into .git
+   * @param {string} entryPath - Link location
+   * @param {string} linkPath - Link target
+   * @returns {boolean} True if safe
+   */
+  isSafeLinkTarget(entryPath, linkPath) {
+    if (!linkPath || path.posix.isAbsolute(linkPath) || path.win32.isAbsolute(linkPath)) {
+      return false;
+    }
+
+    const normalizedEntry = path.posix.normalize(entryPath.replace(/\\/g, '/'));
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(normalizedEntry), linkPath.replace(/\\/g, '/')));
+
+    if (normalizedEntry.split('/')[0] !== WORKSPACE_DIR) {
+      return resolved !== '..' && !resolved.startsWith('../');
+    }
+
+    const segments = resolved.split('/');
+    return segments[0] === WORKSPACE_DIR && !segments.slice(1).some(segment => segment.toLowerCase() === '.git');
+  }
+
+  /**
+   * Export a project to a .tar.gz file
+   * Pending workspace changes are committed first so the bundle is complete
+   *
+   * @param {Object} project - Project row
+   * @returns {Promise<Object>} { archivePath, cleanup } - call cleanup() once sent
+   */
+  async exportProject(project) {
+    const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-export-'));
+    const cleanup = () => fs.rm(stagingDir, { recursive: true, force: true });
+
+    try {
+      await gitService.autoCommit(project.path, 'Snapshot before export');
+
+      const { memorySnapshots, chatMessages, builds } = await getProjectArchiveData(project.id);
+
+      await fs.mkdir(path.join(stagingDir, DATA_DIR));
+      await fs.writeFile(path.join(stagingDir, DATA_DIR, 'memory_snapshots.json'), JSON.stringify(memorySnapshots));
+      await fs.writeFile(path.join(stagingDir, DATA_DIR, 'chat_messages.json'), JSON.stringify(chatMessages));
+      await fs.writeFile(path.join(stagingDir, DATA_DIR, 'builds.json'), JSON.stringify(builds));
+
+      const hasHistory = await gitService.createBundle(project.path, path.join(stagingDir, BUNDLE_FILE));
+
+      await fs.cp(project.path, path.join(stagingDir, WORKSPACE_DIR), {
+        recursive: true,
+        verbatimSymlinks: true,
+        filter: (src) => !EXCLUDED_DIRS.includes(path.basename(src))
+      });
+
+      const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: {
+          name: project.name,
+          description: project.description,
+          framework: project.framework,
+          language: project.language,
+          repoUrl: project.repo_url
+        },
+        history: hasHistory ? BUNDLE_FILE : null,
+        counts: {
+          memorySnapshots: memorySnapshots.length,
+          chatMessages: chatMessages.length,
+          builds: builds.length
+        }
+      };
+
+      await fs.writeFile(path.join(stagingDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+      const archivePath = path.join(stagingDir, 'project.tar.gz');
+      const entries = [MANIFEST_FILE, DATA_DIR, WORKSPACE_DIR];
+      if (hasHistory) {
+        entries.push(BUNDLE_FILE);
+      }
+
+      await tar.c({ gzip: true, portable: true, cwd: stagingDir, file: archivePath }, entries);
+
+      console.log(`📦 Exported project ${project.id} (${manifest.counts.chatMessages} messages, ${manifest.counts.builds} builds)`);
+
+      return { archivePath, cleanup };
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+  }
+
+  /**
+   * Reject archives with unsafe or unexpected entries before extracting anything
+   * @param {string} archivePath - Uploaded .tar.gz
+   * @returns {Promise<void>}
+   * @throws {Error} With code INVALID_ARCHIVE
+   */
+  async validateEntries(archivePath) {
+    const problems = [];
+
+    try {
+      await tar.t({
+        file: archivePath,
+        strict: true,
+        onentry: (entry) => {
+          if (!this.isSafeEntryPath(entry.path)) {
+            problems.push(`Unsafe path: ${entry.path}`);
+          } else if (this.isWorkspaceGitEntry(entry.path)) {
+            problems.push(`Workspace must not contain .git: ${entry.path}`);
+          } else if (!ALLOWED_ENTRY_TYPES.includes(entry.type)) {
+            problems.push(`Unsupported entry type ${entry.type}: ${entry.path}`);
+          } else if (entry.type === 'SymbolicLink' && !this.isSafeLinkTarget(entry.path, entry.linkpath)) {
+            problems.push(`Unsafe link: ${entry.path} -> ${entry.linkpath}`);
+          }
+        }
+      });
+    } catch (error) {
+      throw this.invalidArchive('Archive is not a valid .tar.gz file');
+    }
+
+    if (problems.length > 0) {
+      throw this.invalidArchive(`Archive contains unsafe entries (${problems.slice(0, 3).join('; ')})`);
+    }
+  }
+
+  /**
+   * Read and validate the manifest of an extracted archive
+   * @param {string} extractDir - Extraction directory
+   * @returns {Promise<Object>} Manifest
+   * @throws {Error} With code INVALID_ARCHIVE
+   */
+  async readManifest(extractDir) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(extractDir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      throw this.invalidArchive(`${MANIFEST_FILE} is missing or not valid JSON`);
+    }
+
+    if (manifest.format !== ARCHIVE_FORMAT) {
+      throw this.invalidArchive('Not an AtlasEngine project archive');
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(manifest.version)) {
+      throw this.invalidArchive(
+        `Unsupported archive version ${manifest.version} (supported: ${SUPPORTED_VERSIONS.join(', ')})`
+      );
+    }
+
+    if (!manifest.project?.name) {
+      throw this.invalidArchive('Manifest is missing the project name');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Read one of the archive's data files
+   * @param {string} extractDir - Extraction directory
+   * @param {string} name - File name without extension
+   * @returns {Promise<Array>} Records
+   * @throws {Error} With code INVALID_ARCHIVE
+   */
+  async readData(extractDir, name) {
+    try {
+      const records = JSON.parse(await fs.readFile(path.join(extractDir, DATA_DIR, `${name}.json`), 'utf8'));
+      if (!Array.isArray(records)) {
+        throw new Error('not an array');
+      }
+      return records;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw this.invalidArchive(`${DATA_DIR}/${name}.json is malformed`);
+    }
+  }
+
+  /**
+   * Insert the project and its history, reporting bad records as an invalid archive
+   * @param {Object} archiveData - Arguments for createProjectFromArchive
+   * @returns {Promise<Object>} Created project
+   * @throws {Error} With code INVALID_ARCHIVE if records violate the schema
+   */
+  async createProjectRecords(archiveData) {
+    try {
+      return await createProjectFromArchive(archiveData);
+    } catch (error) {
+      // 22xxx data exceptions, 23xxx constraint violations (e.g. an unknown message role)
+      if (/^2[23]/.test(error.code || '')) {
+        throw this.invalidArchive(`Archive data failed validation: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Import an archive as a new project owned by the caller
+   * @param {string} archivePath - Uploaded .tar.gz
+   * @param {Object} options - { userId, projectsDir, name, organizationId }
+   * @returns {Promise<Object>} { project, manifest }
+   * @throws {Error} With code INVALID_ARCHIVE for bad archives
+   */
+  async importArchive(archivePath, { userId, projectsDir, name, organizationId = null }) {
+    await this.validateEntries(archivePath);
+
+    const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-import-'));
+    const sessionId = uuidv4();
+    const projectPath = path.join(projectsDir, `${userId}_${sessionId}`);
+
+    try {
+      await tar.x({
+        file: archivePath,
+        cwd: extractDir,
+        strict: true,
+        filter: (entryPath, entry) => ALLOWED_ENTRY_TYPES.includes(entry.type)
+      });
+
+      const manifest = await this.readManifest(extractDir);
+      const memorySnapshots = await this.readData(extractDir, 'memory_snapshots');
+      const chatMessages = await this.readData(extractDir, 'chat_messages');
+      const builds = (await this.readData(extractDir, 'builds')).map(build => ({
+        ...build,
+        status: TERMINAL_BUILD_STATUSES.includes(build.status) ? build.status : 'cancelled'
+      }));
+
+      const workspaceDir = path.join(extractDir, WORKSPACE_DIR);
+      const workspaceStat = await fs.stat(workspaceDir).catch(() => null);
+      if (!workspaceStat?.isDirectory()) {
+        throw this.invalidArchive(`Archive has no ${WORKSPACE_DIR}/ directory`);
+      }
+
+      await fs.mkdir(projectsDir, { recursive: true });
+      await fs.rename(workspaceDir, projectPath).catch(() =>
+        fs.cp(workspaceDir, projectPath, { recursive: true, verbatimSymlinks: true })
+      );
+
+      if (manifest.history) {
+        try {
+          await gitService.restoreFromBundle(path.join(extractDir, BUNDLE_FILE), projectPath);
+        } catch (error) {
+          if (error.code === 'CLONE_FAILED') {
+            throw this.invalidArchive(error.message);
+          }
+          throw error;
+        }
+      }
+      await gitService.initRepo(projectPath, 'Import project archive');
+
+      const claudeMd = await fs.stat(path.join(projectPath, 'CLAUDE.md')).catch(() => null);
+
+      const project = await this.createProjectRecords({
+        project: {
+          userId,
+          sessionId,
+          name: name || manifest.project.name,
+          description: manifest.project.description || null,
+          path: projectPath,
+          framework: manifest.project.framework || null,
+          language: manifest.project.language || null,
+          organizationId,
+          repoUrl: manifest.project.repoUrl || null,
+          memorySize: claudeMd ? claudeMd.size : 0
+        },
+        memorySnapshots,
+        chatMessages,
+        builds
+      });
+
+      console.log(`📥 Imported project archive as ${project.id}`);
+
+      return { project, manifest };
+    } catch (error) {
+      await fs.rm(projectPath, { recursive: true, force: true });
+      throw error;
+    } finally {
+      await fs.rm(extractDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Export singleton instance
+const archiveService = new ArchiveService();
+export default archiveService;
@@ -0,0 +1,395 @@
+/**
+ * Chat Turn Service
+ * Runs the streaming Claude turns of the socket ai-message handler
+ *
+ * The caller (server.js) authorizes the socket and passes two emitters: send
+ * reaches the requesting socket only, broadcast also reaches the project room.
+ * A turn checks quotas and storage, saves the user message, runs the agent
+ * (see agentRunner.js) and streams its system, text and tool_use events. When
+ * it ends, files Claude changed are recorded in file history, the workspace is
+ * auto-committed as the user, the reply is saved and tool use updates the
+ * CLAUDE.md memory before tokens are debited.
+ *
+ * One turn runs per project at a time; stop() and stopForSocket() end the
+ * turn a socket started (ai-stop, disconnect).
+ */
+
+import { randomUUID } from 'crypto';
+import claudeService from './claudeService.js';
+import memoryService from './memoryService.js';
+import gitService from './gitService.js';
+import secretsService from './secretsService.js';
+import storageService from './storageService.js';
+import fileHistoryService from './fileHistoryService.js';
+import agentRunner from './agentRunner.js';
+import { checkQuotas, storageExceededResponse } from '../middleware/quotas.js';
+import {
+  saveChatMessage,
+  recordTokenUsage,
+  logUsage
+} from '../db/queries.js';
+
+class ChatTurnService {
+  constructor() {
+    this.socketTurns = new Map(); // socketId -> { run, projectId, socketId, startedAt }
+    this.projectTurns = new Map(); // projectId -> same turn, to prevent concurrent runs
+  }
+
+  /**
+   * Whether a turn is running for a project
+   * @param {string} projectId - Project ID
+   * @returns {boolean}
+   */
+  isRunning(projectId) {
+    return this.projectTurns.has(projectId);
+  }
+
+  /**
+   * Stop the turn a socket started for a project
+   * @param {string} socketId - Socket that started the turn
+   * @param {string} projectId - Project ID
+   * @returns {boolean} True if a turn was stopped
+   */
+  stop(socketId, projectId) {
+    const turn = this.socketTurns.get(socketId);
+    if (!turn || turn.projectId !== projectId) {
+      return false;
+    }
+
+    console.log(`Killing Claude process for socket ${socketId}, project ${projectId}`);
+    turn.run.stop();
+    this._forget(turn);
+    return true;
+  }
+
+  /**
+   * Stop whatever turn a disconnected socket started
+   * @param {string} socketId - Socket ID
+   */
+  stopForSocket(socketId) {
+    const turn = this.socketTurns.get(socketId);
+    if (!turn) {
+      return;
+    }
+
+    console.log(`Cleaning up Claude process for disconnected socket ${socketId}, project ${turn.projectId}`);
+    try {
+      turn.run.stop();
+    } catch (error) {
+      console.error(`Failed to kill process: ${error.message}`);
+    }
+    this._forget(turn);
+  }
+
+  /**
+   * Run a chat turn and stream it
+   * @param {Object} options - { project, user, message, attachments, socketId, send, broadcast, ipAddress, userAgent }
+   *   send(event, payload) emits to the requesting socket, broadcast(event, payload) to it and the project room
+   * @returns {Promise<Object>} { started, exitCode, commitSha, tokensUsed } once the turn has been saved
+   */
+  async runTurn({ project, user, message, attachments, socketId, send, broadcast, ipAddress = null, userAgent = null }) {
+    const projectId = project.id;
+
+    // Same limits as enforceQuotas (pooled tokens, cost, member share) before any usage is spent
+    const { account, violation } = await checkQuotas(user.id, project, { ipAddress, userAgent });
+    if (violation) {
+      send('ai-error', { projectId, error: violation.message, quota: violation });
+      return { started: false };
+    }
+
+    // Claude writes into the workspace, so a full storage quota blocks the turn
+    const storage = await storageService.getAccountStorage(account, user.id);
+    if (storage.exceeded) {
+      send('ai-error', { projectId, error: storageExceededResponse(account, storage).message });
+      return { started: false };
+    }
+
+    // Attachment paths come from the client; only files in the workspace may be shown to Claude
+    const attachmentPaths = await claudeService.resolveAttachments(project.path, attachments);
+
+    // Project secret values never reach the transcript, the stream or commit messages
+    const redact = await secretsService.redactorFor(projectId);
+
+    broadcast('ai-typing', { projectId });
+
+    if (!claudeService.isSessionActive(projectId)) {
+      await claudeService.initializeSession(projectId, project.path, user.id);
+    }
+
+    // Save user message to database
+    try {
+      await saveChatMessage({
+        projectId,
+        userId: user.id,
+        role: 'user',
+        content: redact(message),
+        tokensUsed: 0,
+        model: null,
+        meta: attachmentPaths.length > 0 ? { attachments } : null,
+      });
+    } catch (error) {
+      console.error('Failed to save user message:', error.message);
+    }
+
+    const session = claudeService.getSession(projectId);
+    if (!session) {
+      send('ai-error', { error: 'Session not initialized' });
+      return { started: false };
+    }
+
+    // Check if another Claude process is already running for this project
+    if (this.projectTurns.has(projectId)) {
+      const existingTurn = this.projectTurns.get(projectId);
+      console.log(`Claude process already running for project ${projectId} (started ${Date.now() - existingTurn.startedAt}ms ago)`);
+      send('ai-error', {
+        error: 'Another request is already being processed for this project. Please wait for it to complete.'
+      });
+      return { started: false };
+    }
+
+    // Each turn gets its own Claude session ID to prevent lock conflicts; conversation
+    // continuity comes from the database and CLAUDE.md, not from CLI sessions
+    const sessionId = randomUUID();
+
+    const run = agentRunner.start({ prompt: this._buildPrompt(session.projectPath, message, attachmentPaths), cwd: session.projectPath, sessionId });
+
+    const turn = { run, projectId, socketId, startedAt: Date.now() };
+    this.socketTurns.set(socketId, turn);
+    this.projectTurns.set(projectId, turn);
+
+    let assistantMessage = '';
+    let tokensUsed = 0;
+    let model = 'claude-sonnet-4-5';
+    const toolUseEvents = []; // Collect tool use events for database storage
+
+    // Stream events to clients in real time
+    run.on('event', (event) => {
+      switch (event.type) {
+        case 'system':
+          if (event.model) {
+            model = event.model;
+          }
+          broadcast('claude-stream-event', { type: 'system', data: event });
+          break;
+
+        case 'assistant':
+          if (event.message) {
+            model = event.message.model || model;
+
+            for (const content of event.message.content || []) {
+              if (content.type === 'text' && content.text) {
+                const text = redact(content.text);
+                assistantMessage += text;
+                broadcast('claude-stream-event', { type: 'text', data: { text } });
+              } else if (content.type === 'tool_use') {
+                const toolEvent = {
+                  id: content.id,
+                  name: content.name,
+                  input: redact(content.input)
+                };
+                toolUseEvents.push(toolEvent);
+                broadcast('claude-stream-event', { type: 'tool_use', data: toolEvent });
+              }
+            }
+
+            if (event.message.usage && event.message.usage.output_tokens) {
+              tokensUsed = event.message.usage.output_tokens;
+            }
+          }
+          break;
+
+        case 'result':
+          if (event.usage && event.usage.output_tokens) {
+            tokensUsed = event.usage.output_tokens;
+          }
+          if (event.modelUsage && event.modelUsage['claude-sonnet-4-5-20250929']) {
+            tokensUsed = event.modelUsage['claude-sonnet-4-5-20250929'].outputTokens || tokensUsed;
+          }
+          break;
+      }
+    });
+
+    run.on('stderr', (stderrOutput) => {
+      console.error('❌ Claude CLI stderr:', redact(stderrOutput));
+      // If stderr contains actual errors (not just warnings), emit to client
+      if (stderrOutput.toLowerCase().includes('error') || stderrOutput.toLowerCase().includes('failed')) {
+        send('claude-stream-event', { type: 'error', data: { error: redact(stderrOutput) } });
+      }
+    });
+
+    return new Promise((resolve) => {
+      run.on('close', async (code) => {
+        this._forget(turn);
+        console.log(`Claude process completed for project ${projectId} with code ${code}`);
+        storageService.scheduleMeasure(projectId);
+
+        let commitSha = null;
+
+        try {
+          // null means stopped by the user, 143 = SIGTERM
+          if (code === 0 || code === null || code === 143) {
+            commitSha = await this._finishTurn({
+              project, user, session, message: redact(message), code, assistantMessage, toolUseEvents, tokensUsed, model
+            });
+
+            broadcast('claude-complete', { tokensUsed, model, exitCode: code, commitSha });
+          } else {
+            send('ai-error', { error: `Claude CLI exited with code ${code}` });
+          }
+        } catch (error) {
+          console.error('Failed to finish Claude turn:', error);
+          send('ai-error', { error: error.message });
+        }
+
+        resolve({ started: true, exitCode: code, commitSha, tokensUsed });
+      });
+
+      run.on('error', (error) => {
+        console.error('Claude CLI process error:', error);
+        this._forget(turn);
+        send('ai-error', { error: error.message });
+        resolve({ started: true, exitCode: null, commitSha: null, tokensUsed: 0, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Record, commit and save a turn that ended normally or was stopped
+   * @returns {Promise<string|null>} Commit SHA of the turn, if one was made
+   * @private
+   */
+  async _finishTurn({ project, user, session, message, code, assistantMessage, toolUseEvents, tokensUsed, model }) {
+    const projectId = project.id;
+    let commitSha = null;
+
+    // Keep files Claude wrote or edited as they were before this turn (read from the last commit)
+    if (toolUseEvents.length > 0) {
+      await fileHistoryService.recordClaudeTurn(project, toolUseEvents, { userId: user.id, prompt: message });
+    }
+
+    // Save the reply only when the turn completed (not when it was stopped)
+    if (code === 0 && assistantMessage) {
+      // Snapshot the workspace so this turn can be diffed or restored later
+      commitSha = await gitService.autoCommit(project.path, gitService.claudeTurnMessage(message), gitService.authorFor(user));
+
+      try {
+        const meta = {};
+        if (toolUseEvents.length > 0) meta.toolUseEvents = toolUseEvents;
+        if (commitSha) meta.commitSha = commitSha;
+
+        await saveChatMessage({
+          projectId,
+          userId: user.id,
+          role: 'assistant',
+          content: assistantMessage || 'No response',
+          tokensUsed: tokensUsed || 0,
+          model,
+          meta: Object.keys(meta).length > 0 ? meta : null,
+        });
+      } catch (error) {
+        console.error('Failed to save assistant message:', error.message);
+      }
+
+      // Analyze tool use and intelligently update CLAUDE.md memory
+      if (toolUseEvents.length > 0) {
+        try {
+          const memoryUpdate = await memoryService.analyzeAndUpdateFromToolUse(
+            projectId,
+            session.projectPath,
+            user.id,
+            toolUseEvents,
+            message,
+            assistantMessage
+          );
+
+          if (memoryUpdate.updated) {
+            console.log(`✅ Memory updated for project ${projectId}:`, memoryUpdate.insights);
+
+            if (memoryUpdate.checkpointCreated) {
+              console.log(`📸 Auto-checkpoint created for milestone`);
+            }
+          }
+        } catch (error) {
+          console.error('Failed to update memory from tool use:', error.message);
+          // Don't fail the request if memory update fails
+        }
+      }
+    }
+
+    session.messageCount++;
+    session.tokensUsed += tokensUsed || 0;
+
+    // Debit the user's or organization's quotas
+    if (tokensUsed > 0) {
+      try {
+        const cost = tokensUsed * 0.000001; // Approximate cost
+
+        await recordTokenUsage({
+          userId: user.id,
+          organizationId: project.organization_id,
+          tokensUsed,
+          cost
+        });
+
+        await logUsage({
+          userId: user.id,
+          projectId,
+          kind: 'tokens',
+          amount: tokensUsed,
+          cost,
+          meta: { model, organizationId: project.organization_id }
+        });
+      } catch (error) {
+        console.error('Failed to record token usage:', error.message);
+      }
+    }
+
+    return commitSha;
+  }
+
+  /**
+   * Build the prompt: keep Claude in the project, then the request and any attached images
+   * @private
+   */
+  _buildPrompt(projectPath, message, attachmentPaths) {
+    const systemInstruction = `IMPORTANT SYSTEM INSTRUCTION: You are working on a user project located at: ${projectPath}
+
+You MUST ONLY read, write, or modify files within this directory. DO NOT access or modify any files outside of this directory, including:
+- The AtlasEngine MVP codebase at /Users/avinash/Projects/AI/AtlasEngineMVP
+- Any system files
+- Any files in parent directories
+
+Your working directory is: ${projectPath}
+Always use relative paths when working with files.
+
+User's request: ${message}`;
+
+    if (attachmentPaths.length === 0) {
+      return systemInstruction;
+    }
+
+    // Ask Claude to read the image files
+    console.log(`Sending ${attachmentPaths.length} attachment(s) to Claude via Read tool`);
+    const imageFileList = attachmentPaths.map((p, i) => `${i + 1}. ${p}`).join('\n');
+    const plural = attachmentPaths.length > 1;
+
+    return `${systemInstruction}\n\nIMPORTANT: The user has attached the following image file(s). Please use the Read tool to view ${plural ? 'them' : 'it'}:\n${imageFileList}\n\nAfter reading the image${plural ? 's' : ''}, please respond to the user's request.`;
+  }
+
+  /**
+   * Drop a finished or stopped turn from tracking
+   * @private
+   */
+  _forget(turn) {
+    if (this.socketTurns.get(turn.socketId) === turn) {
+      this.socketTurns.delete(turn.socketId);
+    }
+    if (this.projectTurns.get(turn.projectId) === turn) {
+      this.projectTurns.delete(turn.projectId);
+    }
+  }
+}
+
+// Export singleton instance
+const chatTurnService = new ChatTurnService();
+export default chatTurnService;
@@ -3,13 +3,26 @@
  * Integration with Claude Code CLI for AI-powered development assistance
  */
 
-import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import fs from 'fs/promises';
 import logger from '../utils/logger.js';
 import memoryService from './memoryService.js';
-import { getUserQuotas, logUsage, saveChatMessage, getChatHistory } from '../db/queries.js';
+import gitService from './gitService.js';
+import fileHistoryService from './fileHistoryService.js';
+import secretsService from './secretsService.js';
+import agentRunner, { userMessage } from './agentRunner.js';
+import { checkQuotas } from '../middleware/quotas.js';
+import { resolveProjectPath } from '../utils/projectPath.js';
+import {
+  getUserQuotas,
+  getProjectById,
+  logUsage,
+  recordTokenUsage,
+  saveChatMessage,
+  getChatHistory
+} from '../db/queries.js';
 
 class ClaudeService extends EventEmitter {
   constructor() {
@@ -74,13 +87,15 @@ class ClaudeService extends EventEmitter {
 
   /**
    * Send a message to Claude Code CLI
+   * Sessions are shared by a project's collaborators, so the sender is passed per message
    * @param {string} projectId - Project ID
+   * @param {Object} user - Sending user ({ id, email, name }); messages, usage and quotas are theirs
    * @param {string} message - User message
-   * @param {Array<string>} attachments - Optional array of file paths (images)
+   * @param {Array<string>} attachments - Optional array of image paths inside the workspace
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Response from Claude
    */
-  async sendMessage(projectId, message, attachments = [], options = {}) {
+  async sendMessage(projectId, user, message, attachments = [], options = {}) {
     try {
       const session = this.sessions.get(projectId);
       if (!session) {
@@ -91,16 +106,25 @@ class ClaudeService extends EventEmitter {
         throw new Error('Session is not active');
       }
 
-      // Check quotas before processing
-      const quotas = await getUserQuotas(session.userId);
-      if (quotas.quota_exceeded) {
-        throw new Error('Quota exceeded');
+      // Check the same limits as enforceQuotas (pooled tokens, cost, member share) before spending any
+      const project = await getProjectById(projectId);
+      const { violation } = await checkQuotas(user.id, project);
+      if (violation) {
+        const error = new Error(violation.message);
+        error.code = 'QUOTA_EXCEEDED';
+        error.quota = violation;
+        throw error;
       }
 
+      const attachmentPaths = await this.resolveAttachments(project.path, attachments);
+
+      // Project secret values never reach the transcript or commit messages
+      const redact = await secretsService.redactorFor(projectId);
+
       // Add user message to history
       const userMessage = {
         role: 'user',
-        content: message,
+        content: redact(message),
         timestamp: new Date(),
         attachments: attachments || [],
       };
@@ -110,9 +134,9 @@ class ClaudeService extends EventEmitter {
       try {
         await saveChatMessage({
           projectId,
-          userId: session.userId,
+          userId: user.id,
           role: 'user',
-          content: message,
+          content: redact(message),
           tokensUsed: 0, // User messages don't consume tokens
           model: null,
           meta: attachments && attachments.length > 0 ? { attachments } : null,
@@ -126,7 +150,9 @@ class ClaudeService extends EventEmitter {
       this.emit('ai-typing', { projectId });
 
       // Execute Claude Code CLI command with attachments
-      const response = await this._executeClaudeCommand(projectId, message, attachments, options);
+      const response = await this._executeClaudeCommand(projectId, message, attachmentPaths, options);
+      response.content = redact(response.content);
+      const toolUseEvents = response.toolUseEvents.map(event => ({ ...event, input: redact(event.input) }));
 
       // Add assistant response to history
       const assistantMessage = {
@@ -136,29 +162,66 @@ class ClaudeService extends EventEmitter {
       };
       session.messageHistory.push(assistantMessage);
 
-      // Persist assistant message to database
+      // Keep files Claude wrote or edited as they were before this turn (read from the last commit)
+      if (toolUseEvents.length > 0) {
+        await fileHistoryService.recordClaudeTurn(project, toolUseEvents, { userId: user.id, prompt: redact(message) });
+      }
+
+      // Snapshot the workspace so this turn can be diffed or restored later
+      const commitSha = await gitService.autoCommit(
+        session.projectPath,
+        gitService.claudeTurnMessage(redact(message)),
+        gitService.authorFor(user)
+      );
+
+      // Persist assistant message to database, with the tool uses and snapshot in meta
       try {
+        const meta = {};
+        if (toolUseEvents.length > 0) meta.toolUseEvents = toolUseEvents;
+        if (commitSha) meta.commitSha = commitSha;
+
         await saveChatMessage({
           projectId,
-          userId: session.userId,
+          userId: user.id,
           role: 'assistant',
           content: response.content,
           tokensUsed: response.tokensUsed || 0,
           model: response.model || 'claude-3-sonnet',
-          meta: null,
+          meta: Object.keys(meta).length > 0 ? meta : null,
         });
       } catch (error) {
         logger.error(`Failed to save assistant message to database: ${error.message}`);
         // Continue even if database save fails
       }
 
+      // Analyze tool use and update CLAUDE.md memory
+      if (toolUseEvents.length > 0) {
+        try {
+          const memoryUpdate = await memoryService.analyzeAndUpdateFromToolUse(
+            projectId,
+            session.projectPath,
+            user.id,
+            toolUseEvents,
+            redact(message),
+            response.content
+          );
+
+          if (memoryUpdate.updated) {
+            logger.info(`Memory updated for project ${projectId}: ${memoryUpdate.insights.join(', ')}`);
+          }
+        } catch (error) {
+          logger.error(`Failed to update memory from tool use: ${error.message}`);
+          // Don't fail the request if memory update fails
+        }
+      }
+
       // Update session stats
       session.messageCount++;
       session.tokensUsed += response.tokensUsed || 0;
 
       // Log usage
       await logUsage({
-        userId: session.userId,
+        userId: user.id,
         projectId,
         kind: 'tokens',
         amount: response.tokensUsed || 0,
@@ -169,9 +232,19 @@ class ClaudeService extends EventEmitter {
         },
       });
 
+      // Debit the user's or organization's quotas
+      if (response.tokensUsed > 0) {
+        await recordTokenUsage({
+          userId: user.id,
+          organizationId: project?.organization_id,
+          tokensUsed: response.tokensUsed,
+          cost: response.tokensUsed * 0.000001,
+        });
+      }
+
       // Update CLAUDE.md with conversation context periodically
       if (session.messageCount % 5 === 0) {
-        await this._updateMemoryFromConversation(projectId);
+        await this._updateMemoryFromConversation(projectId, user.id);
       }
 
       return {
@@ -179,6 +252,7 @@ class ClaudeService extends EventEmitter {
         message: response.content,
         tokensUsed: response.tokensUsed,
         model: response.model,
+        commitSha,
       };
     } catch (error) {
       logger.error(`Failed to send message to Claude: ${error.message}`);
@@ -188,7 +262,7 @@ class ClaudeService extends EventEmitter {
   }
 
   /**
-   * Execute Claude Code CLI command
+   * Run a Claude turn through the agent runner and collect the reply
    * @private
    */
   async _executeClaudeCommand(projectId, message, attachments = [], options = {}) {
@@ -208,53 +282,85 @@ class ClaudeService extends EventEmitter {
       // Continue without history if database load fails
     }
 
+    // The turn is one stream-json user message: earlier messages as context, the images, then the request
+    const imageBlocks = [];
+    for (const attachmentPath of attachments || []) {
+      const block = await this._imageToContentBlock(attachmentPath);
+      if (block) {
+        imageBlocks.push(block);
+      }
+    }
+
+    if (imageBlocks.length > 0) {
+      logger.info(`Sending ${imageBlocks.length} attachment(s) to Claude`);
+    }
+
+    const content = [];
+    if (conversationHistory.length > 0) {
+      const transcript = conversationHistory.map(msg => `[${msg.role}]: ${msg.content}`).join('\n\n');
+      content.push({ type: 'text', text: `Conversation so far:\n\n${transcript}` });
+    }
+    content.push(...imageBlocks, { type: 'text', text: message });
+
     return new Promise((resolve, reject) => {
       const timeout = options.timeout || 120000; // 2 minutes default
       let response = '';
       let errorOutput = '';
       let tokensUsed = 0;
+      let model = 'claude-sonnet-4-5';
+      const toolUseEvents = []; // For file history, memory updates and the message meta
 
-      // Prepare the command with conversation history and attachments
-      const args = [
-        '--project-path', session.projectPath,
-        '--message', message,
-        '--format', 'json',
-        '--history', JSON.stringify(conversationHistory),
-      ];
-
-      // Add attachments if provided
-      if (attachments && attachments.length > 0) {
-        args.push('--attachments', JSON.stringify(attachments));
-        logger.info(`Sending ${attachments.length} attachment(s) to Claude`);
-      }
-
-      // Spawn claude-wrapper.js which integrates with real Claude CLI
-      const claudeProcess = spawn('node', [
-        path.join(process.cwd(), 'src', 'scripts', 'claude-wrapper.js'),
-        ...args,
-      ], {
+      const run = agentRunner.start({
         cwd: session.projectPath,
-        env: {
-          ...process.env,
-          ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-        },
+        sessionId: randomUUID(),
+        input: [userMessage(content)]
       });
 
       const timeoutHandle = setTimeout(() => {
-        claudeProcess.kill();
+        run.stop();
         reject(new Error('Claude command timed out'));
       }, timeout);
 
-      claudeProcess.stdout.on('data', (data) => {
-        response += data.toString();
+      run.on('event', (event) => {
+        switch (event.type) {
+          case 'system':
+            model = event.model || model;
+            break;
+
+          case 'assistant':
+            if (event.message) {
+              model = event.message.model || model;
+              // The reply is the last text block (earlier ones narrate tool use)
+              for (const content of event.message.content || []) {
+                if (content.type === 'text' && content.text) {
+                  response = content.text;
+                } else if (content.type === 'tool_use') {
+                  toolUseEvents.push({ id: content.id, name: content.name, input: content.input });
+                }
+              }
+              if (event.message.usage && event.message.usage.output_tokens) {
+                tokensUsed = event.message.usage.output_tokens;
+              }
+            }
+            break;
+
+          case 'result':
+            if (event.usage && event.usage.output_tokens) {
+              tokensUsed = event.usage.output_tokens;
+            }
+            if (event.modelUsage && event.modelUsage['claude-sonnet-4-5-20250929']) {
+              tokensUsed = event.modelUsage['claude-sonnet-4-5-20250929'].outputTokens || tokensUsed;
+            }
+            break;
+        }
       });
 
-      claudeProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-        logger.warn(`Claude stderr: ${data.toString()}`);
+      run.on('stderr', (text) => {
+        errorOutput += text;
+        logger.warn(`Claude stderr: ${text}`);
       });
 
-      claudeProcess.on('close', (code) => {
+      run.on('close', (code) => {
         clearTimeout(timeoutHandle);
 
         if (code !== 0) {
@@ -262,36 +368,94 @@ class ClaudeService extends EventEmitter {
           return;
         }
 
-        try {
-          // Parse JSON response
-          const parsed = JSON.parse(response);
-          resolve({
-            content: parsed.message || parsed.content || response,
-            tokensUsed: parsed.tokensUsed || this._estimateTokens(message + response),
-            model: parsed.model || 'claude-3-sonnet',
-          });
-        } catch (error) {
-          // If not JSON, return raw response
-          resolve({
-            content: response.trim(),
-            tokensUsed: this._estimateTokens(message + response),
-            model: 'claude-3-sonnet',
-          });
-        }
+        resolve({
+          content: response.trim() || 'No response from Claude',
+          tokensUsed: tokensUsed || this._estimateTokens(message + response),
+          model,
+          toolUseEvents,
+        });
       });
 
-      claudeProcess.on('error', (error) => {
+      run.on('error', (error) => {
         clearTimeout(timeoutHandle);
-        reject(new Error(`Failed to spawn Claude process: ${error.message}`));
+        reject(error);
       });
     });
   }
 
+  /**
+   * Resolve chat attachments inside the project workspace
+   * The paths come from the client, so anything outside the workspace or in its .git is refused
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Array<string>} attachments - Paths from the client (workspace-relative, or absolute inside it)
+   * @returns {Promise<Array<string>>} Absolute paths of the attached files
+   * @throws {Error} With code INVALID_ATTACHMENT if a path is not a file in the workspace
+   */
+  async resolveAttachments(projectPath, attachments = []) {
+    if (attachments == null) {
+      return [];
+    }
+
+    if (!Array.isArray(attachments)) {
+      const error = new Error('Attachments must be an array of file paths');
+      error.code = 'INVALID_ATTACHMENT';
+      throw error;
+    }
+
+    const resolved = [];
+    for (const attachment of attachments) {
+      const filePath = await resolveProjectPath(projectPath, attachment, { excludeGitDir: true });
+      const stats = filePath ? await fs.stat(filePath).catch(() => null) : null;
+
+      if (!stats || !stats.isFile()) {
+        const error = new Error(`Attachment not found in project: ${attachment}`);
+        error.code = 'INVALID_ATTACHMENT';
+        throw error;
+      }
+
+      resolved.push(filePath);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Read an image attachment as a base64 content block
+   * @private
+   */
+  async _imageToContentBlock(filePath) {
+    const mediaTypes = {
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+    };
+
+    try {
+      const data = await fs.readFile(filePath);
+
+      return {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: mediaTypes[path.extname(filePath).toLowerCase()] || 'image/jpeg',
+          data: data.toString('base64'),
+        },
+      };
+    } catch (error) {
+      logger.warn(`Failed to read image ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Update CLAUDE.md with conversation context
+   * @param {string} projectId - Project ID
+   * @param {string|null} userId - User the update is attributed to (default: who opened the session)
    * @private
    */
-  async _updateMemoryFromConversation(projectId) {
+  async _updateMemoryFromConversation(projectId, userId = null) {
     try {
       const session = this.sessions.get(projectId);
       if (!session) return;
@@ -315,7 +479,7 @@ class ClaudeService extends EventEmitter {
       await memoryService.updateMemory(
         projectId,
         session.projectPath,
-        session.userId,
+        userId ?? session.userId,
         updates,
         { source: 'claude_conversation' }
       );
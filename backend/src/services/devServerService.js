@@ -7,6 +7,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import portRegistry from './portRegistry.js';
+import secretsService from './secretsService.js';
 
 class DevServerService {
   constructor() {
@@ -137,9 +138,14 @@ class DevServerService {
         await this.installDependencies(projectId, projectPath);
       }
 
+      // Project secrets are injected as variables and scrubbed from captured output
+      const secretEnv = await secretsService.getEnv(projectId, { target: 'dev' });
+      const redact = secretsService.createRedactor(secretEnv);
+
       // Set environment variables for the dev server
       const env = {
         ...process.env,
+        ...secretEnv,
         // Disable browser auto-open
         BROWSER: 'none',
         // Merge any framework-specific env vars (e.g., CRA uses PORT)
@@ -167,7 +173,7 @@ class DevServerService {
 
       // Capture logs
       serverProcess.stdout.on('data', (data) => {
-        const log = data.toString();
+        const log = redact(data.toString());
         serverInfo.logs.push({ type: 'stdout', message: log, timestamp: new Date() });
         console.log(`[${projectId}:${port}] ${log.trim()}`);
 
@@ -197,7 +203,7 @@ class DevServerService {
       });
 
       serverProcess.stderr.on('data', (data) => {
-        const log = data.toString();
+        const log = redact(data.toString());
         serverInfo.logs.push({ type: 'stderr', message: log, timestamp: new Date() });
         console.error(`[${projectId}:${port}] ${log.trim()}`);
       });
@@ -23,6 +23,8 @@ import {
   logEvent
 } from '../db/queries.js';
 import portRegistry from './portRegistry.js';
+import gitService from './gitService.js';
+import secretsService from './secretsService.js';
 
 class DockerService {
   constructor() {
@@ -91,14 +93,18 @@ class DockerService {
     let buildRecord = null;
 
     try {
+      // Commit pending changes so the build maps to an exact source revision
+      const commitSha = await gitService.autoCommit(projectPath, 'Snapshot before build');
+
       // Create build record
       buildRecord = await createBuild({
         projectId,
         userId,
-        status: 'queued'
+        status: 'queued',
+        commitSha
       });
 
-      console.log(`🔨 Starting build for project ${projectId} (build ${buildRecord.id})`);
+      console.log(`🔨 Starting build for project ${projectId} (build ${buildRecord.id}${commitSha ? ` @ ${commitSha.slice(0, 7)}` : ''})`);
 
       // Log build started event
       await logEvent({
@@ -107,7 +113,7 @@ class DockerService {
         kind: 'build_started',
         status: 'info',
         message: `Build ${buildRecord.id} started`,
-        meta: { buildId: buildRecord.id }
+        meta: { buildId: buildRecord.id, commitSha }
       });
 
       // Update build status to running
@@ -121,10 +127,15 @@ class DockerService {
         throw new Error('package.json not found in project directory');
       }
 
+      // Builders only see secrets opted in with expose_to_build; logs are scrubbed of all of them
+      const buildEnv = await secretsService.getEnv(projectId, { target: 'build' });
+      const redact = await secretsService.redactorFor(projectId);
+
       // Create builder container with restrictions
       const builderConfig = {
         Image: this.builderImage,
         Cmd: ['sh', '-c', 'cd /workspace && npm ci && npm run build'],
+        Env: secretsService.toDockerEnv(buildEnv),
         HostConfig: {
           Binds: [`${projectPath}:/workspace:rw`],
           NetworkMode: 'none', // No network during build (security)
@@ -165,7 +176,7 @@ class DockerService {
         timestamps: true
       });
 
-      const buildLogs = logs.toString('utf8');
+      const buildLogs = redact(logs.toString('utf8'));
 
       if (result.StatusCode === 0) {
         // Build succeeded
@@ -187,6 +198,7 @@ class DockerService {
         return {
           success: true,
           buildId: buildRecord.id,
+          commitSha: buildRecord.commit_sha,
           logs: buildLogs
         };
       } else {
@@ -210,6 +222,7 @@ class DockerService {
         return {
           success: false,
           buildId: buildRecord.id,
+          commitSha: buildRecord.commit_sha,
           error: `Build failed with exit code ${result.StatusCode}`,
           logs: buildLogs
         };
@@ -259,11 +272,14 @@ class DockerService {
       // Generate host
       const host = `proj-${projectId.substring(0, 8)}.${process.env.DOMAIN || 'localhost'}`;
 
+      const runtimeEnv = await secretsService.getEnv(projectId, { target: 'runtime' });
+
       // Create hardened runner container
       const runnerConfig = {
         name: containerName,
         Image: 'node:20-alpine',
         Cmd: ['sh', '-c', 'cd /app && npm start'],
+        Env: secretsService.toDockerEnv(runtimeEnv),
         User: '1000:1000', // Non-root user
         WorkingDir: '/app',
         ExposedPorts: {
@@ -526,6 +542,27 @@ class DockerService {
     }
   }
 
+  /**
+   * Force-remove every container belonging to a project (builders and runners)
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<number>} Number of containers removed
+   */
+  async removeProjectContainers(projectId) {
+    const containers = await this.docker.listContainers({
+      all: true,
+      filters: {
+        label: ['app=atlasengine', `project-id=${projectId}`]
+      }
+    });
+
+    for (const containerInfo of containers) {
+      await this.docker.getContainer(containerInfo.Id).remove({ force: true });
+      console.log(`Removed container ${containerInfo.Id} of project ${projectId}`);
+    }
+
+    return containers.length;
+  }
+
   /**
    * Parse memory limit string to bytes
    * @param {string} limit - Memory limit (e.g., "256m", "1g")
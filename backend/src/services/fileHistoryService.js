@@ -0,0 +1,186 @@
+/**
+ * File History Service
+ * Per-file local history, separate from memory snapshots and git checkpoints
+ *
+ * The previous version of a file is recorded whenever it is saved or restored
+ * through the file API, when a workspace restore changes it and whenever a
+ * Claude turn writes or edits it. For
+ * Claude turns the previous version comes from the last commit, which holds
+ * the file as it was before the turn (every save and turn is auto-committed).
+ *
+ * Versions equal to the newest one are not recorded twice, binaries and files
+ * over MAX_VERSION_BYTES are skipped, and each project keeps at most
+ * FILE_HISTORY_MAX_VERSIONS versions and FILE_HISTORY_MAX_MB of content,
+ * dropping the oldest first. Recording is best effort and never fails a save.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import {
+  createFileVersion,
+  getLatestFileVersionHash,
+  pruneFileVersions
+} from '../db/queries.js';
+import gitService from './gitService.js';
+
+// Larger files are not versioned
+const MAX_VERSION_BYTES = 1024 * 1024; // 1 MB
+
+// Claude turn prompts are stored as a short label
+const MAX_PROMPT_LENGTH = 200;
+
+// Claude tools that change a file, and the operation they are recorded as
+const CLAUDE_FILE_TOOLS = {
+  Write: 'write',
+  Edit: 'edit',
+  MultiEdit: 'edit',
+  NotebookEdit: 'edit'
+};
+
+class FileHistoryService {
+  constructor() {
+    this.maxVersions = parseInt(process.env.FILE_HISTORY_MAX_VERSIONS || '500');
+    this.maxBytes = parseInt(process.env.FILE_HISTORY_MAX_MB || '50') * 1024 * 1024;
+  }
+
+  /**
+   * Record the previous version of a file
+   * @param {Object} options - { projectId, path, content (Buffer or string), source, operation, userId, prompt }
+   * @returns {Promise<Object|null>} Created version, or null if skipped or failed
+   */
+  async recordVersion({ projectId, path: relativePath, content, source, operation, userId = null, prompt = null }) {
+    if (content === null || content === undefined) {
+      return null;
+    }
+
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+
+    if (buffer.length > MAX_VERSION_BYTES || buffer.includes(0)) {
+      return null;
+    }
+
+    try {
+      const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+      if ((await getLatestFileVersionHash(projectId, relativePath)) === contentHash) {
+        return null;
+      }
+
+      const version = await createFileVersion({
+        projectId,
+        path: relativePath,
+        content: buffer.toString('utf8'),
+        contentHash,
+        source,
+        operation,
+        userId,
+        prompt: prompt ? prompt.slice(0, MAX_PROMPT_LENGTH) : null
+      });
+
+      await pruneFileVersions(projectId, this.maxVersions, this.maxBytes);
+
+      return version;
+    } catch (error) {
+      console.error(`Failed to record history for ${relativePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the version each file had before a workspace restore
+   * @param {Object} project - Project row
+   * @param {Array<string>} paths - Files the restore changed
+   * @param {string} previousSha - Commit holding the workspace as it was before the restore
+   * @param {Object} options - { userId } of the user who restored
+   * @returns {Promise<number>} Number of versions recorded
+   */
+  async recordRestore(project, paths, previousSha, { userId }) {
+    let recorded = 0;
+
+    for (const relativePath of paths) {
+      // Files the restore brought back had no previous version
+      const previous = await gitService.readCommittedFile(project.path, relativePath, previousSha);
+
+      const version = await this.recordVersion({
+        projectId: project.id,
+        path: relativePath,
+        content: previous,
+        source: 'user',
+        operation: 'restore',
+        userId
+      });
+
+      if (version) {
+        recorded++;
+      }
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Record the pre-turn version of every file a Claude turn wrote or edited
+   * Call before the turn is committed
+   * @param {Object} project - Project row
+   * @param {Array<Object>} toolUseEvents - Tool uses from the turn ({ name, input })
+   * @param {Object} options - { userId, prompt } of the user who prompted Claude
+   * @returns {Promise<number>} Number of versions recorded
+   */
+  async recordClaudeTurn(project, toolUseEvents, { userId, prompt }) {
+    const operations = new Map();
+
+    for (const event of toolUseEvents) {
+      const operation = CLAUDE_FILE_TOOLS[event.name];
+      const filePath = event.input?.file_path || event.input?.notebook_path;
+
+      if (!operation || typeof filePath !== 'string') {
+        continue;
+      }
+
+      const relativePath = path.relative(project.path, path.resolve(project.path, filePath));
+      if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        continue;
+      }
+
+      const normalized = relativePath.split(path.sep).join('/');
+      if (normalized.split('/')[0] === '.git') {
+        continue;
+      }
+
+      // Write wins over edit when a turn does both
+      if (operations.get(normalized) !== 'write') {
+        operations.set(normalized, operation);
+      }
+    }
+
+    if (operations.size === 0 || !(await gitService.getHead(project.path))) {
+      return 0;
+    }
+
+    let recorded = 0;
+    for (const [relativePath, operation] of operations) {
+      // Files Claude created have no previous version
+      const previous = await gitService.readCommittedFile(project.path, relativePath);
+
+      const version = await this.recordVersion({
+        projectId: project.id,
+        path: relativePath,
+        content: previous,
+        source: 'claude',
+        operation,
+        userId,
+        prompt
+      });
+
+      if (version) {
+        recorded++;
+      }
+    }
+
+    return recorded;
+  }
+}
+
+// Export singleton instance
+const fileHistoryService = new FileHistoryService();
+export default fileHistoryService;
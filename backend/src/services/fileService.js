@@ -0,0 +1,294 @@
+/**
+ * File Service
+ * Workspace directory listings with file metadata
+ *
+ * Listings walk depth-first (directories before files, then by name) up to a
+ * depth limit, never show .git, skip node_modules and git-ignored paths
+ * unless asked not to, and are paginated by offset so large trees never come
+ * back in one response. Each file reports its size, mtime, whether it looks
+ * binary and the editor language guessed from its name.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import gitService from './gitService.js';
+
+export const MAX_LIST_DEPTH = 10;
+export const DEFAULT_PAGE_SIZE = 500;
+export const MAX_PAGE_SIZE = 2000;
+
+// Entries examined per listing; deeper or wider trees are reported as truncated
+const MAX_SCANNED_ENTRIES = 50000;
+
+// Never listed
+const HIDDEN_DIRS = ['.git'];
+
+// Skipped by default; listed (but never descended into) with includeIgnored
+const DEFAULT_SKIPPED_DIRS = ['node_modules'];
+
+// Bytes read to decide whether a file of unknown type is binary
+const SNIFF_BYTES = 1024;
+
+// Editor language by extension (Monaco language IDs)
+const LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.json': 'json', '.jsonc': 'json',
+  '.html': 'html', '.htm': 'html',
+  '.css': 'css', '.scss': 'scss', '.less': 'less',
+  '.md': 'markdown', '.mdx': 'markdown',
+  '.py': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java', '.php': 'php',
+  '.sh': 'shell', '.bash': 'shell',
+  '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'ini', '.ini': 'ini',
+  '.xml': 'xml', '.svg': 'xml',
+  '.sql': 'sql', '.graphql': 'graphql', '.gql': 'graphql',
+  '.vue': 'html', '.svelte': 'html',
+  '.txt': 'plaintext', '.env': 'plaintext', '.lock': 'plaintext'
+};
+
+// Extensionless names with a known language
+const LANGUAGES_BY_NAME = {
+  'Dockerfile': 'dockerfile',
+  'Makefile': 'plaintext',
+  '.gitignore': 'plaintext',
+  '.dockerignore': 'plaintext',
+  '.env': 'plaintext'
+};
+
+const BINARY_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.ico', '.bmp', '.avif',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot',
+  '.zip', '.gz', '.tgz', '.tar', '.7z', '.rar', '.bz2',
+  '.pdf', '.mp3', '.mp4', '.webm', '.wav', '.ogg', '.mov',
+  '.exe', '.dll', '.so', '.dylib', '.wasm', '.node', '.bin', '.sqlite', '.db'
+];
+
+class FileService {
+  /**
+   * Guess the editor language of a file from its name
+   * @param {string} fileName - File name
+   * @returns {string|null} Monaco language ID or null if unknown
+   */
+  detectLanguage(fileName) {
+    if (LANGUAGES_BY_NAME[fileName]) {
+      return LANGUAGES_BY_NAME[fileName];
+    }
+
+    // ".env.local" and friends
+    if (fileName.startsWith('.env.')) {
+      return 'plaintext';
+    }
+
+    return LANGUAGES[path.extname(fileName).toLowerCase()] || null;
+  }
+
+  /**
+   * Strong ETag for file content, used to detect concurrent edits
+   * @param {Buffer|string} content - File content
+   * @returns {string} Quoted ETag
+   */
+  contentEtag(content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    return `"${hash.slice(0, 32)}"`;
+  }
+
+  /**
+   * Decide whether a file is binary
+   * Known extensions decide without reading; others are sniffed for NUL bytes
+   * @param {string} filePath - Absolute file path
+   * @param {number} size - File size in bytes
+   * @returns {Promise<boolean>} True if binary
+   */
+  async isBinary(filePath, size) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (BINARY_EXTENSIONS.includes(extension)) {
+      return true;
+    }
+
+    if (LANGUAGES[extension] || size === 0) {
+      return false;
+    }
+
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+      const buffer = Buffer.alloc(Math.min(SNIFF_BYTES, size));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      return buffer.subarray(0, bytesRead).includes(0);
+    } catch {
+      return false;
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  /**
+   * Git-ignored, untracked paths under a directory
+   * Ignored directories are reported once with a trailing slash
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} relativePath - Directory being listed
+   * @returns {Promise<Set<string>>} Project-relative paths (directories end with '/')
+   */
+  async getIgnoredPaths(projectPath, relativePath) {
+    if (!(await gitService.isRepo(projectPath))) {
+      return new Set();
+    }
+
+    const args = ['ls-files', '-z', '--others', '--ignored', '--exclude-standard', '--directory'];
+    if (relativePath) {
+      args.push('--', relativePath);
+    }
+
+    const output = await gitService.git(projectPath, args);
+    return new Set(output.split('\0').filter(Boolean));
+  }
+
+  /**
+   * Metadata for one directory entry
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} entryPath - Project-relative path
+   * @param {fs.Dirent} dirent - Directory entry
+   * @param {number} depth - Depth below the listed directory (1 = direct child)
+   * @returns {Promise<Object|null>} Entry or null if it vanished
+   */
+  async describeEntry(projectPath, entryPath, dirent, depth) {
+    const absolutePath = path.join(projectPath, entryPath);
+
+    let stats;
+    try {
+      stats = await fs.lstat(absolutePath);
+    } catch {
+      return null;
+    }
+
+    const entry = {
+      name: dirent.name,
+      path: entryPath,
+      type: dirent.isDirectory() ? 'directory' : 'file',
+      depth,
+      size: stats.size,
+      mtime: stats.mtime.toISOString()
+    };
+
+    if (dirent.isSymbolicLink()) {
+      entry.isSymlink = true;
+    }
+
+    if (entry.type === 'file') {
+      entry.isBinary = dirent.isFile() ? await this.isBinary(absolutePath, stats.size) : false;
+      entry.language = entry.isBinary ? null : this.detectLanguage(dirent.name);
+    }
+
+    return entry;
+  }
+
+  /**
+   * List a directory, optionally recursively
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} relativePath - Directory to list ('' = project root)
+   * @param {Object} options - { depth, includeIgnored, offset, limit }
+   * @returns {Promise<Object>} { entries, total, offset, limit, hasMore, nextOffset, truncated }
+   */
+  async listDirectory(projectPath, relativePath = '', {
+    depth = 1,
+    includeIgnored = false,
+    offset = 0,
+    limit = DEFAULT_PAGE_SIZE
+  } = {}) {
+    const maxDepth = Math.min(Math.max(parseInt(depth) || 1, 1), MAX_LIST_DEPTH);
+    const start = Math.max(parseInt(offset) || 0, 0);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const root = relativePath.split(path.sep).join('/').replace(/^\.?\/+|\/+$/g, '');
+
+    const ignored = includeIgnored ? new Set() : await this.getIgnoredPaths(projectPath, root);
+    const isSkipped = (entryPath, dirent) => {
+      if (dirent.isDirectory() && HIDDEN_DIRS.includes(dirent.name)) {
+        return true;
+      }
+
+      if (includeIgnored) {
+        return false;
+      }
+
+      if (dirent.isDirectory() && DEFAULT_SKIPPED_DIRS.includes(dirent.name)) {
+        return true;
+      }
+
+      return ignored.has(dirent.isDirectory() ? `${entryPath}/` : entryPath);
+    };
+
+    // Walk in display order, describing only the entries on the requested page
+    const page = [];
+    let index = 0;
+    let truncated = false;
+    const stack = [{ dir: root, depth: 1 }];
+
+    // Throws ENOENT/ENOTDIR for a missing root so callers can 404
+    const rootEntries = await fs.readdir(path.join(projectPath, root), { withFileTypes: true });
+
+    while (stack.length > 0) {
+      const { dir, depth: level, entries } = stack.pop();
+      const dirents = entries || (dir === root && level === 1
+        ? rootEntries
+        : await fs.readdir(path.join(projectPath, dir), { withFileTypes: true }).catch(() => []));
+
+      const sorted = dirents
+        .map(dirent => ({ dirent, entryPath: dir ? `${dir}/${dirent.name}` : dirent.name }))
+        .filter(({ dirent, entryPath }) => !isSkipped(entryPath, dirent))
+        .sort((a, b) =>
+          (b.dirent.isDirectory() - a.dirent.isDirectory()) || a.dirent.name.localeCompare(b.dirent.name)
+        );
+
+      // Children are visited before the directory's later siblings (pre-order)
+      for (let i = 0; i < sorted.length; i++) {
+        const { dirent, entryPath } = sorted[i];
+
+        if (index >= start && page.length < pageSize) {
+          const entry = await this.describeEntry(projectPath, entryPath, dirent, level);
+          if (entry) {
+            if (entry.type === 'directory') {
+              entry.childrenLoaded = level < maxDepth && !DEFAULT_SKIPPED_DIRS.includes(dirent.name);
+            }
+            page.push(entry);
+          }
+        }
+        index++;
+
+        if (index >= MAX_SCANNED_ENTRIES) {
+          truncated = true;
+          break;
+        }
+
+        const descend = dirent.isDirectory() && level < maxDepth && !DEFAULT_SKIPPED_DIRS.includes(dirent.name);
+        if (descend) {
+          // Resume this directory's remaining siblings after the subtree
+          stack.push({ dir, depth: level, entries: sorted.slice(i + 1).map(item => item.dirent) });
+          stack.push({ dir: entryPath, depth: level + 1 });
+          break;
+        }
+      }
+
+      if (truncated) {
+        break;
+      }
+    }
+
+    const total = index;
+
+    return {
+      entries: page,
+      total,
+      offset: start,
+      limit: pageSize,
+      hasMore: start + page.length < total,
+      nextOffset: start + page.length < total ? start + page.length : null,
+      truncated
+    };
+  }
+}
+
+// Export singleton instance
+const fileService = new FileService();
+export default fileService;
@@ -0,0 +1,519 @@
+/**
+ * Git Service
+ * Per-project git repositories for workspace versioning
+ *
+ * Every project directory is a git repo. Changes are auto-committed after each
+ * completed Claude turn, each file save from the editor and before each build,
+ * so any state of the workspace can be inspected, diffed or restored.
+ *
+ * Operations on the same project are serialized to avoid index.lock races
+ * between concurrent saves and Claude turns.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const COMMITTER_NAME = 'AtlasEngine';
+const COMMITTER_EMAIL = 'noreply@atlasengine.local';
+
+// Written to new repos so dependencies and build output never get committed
+const DEFAULT_GITIGNORE = `node_modules/
+dist/
+build/
+.next/
+.env
+.env.*
+.claude/
+*.log
+`;
+
+// Revisions accepted from API callers: hex SHAs only, never refs or options
+const SHA_PATTERN = /^[0-9a-f]{4,40}$/i;
+
+// Remote transports accepted for imports; local paths and file:// are opt-in
+const REMOTE_URL_PATTERN = /^(https?:\/\/|ssh:\/\/|git:\/\/|[\w.-]+@[\w.-]+:)/;
+const LOCAL_URL_PATTERN = /^(file:\/\/|\/)/;
+
+// Imports that take longer than this are abandoned
+const CLONE_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Field/record separators for parsing `git log` output
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+
+class GitService {
+  constructor() {
+    // Map of projectPath -> tail of the pending operation chain
+    this.locks = new Map();
+  }
+
+  /**
+   * Run a git command in a project directory
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Array<string>} args - git arguments
+   * @param {Object} author - Optional { name, email } for commits
+   * @returns {Promise<string>} stdout
+   */
+  async git(projectPath, args, author = null) {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: projectPath,
+      maxBuffer: 20 * 1024 * 1024,
+      env: {
+        ...process.env,
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_AUTHOR_NAME: author?.name || COMMITTER_NAME,
+        GIT_AUTHOR_EMAIL: author?.email || COMMITTER_EMAIL,
+        GIT_COMMITTER_NAME: COMMITTER_NAME,
+        GIT_COMMITTER_EMAIL: COMMITTER_EMAIL
+      }
+    });
+
+    return stdout;
+  }
+
+  /**
+   * Run an operation exclusively for a project
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Function} operation - Async function to run
+   * @returns {Promise<*>} Operation result
+   */
+  async withLock(projectPath, operation) {
+    const previous = this.locks.get(projectPath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+
+    const tail = current.catch(() => {});
+    this.locks.set(projectPath, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(projectPath) === tail) {
+        this.locks.delete(projectPath);
+      }
+    }
+  }
+
+  /**
+   * Build a commit author from a user
+   * @param {Object} user - User ({ name, email })
+   * @returns {Object|null} { name, email } or null for the AtlasEngine identity
+   */
+  authorFor(user) {
+    if (!user?.email) {
+      return null;
+    }
+
+    return { name: user.name || user.email, email: user.email };
+  }
+
+  /**
+   * Commit message for a completed Claude turn
+   * @param {string} prompt - User message that started the turn
+   * @returns {string} Commit message
+   */
+  claudeTurnMessage(prompt) {
+    const firstLine = (prompt || '').trim().split('\n')[0];
+    const summary = firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+
+    return `Claude: ${summary || 'update workspace'}`;
+  }
+
+  /**
+   * Check whether a revision string is an acceptable commit SHA
+   * @param {string} sha - Revision from an API caller
+   * @returns {boolean} True if valid
+   */
+  isValidSha(sha) {
+    return typeof sha === 'string' && SHA_PATTERN.test(sha);
+  }
+
+  /**
+   * Check whether a project directory is already a git repo
+   * @param {string} projectPath - Filesystem path to project
+   * @returns {Promise<boolean>} True if initialized
+   */
+  async isRepo(projectPath) {
+    try {
+      await fs.access(path.join(projectPath, '.git'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Initialize a repo with an initial commit (no-op if already initialized)
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} message - Initial commit message
+   * @param {Object} author - Optional { name, email }
+   * @returns {Promise<string|null>} Initial commit SHA, or null if already a repo
+   */
+  async initRepo(projectPath, message = 'Initialize project', author = null) {
+    return this.withLock(projectPath, async () => {
+      if (await this.isRepo(projectPath)) {
+        return null;
+      }
+
+      await this.git(projectPath, ['init', '--quiet', '--initial-branch=main']);
+
+      const gitignorePath = path.join(projectPath, '.gitignore');
+      try {
+        await fs.access(gitignorePath);
+      } catch (error) {
+        await fs.writeFile(gitignorePath, DEFAULT_GITIGNORE, 'utf8');
+      }
+
+      await this.git(projectPath, ['add', '--all']);
+      await this.git(projectPath, ['commit', '--quiet', '--allow-empty', '-m', message], author);
+
+      console.log(`🌱 Initialized git repository for ${projectPath}`);
+
+      return (await this.git(projectPath, ['rev-parse', 'HEAD'])).trim();
+    });
+  }
+
+  /**
+   * Commit all workspace changes
+   * Projects created before versioning existed are initialized on first use
+   *
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} message - Commit message
+   * @param {Object} author - Optional { name, email }
+   * @returns {Promise<string|null>} New commit SHA, or null if nothing changed
+   */
+  async commitAll(projectPath, message, author = null) {
+    if (!(await this.isRepo(projectPath))) {
+      return this.initRepo(projectPath, message, author);
+    }
+
+    return this.withLock(projectPath, async () => {
+      await this.git(projectPath, ['add', '--all']);
+
+      const status = await this.git(projectPath, ['status', '--porcelain']);
+      if (!status.trim()) {
+        return null;
+      }
+
+      await this.git(projectPath, ['commit', '--quiet', '-m', message], author);
+
+      return (await this.git(projectPath, ['rev-parse', 'HEAD'])).trim();
+    });
+  }
+
+  /**
+   * Commit pending changes, logging instead of throwing
+   * Used by hooks (file saves, Claude turns, builds) that must not fail because of versioning
+   *
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} message - Commit message
+   * @param {Object} author - Optional { name, email }
+   * @returns {Promise<string|null>} HEAD SHA after committing, or null on failure
+   */
+  async autoCommit(projectPath, message, author = null) {
+    try {
+      await this.commitAll(projectPath, message, author);
+      return await this.getHead(projectPath);
+    } catch (error) {
+      console.error(`⚠️  Auto-commit failed for ${projectPath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Whether imports may clone from local paths and file:// URLs
+   * Allowed outside production unless GIT_IMPORT_ALLOW_LOCAL says otherwise
+   *
+   * @returns {boolean} True if local clones are allowed
+   */
+  allowsLocalImports() {
+    if (process.env.GIT_IMPORT_ALLOW_LOCAL !== undefined) {
+      return process.env.GIT_IMPORT_ALLOW_LOCAL === 'true';
+    }
+
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * Validate a repository URL for import
+   * @param {string} repoUrl - Repository URL or local path
+   * @returns {string|null} Error message, or null if acceptable
+   */
+  validateRepoUrl(repoUrl) {
+    if (!repoUrl || typeof repoUrl !== 'string') {
+      return 'Repository URL is required';
+    }
+
+    if (repoUrl.startsWith('-') || /\s/.test(repoUrl)) {
+      return 'Invalid repository URL';
+    }
+
+    if (LOCAL_URL_PATTERN.test(repoUrl)) {
+      return this.allowsLocalImports() ? null : 'Importing from local paths is disabled on this server';
+    }
+
+    if (!REMOTE_URL_PATTERN.test(repoUrl)) {
+      return 'Repository URL must be https://, ssh://, git:// or a local path';
+    }
+
+    return null;
+  }
+
+  /**
+   * Clone a repository into a new project directory
+   * @param {string} repoUrl - Repository URL (validate with validateRepoUrl first)
+   * @param {string} targetPath - Directory to create
+   * @param {Object} options - { branch }
+   * @returns {Promise<string>} HEAD commit SHA of the clone
+   * @throws {Error} With code CLONE_FAILED and git's message on failure
+   */
+  async cloneRepo(repoUrl, targetPath, { branch } = {}) {
+    const allowedProtocols = ['https', 'http', 'ssh', 'git'];
+    if (this.allowsLocalImports()) {
+      allowedProtocols.push('file');
+    }
+
+    const args = ['clone', '--quiet', '--no-recurse-submodules'];
+    if (branch) {
+      args.push('--branch', branch);
+    }
+    args.push('--', repoUrl, targetPath);
+
+    try {
+      await execFileAsync('git', args, {
+        cwd: path.dirname(targetPath),
+        timeout: CLONE_TIMEOUT_MS,
+        env: {
+          ...process.env,
+          GIT_TERMINAL_PROMPT: '0',
+          // Blocks ext:: and other transports that could run commands
+          GIT_ALLOW_PROTOCOL: allowedProtocols.join(':')
+        }
+      });
+    } catch (error) {
+      const reason = error.killed
+        ? 'Clone timed out'
+        : (error.stderr || error.message).trim().split('\n').pop().replace(/^fatal:\s*/, '');
+
+      const cloneError = new Error(reason);
+      cloneError.code = 'CLONE_FAILED';
+      throw cloneError;
+    }
+
+    console.log(`📥 Cloned ${repoUrl} into ${targetPath}`);
+
+    return this.getHead(targetPath);
+  }
+
+  /**
+   * Write the project's history to a git bundle file
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} bundlePath - Output file
+   * @returns {Promise<boolean>} False if the repo has no commits to bundle
+   */
+  async createBundle(projectPath, bundlePath) {
+    if (!(await this.getHead(projectPath))) {
+      return false;
+    }
+
+    await this.withLock(projectPath, () =>
+      this.git(projectPath, ['bundle', 'create', '--quiet', bundlePath, '--all'])
+    );
+
+    return true;
+  }
+
+  /**
+   * Attach history from a git bundle to an extracted workspace
+   * The bundle is cloned into a scratch directory and its fresh .git is moved
+   * into the workspace, which must not have a .git of its own.
+   *
+   * @param {string} bundlePath - Bundle file
+   * @param {string} projectPath - Workspace without a .git directory
+   * @returns {Promise<void>}
+   * @throws {Error} With code CLONE_FAILED if the bundle is unusable
+   */
+  async restoreFromBundle(bundlePath, projectPath) {
+    const scratchPath = `${projectPath}.clone`;
+
+    try {
+      await execFileAsync('git', ['clone', '--quiet', '--no-checkout', '--', bundlePath, scratchPath], {
+        timeout: CLONE_TIMEOUT_MS,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+      });
+    } catch (error) {
+      await fs.rm(scratchPath, { recursive: true, force: true });
+      const cloneError = new Error('History bundle is not a valid git bundle');
+      cloneError.code = 'CLONE_FAILED';
+      throw cloneError;
+    }
+
+    await fs.rename(path.join(scratchPath, '.git'), path.join(projectPath, '.git'));
+    await fs.rm(scratchPath, { recursive: true, force: true });
+
+    await this.withLock(projectPath, async () => {
+      await this.git(projectPath, ['remote', 'remove', 'origin']);
+      // Align the index with HEAD without touching the extracted files
+      await this.git(projectPath, ['reset', '--quiet']);
+    });
+  }
+
+  /**
+   * Get the current HEAD commit
+   * @param {string} projectPath - Filesystem path to project
+   * @returns {Promise<string|null>} SHA or null if the repo has no commits
+   */
+  async getHead(projectPath) {
+    try {
+      return (await this.git(projectPath, ['rev-parse', '--verify', '--quiet', 'HEAD'])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read a file as of a commit
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} relativePath - Project-relative file path (forward slashes)
+   * @param {string} rev - Commit to read from (default HEAD)
+   * @returns {Promise<Buffer|null>} File content or null if the commit has no such file
+   */
+  async readCommittedFile(projectPath, relativePath, rev = 'HEAD') {
+    try {
+      const { stdout } = await execFileAsync('git', ['show', `${rev}:${relativePath}`], {
+        cwd: projectPath,
+        encoding: 'buffer',
+        maxBuffer: 20 * 1024 * 1024
+      });
+      return stdout;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve a SHA (possibly abbreviated) to a full commit SHA
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<string|null>} Full SHA or null if not a commit
+   */
+  async resolveCommit(projectPath, sha) {
+    if (!this.isValidSha(sha)) {
+      return null;
+    }
+
+    try {
+      return (await this.git(projectPath, ['rev-parse', '--verify', '--quiet', `${sha}^{commit}`])).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get commit history
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Object} options - { limit, offset, path }
+   * @returns {Promise<Array>} Commits, newest first
+   */
+  async getLog(projectPath, { limit = 50, offset = 0, path: filePath } = {}) {
+    if (!(await this.isRepo(projectPath)) || !(await this.getHead(projectPath))) {
+      return [];
+    }
+
+    const format = ['%H', '%h', '%an', '%ae', '%aI', '%s'].join(FIELD_SEP) + RECORD_SEP;
+    const args = ['log', `--format=${format}`, `--max-count=${limit}`, `--skip=${offset}`, 'HEAD'];
+
+    if (filePath) {
+      args.push('--', filePath);
+    }
+
+    const output = await this.git(projectPath, args);
+
+    return output
+      .split(RECORD_SEP)
+      .map(record => record.trim())
+      .filter(Boolean)
+      .map(record => {
+        const [sha, shortSha, authorName, authorEmail, date, message] = record.split(FIELD_SEP);
+        return { sha, shortSha, authorName, authorEmail, date, message };
+      });
+  }
+
+  /**
+   * List the files that differ between two commits
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} from - Base commit SHA
+   * @param {string} to - Target commit SHA
+   * @returns {Promise<Array<string>>} Project-relative paths (a rename lists both names)
+   */
+  async getChangedPaths(projectPath, from, to) {
+    const output = await this.git(projectPath, ['diff', '--name-only', '--no-renames', '-z', from, to]);
+    return output.split('\0').filter(Boolean);
+  }
+
+  /**
+   * Diff two commits
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} from - Base commit SHA
+   * @param {string} to - Target commit SHA
+   * @param {string} filePath - Optional path to limit the diff to
+   * @returns {Promise<Object>} { files: [{ path, additions, deletions }], diff }
+   */
+  async getDiff(projectPath, from, to, filePath = null) {
+    const pathArgs = filePath ? ['--', filePath] : [];
+
+    const numstat = await this.git(projectPath, ['diff', '--numstat', from, to, ...pathArgs]);
+    const diff = await this.git(projectPath, ['diff', from, to, ...pathArgs]);
+
+    const files = numstat
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [additions, deletions, ...rest] = line.split('\t');
+        return {
+          path: rest.join('\t'),
+          // Binary files report '-' for both counts
+          additions: additions === '-' ? null : parseInt(additions),
+          deletions: deletions === '-' ? null : parseInt(deletions)
+        };
+      });
+
+    return { files, diff };
+  }
+
+  /**
+   * Restore the workspace to a commit
+   * History is never rewritten: pending changes are committed first, then the
+   * commit's tree is checked out and recorded as a new commit on top.
+   * Ignored files (node_modules, build output) are left alone.
+   *
+   * @param {string} projectPath - Filesystem path to project
+   * @param {string} sha - Full commit SHA to restore
+   * @param {Object} author - Optional { name, email }
+   * @returns {Promise<Object>} { commitSha: the restore commit (or HEAD if unchanged),
+   *   previousSha: the workspace as it was just before the restore }
+   */
+  async restore(projectPath, sha, author = null) {
+    await this.commitAll(projectPath, 'Save workspace before restore', author);
+
+    return this.withLock(projectPath, async () => {
+      const previousSha = (await this.git(projectPath, ['rev-parse', 'HEAD'])).trim();
+
+      await this.git(projectPath, ['read-tree', '-u', '--reset', sha]);
+
+      const status = await this.git(projectPath, ['status', '--porcelain']);
+      if (status.trim()) {
+        await this.git(projectPath, ['commit', '--quiet', '-m', `Restore workspace to ${sha.slice(0, 7)}`], author);
+      }
+
+      return { commitSha: (await this.git(projectPath, ['rev-parse', 'HEAD'])).trim(), previousSha };
+    });
+  }
+}
+
+// Export singleton instance
+const gitService = new GitService();
+export default gitService;
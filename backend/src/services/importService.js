@@ -0,0 +1,226 @@
+/**
+ * Import Service
+ * Analyzes an imported codebase so its memory starts with real context
+ *
+ * Detects framework and language (package.json first, then common manifests
+ * for other ecosystems) and builds the CLAUDE.md overview from the package
+ * description, README and top-level layout.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Checked in order - meta-frameworks before the libraries they build on
+const JS_FRAMEWORKS = [
+  ['next', 'nextjs'],
+  ['nuxt', 'nuxt'],
+  ['@sveltejs/kit', 'sveltekit'],
+  ['@angular/core', 'angular'],
+  ['astro', 'astro'],
+  ['svelte', 'svelte'],
+  ['vue', 'vue'],
+  ['react', 'react'],
+  ['@nestjs/core', 'nestjs'],
+  ['fastify', 'fastify'],
+  ['express', 'express']
+];
+
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['package-lock.json', 'npm']
+];
+
+// Directories not worth listing in the overview
+const IGNORED_DIRS = ['.git', 'node_modules', '.claude', 'dist', 'build', '.next'];
+
+const README_NAMES = ['README.md', 'readme.md', 'README', 'README.txt'];
+
+const MAX_OVERVIEW_DIRS = 12;
+const MAX_KEY_DEPENDENCIES = 8;
+
+class ImportService {
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - File path
+   * @returns {Promise<Object|null>} Parsed JSON or null if missing/invalid
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} filePath - File path
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Detect framework, language and notable stack details
+   * @param {string} projectPath - Filesystem path to project
+   * @returns {Promise<Object>} { framework, language, techStack, packageJson }
+   */
+  async detectStack(projectPath) {
+    const packageJson = await this.readJson(path.join(projectPath, 'package.json'));
+
+    if (packageJson) {
+      return this.detectJavaScriptStack(projectPath, packageJson);
+    }
+
+    const has = (file) => this.exists(path.join(projectPath, file));
+
+    if (await has('requirements.txt') || await has('pyproject.toml')) {
+      const manifest = await fs.readFile(
+        path.join(projectPath, (await has('pyproject.toml')) ? 'pyproject.toml' : 'requirements.txt'),
+        'utf8'
+      );
+      const framework = ['django', 'fastapi', 'flask'].find(name => new RegExp(`\\b${name}\\b`, 'i').test(manifest)) || null;
+      return { framework, language: 'python', techStack: [], packageJson: null };
+    }
+
+    if (await has('go.mod')) {
+      return { framework: null, language: 'go', techStack: [], packageJson: null };
+    }
+
+    if (await has('Cargo.toml')) {
+      return { framework: null, language: 'rust', techStack: [], packageJson: null };
+    }
+
+    if (await has('index.html')) {
+      return { framework: 'static', language: 'javascript', techStack: ['Plain HTML, no package manifest'], packageJson: null };
+    }
+
+    return { framework: null, language: null, techStack: [], packageJson: null };
+  }
+
+  /**
+   * Detect stack details from package.json
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Object} packageJson - Parsed package.json
+   * @returns {Promise<Object>} { framework, language, techStack, packageJson }
+   */
+  async detectJavaScriptStack(projectPath, packageJson) {
+    const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    const scripts = packageJson.scripts || {};
+
+    const match = JS_FRAMEWORKS.find(([dep]) => deps[dep]);
+    const framework = match ? match[1] : null;
+
+    const usesTypeScript = Boolean(deps.typescript) || await this.exists(path.join(projectPath, 'tsconfig.json'));
+    const language = usesTypeScript ? 'typescript' : 'javascript';
+
+    const techStack = [];
+
+    let packageManager = 'npm';
+    for (const [lockfile, manager] of LOCKFILES) {
+      if (await this.exists(path.join(projectPath, lockfile))) {
+        packageManager = manager;
+        break;
+      }
+    }
+    techStack.push(`Package manager: ${packageManager}`);
+
+    if (deps.vite) techStack.push(`Build tool: Vite ${deps.vite}`);
+    if (match) techStack.push(`${match[0]}: ${deps[match[0]]}`);
+
+    for (const script of ['dev', 'build', 'start', 'test']) {
+      if (scripts[script]) {
+        techStack.push(`\`${packageManager} run ${script}\`: ${scripts[script]}`);
+      }
+    }
+
+    const keyDependencies = Object.keys(packageJson.dependencies || {})
+      .filter(dep => dep !== match?.[0])
+      .slice(0, MAX_KEY_DEPENDENCIES);
+    if (keyDependencies.length > 0) {
+      techStack.push(`Key dependencies: ${keyDependencies.join(', ')}`);
+    }
+
+    return { framework, language, techStack, packageJson };
+  }
+
+  /**
+   * Get the first prose paragraph of the README
+   * @param {string} projectPath - Filesystem path to project
+   * @returns {Promise<string|null>} Paragraph or null
+   */
+  async readReadmeSummary(projectPath) {
+    for (const name of README_NAMES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, name), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      // Skip headings, badges and HTML; take the first real paragraph
+      const paragraph = content
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(#|!\[|\[!\[|<|```|---)/.test(block));
+
+      return paragraph ? paragraph.slice(0, 600) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the CLAUDE.md overview for an imported project
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Object} context - { repoUrl, packageJson, description }
+   * @returns {Promise<string>} Overview markdown
+   */
+  async generateOverview(projectPath, { repoUrl, packageJson, description } = {}) {
+    const summary = description || packageJson?.description || await this.readReadmeSummary(projectPath);
+
+    const entries = await fs.readdir(projectPath, { withFileTypes: true });
+    const dirs = entries
+      .filter(entry => entry.isDirectory() && !IGNORED_DIRS.includes(entry.name))
+      .map(entry => `${entry.name}/`)
+      .sort()
+      .slice(0, MAX_OVERVIEW_DIRS);
+
+    const lines = [
+      summary || 'Imported codebase - AI will refine this overview after an initial code scan.',
+      '',
+      `Imported from ${repoUrl}.`
+    ];
+
+    if (dirs.length > 0) {
+      lines.push('', `Top-level layout: ${dirs.join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Analyze an imported project
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Object} context - { repoUrl, description }
+   * @returns {Promise<Object>} { framework, language, techStack, overview }
+   */
+  async analyzeProject(projectPath, { repoUrl, description } = {}) {
+    const { framework, language, techStack, packageJson } = await this.detectStack(projectPath);
+    const overview = await this.generateOverview(projectPath, { repoUrl, packageJson, description });
+
+    return { framework, language, techStack, overview, packageName: packageJson?.name || null };
+  }
+}
+
+// Export singleton instance
+const importService = new ImportService();
+export default importService;
@@ -0,0 +1,433 @@
+/**
+ * Lifecycle Service
+ * Archives idle projects to cold storage, keeps deleted projects in a trash
+ * and purges them once the retention period is over
+ *
+ * Archiving stops the project's dev server and previews, compresses the
+ * workspace (git history included, node_modules dropped) into
+ * COLD_STORAGE_DIR and removes it from PROJECTS_DIR. Archived projects are
+ * read-only until restored (see authorizeProject).
+ *
+ * Deleting moves a project to the trash. After PROJECT_TRASH_RETENTION_DAYS
+ * the purge job removes its files, containers and database rows for good.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import * as tar from 'tar';
+import {
+  getProjectById,
+  getActivePreviews,
+  getIdleProjects,
+  markProjectArchived,
+  markProjectRestored,
+  markProjectDeleted,
+  markProjectUndeleted,
+  getExpiredTrashedProjects,
+  deleteProject,
+  updateProjectStorage,
+  logEvent
+} from '../db/queries.js';
+import gitService from './gitService.js';
+import dockerService from './dockerService.js';
+import devServerService from './devServerService.js';
+import storageService from './storageService.js';
+
+const COLD_STORAGE_DIR = process.env.COLD_STORAGE_DIR || path.join(process.cwd(), '../cold-storage');
+
+// Regenerated by the next install, so not worth keeping in cold storage
+const EXCLUDED_DIRS = ['node_modules'];
+
+// Projects archived or purged per policy run, so one run never stalls the server
+const POLICY_BATCH_SIZE = 20;
+
+class LifecycleService {
+  constructor() {
+    this.autoArchiveDays = parseInt(process.env.PROJECT_AUTO_ARCHIVE_DAYS ?? '30');
+    this.trashRetentionDays = parseInt(process.env.PROJECT_TRASH_RETENTION_DAYS ?? '30');
+    this.checkIntervalMs = parseInt(process.env.PROJECT_LIFECYCLE_INTERVAL_MINUTES || '60') * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Build a lifecycle error
+   * @param {string} code - Error code (ALREADY_ARCHIVED, NOT_ARCHIVED, NOT_DELETED)
+   * @param {string} message - Error message
+   * @returns {Error} Error with code
+   */
+  lifecycleError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Stop a project's dev server and preview containers
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object>} { devServer, previews } - what was stopped
+   */
+  async stopRuntime(projectId) {
+    let devServer = false;
+    if (devServerService.getDevServerStatus(projectId).running) {
+      await devServerService.stopDevServer(projectId);
+      devServer = true;
+    }
+
+    const previews = await getActivePreviews(projectId);
+    for (const preview of previews) {
+      try {
+        await dockerService.stopContainer(preview.id, preview.container_id, projectId);
+      } catch (error) {
+        // A container that is already gone should not block archiving
+        console.error(`⚠️  Failed to stop preview ${preview.id}:`, error.message);
+      }
+    }
+
+    return { devServer, previews: previews.length };
+  }
+
+  /**
+   * Archive a project: stop it, compress its workspace and free the disk
+   * @param {string} projectId - Project UUID
+   * @param {Object} options - { userId, reason } for the audit event
+   * @returns {Promise<Object>} Updated project
+   * @throws {Error} With code ALREADY_ARCHIVED
+   */
+  async archiveProject(projectId, { userId = null, reason = 'manual' } = {}) {
+    const current = await getProjectById(projectId);
+    if (current.status === 'archived') {
+      throw this.lifecycleError('ALREADY_ARCHIVED', 'Project is already archived');
+    }
+
+    const stopped = await this.stopRuntime(current.id);
+    await gitService.autoCommit(current.path, 'Snapshot before archive');
+
+    return gitService.withLock(current.path, async () => {
+      // Re-read under the lock in case a concurrent request got here first
+      const project = await getProjectById(projectId);
+      if (project.status === 'archived') {
+        throw this.lifecycleError('ALREADY_ARCHIVED', 'Project is already archived');
+      }
+
+      await fs.mkdir(COLD_STORAGE_DIR, { recursive: true });
+      const archivePath = path.join(COLD_STORAGE_DIR, `${project.id}.tar.gz`);
+      const partialPath = `${archivePath}.partial`;
+
+      try {
+        await tar.c({
+          gzip: true,
+          portable: true,
+          cwd: project.path,
+          file: partialPath,
+          filter: (entryPath) => !entryPath.split('/').some(part => EXCLUDED_DIRS.includes(part))
+        }, ['.']);
+        await fs.rename(partialPath, archivePath);
+      } catch (error) {
+        await fs.rm(partialPath, { force: true });
+        throw error;
+      }
+
+      const { size } = await fs.stat(archivePath);
+
+      let archived;
+      try {
+        archived = await markProjectArchived(project.id, { archivePath, sizeBytes: size });
+      } catch (error) {
+        await fs.rm(archivePath, { force: true });
+        throw error;
+      }
+
+      // The archive is the source of truth from here on
+      await fs.rm(project.path, { recursive: true, force: true });
+      await updateProjectStorage(project.id, size);
+
+      await logEvent({
+        userId,
+        projectId: project.id,
+        kind: 'project_archived',
+        status: 'success',
+        message: `Project ${project.name} archived (${reason})`,
+        meta: { reason, archiveSizeBytes: size, ...stopped }
+      });
+
+      console.log(`🧊 Archived project ${project.id} (${Math.round(size / 1024)} KB, ${reason})`);
+
+      return archived;
+    });
+  }
+
+  /**
+   * Restore an archived project's workspace and make it writable again
+   * @param {string} projectId - Project UUID
+   * @param {Object} options - { userId } for the audit event
+   * @returns {Promise<Object>} Updated project
+   * @throws {Error} With code NOT_ARCHIVED
+   */
+  async restoreProject(projectId, { userId = null } = {}) {
+    const current = await getProjectById(projectId);
+
+    return gitService.withLock(current.path, async () => {
+      const project = await getProjectById(projectId);
+      if (project.status !== 'archived') {
+        throw this.lifecycleError('NOT_ARCHIVED', 'Project is not archived');
+      }
+
+      // Extract into a fresh directory so a half-finished restore never looks like a workspace
+      const stagingPath = `${project.path}.restoring`;
+      await fs.rm(stagingPath, { recursive: true, force: true });
+      await fs.mkdir(stagingPath, { recursive: true });
+
+      try {
+        await tar.x({ file: project.archive_path, cwd: stagingPath, strict: true });
+        await fs.rm(project.path, { recursive: true, force: true });
+        await fs.rename(stagingPath, project.path);
+      } catch (error) {
+        await fs.rm(stagingPath, { recursive: true, force: true });
+        throw error;
+      }
+
+      const restored = await markProjectRestored(project.id);
+
+      await fs.rm(project.archive_path, { force: true });
+      storageService.scheduleMeasure(project.id);
+
+      await logEvent({
+        userId,
+        projectId: project.id,
+        kind: 'project_unarchived',
+        status: 'success',
+        message: `Project ${project.name} restored from cold storage`
+      });
+
+      console.log(`♻️  Restored project ${project.id} from cold storage`);
+
+      return restored;
+    });
+  }
+
+  /**
+   * Archive active projects idle for longer than PROJECT_AUTO_ARCHIVE_DAYS
+   * @returns {Promise<number>} Number of projects archived
+   */
+  async archiveIdleProjects() {
+    const projects = await getIdleProjects(this.autoArchiveDays, POLICY_BATCH_SIZE);
+    let archived = 0;
+
+    for (const project of projects) {
+      try {
+        await this.archiveProject(project.id, { reason: `idle for ${this.autoArchiveDays}+ days` });
+        archived++;
+      } catch (error) {
+        if (error.code === 'ALREADY_ARCHIVED') {
+          continue;
+        }
+
+        console.error(`❌ Failed to auto-archive project ${project.id}:`, error);
+        await logEvent({
+          projectId: project.id,
+          kind: 'project_archived',
+          status: 'error',
+          message: `Auto-archive failed: ${error.message}`
+        }).catch(() => {});
+      }
+    }
+
+    return archived;
+  }
+
+  /**
+   * When a trashed project becomes eligible for purging
+   * @param {Date|string} deletedAt - When it was moved to the trash
+   * @returns {Date} Purge date
+   */
+  purgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.trashRetentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Move a project to the trash, stopping anything it has running
+   * @param {string} projectId - Project UUID
+   * @param {Object} options - { userId } of the user deleting it
+   * @returns {Promise<Object>} Updated project with purge_after
+   */
+  async trashProject(projectId, { userId }) {
+    const project = await getProjectById(projectId);
+    const stopped = await this.stopRuntime(project.id);
+    const deleted = await markProjectDeleted(project.id, userId);
+
+    const purgeAfter = this.purgeDate(deleted.deleted_at);
+
+    await logEvent({
+      userId,
+      projectId: project.id,
+      kind: 'project_trashed',
+      status: 'success',
+      message: `Project ${project.name} moved to trash`,
+      meta: { previousStatus: project.status, purgeAfter: purgeAfter.toISOString(), ...stopped }
+    });
+
+    console.log(`🗑️  Project ${project.id} moved to trash (purge after ${purgeAfter.toISOString()})`);
+
+    return { ...deleted, purge_after: purgeAfter };
+  }
+
+  /**
+   * Take a project out of the trash
+   * @param {string} projectId - Project UUID
+   * @param {Object} options - { userId } for the audit event
+   * @returns {Promise<Object>} Updated project (active, or archived if it was archived when deleted)
+   * @throws {Error} With code NOT_DELETED
+   */
+  async restoreFromTrash(projectId, { userId }) {
+    const project = await getProjectById(projectId);
+    if (project.status !== 'deleted') {
+      throw this.lifecycleError('NOT_DELETED', 'Project is not in the trash');
+    }
+
+    const restored = await markProjectUndeleted(project.id);
+
+    await logEvent({
+      userId,
+      projectId: project.id,
+      kind: 'project_restored',
+      status: 'success',
+      message: `Project ${project.name} restored from trash`,
+      meta: { status: restored.status }
+    });
+
+    console.log(`♻️  Project ${project.id} restored from trash`);
+
+    return restored;
+  }
+
+  /**
+   * Permanently remove a trashed project: containers, files and database rows
+   * Chat, memory, builds and previews cascade with the project row; events keep
+   * their history with project_id cleared
+   *
+   * @param {Object} project - Project row (status 'deleted')
+   * @returns {Promise<void>}
+   */
+  async purgeProject(project) {
+    await this.stopRuntime(project.id);
+
+    let containersRemoved = 0;
+    try {
+      containersRemoved = await dockerService.removeProjectContainers(project.id);
+    } catch (error) {
+      // Leftover containers are swept by cleanupStoppedContainers; don't keep the data around for them
+      console.error(`⚠️  Failed to remove containers of project ${project.id}:`, error.message);
+    }
+
+    await gitService.withLock(project.path, () => fs.rm(project.path, { recursive: true, force: true }));
+    if (project.archive_path) {
+      await fs.rm(project.archive_path, { force: true });
+    }
+
+    await deleteProject(project.id);
+
+    // Logged after the row is gone, so the project ID lives in meta
+    await logEvent({
+      userId: project.deleted_by,
+      projectId: null,
+      kind: 'project_purged',
+      status: 'success',
+      message: `Project ${project.name} permanently deleted after ${this.trashRetentionDays} days in trash`,
+      meta: {
+        projectId: project.id,
+        name: project.name,
+        ownerId: project.user_id,
+        organizationId: project.organization_id,
+        deletedAt: project.deleted_at,
+        containersRemoved
+      }
+    });
+
+    console.log(`🔥 Purged project ${project.id}`);
+  }
+
+  /**
+   * Purge trashed projects older than PROJECT_TRASH_RETENTION_DAYS
+   * @returns {Promise<number>} Number of projects purged
+   */
+  async purgeExpiredProjects() {
+    const projects = await getExpiredTrashedProjects(this.trashRetentionDays, POLICY_BATCH_SIZE);
+    let purged = 0;
+
+    for (const project of projects) {
+      try {
+        await this.purgeProject(project);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Failed to purge project ${project.id}:`, error);
+        await logEvent({
+          projectId: project.id,
+          kind: 'project_purged',
+          status: 'error',
+          message: `Purge failed: ${error.message}`
+        }).catch(() => {});
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Run the lifecycle policies once: purge expired trash, then auto-archive idle projects
+   * @returns {Promise<void>}
+   */
+  async runPolicies() {
+    try {
+      const purged = await this.purgeExpiredProjects();
+      if (purged > 0) {
+        console.log(`🔥 Purged ${purged} expired project(s) from trash`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge run failed:', error);
+    }
+
+    if (!(this.autoArchiveDays > 0)) {
+      return;
+    }
+
+    try {
+      const archived = await this.archiveIdleProjects();
+      if (archived > 0) {
+        console.log(`🧊 Auto-archived ${archived} idle project(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Auto-archive run failed:', error);
+    }
+  }
+
+  /**
+   * Start the periodic lifecycle policies
+   * Auto-archive is skipped when PROJECT_AUTO_ARCHIVE_DAYS is 0
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runPolicies(), this.checkIntervalMs);
+    this.timer.unref();
+    this.runPolicies();
+
+    console.log(`🧊 Lifecycle policies enabled (trash kept ${this.trashRetentionDays} days, ` +
+      (this.autoArchiveDays > 0 ? `auto-archive after ${this.autoArchiveDays} idle days)` : 'auto-archive off)'));
+  }
+
+  /**
+   * Stop the periodic lifecycle policies
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const lifecycleService = new LifecycleService();
+export default lifecycleService;
@@ -37,11 +37,19 @@ class MemoryService {
       // Create .claude directory for additional memory files
       await fs.mkdir(claudeDirPath, { recursive: true });
 
-      // Generate initial CLAUDE.md content
-      const template = this.generateTemplate(projectName, options);
+      // Imported repositories may already ship their own CLAUDE.md - keep it
+      let template = null;
+      if (options.preserveExisting) {
+        template = await fs.readFile(claudeMdPath, 'utf8').catch(() => null);
+      }
+
+      if (template === null) {
+        // Generate initial CLAUDE.md content
+        template = this.generateTemplate(projectName, options);
 
-      // Write CLAUDE.md file
-      await fs.writeFile(claudeMdPath, template, 'utf8');
+        // Write CLAUDE.md file
+        await fs.writeFile(claudeMdPath, template, 'utf8');
+      }
 
       // Calculate size
       const stats = await fs.stat(claudeMdPath);
@@ -84,17 +92,22 @@ class MemoryService {
    */
   generateTemplate(projectName, options = {}) {
     const timestamp = new Date().toISOString();
-    const { framework, language, description } = options;
+    const { framework, language, description, overview, techStack, template, repoUrl } = options;
+
+    // Templates and imports describe their stack up front; otherwise it's detected later
+    const techStackNotes = techStack?.length
+      ? techStack.map(item => `- ${item}`).join('\n')
+      : '- Additional dependencies will be documented as discovered';
 
     return `# Project: ${projectName}
 
 ## Overview
-${description || 'AI will analyze and fill this section after initial code scan'}
+${overview || description || 'AI will analyze and fill this section after initial code scan'}
 
 ## Tech Stack
 ${framework ? `- Framework: ${framework}` : '- Framework: To be detected'}
 ${language ? `- Language: ${language}` : '- Language: To be detected'}
-- Additional dependencies will be documented as discovered
+${techStackNotes}
 
 ## Architecture
 [High-level architecture will be documented as we build]
@@ -102,6 +115,8 @@ ${language ? `- Language: ${language}` : '- Language: To be detected'}
 ## Key Decisions
 - ${timestamp}: Project initialized with AtlasEngine
 ${framework ? `- ${timestamp}: Using ${framework} as primary framework` : ''}
+${template ? `- ${timestamp}: Scaffolded from the "${template.name}" template` : ''}
+${repoUrl ? `- ${timestamp}: Imported from ${repoUrl}` : ''}
 
 ## Coding Conventions
 [To be established during development based on codebase patterns]
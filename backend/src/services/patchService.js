@@ -0,0 +1,508 @@
+/**
+ * Patch Service
+ * Parses multi-file unified diffs and applies them to a project's workspace
+ *
+ * Accepts `diff -u` and `git diff` output: created (--- /dev/null), deleted
+ * (+++ /dev/null) and renamed files, "\ No newline at end of file" markers and
+ * hunks that moved because lines were added or removed above them. Context
+ * lines must match exactly (no fuzz). A patch is planned in memory first and
+ * written only if every hunk of every file applies, so it lands entirely or
+ * not at all; hunks that don't apply are returned as rejects.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Larger files are not patched
+const MAX_FILE_BYTES = 10 * 1024 * 1024; // 10 MB
+
+const DEV_NULL = '/dev/null';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+class PatchService {
+  /**
+   * Build a patch error
+   * @param {string} code - Error code (INVALID_PATCH, INVALID_PATH)
+   * @param {string} message - Error message
+   * @param {Object} details - Extra fields (e.g. path)
+   * @returns {Error} Error with code
+   */
+  patchError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Parse a unified diff into per-file changes
+   * @param {string} patchText - Unified diff (one or more files)
+   * @param {Object} options - { strip: leading path components to remove; default 1 for a/ b/ prefixed diffs, else 0 }
+   * @returns {Array<Object>} Files: { oldPath, newPath, isNew, isDeleted, isBinary, hunks }
+   */
+  parsePatch(patchText, { strip } = {}) {
+    if (typeof patchText !== 'string' || !patchText.trim()) {
+      throw this.patchError('INVALID_PATCH', 'Patch is empty');
+    }
+
+    const lines = patchText.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const files = [];
+    let file = null;
+    let i = 0;
+
+    const startFile = () => {
+      file = { oldPath: null, newPath: null, gitOldPath: null, gitNewPath: null, isNew: false, isDeleted: false, isBinary: false, hunks: [] };
+      files.push(file);
+    };
+
+    while (i < lines.length) {
+      const line = lines[i].replace(/\r$/, '');
+
+      if (line.startsWith('diff --git ')) {
+        startFile();
+        const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+        if (match) {
+          file.gitOldPath = match[1];
+          file.gitNewPath = match[2];
+        }
+        i++;
+        continue;
+      }
+
+      if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+        // A plain diff has no "diff --git" line; a git diff already started the file
+        if (!file || file.oldPath !== null || file.hunks.length > 0) {
+          startFile();
+        }
+        file.oldPath = this.parseFileName(line.slice(4));
+        file.newPath = this.parseFileName(lines[i + 1].replace(/\r$/, '').slice(4));
+        i += 2;
+        continue;
+      }
+
+      if (line.startsWith('@@')) {
+        if (!file || file.oldPath === null) {
+          throw this.patchError('INVALID_PATCH', `Hunk without file headers at line ${i + 1}`);
+        }
+        i = this.parseHunk(lines, i, file);
+        continue;
+      }
+
+      if (file) {
+        if (line.startsWith('new file mode')) {
+          file.isNew = true;
+        } else if (line.startsWith('deleted file mode')) {
+          file.isDeleted = true;
+        } else if (line.startsWith('rename from ')) {
+          file.gitOldPath = line.slice('rename from '.length);
+        } else if (line.startsWith('rename to ')) {
+          file.gitNewPath = line.slice('rename to '.length);
+        } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+          file.isBinary = true;
+        }
+      }
+
+      // Anything else (commit messages, "index" lines, mode changes) is ignored
+      i++;
+    }
+
+    if (files.length === 0) {
+      throw this.patchError('INVALID_PATCH', 'No file changes found in patch');
+    }
+
+    const prefixed = files.every(entry =>
+      [entry.oldPath, entry.newPath].every(name => name === null || name === DEV_NULL || /^[ab]\//.test(name))
+    );
+    const stripCount = strip ?? (prefixed ? 1 : 0);
+
+    return files.map(entry => {
+      // git headers carry the paths of pure renames and binary changes, already without a/ b/
+      const oldName = entry.oldPath ?? (entry.isNew ? DEV_NULL : entry.gitOldPath);
+      const newName = entry.newPath ?? (entry.isDeleted ? DEV_NULL : entry.gitNewPath);
+      const fromGitHeader = entry.oldPath === null;
+
+      if (!oldName || !newName) {
+        throw this.patchError('INVALID_PATCH', 'File change without ---/+++ headers');
+      }
+
+      const isNew = oldName === DEV_NULL;
+      const isDeleted = newName === DEV_NULL;
+
+      return {
+        oldPath: isNew ? null : (fromGitHeader ? oldName : this.stripPath(oldName, stripCount)),
+        newPath: isDeleted ? null : (fromGitHeader ? newName : this.stripPath(newName, stripCount)),
+        isNew,
+        isDeleted,
+        isBinary: entry.isBinary,
+        hunks: entry.hunks
+      };
+    });
+  }
+
+  /**
+   * Read a file name from a ---/+++ header (drops the timestamp and quotes)
+   * @param {string} value - Header text after "--- " or "+++ "
+   * @returns {string} File name
+   */
+  parseFileName(value) {
+    let name = value.split('\t')[0].trim();
+
+    if (name.startsWith('"') && name.endsWith('"')) {
+      name = JSON.parse(name);
+    }
+
+    return name;
+  }
+
+  /**
+   * Remove leading path components (like patch -p)
+   * @param {string} name - File name from the patch
+   * @param {number} count - Components to remove
+   * @returns {string} Stripped path
+   */
+  stripPath(name, count) {
+    const segments = name.split('/');
+
+    if (segments.length <= count) {
+      throw this.patchError('INVALID_PATCH', `Cannot strip ${count} path components from ${name}`);
+    }
+
+    return segments.slice(count).join('/');
+  }
+
+  /**
+   * Parse one hunk starting at its @@ header
+   * @param {Array<string>} lines - Patch lines
+   * @param {number} start - Index of the @@ line
+   * @param {Object} file - File being parsed (hunk is appended)
+   * @returns {number} Index of the first line after the hunk
+   */
+  parseHunk(lines, start, file) {
+    const header = lines[start].replace(/\r$/, '');
+    const match = header.match(HUNK_HEADER);
+
+    if (!match) {
+      throw this.patchError('INVALID_PATCH', `Malformed hunk header at line ${start + 1}: ${header}`);
+    }
+
+    const hunk = {
+      header,
+      oldStart: parseInt(match[1]),
+      oldLines: match[2] === undefined ? 1 : parseInt(match[2]),
+      newStart: parseInt(match[3]),
+      newLines: match[4] === undefined ? 1 : parseInt(match[4]),
+      lines: [],
+      oldNoNewline: false,
+      newNoNewline: false
+    };
+
+    let oldRemaining = hunk.oldLines;
+    let newRemaining = hunk.newLines;
+    let i = start + 1;
+
+    while (i < lines.length && (oldRemaining > 0 || newRemaining > 0 || lines[i].startsWith('\\'))) {
+      const line = lines[i];
+      // Some editors strip the single space of empty context lines
+      const type = line === '' || line === '\r' ? ' ' : line[0];
+      const text = line.slice(1);
+
+      if (type === '\\') {
+        const previous = hunk.lines[hunk.lines.length - 1];
+        if (previous?.type !== '+') {
+          hunk.oldNoNewline = true;
+        }
+        if (previous?.type !== '-') {
+          hunk.newNoNewline = true;
+        }
+      } else if (type === ' ' && oldRemaining > 0 && newRemaining > 0) {
+        hunk.lines.push({ type, text });
+        oldRemaining--;
+        newRemaining--;
+      } else if (type === '-' && oldRemaining > 0) {
+        hunk.lines.push({ type, text });
+        oldRemaining--;
+      } else if (type === '+' && newRemaining > 0) {
+        hunk.lines.push({ type, text });
+        newRemaining--;
+      } else {
+        break;
+      }
+
+      i++;
+    }
+
+    if (oldRemaining > 0 || newRemaining > 0) {
+      throw this.patchError('INVALID_PATCH', `Hunk is shorter than its header says: ${header}`);
+    }
+
+    file.hunks.push(hunk);
+    return i;
+  }
+
+  /**
+   * Apply hunks to a file's content
+   * A hunk is tried at its stated line first, then at the nearest offset where its context matches
+   * @param {string|null} content - Current content (null for a new file)
+   * @param {Array<Object>} hunks - Parsed hunks
+   * @returns {Object} { content, rejects: [{ hunk, header, reason }], offsets: [lines moved per applied hunk] }
+   */
+  applyHunks(content, hunks) {
+    const source = content ?? '';
+    let endsWithNewline = source === '' || source.endsWith('\n');
+    const lines = source === '' ? [] : source.split('\n');
+    if (endsWithNewline && lines.length > 0) {
+      lines.pop();
+    }
+
+    const rejects = [];
+    const offsets = [];
+    let delta = 0;
+    // Hunks must apply in order and cannot overlap earlier ones
+    let minIndex = 0;
+
+    hunks.forEach((hunk, index) => {
+      const oldBlock = hunk.lines.filter(line => line.type !== '+').map(line => line.text);
+      const newBlock = hunk.lines.filter(line => line.type !== '-').map(line => line.text);
+
+      // A hunk without old lines inserts after line oldStart
+      const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+      const position = this.findBlock(lines, oldBlock, expected, minIndex);
+
+      if (position === -1) {
+        rejects.push({ hunk: index + 1, header: hunk.header, reason: 'Context does not match the current file' });
+        return;
+      }
+
+      lines.splice(position, oldBlock.length, ...newBlock);
+      offsets.push(position - expected);
+      delta += newBlock.length - oldBlock.length + (position - expected);
+      minIndex = position + newBlock.length;
+
+      if (position + newBlock.length === lines.length) {
+        if (hunk.newNoNewline) {
+          endsWithNewline = false;
+        } else if (hunk.oldNoNewline || newBlock.length > 0) {
+          endsWithNewline = true;
+        }
+      }
+    });
+
+    const result = lines.length === 0 ? '' : lines.join('\n') + (endsWithNewline ? '\n' : '');
+    return { content: result, rejects, offsets };
+  }
+
+  /**
+   * Find where a block of lines occurs, closest to the expected index first
+   * @param {Array<string>} lines - File lines
+   * @param {Array<string>} block - Lines to find
+   * @param {number} expected - Index the hunk header points at
+   * @param {number} minIndex - First index the block may start at
+   * @returns {number} Start index, or -1 if not found
+   */
+  findBlock(lines, block, expected, minIndex) {
+    const lastStart = lines.length - block.length;
+    const matchesAt = (start) =>
+      start >= minIndex && start <= lastStart && block.every((line, offset) => lines[start + offset] === line);
+
+    const maxDistance = Math.max(expected - minIndex, lastStart - expected);
+    for (let distance = 0; distance <= maxDistance; distance++) {
+      if (matchesAt(expected - distance)) {
+        return expected - distance;
+      }
+      if (distance > 0 && matchesAt(expected + distance)) {
+        return expected + distance;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Plan a patch: validate paths, read current files and apply hunks in memory
+   * Nothing is written; pass the plan to writePlan when it has no rejects
+   * @param {string} patchText - Unified diff
+   * @param {Object} options - { resolveTarget(relativePath) => Promise of absolute path, or null if not allowed; strip }
+   * @returns {Promise<Object>} { files: [{ result, targetPath, oldTargetPath, previous, content }], hasRejects }
+   */
+  async planPatch(patchText, { resolveTarget, strip }) {
+    const parsed = this.parsePatch(patchText, { strip });
+
+    const resolve = async (relativePath) => {
+      if (relativePath === null) {
+        return null;
+      }
+      const targetPath = await resolveTarget(relativePath);
+      if (!targetPath) {
+        throw this.patchError('INVALID_PATH', `Invalid path: ${relativePath}`, { path: relativePath });
+      }
+      return targetPath;
+    };
+
+    // Every path is checked before any file is read
+    const targets = [];
+    for (const file of parsed) {
+      targets.push({ oldTargetPath: await resolve(file.oldPath), targetPath: await resolve(file.newPath) });
+    }
+
+    const touched = new Set();
+    for (const { oldTargetPath, targetPath } of targets) {
+      for (const target of new Set([oldTargetPath, targetPath].filter(Boolean))) {
+        if (touched.has(target)) {
+          throw this.patchError('INVALID_PATCH', 'Patch changes the same file more than once');
+        }
+        touched.add(target);
+      }
+    }
+
+    const files = [];
+    for (let index = 0; index < parsed.length; index++) {
+      files.push(await this.planFile(parsed[index], targets[index]));
+    }
+
+    return { files, hasRejects: files.some(file => file.result.rejects.length > 0) };
+  }
+
+  /**
+   * Plan one file of a patch
+   * @param {Object} file - Parsed file change
+   * @param {Object} targets - { oldTargetPath, targetPath } (null for /dev/null)
+   * @returns {Promise<Object>} { result, targetPath, oldTargetPath, previous, content }
+   */
+  async planFile(file, { oldTargetPath, targetPath }) {
+    const isRename = !file.isNew && !file.isDeleted && oldTargetPath !== targetPath;
+    const status = file.isNew ? 'created' : file.isDeleted ? 'deleted' : isRename ? 'renamed' : 'modified';
+
+    const result = {
+      path: file.newPath ?? file.oldPath,
+      ...(isRename ? { oldPath: file.oldPath } : {}),
+      status,
+      hunks: file.hunks.length,
+      additions: 0,
+      deletions: 0,
+      rejects: []
+    };
+
+    for (const hunk of file.hunks) {
+      result.additions += hunk.lines.filter(line => line.type === '+').length;
+      result.deletions += hunk.lines.filter(line => line.type === '-').length;
+    }
+
+    const plan = { result, targetPath, oldTargetPath, previous: null, content: null };
+    const reject = (reason) => {
+      result.rejects.push({ hunk: null, header: null, reason });
+      return plan;
+    };
+
+    if (file.isBinary) {
+      return reject('Binary patches are not supported');
+    }
+
+    const sourcePath = oldTargetPath ?? targetPath;
+    const previous = file.isNew ? null : await this.readFile(sourcePath);
+
+    if (file.isNew) {
+      if (await this.readFile(targetPath) !== null) {
+        return reject('File already exists');
+      }
+    } else {
+      if (previous === null) {
+        return reject('File does not exist');
+      }
+      if (previous.length > MAX_FILE_BYTES || previous.includes(0)) {
+        return reject('File is binary or too large to patch');
+      }
+      if (isRename && await this.readFile(targetPath) !== null) {
+        return reject('Rename target already exists');
+      }
+    }
+
+    const { content, rejects, offsets } = this.applyHunks(previous ? previous.toString('utf8') : null, file.hunks);
+
+    if (rejects.length > 0) {
+      result.rejects = rejects.map(entry => ({
+        ...entry,
+        text: [entry.header, ...file.hunks[entry.hunk - 1].lines.map(line => line.type + line.text)].join('\n')
+      }));
+      return plan;
+    }
+
+    if (file.isDeleted && content !== '') {
+      return reject('File has content the patch does not remove');
+    }
+
+    if (offsets.some(offset => offset !== 0)) {
+      result.offsets = offsets;
+    }
+
+    plan.previous = previous;
+    plan.content = file.isDeleted ? null : content;
+    return plan;
+  }
+
+  /**
+   * Read a file, or null if it does not exist
+   * @param {string} targetPath - Absolute path
+   * @returns {Promise<Buffer|null>} Content
+   */
+  async readFile(targetPath) {
+    try {
+      return await fs.readFile(targetPath);
+    } catch (error) {
+      // ENOTDIR: a file is in the way of a parent directory
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return null;
+      }
+      if (error.code === 'EISDIR') {
+        throw this.patchError('INVALID_PATCH', `Path is a directory: ${path.basename(targetPath)}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a planned patch; if any write fails, files already written are put back
+   * and directories created for new files are removed
+   * @param {Object} plan - Plan from planPatch (must have no rejects)
+   */
+  async writePlan(plan) {
+    const undo = [];
+
+    try {
+      for (const { targetPath, oldTargetPath, previous, content } of plan.files) {
+        if (content !== null) {
+          const existing = await this.readFile(targetPath);
+
+          // mkdir returns the first directory it had to create, if any
+          const createdDir = await fs.mkdir(path.dirname(targetPath), { recursive: true });
+          if (createdDir) {
+            undo.push(() => fs.rm(createdDir, { recursive: true, force: true }));
+          }
+
+          await fs.writeFile(targetPath, content, 'utf8');
+          undo.push(() => existing === null ? fs.rm(targetPath, { force: true }) : fs.writeFile(targetPath, existing));
+        }
+
+        // Deleted files, and the old name of renamed ones
+        const removedPath = content === null ? targetPath ?? oldTargetPath : oldTargetPath !== targetPath ? oldTargetPath : null;
+        if (removedPath) {
+          await fs.unlink(removedPath);
+          undo.push(() => fs.writeFile(removedPath, previous));
+        }
+      }
+    } catch (error) {
+      for (const step of undo.reverse()) {
+        await step().catch(() => {});
+      }
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const patchService = new PatchService();
+export default patchService;
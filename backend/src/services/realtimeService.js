@@ -0,0 +1,53 @@
+/**
+ * Realtime Service
+ * Broadcasts project events to connected Socket.IO clients
+ *
+ * server.js attaches the Socket.IO server at startup; routes and services
+ * emit through this service so they never import server.js. Clients in the
+ * `project-<id>` room (see join-project) receive the events.
+ */
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach the Socket.IO server
+   * @param {Object} io - Socket.IO server
+   */
+  attach(io) {
+    this.io = io;
+  }
+
+  /**
+   * Emit an event to everyone in a project's room
+   * No-op until a server is attached (scripts, tests)
+   * @param {string} projectId - Project UUID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  emitToProject(projectId, event, data) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(`project-${projectId}`).emit(event, { projectId, ...data });
+  }
+
+  /**
+   * Tell open clients that files in a project changed
+   * @param {string} projectId - Project UUID
+   * @param {Object} change - { action, path, type, from, paths, userId, commitSha }
+   */
+  emitFileChange(projectId, change) {
+    this.emitToProject(projectId, 'files-changed', {
+      ...change,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Export singleton instance
+const realtimeService = new RealtimeService();
+export default realtimeService;
@@ -0,0 +1,300 @@
+/**
+ * Search Service
+ * Full-text search across a project's files
+ *
+ * Candidate files come from `git ls-files`, so .gitignore (plus
+ * .git/info/exclude and the global excludes file) is honoured the same way
+ * git honours it. Projects without a repo are walked directly, skipping .git
+ * and node_modules. Include/exclude globs use gitignore-style matching: a
+ * pattern without a slash matches the file name in any directory.
+ *
+ * Matching runs in a worker thread (scripts/searchWorker.js) that is
+ * terminated at the search deadline, so a catastrophically backtracking regex
+ * cannot block the event loop; matches found before the deadline are returned
+ * as truncated.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import gitService from './gitService.js';
+
+export const DEFAULT_MAX_RESULTS = 500;
+export const MAX_RESULTS_LIMIT = 5000;
+export const MAX_CONTEXT_LINES = 5;
+
+// Larger files are skipped; they are almost always generated or binary
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Lines longer than this are not searched (minified bundles)
+const MAX_LINE_LENGTH = 10000;
+
+// Line text returned with each match is cut to this length
+const MAX_PREVIEW_LENGTH = 500;
+
+// A search stops here and reports itself as truncated
+const SEARCH_TIMEOUT_MS = 10 * 1000;
+
+const SEARCH_WORKER = new URL('../scripts/searchWorker.js', import.meta.url);
+
+// Always skipped when walking a project that is not a git repo
+const WALK_EXCLUDED_DIRS = ['.git', 'node_modules'];
+
+class SearchService {
+  /**
+   * Build a search error
+   * @param {string} code - Error code (INVALID_QUERY)
+   * @param {string} message - Error message
+   * @returns {Error} Error with code
+   */
+  searchError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Convert a glob to a regular expression over project-relative paths
+   * Supports *, **, ? and {a,b}; patterns without a slash match the file name anywhere
+   * @param {string} glob - Glob pattern
+   * @returns {RegExp} Matcher
+   */
+  globToRegExp(glob) {
+    let pattern = glob.trim().replace(/^\.\//, '');
+    // Only a slash before the end anchors the pattern ("dist/" matches any dist directory)
+    const anchored = pattern.slice(0, -1).includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    // A trailing slash means "everything under this directory"
+    if (pattern.endsWith('/')) {
+      pattern += '**';
+    }
+
+    let source = '';
+    let inBraces = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '*') {
+        if (pattern[i + 1] === '*') {
+          // "**/" matches zero or more directories, a bare "**" anything
+          if (pattern[i + 2] === '/') {
+            source += '(?:.*/)?';
+            i += 2;
+          } else {
+            source += '.*';
+            i += 1;
+          }
+        } else {
+          source += '[^/]*';
+        }
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        inBraces = true;
+        source += '(?:';
+      } else if (char === '}' && inBraces) {
+        inBraces = false;
+        source += ')';
+      } else if (char === ',' && inBraces) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    // Matching a directory matches everything under it
+    return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}(?:/.*)?$`);
+  }
+
+  /**
+   * Parse a list of globs (array or comma-separated string)
+   * @param {string|Array<string>} globs - Globs from the request
+   * @returns {Array<RegExp>} Matchers
+   */
+  parseGlobs(globs) {
+    if (!globs) {
+      return [];
+    }
+
+    const list = Array.isArray(globs) ? globs : String(globs).split(',');
+    return list.map(glob => glob.trim()).filter(Boolean).map(glob => this.globToRegExp(glob));
+  }
+
+  /**
+   * Compile the search query into a global regular expression
+   * @param {string} query - Search text or pattern
+   * @param {Object} options - { regex, caseSensitive, wholeWord }
+   * @returns {RegExp} Matcher
+   * @throws {Error} With code INVALID_QUERY
+   */
+  compileQuery(query, { regex = false, caseSensitive = false, wholeWord = false } = {}) {
+    if (typeof query !== 'string' || query.length === 0) {
+      throw this.searchError('INVALID_QUERY', 'Search query is required');
+    }
+
+    if (query.length > 1000) {
+      throw this.searchError('INVALID_QUERY', 'Search query is too long');
+    }
+
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) {
+      source = `\\b(?:${source})\\b`;
+    }
+
+    try {
+      return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+      throw this.searchError('INVALID_QUERY', error.message);
+    }
+  }
+
+  /**
+   * List candidate files in a project
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Object} options - { respectGitignore }
+   * @returns {Promise<Array<string>>} Project-relative paths (forward slashes)
+   */
+  async listFiles(projectPath, { respectGitignore = true } = {}) {
+    if (await gitService.isRepo(projectPath)) {
+      const args = ['ls-files', '-z', '--cached', '--others'];
+      if (respectGitignore) {
+        args.push('--exclude-standard');
+      }
+
+      const output = await gitService.git(projectPath, args);
+      // Files with unmerged stages are listed once per stage
+      return [...new Set(output.split('\0').filter(Boolean))];
+    }
+
+    const files = [];
+    const pending = [''];
+
+    while (pending.length > 0) {
+      const relativeDir = pending.pop();
+      const entries = await fs.readdir(path.join(projectPath, relativeDir), { withFileTypes: true });
+
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          if (!WALK_EXCLUDED_DIRS.includes(entry.name)) {
+            pending.push(relativePath);
+          }
+        } else if (entry.isFile()) {
+          files.push(relativePath);
+        }
+      }
+    }
+
+    return files.sort();
+  }
+
+  /**
+   * Search a project's files
+   * @param {string} projectPath - Filesystem path to project
+   * @param {Object} options - { query, regex, caseSensitive, wholeWord, include, exclude,
+   *                             respectGitignore, maxResults, contextLines, timeoutMs }
+   * @returns {Promise<Object>} { results, totalMatches, filesSearched, filesMatched, truncated }
+   * @throws {Error} With code INVALID_QUERY
+   */
+  async search(projectPath, {
+    query,
+    regex = false,
+    caseSensitive = false,
+    wholeWord = false,
+    include,
+    exclude,
+    respectGitignore = true,
+    maxResults = DEFAULT_MAX_RESULTS,
+    contextLines = 0,
+    timeoutMs = SEARCH_TIMEOUT_MS
+  }) {
+    const matcher = this.compileQuery(query, { regex, caseSensitive, wholeWord });
+    const includes = this.parseGlobs(include);
+    const excludes = this.parseGlobs(exclude);
+    const limit = Math.min(Math.max(parseInt(maxResults) || DEFAULT_MAX_RESULTS, 1), MAX_RESULTS_LIMIT);
+    const context = Math.min(Math.max(parseInt(contextLines) || 0, 0), MAX_CONTEXT_LINES);
+
+    const files = (await this.listFiles(projectPath, { respectGitignore })).filter(file =>
+      (includes.length === 0 || includes.some(glob => glob.test(file))) &&
+      !excludes.some(glob => glob.test(file))
+    );
+
+    const { results, filesSearched, truncated } = await this.runWorker({
+      projectPath,
+      files,
+      source: matcher.source,
+      flags: matcher.flags,
+      limit,
+      context,
+      maxFileBytes: MAX_FILE_BYTES,
+      maxLineLength: MAX_LINE_LENGTH,
+      maxPreviewLength: MAX_PREVIEW_LENGTH
+    }, timeoutMs);
+
+    return {
+      results,
+      totalMatches: results.reduce((total, result) => total + result.matches.length, 0),
+      filesSearched,
+      filesMatched: results.length,
+      truncated
+    };
+  }
+
+  /**
+   * Match files in a search worker, terminating it at the deadline
+   * @param {Object} workerData - See scripts/searchWorker.js
+   * @param {number} timeoutMs - Deadline; results found so far are returned as truncated
+   * @returns {Promise<Object>} { results, filesSearched, truncated }
+   */
+  runWorker(workerData, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(SEARCH_WORKER, { workerData });
+      const results = [];
+      let filesSearched = 0;
+      let settled = false;
+
+      const finish = (error, truncated) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ results, filesSearched, truncated });
+        }
+      };
+
+      const timer = setTimeout(() => finish(null, true), timeoutMs);
+
+      worker.on('message', (message) => {
+        if (message.type === 'file') {
+          filesSearched = message.filesSearched;
+          if (message.matches.length > 0) {
+            results.push({ path: message.path, matches: message.matches });
+          }
+        } else if (message.type === 'done') {
+          filesSearched = message.filesSearched;
+          finish(null, message.truncated);
+        }
+      });
+
+      worker.on('error', error => finish(error));
+      worker.on('exit', (code) => {
+        if (!settled) {
+          finish(new Error(`Search worker exited with code ${code}`));
+        }
+      });
+    });
+  }
+}
+
+// Export singleton instance
+const searchService = new SearchService();
+export default searchService;
@@ -0,0 +1,348 @@
+/**
+ * Secrets Service
+ * Per-project environment variables encrypted at rest
+ *
+ * Values are sealed with AES-256-GCM under SECRETS_MASTER_KEY; the project ID
+ * and secret name are bound as additional authenticated data, so a ciphertext
+ * copied to another project or name fails to decrypt. Plaintext only leaves
+ * this service as environment variables for dev servers and containers, and a
+ * redactor scrubs the values from logs and transcripts.
+ */
+
+import crypto from 'crypto';
+import {
+  getProjectSecrets,
+  createProjectSecret,
+  updateProjectSecret,
+  deleteProjectSecret
+} from '../db/queries.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+export const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Set by the platform for every process; a secret must not shadow them
+const RESERVED_NAMES = ['PATH', 'HOME', 'USER', 'SHELL', 'PWD', 'HOSTNAME', 'NODE_OPTIONS', 'PORT', 'BROWSER'];
+
+const MAX_VALUE_BYTES = 32 * 1024;
+
+// Shorter values would redact ordinary words like "true" or "dev"
+const MIN_REDACT_LENGTH = 4;
+
+const REDACTED = '[REDACTED]';
+
+class SecretsService {
+  constructor() {
+    this.key = this.loadKey(process.env.SECRETS_MASTER_KEY);
+  }
+
+  /**
+   * Parse the master key (32 bytes as base64 or hex)
+   * @param {string} rawKey - SECRETS_MASTER_KEY
+   * @returns {Buffer|null} Key or null if not configured
+   */
+  loadKey(rawKey) {
+    if (!rawKey) {
+      return null;
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(rawKey) ? Buffer.from(rawKey, 'hex') : Buffer.from(rawKey, 'base64');
+    if (key.length !== 32) {
+      console.error('❌ SECRETS_MASTER_KEY must be 32 bytes (base64 or hex); project secrets are disabled');
+      return null;
+    }
+
+    return key;
+  }
+
+  /**
+   * Whether a master key is configured
+   * @returns {boolean} True if secrets can be stored and read
+   */
+  isConfigured() {
+    return this.key !== null;
+  }
+
+  /**
+   * Build a secrets error
+   * @param {string} code - Error code (SECRETS_DISABLED, INVALID_SECRET)
+   * @param {string} message - Error message
+   * @returns {Error} Error with code
+   */
+  secretsError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Validate a secret name
+   * @param {string} name - Variable name
+   * @returns {string|null} Error message or null if valid
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+      return 'Secret names must be letters, digits and underscores, not starting with a digit';
+    }
+
+    if (RESERVED_NAMES.includes(name.toUpperCase())) {
+      return `${name} is set by the platform and cannot be a secret`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a secret value
+   * @param {*} value - Secret value
+   * @returns {string|null} Error message or null if valid
+   */
+  validateValue(value) {
+    if (typeof value !== 'string') {
+      return 'Secret value must be a string';
+    }
+
+    if (Buffer.byteLength(value, 'utf8') > MAX_VALUE_BYTES) {
+      return `Secret value exceeds ${MAX_VALUE_BYTES / 1024} KB`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Additional authenticated data binding a ciphertext to its project and name
+   * @param {string} projectId - Project UUID
+   * @param {string} name - Secret name
+   * @returns {Buffer} AAD
+   */
+  aad(projectId, name) {
+    return Buffer.from(`${projectId}:${name}`, 'utf8');
+  }
+
+  /**
+   * Encrypt a secret value
+   * @param {string} projectId - Project UUID
+   * @param {string} name - Secret name
+   * @param {string} value - Plaintext
+   * @returns {Object} { valueEncrypted, iv, authTag } as base64
+   */
+  encrypt(projectId, name, value) {
+    if (!this.key) {
+      throw this.secretsError('SECRETS_DISABLED', 'Project secrets are not configured (SECRETS_MASTER_KEY)');
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    cipher.setAAD(this.aad(projectId, name));
+
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return {
+      valueEncrypted: ciphertext.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a stored secret
+   * @param {Object} secret - project_secrets row
+   * @returns {string} Plaintext
+   */
+  decrypt(secret) {
+    if (!this.key) {
+      throw this.secretsError('SECRETS_DISABLED', 'Project secrets are not configured (SECRETS_MASTER_KEY)');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(secret.iv, 'base64'));
+    decipher.setAAD(this.aad(secret.project_id, secret.name));
+    decipher.setAuthTag(Buffer.from(secret.auth_tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(secret.value_encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Public view of a secret - never includes the value
+   * @param {Object} secret - project_secrets row
+   * @returns {Object} Secret metadata
+   */
+  toPublicSecret(secret) {
+    return {
+      name: secret.name,
+      exposeToBuild: secret.expose_to_build,
+      createdBy: secret.created_by,
+      updatedBy: secret.updated_by,
+      createdAt: secret.created_at,
+      updatedAt: secret.updated_at
+    };
+  }
+
+  /**
+   * List a project's secrets without values
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Array>} Secret metadata
+   */
+  async listSecrets(projectId) {
+    const secrets = await getProjectSecrets(projectId);
+    return secrets.map(secret => this.toPublicSecret(secret));
+  }
+
+  /**
+   * Store a new secret
+   * @param {string} projectId - Project UUID
+   * @param {Object} data - { name, value, exposeToBuild }
+   * @param {string} userId - User creating it
+   * @returns {Promise<Object>} Secret metadata
+   * @throws {Error} With code INVALID_SECRET or SECRETS_DISABLED
+   */
+  async createSecret(projectId, { name, value, exposeToBuild = false }, userId) {
+    const problem = this.validateName(name) || this.validateValue(value);
+    if (problem) {
+      throw this.secretsError('INVALID_SECRET', problem);
+    }
+
+    const secret = await createProjectSecret({
+      projectId,
+      name,
+      ...this.encrypt(projectId, name, value),
+      exposeToBuild: Boolean(exposeToBuild),
+      createdBy: userId
+    });
+
+    return this.toPublicSecret(secret);
+  }
+
+  /**
+   * Replace a secret's value and/or change its build exposure
+   * @param {string} projectId - Project UUID
+   * @param {string} name - Secret name
+   * @param {Object} data - { value, exposeToBuild } - either may be omitted
+   * @param {string} userId - User updating it
+   * @returns {Promise<Object|null>} Secret metadata or null if not found
+   * @throws {Error} With code INVALID_SECRET or SECRETS_DISABLED
+   */
+  async updateSecret(projectId, name, { value, exposeToBuild }, userId) {
+    if (value === undefined && exposeToBuild === undefined) {
+      throw this.secretsError('INVALID_SECRET', 'Provide a value and/or exposeToBuild');
+    }
+
+    const update = { updatedBy: userId };
+
+    if (value !== undefined) {
+      const problem = this.validateValue(value);
+      if (problem) {
+        throw this.secretsError('INVALID_SECRET', problem);
+      }
+      Object.assign(update, this.encrypt(projectId, name, value));
+    }
+
+    if (exposeToBuild !== undefined) {
+      update.exposeToBuild = Boolean(exposeToBuild);
+    }
+
+    const secret = await updateProjectSecret(projectId, name, update);
+    return secret ? this.toPublicSecret(secret) : null;
+  }
+
+  /**
+   * Delete a secret
+   * @param {string} projectId - Project UUID
+   * @param {string} name - Secret name
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteSecret(projectId, name) {
+    return deleteProjectSecret(projectId, name);
+  }
+
+  /**
+   * Decrypt a project's secrets
+   * Secrets that cannot be decrypted (missing or rotated key) are skipped with a warning
+   * so a misconfigured key never blocks builds of projects without secrets
+   *
+   * @param {string} projectId - Project UUID
+   * @param {Object} options - { target: 'dev' | 'build' | 'runtime' } - builds only get opted-in secrets
+   * @returns {Promise<Object>} Map of name to plaintext value
+   */
+  async getEnv(projectId, { target = 'runtime' } = {}) {
+    const secrets = await getProjectSecrets(projectId);
+    const env = {};
+
+    for (const secret of secrets) {
+      if (target === 'build' && !secret.expose_to_build) {
+        continue;
+      }
+
+      try {
+        env[secret.name] = this.decrypt(secret);
+      } catch (error) {
+        console.error(`⚠️  Could not decrypt secret ${secret.name} of project ${projectId}:`, error.message);
+      }
+    }
+
+    return env;
+  }
+
+  /**
+   * Format secrets as Docker Env entries
+   * @param {Object} env - Map of name to value
+   * @returns {Array<string>} NAME=value entries
+   */
+  toDockerEnv(env) {
+    return Object.entries(env).map(([name, value]) => `${name}=${value}`);
+  }
+
+  /**
+   * Build a function that replaces secret values with [REDACTED]
+   * Strings are scrubbed directly; arrays and plain objects are scrubbed recursively
+   *
+   * @param {Object} env - Map of name to value (from getEnv)
+   * @returns {Function} (value) => redacted value
+   */
+  createRedactor(env) {
+    // Longest first so a secret containing another is replaced whole
+    const values = [...new Set(Object.values(env))]
+      .filter(value => value.length >= MIN_REDACT_LENGTH)
+      .sort((a, b) => b.length - a.length);
+
+    const redactString = (text) => values.reduce((result, value) => result.split(value).join(REDACTED), text);
+
+    const redact = (input) => {
+      if (values.length === 0 || input === null || input === undefined) {
+        return input;
+      }
+
+      if (typeof input === 'string') {
+        return redactString(input);
+      }
+
+      if (Array.isArray(input)) {
+        return input.map(redact);
+      }
+
+      if (typeof input === 'object' && input.constructor === Object) {
+        return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, redact(value)]));
+      }
+
+      return input;
+    };
+
+    return redact;
+  }
+
+  /**
+   * Build a redactor for all of a project's secrets
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Function>} (value) => redacted value
+   */
+  async redactorFor(projectId) {
+    return this.createRedactor(await this.getEnv(projectId));
+  }
+}
+
+// Export singleton instance
+const secretsService = new SecretsService();
+export default secretsService;
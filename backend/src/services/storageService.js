@@ -0,0 +1,243 @@
+/**
+ * Storage Service
+ * Measures per-project disk usage and records it for storage quotas
+ *
+ * The meter walks each project's workspace (node_modules, uploads and build
+ * output included) on a schedule, stores the total on the project and adds a
+ * 'storage' entry to the usage ledger. Archived projects are metered by the
+ * size of their cold storage archive. Writes schedule a quick re-measure of
+ * the project so quotas catch up without waiting for the next run.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  getProjectById,
+  getProjectsForStorageMetering,
+  updateProjectStorage,
+  getAccountStorageUsage,
+  logUsage
+} from '../db/queries.js';
+
+// Projects measured per meter run, least recently measured first
+const METER_BATCH_SIZE = 100;
+
+// Delay before re-measuring a project after a write, so bursts of writes share one walk
+const REMEASURE_DELAY_MS = 30 * 1000;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+class StorageService {
+  constructor() {
+    this.meterIntervalMs = parseInt(process.env.STORAGE_METER_INTERVAL_MINUTES || '60') * 60 * 1000;
+    this.timer = null;
+    this.pendingMeasures = new Map(); // projectId -> timeout
+  }
+
+  /**
+   * Total size of the files under a directory
+   * Symlinks are counted as links and never followed
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<number>} Bytes (0 if the directory does not exist)
+   */
+  async directorySize(dirPath) {
+    let total = 0;
+    const pending = [dirPath];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      let entries;
+
+      try {
+        entries = await fs.readdir(current, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EACCES') {
+          continue;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(current, entry.name);
+
+        if (entry.isDirectory()) {
+          pending.push(entryPath);
+          continue;
+        }
+
+        try {
+          const stats = await fs.lstat(entryPath);
+          total += stats.size;
+        } catch {
+          // Removed while walking
+        }
+      }
+    }
+
+    return total;
+  }
+
+  /**
+   * Measure what a project currently occupies on disk
+   * @param {Object} project - Project row
+   * @returns {Promise<number>} Bytes
+   */
+  async projectSize(project) {
+    if (project.archive_path) {
+      try {
+        const stats = await fs.stat(project.archive_path);
+        return stats.size;
+      } catch {
+        return parseInt(project.archive_size_bytes || 0);
+      }
+    }
+
+    return this.directorySize(project.path);
+  }
+
+  /**
+   * Measure a project and store the result
+   * @param {Object} project - Project row
+   * @param {Object} options - { record } - also add a 'storage' entry to the usage ledger
+   * @returns {Promise<number>} Bytes
+   */
+  async measureProject(project, { record = false } = {}) {
+    const bytes = await this.projectSize(project);
+    await updateProjectStorage(project.id, bytes);
+
+    if (record) {
+      await logUsage({
+        userId: project.user_id,
+        projectId: project.id,
+        kind: 'storage',
+        amount: bytes,
+        cost: 0,
+        meta: {
+          status: project.status,
+          organizationId: project.organization_id,
+          previousBytes: parseInt(project.storage_bytes || 0)
+        }
+      });
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Re-measure a project shortly after it was written to
+   * Calls within the delay are coalesced into one measurement
+   * @param {string} projectId - Project UUID
+   */
+  scheduleMeasure(projectId) {
+    if (this.pendingMeasures.has(projectId)) {
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      this.pendingMeasures.delete(projectId);
+
+      try {
+        const project = await getProjectById(projectId);
+        if (project) {
+          await this.measureProject(project);
+        }
+      } catch (error) {
+        console.error(`Error measuring storage for project ${projectId}:`, error);
+      }
+    }, REMEASURE_DELAY_MS);
+
+    timeout.unref();
+    this.pendingMeasures.set(projectId, timeout);
+  }
+
+  /**
+   * Measure a batch of projects and record them in the usage ledger
+   * @returns {Promise<number>} Projects measured
+   */
+  async meterProjects() {
+    const projects = await getProjectsForStorageMetering(METER_BATCH_SIZE);
+    let measured = 0;
+
+    for (const project of projects) {
+      try {
+        await this.measureProject(project, { record: true });
+        measured++;
+      } catch (error) {
+        console.error(`Error metering storage for project ${project.id}:`, error);
+      }
+    }
+
+    return measured;
+  }
+
+  /**
+   * Storage used and allowed for a quota account (see resolveQuotaAccount)
+   * @param {Object} account - { type, organizationId, quotas }
+   * @param {string} userId - User UUID (personal accounts)
+   * @returns {Promise<Object>} { usedBytes, limitMb, limitBytes, exceeded }
+   */
+  async getAccountStorage(account, userId) {
+    const usedBytes = await getAccountStorageUsage({
+      userId,
+      organizationId: account.type === 'organization' ? account.organizationId : null
+    });
+
+    const limitMb = account.quotas?.max_storage_mb ?? null;
+    const limitBytes = limitMb === null ? null : limitMb * BYTES_PER_MB;
+
+    return {
+      usedBytes,
+      limitMb,
+      limitBytes,
+      exceeded: limitBytes !== null && usedBytes >= limitBytes
+    };
+  }
+
+  /**
+   * Run the meter once, logging failures instead of throwing
+   */
+  async runMeter() {
+    try {
+      const measured = await this.meterProjects();
+      if (measured > 0) {
+        console.log(`💾 Measured storage for ${measured} project(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Storage meter run failed:', error);
+    }
+  }
+
+  /**
+   * Start the periodic storage meter
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.runMeter(), this.meterIntervalMs);
+    this.timer.unref();
+    this.runMeter();
+
+    console.log(`💾 Storage meter enabled (every ${this.meterIntervalMs / 60000} minutes)`);
+  }
+
+  /**
+   * Stop the periodic storage meter and pending re-measures
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const timeout of this.pendingMeasures.values()) {
+      clearTimeout(timeout);
+    }
+    this.pendingMeasures.clear();
+  }
+}
+
+// Export singleton instance
+const storageService = new StorageService();
+export default storageService;
@@ -0,0 +1,217 @@
+/**
+ * Template Service
+ * Registry of starter templates used to scaffold new projects
+ *
+ * A template is a directory containing:
+ * - template.json: { id, name, description, framework, language, techStack }
+ * - files/:        the starter tree copied into the new project
+ *
+ * Built-in templates ship in backend/templates. Additional templates are read
+ * from TEMPLATES_DIR (default: templates/ at the repository root, whatever the
+ * working directory), which is where installTemplate() copies internal starters.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVICES_DIR = path.dirname(fileURLToPath(import.meta.url));
+const BUILTIN_TEMPLATES_DIR = path.join(SERVICES_DIR, '../../templates');
+const DEFAULT_CUSTOM_TEMPLATES_DIR = path.join(SERVICES_DIR, '../../../templates');
+
+const MANIFEST_FILE = 'template.json';
+const FILES_DIR = 'files';
+
+// Files owned by the memory system, never copied from a template
+const RESERVED_FILES = ['CLAUDE.md', '.claude'];
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+class TemplateService {
+  /**
+   * Directory holding installed (non built-in) templates
+   * @returns {string} Absolute path
+   */
+  getCustomTemplatesDir() {
+    return process.env.TEMPLATES_DIR || DEFAULT_CUSTOM_TEMPLATES_DIR;
+  }
+
+  /**
+   * Read and validate a template manifest
+   * @param {string} templateDir - Template directory
+   * @returns {Promise<Object>} Manifest
+   * @throws {Error} With code INVALID_TEMPLATE if the template is malformed
+   */
+  async readManifest(templateDir) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(templateDir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      throw this.invalidTemplate(`${MANIFEST_FILE} is missing or not valid JSON`);
+    }
+
+    if (!manifest.id || !TEMPLATE_ID_PATTERN.test(manifest.id)) {
+      throw this.invalidTemplate('Template id must be lowercase letters, numbers and dashes');
+    }
+
+    if (!manifest.name || typeof manifest.name !== 'string') {
+      throw this.invalidTemplate('Template name is required');
+    }
+
+    if (manifest.techStack && !Array.isArray(manifest.techStack)) {
+      throw this.invalidTemplate('techStack must be an array of strings');
+    }
+
+    const filesStat = await fs.stat(path.join(templateDir, FILES_DIR)).catch(() => null);
+    if (!filesStat?.isDirectory()) {
+      throw this.invalidTemplate(`Template must contain a ${FILES_DIR}/ directory`);
+    }
+
+    return {
+      id: manifest.id,
+      name: manifest.name,
+      description: manifest.description || '',
+      framework: manifest.framework || null,
+      language: manifest.language || null,
+      techStack: manifest.techStack || []
+    };
+  }
+
+  /**
+   * Load every valid template in a directory
+   * Malformed templates are skipped with a warning so one bad starter
+   * doesn't hide the rest
+   *
+   * @param {string} rootDir - Directory of template directories
+   * @param {string} source - 'builtin' or 'custom'
+   * @returns {Promise<Array>} Templates
+   */
+  async loadTemplatesFrom(rootDir, source) {
+    let entries;
+    try {
+      entries = await fs.readdir(rootDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const templates = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const dir = path.join(rootDir, entry.name);
+      try {
+        const manifest = await this.readManifest(dir);
+        templates.push({ ...manifest, source, dir });
+      } catch (error) {
+        console.warn(`⚠️  Skipping template ${dir}: ${error.message}`);
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * List available templates
+   * Built-in templates take precedence over custom ones with the same id
+   *
+   * @returns {Promise<Array>} Templates sorted by name
+   */
+  async listTemplates() {
+    const builtin = await this.loadTemplatesFrom(BUILTIN_TEMPLATES_DIR, 'builtin');
+    const custom = await this.loadTemplatesFrom(this.getCustomTemplatesDir(), 'custom');
+
+    const byId = new Map();
+    for (const template of [...builtin, ...custom]) {
+      if (!byId.has(template.id)) {
+        byId.set(template.id, template);
+      }
+    }
+
+    return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a template by id
+   * @param {string} templateId - Template id
+   * @returns {Promise<Object|null>} Template or null if not found
+   */
+  async getTemplate(templateId) {
+    if (!TEMPLATE_ID_PATTERN.test(templateId || '')) {
+      return null;
+    }
+
+    const templates = await this.listTemplates();
+    return templates.find(t => t.id === templateId) || null;
+  }
+
+  /**
+   * Copy a template's starter tree into a project directory
+   * @param {Object} template - Template from getTemplate()
+   * @param {string} projectPath - Filesystem path to project
+   * @returns {Promise<void>}
+   */
+  async applyTemplate(template, projectPath) {
+    const filesDir = path.join(template.dir, FILES_DIR);
+
+    await fs.cp(filesDir, projectPath, {
+      recursive: true,
+      errorOnExist: false,
+      filter: (src) => {
+        const relative = path.relative(filesDir, src);
+        const topLevel = relative.split(path.sep)[0];
+
+        return !RESERVED_FILES.includes(topLevel);
+      }
+    });
+
+    console.log(`📦 Applied template ${template.id} to ${projectPath}`);
+  }
+
+  /**
+   * Install a template from a local directory into TEMPLATES_DIR
+   * Re-installing an existing custom template replaces it
+   *
+   * @param {string} sourceDir - Directory containing template.json and files/
+   * @returns {Promise<Object>} Installed template
+   * @throws {Error} With code INVALID_TEMPLATE if the template is malformed
+   */
+  async installTemplate(sourceDir) {
+    const resolvedSource = path.resolve(sourceDir);
+    const manifest = await this.readManifest(resolvedSource);
+
+    const builtin = await this.loadTemplatesFrom(BUILTIN_TEMPLATES_DIR, 'builtin');
+    if (builtin.some(t => t.id === manifest.id)) {
+      throw this.invalidTemplate(`'${manifest.id}' is a built-in template id`);
+    }
+
+    const targetDir = path.join(this.getCustomTemplatesDir(), manifest.id);
+
+    await fs.rm(targetDir, { recursive: true, force: true });
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.copyFile(path.join(resolvedSource, MANIFEST_FILE), path.join(targetDir, MANIFEST_FILE));
+    await fs.cp(path.join(resolvedSource, FILES_DIR), path.join(targetDir, FILES_DIR), { recursive: true });
+
+    console.log(`✅ Installed template ${manifest.id} to ${targetDir}`);
+
+    return { ...manifest, source: 'custom', dir: targetDir };
+  }
+
+  /**
+   * Build a validation error
+   * @param {string} message - Error message
+   * @returns {Error} Error with code INVALID_TEMPLATE
+   */
+  invalidTemplate(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_TEMPLATE';
+    return error;
+  }
+}
+
+// Export singleton instance
+const templateService = new TemplateService();
+export default templateService;
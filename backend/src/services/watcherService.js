@@ -0,0 +1,267 @@
+/**
+ * Watcher Service
+ * Watches open projects' workspaces and broadcasts file-system changes
+ *
+ * A project is watched while at least one client is in its Socket.IO room:
+ * server.js starts the watcher on join-project and it stops when the room is
+ * deleted (last client left or disconnected). Every directory except .git and
+ * node_modules gets its own fs.watch handle, so installs and git operations
+ * don't flood the watcher. Raw events are debounced per project and sent as
+ * one `fs-changed` event with created/changed/deleted entries, so changes made
+ * by Claude, dev servers, installs or other collaborators all show up live.
+ */
+
+import { watch } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import realtimeService from './realtimeService.js';
+
+// Never watched (high churn, not shown in the file tree by default)
+const IGNORED_DIRS = ['.git', 'node_modules'];
+
+// Directories watched per project; deeper trees are watched partially
+const MAX_WATCHED_DIRS = 2000;
+
+// Changes reported per event; clients reload everything when truncated
+const MAX_CHANGES_PER_EVENT = 200;
+
+class WatcherService {
+  constructor() {
+    this.debounceMs = parseInt(process.env.FILE_WATCH_DEBOUNCE_MS || '300');
+    // projectId -> { projectPath, watchers: Map<relativeDir, FSWatcher>, pending: Map<relativePath, Set<eventType>>, timer }
+    this.projects = new Map();
+  }
+
+  /**
+   * Start watching a project (no-op if it is already watched)
+   * @param {string} projectId - Project UUID
+   * @param {string} projectPath - Filesystem path to project
+   */
+  async watchProject(projectId, projectPath) {
+    if (this.projects.has(projectId)) {
+      return;
+    }
+
+    const state = { projectPath, watchers: new Map(), pending: new Map(), timer: null };
+    this.projects.set(projectId, state);
+
+    await this.watchTree(projectId, state, '');
+
+    // Stopped while the tree was being walked
+    if (this.projects.get(projectId) !== state) {
+      this.closeWatchers(state);
+      return;
+    }
+
+    console.log(`👀 Watching ${state.watchers.size} directories for project ${projectId}`);
+  }
+
+  /**
+   * Stop watching a project
+   * @param {string} projectId - Project UUID
+   */
+  unwatchProject(projectId) {
+    const state = this.projects.get(projectId);
+    if (!state) {
+      return;
+    }
+
+    this.projects.delete(projectId);
+    clearTimeout(state.timer);
+    this.closeWatchers(state);
+    console.log(`🛑 Stopped watching project ${projectId}`);
+  }
+
+  /**
+   * Stop all watchers (shutdown)
+   */
+  stop() {
+    for (const projectId of [...this.projects.keys()]) {
+      this.unwatchProject(projectId);
+    }
+  }
+
+  /**
+   * Whether a project is being watched
+   * @param {string} projectId - Project UUID
+   * @returns {boolean} True if watched
+   */
+  isWatching(projectId) {
+    return this.projects.has(projectId);
+  }
+
+  /**
+   * Close every fs.watch handle of a project
+   * @param {Object} state - Project watch state
+   */
+  closeWatchers(state) {
+    for (const watcher of state.watchers.values()) {
+      watcher.close();
+    }
+    state.watchers.clear();
+  }
+
+  /**
+   * Watch a directory and everything below it
+   * @param {string} projectId - Project UUID
+   * @param {Object} state - Project watch state
+   * @param {string} relativeDir - Project-relative directory ('' = root)
+   */
+  async watchTree(projectId, state, relativeDir) {
+    const queue = [relativeDir];
+
+    while (queue.length > 0) {
+      const dir = queue.shift();
+
+      if (state.watchers.has(dir)) {
+        continue;
+      }
+
+      if (state.watchers.size >= MAX_WATCHED_DIRS) {
+        console.warn(`⚠️  Project ${projectId} has more than ${MAX_WATCHED_DIRS} directories; not all are watched`);
+        return;
+      }
+
+      const absoluteDir = path.join(state.projectPath, dir);
+
+      let watcher;
+      try {
+        watcher = watch(absoluteDir, (eventType, fileName) => {
+          if (fileName) {
+            const name = fileName.toString();
+            this.recordEvent(projectId, state, dir ? `${dir}/${name}` : name, eventType);
+          }
+        });
+      } catch {
+        // Removed before it could be watched
+        continue;
+      }
+
+      watcher.on('error', () => {
+        watcher.close();
+        state.watchers.delete(dir);
+      });
+      state.watchers.set(dir, watcher);
+
+      const entries = await fs.readdir(absoluteDir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        if (entry.isDirectory() && !IGNORED_DIRS.includes(entry.name)) {
+          queue.push(dir ? `${dir}/${entry.name}` : entry.name);
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue a raw fs.watch event and (re)start the debounce timer
+   * @param {string} projectId - Project UUID
+   * @param {Object} state - Project watch state
+   * @param {string} relativePath - Project-relative path that changed
+   * @param {string} eventType - 'rename' (created or deleted) or 'change'
+   */
+  recordEvent(projectId, state, relativePath, eventType) {
+    const segments = relativePath.split('/');
+    if (segments.some(segment => IGNORED_DIRS.includes(segment))) {
+      return;
+    }
+
+    if (!state.pending.has(relativePath)) {
+      state.pending.set(relativePath, new Set());
+    }
+    state.pending.get(relativePath).add(eventType);
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      this.flush(projectId, state).catch(error => console.error('Error flushing file changes:', error));
+    }, this.debounceMs);
+  }
+
+  /**
+   * Turn queued events into created/changed/deleted entries and broadcast them
+   * @param {string} projectId - Project UUID
+   * @param {Object} state - Project watch state
+   */
+  async flush(projectId, state) {
+    const pending = state.pending;
+    state.pending = new Map();
+
+    // The whole workspace went away (archived or purged)
+    if (!(await fs.stat(state.projectPath).catch(() => null))) {
+      this.unwatchProject(projectId);
+      return;
+    }
+
+    const existing = new Map();
+    for (const relativePath of pending.keys()) {
+      existing.set(relativePath, await fs.lstat(path.join(state.projectPath, relativePath)).catch(() => null));
+    }
+
+    // A removed directory covers everything below it, including the event its own watcher
+    // reports for itself ("src/src" when src is removed)
+    const isInsideDeleted = (relativePath) => {
+      const segments = relativePath.split('/');
+      for (let i = 1; i < segments.length; i++) {
+        const ancestor = segments.slice(0, i).join('/');
+        if (existing.has(ancestor) && !existing.get(ancestor)) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    const changes = [];
+    for (const [relativePath, eventTypes] of pending) {
+      const stats = existing.get(relativePath);
+
+      if (!stats) {
+        const wasDirectory = state.watchers.has(relativePath);
+        this.unwatchSubtree(state, relativePath);
+        if (!isInsideDeleted(relativePath)) {
+          changes.push({ action: 'deleted', path: relativePath, type: wasDirectory ? 'directory' : 'file' });
+        }
+        continue;
+      }
+
+      const type = stats.isDirectory() ? 'directory' : 'file';
+
+      if (type === 'directory') {
+        // New directories (and anything moved in with them) get watched too
+        if (!state.watchers.has(relativePath)) {
+          await this.watchTree(projectId, state, relativePath);
+          changes.push({ action: 'created', path: relativePath, type });
+        }
+        continue;
+      }
+
+      changes.push({ action: eventTypes.has('rename') ? 'created' : 'changed', path: relativePath, type });
+    }
+
+    if (changes.length === 0 || this.projects.get(projectId) !== state) {
+      return;
+    }
+
+    realtimeService.emitToProject(projectId, 'fs-changed', {
+      changes: changes.slice(0, MAX_CHANGES_PER_EVENT),
+      truncated: changes.length > MAX_CHANGES_PER_EVENT,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Stop watching a removed directory and everything below it
+   * @param {Object} state - Project watch state
+   * @param {string} relativeDir - Project-relative directory
+   */
+  unwatchSubtree(state, relativeDir) {
+    for (const [dir, watcher] of state.watchers) {
+      if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+        watcher.close();
+        state.watchers.delete(dir);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const watcherService = new WatcherService();
+export default watcherService;
@@ -0,0 +1,102 @@
+/**
+ * Project Path Resolver
+ * Resolves client-supplied paths inside a project's workspace
+ *
+ * Every file endpoint, uploads, patches and the /preview static server resolve
+ * paths here. A path is allowed only if it stays inside the workspace both as
+ * written and after symlinks are resolved: its deepest existing ancestor goes
+ * through realpath and must land inside the workspace's own realpath.
+ * Containment is compared with path.relative, never a string prefix, so a
+ * sibling such as /projects/app-old is not inside /projects/app.
+ *
+ * Symlinks that stay inside the workspace are followed. Links pointing outside
+ * it, dangling links (their target could be created later) and link loops are
+ * rejected. With followLeaf: false the last component is not followed, for
+ * operations on the link itself (delete, move, copy as a link).
+ *
+ * Writers pass excludeGitDir: true to also reject anything that is, or after
+ * symlinks are resolved lands in, the workspace's .git directory. A link such
+ * as `foo -> .git` would otherwise let a client plant hooks or config that git
+ * runs on the server at the next commit.
+ *
+ * Paths are used exactly as given and never URL-decoded again, so "%2e%2e" is
+ * a file name rather than "..". Paths containing NUL bytes are rejected.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Whether a path is the same as or below another (compared lexically)
+ * @param {string} parentPath - Absolute directory
+ * @param {string} childPath - Absolute path to test
+ * @returns {boolean} True if childPath is parentPath or inside it
+ */
+export function isPathInside(parentPath, childPath) {
+  const relative = path.relative(parentPath, childPath);
+
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolve a project-relative path, or null if it escapes the project
+ * @param {string} projectPath - Filesystem path to project
+ * @param {string} relativePath - Path from the client ('' = project root)
+ * @param {Object} options - { followLeaf: false to accept a symlink as the last component without following it,
+ *                             excludeGitDir: true to reject paths in the project's .git, also through symlinks }
+ * @returns {Promise<string|null>} Absolute path below projectPath (symlinks kept as written), or null
+ */
+export async function resolveProjectPath(projectPath, relativePath = '', { followLeaf = true, excludeGitDir = false } = {}) {
+  if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+    return null;
+  }
+
+  const rootPath = path.resolve(projectPath);
+  const targetPath = path.resolve(rootPath, relativePath);
+
+  if (!isPathInside(rootPath, targetPath) || (excludeGitDir && isPathInside(path.join(rootPath, '.git'), targetPath))) {
+    return null;
+  }
+
+  let realRoot;
+  try {
+    realRoot = await fs.realpath(rootPath);
+  } catch (error) {
+    // Nothing exists yet, so nothing can be a symlink
+    if (error.code === 'ENOENT') {
+      return targetPath;
+    }
+    throw error;
+  }
+
+  let current = followLeaf || targetPath === rootPath ? targetPath : path.dirname(targetPath);
+
+  while (true) {
+    try {
+      const realPath = await fs.realpath(current);
+      if (excludeGitDir && isPathInside(path.join(realRoot, '.git'), realPath)) {
+        return null;
+      }
+      return isPathInside(realRoot, realPath) ? targetPath : null;
+    } catch (error) {
+      if (error.code === 'ELOOP') {
+        return null;
+      }
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+
+    // Missing, or a dangling symlink whose target could be created outside the project
+    const stats = await fs.lstat(current).catch(() => null);
+    if (stats?.isSymbolicLink()) {
+      return null;
+    }
+
+    if (current === rootPath) {
+      return targetPath;
+    }
+
+    current = path.dirname(current);
+  }
+}
@@ -0,0 +1,8 @@
+export default function Home() {
+  return (
+    <main style={{ padding: '2rem', fontFamily: 'system-ui, sans-serif' }}>
+      <h1>Next.js</h1>
+      <p>Edit app/page.tsx to get started.</p>
+    </main>
+  );
+}
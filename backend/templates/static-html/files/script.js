@@ -0,0 +1,3 @@
+document.getElementById('greet').addEventListener('click', () => {
+  alert('Hello!');
+});
@@ -0,0 +1,14 @@
+import { useState } from 'react';
+
+function App() {
+  const [count, setCount] = useState(0);
+
+  return (
+    <main>
+      <h1>Vite + React</h1>
+      <button onClick={() => setCount((c) => c + 1)}>Count is {count}</button>
+    </main>
+  );
+}
+
+export default App;
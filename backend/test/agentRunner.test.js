@@ -0,0 +1,205 @@
+/**
+ * Agent Runner Tests
+ * Mock fixture replay and the CLI runner (driven by a fake CLI, no real agent needed)
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  CliAgentRunner,
+  MockAgentRunner,
+  DEFAULT_CLI_ARGS,
+  createAgentRunner,
+  userMessage
+} from '../src/services/agentRunner.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'agent');
+const WRITE_FILE_TURN = path.join(FIXTURES_DIR, 'write-file-turn.jsonl');
+const TEXT_ONLY_TURN = path.join(FIXTURES_DIR, 'text-only-turn.jsonl');
+const FAKE_CLI = path.join(FIXTURES_DIR, 'fake-cli.js');
+
+// Collect a run's events until it closes
+function collect(run) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const stderr = [];
+    run.on('event', event => events.push(event));
+    run.on('stderr', text => stderr.push(text));
+    run.on('error', reject);
+    run.on('close', code => resolve({ events, stderr: stderr.join(''), code }));
+  });
+}
+
+// A CLI runner that executes the fake CLI with node
+function fakeCliRunner() {
+  return new CliAgentRunner({ command: process.execPath, args: [FAKE_CLI, ...DEFAULT_CLI_ARGS] });
+}
+
+describe('MockAgentRunner', () => {
+  test('replays a fixture in order and closes with code 0', async () => {
+    const runner = new MockAgentRunner({ fixtures: [WRITE_FILE_TURN] });
+
+    const { events, code } = await collect(runner.start({ prompt: 'Add a greeting module', cwd: '/projects/demo' }));
+
+    assert.deepEqual(events.map(event => event.type), ['system', 'assistant', 'assistant', 'user', 'assistant', 'result']);
+    assert.equal(events[2].message.content[0].name, 'Write');
+    assert.equal(events[5].usage.output_tokens, 74);
+    assert.equal(code, 0);
+  });
+
+  test('plays one fixture per turn and repeats the last', async () => {
+    const runner = new MockAgentRunner({ fixtures: [WRITE_FILE_TURN, TEXT_ONLY_TURN] });
+
+    const turns = [];
+    for (let i = 0; i < 3; i++) {
+      turns.push(await collect(runner.start({ prompt: `turn ${i}` })));
+    }
+
+    assert.deepEqual(turns.map(turn => turn.events.length), [6, 3, 3]);
+    assert.deepEqual(runner.calls.map(call => call.prompt), ['turn 0', 'turn 1', 'turn 2']);
+  });
+
+  test('accepts events inline and a failing exit code', async () => {
+    const runner = new MockAgentRunner({ fixtures: [[{ type: 'system', model: 'test-model' }]], exitCode: 1 });
+
+    const { events, code } = await collect(runner.start());
+
+    assert.equal(events[0].model, 'test-model');
+    assert.equal(code, 1);
+  });
+
+  test('stops mid-turn with exit code null', async () => {
+    const runner = new MockAgentRunner({ fixtures: [WRITE_FILE_TURN], delayMs: 20 });
+    const run = runner.start();
+
+    run.once('event', () => run.stop());
+    const { events, code } = await collect(run);
+
+    assert.equal(events.length, 1);
+    assert.equal(code, null);
+  });
+
+  test('reports a missing fixture as an error', async () => {
+    const runner = new MockAgentRunner({ fixtures: [path.join(FIXTURES_DIR, 'missing.jsonl')] });
+
+    await assert.rejects(collect(runner.start()), /Failed to load agent fixture/);
+  });
+
+  test('requires a fixture', () => {
+    assert.throws(() => new MockAgentRunner(), /at least one fixture/);
+  });
+});
+
+describe('CliAgentRunner', () => {
+  test('passes flags, session ID and prompt, and parses events split across chunks', async () => {
+    const run = fakeCliRunner().start({
+      prompt: 'Add a greeting module',
+      cwd: os.tmpdir(),
+      sessionId: 'session-1',
+      env: { ...process.env, FAKE_CLI_FIXTURE: WRITE_FILE_TURN }
+    });
+
+    const { events, stderr, code } = await collect(run);
+    const [echo, ...streamed] = events;
+
+    assert.deepEqual(echo.argv, [...DEFAULT_CLI_ARGS, '--session-id', 'session-1', '--', 'Add a greeting module']);
+    assert.equal(echo.stdin, '');
+    assert.equal(echo.cwd, fs.realpathSync(os.tmpdir()));
+    assert.deepEqual(streamed.map(event => event.type), ['system', 'assistant', 'assistant', 'user', 'assistant', 'result']);
+    assert.match(stderr, /fake CLI/);
+    assert.equal(code, 0);
+  });
+
+  test('passes a prompt that looks like a flag as the prompt', async () => {
+    const run = fakeCliRunner().start({
+      prompt: '--help me rename this file',
+      cwd: os.tmpdir(),
+      env: { ...process.env, FAKE_CLI_FIXTURE: TEXT_ONLY_TURN }
+    });
+
+    const { events } = await collect(run);
+
+    assert.deepEqual(events[0].argv.slice(-2), ['--', '--help me rename this file']);
+  });
+
+  test('sends input as stream-json user messages on stdin instead of a prompt', async () => {
+    const input = [userMessage([{ type: 'text', text: 'Describe this image' }])];
+
+    const run = fakeCliRunner().start({
+      prompt: 'not sent',
+      cwd: os.tmpdir(),
+      input,
+      env: { ...process.env, FAKE_CLI_FIXTURE: TEXT_ONLY_TURN }
+    });
+
+    const { events } = await collect(run);
+
+    assert.deepEqual(events[0].argv.slice(-2), ['--input-format', 'stream-json']);
+    assert.ok(!events[0].argv.includes('not sent'));
+    assert.deepEqual(JSON.parse(events[0].stdin), {
+      type: 'user',
+      message: { role: 'user', content: [{ type: 'text', text: 'Describe this image' }] }
+    });
+  });
+
+  test('reports the exit code', async () => {
+    const run = fakeCliRunner().start({
+      prompt: 'fail',
+      cwd: os.tmpdir(),
+      env: { ...process.env, FAKE_CLI_FIXTURE: TEXT_ONLY_TURN, FAKE_CLI_EXIT_CODE: '2' }
+    });
+
+    assert.equal((await collect(run)).code, 2);
+  });
+
+  test('stops a running turn with exit code null', async () => {
+    const run = fakeCliRunner().start({
+      prompt: 'hang',
+      cwd: os.tmpdir(),
+      env: { ...process.env, FAKE_CLI_FIXTURE: TEXT_ONLY_TURN, FAKE_CLI_HANG: 'true' }
+    });
+
+    setTimeout(() => run.stop(), 100);
+
+    assert.equal((await collect(run)).code, null);
+  });
+
+  test('reports a missing binary as an error', async () => {
+    const run = new CliAgentRunner({ command: path.join(os.tmpdir(), 'no-such-agent-cli') }).start({ prompt: 'hi', cwd: os.tmpdir() });
+
+    await assert.rejects(collect(run), /Failed to start agent CLI/);
+  });
+});
+
+describe('createAgentRunner', () => {
+  test('defaults to the CLI on PATH with the default flags', () => {
+    const runner = createAgentRunner({});
+
+    assert.ok(runner instanceof CliAgentRunner);
+    assert.equal(runner.command, 'claude');
+    assert.deepEqual(runner.args, DEFAULT_CLI_ARGS);
+  });
+
+  test('reads the CLI path and flags', () => {
+    const runner = createAgentRunner({ AGENT_CLI_PATH: '/usr/local/bin/claude', AGENT_CLI_ARGS: '--print  --output-format stream-json' });
+
+    assert.equal(runner.command, '/usr/local/bin/claude');
+    assert.deepEqual(runner.args, ['--print', '--output-format', 'stream-json']);
+  });
+
+  test('creates a mock runner from fixture files', () => {
+    const runner = createAgentRunner({ AGENT_RUNNER: 'mock', AGENT_MOCK_FIXTURES: `${WRITE_FILE_TURN}, ${TEXT_ONLY_TURN}`, AGENT_MOCK_DELAY_MS: '5' });
+
+    assert.ok(runner instanceof MockAgentRunner);
+    assert.deepEqual(runner.fixtures, [WRITE_FILE_TURN, TEXT_ONLY_TURN]);
+    assert.equal(runner.delayMs, 5);
+  });
+
+  test('rejects unknown runners', () => {
+    assert.throws(() => createAgentRunner({ AGENT_RUNNER: 'remote' }), /Unknown AGENT_RUNNER/);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Archive Route Tests
+ * Import endpoint mounted the way server.js mounts it, behind the projects router
+ *
+ * The database is faked (see helpers/routeHarness.js): lookups return no rows
+ * (no quotas, no memberships) and the project INSERT echoes its parameters
+ * back as the created row.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { installFakeDatabase, startProjectsApi } from './helpers/routeHarness.js';
+
+const USER_ID = crypto.randomUUID();
+
+const queries = installFakeDatabase((text, params) => {
+  if (/^\s*INSERT INTO projects\b/.test(text)) {
+    const [userId, sessionId, name, description, projectPath, framework, language, organizationId, repoUrl] = params;
+    return {
+      rows: [{
+        id: crypto.randomUUID(),
+        user_id: userId,
+        session_id: sessionId,
+        name,
+        description,
+        path: projectPath,
+        framework,
+        language,
+        organization_id: organizationId,
+        repo_url: repoUrl,
+        has_memory: true,
+        created_at: new Date()
+      }],
+      rowCount: 1
+    };
+  }
+});
+
+let tmpDir;
+let api;
+let baseUrl;
+let archiveService;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-archive-routes-')));
+  process.env.PROJECTS_DIR = path.join(tmpDir, 'projects');
+
+  // Routes read PROJECTS_DIR and open the pool when they load
+  const { default: projectsRouter } = await import('../src/routes/projects.js');
+  const { default: archivesRouter } = await import('../src/routes/archives.js');
+  archiveService = (await import('../src/services/archiveService.js')).default;
+
+  api = await startProjectsApi([projectsRouter, archivesRouter], { id: USER_ID });
+  baseUrl = api.baseUrl;
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+// Export a small project through the archive service
+async function exportSampleProject() {
+  const projectPath = path.join(tmpDir, 'source');
+  await fs.mkdir(path.join(projectPath, 'src'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, 'index.html'), '<h1>Hello</h1>\n');
+  await fs.writeFile(path.join(projectPath, 'src', 'app.js'), 'console.log("hi");\n');
+
+  return archiveService.exportProject({
+    id: crypto.randomUUID(),
+    name: 'Sample App',
+    description: 'Archive round trip',
+    framework: 'vanilla',
+    language: 'javascript',
+    repo_url: null,
+    path: projectPath
+  });
+}
+
+// POST an archive file to the import endpoint
+async function postArchive(archivePath, fields = {}) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value);
+  }
+  if (archivePath) {
+    form.append('archive', new Blob([await fs.readFile(archivePath)]), 'project.tar.gz');
+  }
+
+  const response = await fetch(`${baseUrl}/api/projects/import/archive`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('POST /api/projects/import/archive', () => {
+  test('imports an exported archive as a new project', async () => {
+    const { archivePath, cleanup } = await exportSampleProject();
+
+    try {
+      const { status, body } = await postArchive(archivePath, { name: 'Imported App' });
+
+      assert.equal(status, 201);
+      assert.equal(body.success, true);
+      assert.equal(body.project.name, 'Imported App');
+      assert.equal(body.project.framework, 'vanilla');
+      assert.deepEqual(body.imported, { memorySnapshots: 0, chatMessages: 0, builds: 0 });
+
+      const insert = queries.find(entry => /INSERT INTO projects\b/.test(entry.text));
+      const projectPath = insert.params[4];
+      assert.equal(path.dirname(projectPath), process.env.PROJECTS_DIR);
+      assert.equal(await fs.readFile(path.join(projectPath, 'src', 'app.js'), 'utf8'), 'console.log("hi");\n');
+    } finally {
+      await cleanup();
+    }
+  });
+
+  test('is not captured by POST /:id/archive', async () => {
+    queries.length = 0;
+
+    const { status, body } = await postArchive(null);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Archive file is required/);
+    assert.ok(!queries.some(entry => entry.params?.includes('import')));
+  });
+
+  test('rejects uploads that are not archives', async () => {
+    const archivePath = path.join(tmpDir, 'not-an-archive.tar.gz');
+    await fs.writeFile(archivePath, 'plain text');
+
+    const { status, body } = await postArchive(archivePath);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /not a valid \.tar\.gz/);
+  });
+});
+
+describe('project routes with a non-UUID id', () => {
+  test('fall through to the next router instead of failing', async () => {
+    const response = await fetch(`${baseUrl}/api/projects/not-a-uuid`);
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Not found' });
+  });
+});
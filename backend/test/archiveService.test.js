@@ -0,0 +1,112 @@
+/**
+ * Archive Service Tests
+ * Entry validation for uploaded project archives (no database needed)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as tar from 'tar';
+import archiveService from '../src/services/archiveService.js';
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-archive-'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+// Build a .tar.gz from a layout of { path: content } files and { path: { link } } symlinks
+async function buildArchive(name, layout) {
+  const sourceDir = path.join(tmpDir, name);
+
+  for (const [entryPath, content] of Object.entries(layout)) {
+    const fullPath = path.join(sourceDir, entryPath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    if (typeof content === 'string') {
+      await fs.writeFile(fullPath, content);
+    } else {
+      await fs.symlink(content.link, fullPath);
+    }
+  }
+
+  const archivePath = path.join(tmpDir, `${name}.tar.gz`);
+  await tar.c({ gzip: true, file: archivePath, cwd: sourceDir, portable: true }, Object.keys(layout));
+  return archivePath;
+}
+
+// Expect validateEntries to reject an archive with a message matching pattern
+async function assertRejected(archivePath, pattern) {
+  await assert.rejects(archiveService.validateEntries(archivePath), (error) => {
+    assert.equal(error.code, 'INVALID_ARCHIVE');
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+describe('archiveService.validateEntries', () => {
+  test('accepts a plain archive with links inside workspace/', async () => {
+    const archivePath = await buildArchive('valid', {
+      'manifest.json': '{}',
+      'workspace/src/index.js': 'export {};\n',
+      'workspace/src/current': { link: 'index.js' },
+      'workspace/lib/shared': { link: '../src' },
+      'workspace/.gitignore': 'node_modules\n'
+    });
+
+    await archiveService.validateEntries(archivePath);
+  });
+
+  test('rejects .git directories inside workspace/', async () => {
+    await assertRejected(await buildArchive('git-root', {
+      'manifest.json': '{}',
+      'workspace/.git/config': '[core]\n\tfsmonitor = touch /tmp/pwned\n'
+    }), /must not contain \.git: workspace\/\.git/);
+
+    await assertRejected(await buildArchive('git-nested', {
+      'manifest.json': '{}',
+      'workspace/vendor/lib/.git/hooks/post-commit': '#!/bin/sh\n'
+    }), /must not contain \.git/);
+
+    await assertRejected(await buildArchive('git-case', {
+      'manifest.json': '{}',
+      'workspace/.GIT/HEAD': 'ref: refs/heads/main\n'
+    }), /must not contain \.git/);
+  });
+
+  test('rejects workspace links that leave workspace/', async () => {
+    await assertRejected(await buildArchive('link-parent', {
+      'manifest.json': '{}',
+      'workspace/x': { link: '../foo' }
+    }), /Unsafe link: workspace\/x -> \.\.\/foo/);
+
+    await assertRejected(await buildArchive('link-nested', {
+      'manifest.json': '{}',
+      'workspace/a/b': { link: '../../other' }
+    }), /Unsafe link/);
+
+    await assertRejected(await buildArchive('link-absolute', {
+      'manifest.json': '{}',
+      'workspace/passwd': { link: '/etc/passwd' }
+    }), /Unsafe link/);
+  });
+
+  test('rejects workspace links into .git', async () => {
+    await assertRejected(await buildArchive('link-git', {
+      'manifest.json': '{}',
+      'workspace/hooks': { link: '.git/hooks' }
+    }), /Unsafe link/);
+  });
+
+  test('rejects links that leave the archive', async () => {
+    await assertRejected(await buildArchive('link-archive', {
+      'manifest.json': '{}',
+      'data/escape': { link: '../../etc' }
+    }), /Unsafe link/);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Chat Attachment Tests
+ * Attachment paths come from the client and must resolve to files inside the workspace
+ * (database faked, see helpers/routeHarness.js; turns replay a fixture through MockAgentRunner)
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { installFakeDatabase, startApi } from './helpers/routeHarness.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'agent');
+
+const USER = { id: crypto.randomUUID(), email: 'editor@example.com', name: 'Editor' };
+
+let project;
+
+const queries = installFakeDatabase((text, params) => {
+  if (text === 'SELECT * FROM projects WHERE id = $1' && params[0] === project.id) {
+    return { rows: [project], rowCount: 1 };
+  }
+
+  if (text.includes('AS project_role')) {
+    return { rows: [{ project_role: 'editor', org_role: null }], rowCount: 1 };
+  }
+
+  if (text.startsWith('SELECT * FROM user_quotas')) {
+    return {
+      rows: [{
+        quota_exceeded: false,
+        tokens_used_this_month: 0,
+        monthly_token_limit: 1000000,
+        cost_this_month: 0,
+        monthly_cost_limit: 100,
+        requests_this_hour: 0,
+        requests_per_hour: 1000,
+        hour_window_start: new Date()
+      }],
+      rowCount: 1
+    };
+  }
+
+  if (text.includes('AS bytes')) {
+    return { rows: [{ bytes: '0' }], rowCount: 1 };
+  }
+});
+
+let tmpDir;
+let api;
+let agentRunner;
+let claudeService;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-chat-attachments-')));
+  await fs.writeFile(path.join(tmpDir, 'secret.png'), 'outside the workspace');
+
+  // The runner singleton is chosen from the environment when it loads
+  process.env.AGENT_RUNNER = 'mock';
+  process.env.AGENT_MOCK_FIXTURES = path.join(FIXTURES_DIR, 'text-only-turn.jsonl');
+
+  const { default: chatRouter } = await import('../src/routes/chat.js');
+  agentRunner = (await import('../src/services/agentRunner.js')).default;
+  claudeService = (await import('../src/services/claudeService.js')).default;
+
+  api = await startApi([['/api/chat', chatRouter]], USER);
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const projectPath = path.join(tmpDir, crypto.randomUUID());
+  await fs.mkdir(path.join(projectPath, '.git'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, '.git', 'config'), '[core]\n');
+  await fs.writeFile(path.join(projectPath, 'CLAUDE.md'), '# Project\n');
+  await fs.symlink(path.join(tmpDir, 'secret.png'), path.join(projectPath, 'escape.png'));
+
+  project = { id: crypto.randomUUID(), name: 'Attached', path: projectPath, status: 'active', organization_id: null };
+  agentRunner.calls.length = 0;
+  queries.length = 0;
+});
+
+// Send a chat message over REST
+async function sendMessage(message, attachments) {
+  const response = await fetch(`${api.baseUrl}/api/chat/sessions/${project.id}/message`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, attachments })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('resolveAttachments', () => {
+  test('resolves workspace-relative and absolute paths inside the workspace', async () => {
+    await fs.mkdir(path.join(project.path, 'uploads'));
+    await fs.writeFile(path.join(project.path, 'uploads', 'a.png'), 'png');
+
+    const resolved = await claudeService.resolveAttachments(project.path, [
+      'uploads/a.png',
+      path.join(project.path, 'uploads', 'a.png')
+    ]);
+
+    assert.deepEqual(resolved, [path.join(project.path, 'uploads', 'a.png'), path.join(project.path, 'uploads', 'a.png')]);
+  });
+
+  for (const [name, attachment] of [
+    ['an absolute path outside the workspace', '/etc/passwd'],
+    ['a path climbing out of the workspace', '../secret.png'],
+    ['a symlink to a file outside the workspace', 'escape.png'],
+    ['a file in .git', '.git/config'],
+    ['a directory', '.'],
+    ['a missing file', 'uploads/missing.png']
+  ]) {
+    test(`refuses ${name}`, async () => {
+      await assert.rejects(
+        claudeService.resolveAttachments(project.path, [attachment]),
+        error => error.code === 'INVALID_ATTACHMENT'
+      );
+    });
+  }
+
+  test('refuses attachments that are not an array', async () => {
+    await assert.rejects(
+      claudeService.resolveAttachments(project.path, '/etc/passwd'),
+      error => error.code === 'INVALID_ATTACHMENT'
+    );
+  });
+});
+
+describe('POST /api/chat/sessions/:projectId/message', () => {
+  test('refuses an attachment outside the workspace before starting a turn', async () => {
+    const { status, body } = await sendMessage('What is in this image?', ['/etc/passwd']);
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Attachment not found in project/);
+    assert.equal(agentRunner.calls.length, 0);
+    assert.ok(!queries.some(entry => entry.text.includes('INSERT INTO chat_messages')));
+  });
+
+  test('sends an uploaded image to Claude', async () => {
+    const form = new FormData();
+    form.append('files', new Blob(['png bytes'], { type: 'image/png' }), 'screen.png');
+
+    const upload = await fetch(`${api.baseUrl}/api/chat/sessions/${project.id}/upload`, { method: 'POST', body: form });
+    const uploaded = await upload.json();
+
+    assert.equal(upload.status, 200);
+    assert.ok(uploaded.files[0].path.startsWith(path.join(project.path, 'uploads') + path.sep));
+
+    const { status } = await sendMessage('What is in this image?', [uploaded.files[0].relativePath]);
+
+    assert.equal(status, 200);
+    assert.equal(agentRunner.calls.length, 1);
+
+    // One stream-json user message carries the image and the request; nothing goes on the command line
+    const [input] = agentRunner.calls[0].input;
+    assert.equal(agentRunner.calls[0].input.length, 1);
+    assert.equal(agentRunner.calls[0].prompt, undefined);
+    assert.equal(input.type, 'user');
+    assert.equal(input.message.role, 'user');
+    const image = input.message.content.find(block => block.type === 'image');
+    assert.equal(image.source.data, Buffer.from('png bytes').toString('base64'));
+    assert.deepEqual(input.message.content.at(-1), { type: 'text', text: 'What is in this image?' });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Chat Quota Tests
+ * Pooled organization limits and member shares are checked before a chat turn starts
+ * (database faked, see helpers/routeHarness.js; turns replay a fixture through MockAgentRunner)
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { installFakeDatabase, startApi } from './helpers/routeHarness.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'agent');
+
+const USER = { id: crypto.randomUUID(), email: 'member@example.com', name: 'Member' };
+const ORGANIZATION_ID = crypto.randomUUID();
+
+let project;
+let organizationQuotas;
+let member;
+
+// Quotas with room to spare
+function openQuotas() {
+  return {
+    quota_exceeded: false,
+    tokens_used_this_month: 0,
+    monthly_token_limit: 1000000,
+    cost_this_month: 0,
+    monthly_cost_limit: 100,
+    requests_this_hour: 0,
+    requests_per_hour: 1000,
+    hour_window_start: new Date()
+  };
+}
+
+const queries = installFakeDatabase((text, params) => {
+  if (text === 'SELECT * FROM projects WHERE id = $1' && params[0] === project.id) {
+    return { rows: [project], rowCount: 1 };
+  }
+
+  if (text.includes('AS project_role')) {
+    return { rows: [{ project_role: null, org_role: 'member' }], rowCount: 1 };
+  }
+
+  if (text.startsWith('SELECT * FROM organization_quotas')) {
+    return { rows: [organizationQuotas], rowCount: 1 };
+  }
+
+  if (text.startsWith('SELECT * FROM organization_members')) {
+    return { rows: [member], rowCount: 1 };
+  }
+
+  if (text.startsWith('SELECT * FROM user_quotas')) {
+    return { rows: [openQuotas()], rowCount: 1 };
+  }
+
+  if (text.includes('AS bytes')) {
+    return { rows: [{ bytes: '0' }], rowCount: 1 };
+  }
+});
+
+let tmpDir;
+let api;
+let agentRunner;
+let claudeService;
+let checkQuotas;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-chat-quotas-')));
+
+  // The runner singleton is chosen from the environment when it loads
+  process.env.AGENT_RUNNER = 'mock';
+  process.env.AGENT_MOCK_FIXTURES = path.join(FIXTURES_DIR, 'text-only-turn.jsonl');
+
+  const { default: chatRouter } = await import('../src/routes/chat.js');
+  agentRunner = (await import('../src/services/agentRunner.js')).default;
+  claudeService = (await import('../src/services/claudeService.js')).default;
+  ({ checkQuotas } = await import('../src/middleware/quotas.js'));
+
+  api = await startApi([['/api/chat', chatRouter]], USER);
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const projectPath = path.join(tmpDir, crypto.randomUUID());
+  await fs.mkdir(projectPath);
+  await fs.writeFile(path.join(projectPath, 'CLAUDE.md'), '# Project\n');
+
+  project = { id: crypto.randomUUID(), name: 'Pooled', path: projectPath, status: 'active', organization_id: ORGANIZATION_ID };
+  organizationQuotas = openQuotas();
+  member = { user_id: USER.id, role: 'member', monthly_token_limit: null, tokens_used_this_month: 0, monthly_cost_limit: null, cost_this_month: '0' };
+  agentRunner.calls.length = 0;
+  queries.length = 0;
+});
+
+// Send a chat message over REST
+async function sendMessage(message) {
+  const response = await fetch(`${api.baseUrl}/api/chat/sessions/${project.id}/message`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('checkQuotas', () => {
+  test('refuses a member over their share of the pool', async () => {
+    member.monthly_token_limit = 1000;
+    member.tokens_used_this_month = 1000;
+
+    const { account, violation } = await checkQuotas(USER.id, project);
+
+    assert.equal(account.type, 'organization');
+    assert.equal(violation.error, 'Member token limit exceeded');
+  });
+
+  test('refuses every member once the pooled budget is spent', async () => {
+    organizationQuotas.cost_this_month = 100;
+
+    const { violation } = await checkQuotas(USER.id, project);
+
+    assert.equal(violation.error, 'Cost limit exceeded');
+    assert.match(violation.message, /Your organization has spent/);
+  });
+
+  test('allows a member within the pool and their share', async () => {
+    member.monthly_token_limit = 1000;
+    member.tokens_used_this_month = 999;
+
+    assert.equal((await checkQuotas(USER.id, project)).violation, null);
+  });
+});
+
+describe('POST /api/chat/sessions/:projectId/message', () => {
+  test('refuses an over-budget member before starting a turn', async () => {
+    member.monthly_token_limit = 1000;
+    member.tokens_used_this_month = 1500;
+
+    const { status, body } = await sendMessage('Add a footer');
+
+    assert.equal(status, 429);
+    assert.equal(body.error, 'Member token limit exceeded');
+    assert.equal(agentRunner.calls.length, 0);
+    assert.ok(!queries.some(entry => entry.text.includes('INSERT INTO chat_messages')));
+  });
+
+  test('refuses every member of an organization over its token pool', async () => {
+    organizationQuotas.tokens_used_this_month = organizationQuotas.monthly_token_limit;
+
+    const { status, body } = await sendMessage('Add a footer');
+
+    assert.equal(status, 429);
+    assert.equal(body.error, 'Token limit exceeded');
+    assert.equal(agentRunner.calls.length, 0);
+  });
+
+  test('runs the turn when the member is within budget', async () => {
+    const { status, body } = await sendMessage('What does this project do?');
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(agentRunner.calls.length, 1);
+  });
+
+  test('records the turn under the caller when a collaborator opened the session', async () => {
+    const collaboratorId = crypto.randomUUID();
+    await claudeService.initializeSession(project.id, project.path, collaboratorId);
+
+    const { status } = await sendMessage('What does this project do?');
+    assert.equal(status, 200);
+
+    const writes = queries.filter(entry => /INSERT INTO (chat_messages|usage_ledger|events)/.test(entry.text));
+    assert.ok(writes.some(entry => entry.text.includes('INSERT INTO chat_messages')));
+    for (const entry of writes) {
+      assert.ok(entry.params.includes(USER.id), entry.text);
+      assert.ok(!entry.params.includes(collaboratorId), entry.text);
+    }
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Chat Turn Tests
+ * Both chat paths (socket turns in chatTurnService, the REST chat API): streamed
+ * events and what a finished turn leaves behind - chat messages, file history,
+ * the CLAUDE.md memory update and the auto-commit (database faked, see
+ * helpers/routeHarness.js; turns replay events through MockAgentRunner)
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { installFakeDatabase, startApi } from './helpers/routeHarness.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'agent');
+
+const USER = { id: crypto.randomUUID(), email: 'editor@example.com', name: 'Editor' };
+
+// A turn that edits src/greeting.js (the mock only replays events, so tests make the edit themselves)
+const EDIT_TURN = [
+  { type: 'system', subtype: 'init', model: 'claude-sonnet-4-5-20250929' },
+  {
+    type: 'assistant',
+    message: {
+      model: 'claude-sonnet-4-5-20250929',
+      content: [{ type: 'tool_use', id: 'toolu_01', name: 'Write', input: { file_path: 'src/greeting.js', content: 'new\n' } }]
+    }
+  },
+  {
+    type: 'assistant',
+    message: {
+      model: 'claude-sonnet-4-5-20250929',
+      content: [{ type: 'text', text: 'Rewrote src/greeting.js.' }],
+      usage: { output_tokens: 42 }
+    }
+  },
+  { type: 'result', subtype: 'success', usage: { output_tokens: 42 } }
+];
+
+let project;
+
+const queries = installFakeDatabase((text, params) => {
+  if (text === 'SELECT * FROM projects WHERE id = $1' && params[0] === project.id) {
+    return { rows: [project], rowCount: 1 };
+  }
+
+  if (text.includes('AS project_role')) {
+    return { rows: [{ project_role: 'editor', org_role: null }], rowCount: 1 };
+  }
+
+  if (text.startsWith('SELECT * FROM user_quotas')) {
+    return {
+      rows: [{
+        quota_exceeded: false,
+        tokens_used_this_month: 0,
+        monthly_token_limit: 1000000,
+        cost_this_month: 0,
+        monthly_cost_limit: 100,
+        requests_this_hour: 0,
+        requests_per_hour: 1000,
+        hour_window_start: new Date()
+      }],
+      rowCount: 1
+    };
+  }
+
+  if (text.includes('AS bytes')) {
+    return { rows: [{ bytes: '0' }], rowCount: 1 };
+  }
+});
+
+let tmpDir;
+let api;
+let agentRunner;
+let gitService;
+let chatTurnService;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-chat-turns-')));
+
+  // The runner singleton is chosen from the environment when it loads
+  process.env.AGENT_RUNNER = 'mock';
+  process.env.AGENT_MOCK_FIXTURES = path.join(FIXTURES_DIR, 'text-only-turn.jsonl');
+
+  const { default: chatRouter } = await import('../src/routes/chat.js');
+  agentRunner = (await import('../src/services/agentRunner.js')).default;
+  gitService = (await import('../src/services/gitService.js')).default;
+  chatTurnService = (await import('../src/services/chatTurnService.js')).default;
+
+  api = await startApi([['/api/chat', chatRouter]], USER);
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const projectPath = path.join(tmpDir, crypto.randomUUID());
+  await fs.mkdir(path.join(projectPath, 'src'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, 'src', 'greeting.js'), 'old\n');
+  await fs.writeFile(path.join(projectPath, 'CLAUDE.md'), '# Project\n\n## Current Status\nNew project\n');
+  await gitService.initRepo(projectPath);
+
+  project = { id: crypto.randomUUID(), name: 'Greeter', path: projectPath, status: 'active', organization_id: null };
+  agentRunner.fixtures = [EDIT_TURN];
+  agentRunner.delayMs = 0;
+  agentRunner.calls.length = 0;
+  queries.length = 0;
+});
+
+// Send a chat message over REST
+async function sendMessage(message) {
+  const response = await fetch(`${api.baseUrl}/api/chat/sessions/${project.id}/message`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Run a socket turn, collecting what the requesting socket and the project room receive
+function runSocketTurn(message, { socketId = 'socket-1', attachments } = {}) {
+  const sent = [];
+  const broadcast = [];
+
+  const done = chatTurnService.runTurn({
+    project,
+    user: USER,
+    message,
+    attachments,
+    socketId,
+    send: (event, payload) => sent.push({ event, payload }),
+    broadcast: (event, payload) => broadcast.push({ event, payload })
+  });
+
+  return { done, sent, broadcast };
+}
+
+// Parameters of every query starting with an INSERT into the table
+function inserts(table) {
+  return queries.filter(entry => entry.text.trimStart().startsWith(`INSERT INTO ${table} `)).map(entry => entry.params);
+}
+
+describe('POST /api/chat/sessions/:projectId/message', () => {
+  test('records the pre-turn file, commits the turn and updates memory', async () => {
+    await fs.writeFile(path.join(project.path, 'src', 'greeting.js'), 'new\n');
+
+    const { status, body } = await sendMessage('Rewrite the greeting');
+
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Rewrote src/greeting.js.');
+
+    // The version saved is the file as it was before the turn, attributed to the caller
+    const [version] = inserts('file_versions');
+    assert.equal(version[1], 'src/greeting.js');
+    assert.equal(version[2], 'old\n');
+    assert.ok(version.includes(USER.id));
+    assert.ok(version.includes('Rewrite the greeting'));
+
+    // The turn is committed as the caller, and the commit and tool uses are kept with the reply
+    assert.equal((await gitService.readCommittedFile(project.path, 'src/greeting.js')).toString(), 'new\n');
+    assert.equal(await gitService.git(project.path, ['log', '-1', '--format=%ae']), `${USER.email}\n`);
+    assert.equal(body.commitSha, await gitService.getHead(project.path));
+
+    const assistant = inserts('chat_messages').find(params => params[2] === 'assistant');
+    const meta = assistant[6];
+    assert.equal(meta.commitSha, body.commitSha);
+    assert.deepEqual(meta.toolUseEvents.map(event => event.name), ['Write']);
+
+    assert.match(await fs.readFile(path.join(project.path, 'CLAUDE.md'), 'utf8'), /Created module: greeting\.js/);
+  });
+
+  test('leaves history and memory alone when the turn uses no tools', async () => {
+    agentRunner.fixtures = [path.join(FIXTURES_DIR, 'text-only-turn.jsonl')];
+
+    const { status } = await sendMessage('What does this project do?');
+
+    assert.equal(status, 200);
+    assert.equal(inserts('file_versions').length, 0);
+    assert.equal(await fs.readFile(path.join(project.path, 'CLAUDE.md'), 'utf8'), '# Project\n\n## Current Status\nNew project\n');
+  });
+});
+
+describe('chatTurnService.runTurn (socket ai-message)', () => {
+  test('streams the turn to the project room', async () => {
+    const { done, sent, broadcast } = runSocketTurn('Rewrite the greeting');
+    const result = await done;
+
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(sent, []);
+    assert.deepEqual(broadcast.map(({ event, payload }) => payload.type ? `${event}:${payload.type}` : event), [
+      'ai-typing',
+      'claude-stream-event:system',
+      'claude-stream-event:tool_use',
+      'claude-stream-event:text',
+      'claude-complete'
+    ]);
+    assert.deepEqual(broadcast[2].payload.data, { id: 'toolu_01', name: 'Write', input: { file_path: 'src/greeting.js', content: 'new\n' } });
+    assert.deepEqual(broadcast[3].payload.data, { text: 'Rewrote src/greeting.js.' });
+    assert.deepEqual(broadcast[4].payload, { tokensUsed: 42, model: 'claude-sonnet-4-5-20250929', exitCode: 0, commitSha: result.commitSha });
+
+    // The prompt goes on the command line (after --) and keeps Claude in the workspace
+    assert.match(agentRunner.calls[0].prompt, /User's request: Rewrite the greeting$/);
+    assert.equal(agentRunner.calls[0].cwd, project.path);
+  });
+
+  test('records the pre-turn file, commits the turn, saves both messages and updates memory', async () => {
+    await fs.writeFile(path.join(project.path, 'src', 'greeting.js'), 'new\n');
+
+    const { done } = runSocketTurn('Rewrite the greeting');
+    const { commitSha } = await done;
+
+    const [version] = inserts('file_versions');
+    assert.equal(version[1], 'src/greeting.js');
+    assert.equal(version[2], 'old\n');
+    assert.ok(version.includes(USER.id));
+
+    assert.equal(commitSha, await gitService.getHead(project.path));
+    assert.equal((await gitService.readCommittedFile(project.path, 'src/greeting.js')).toString(), 'new\n');
+    assert.equal(await gitService.git(project.path, ['log', '-1', '--format=%ae']), `${USER.email}\n`);
+
+    const messages = inserts('chat_messages');
+    assert.deepEqual(messages.map(params => [params[1], params[2], params[3]]), [
+      [USER.id, 'user', 'Rewrite the greeting'],
+      [USER.id, 'assistant', 'Rewrote src/greeting.js.']
+    ]);
+    assert.equal(messages[1][6].commitSha, commitSha);
+    assert.deepEqual(messages[1][6].toolUseEvents.map(event => event.name), ['Write']);
+
+    assert.match(await fs.readFile(path.join(project.path, 'CLAUDE.md'), 'utf8'), /Created module: greeting\.js/);
+    assert.ok(inserts('usage_ledger').some(params => params[0] === USER.id && params[3] === 42));
+  });
+
+  test('refuses a second turn while one is running for the project', async () => {
+    agentRunner.delayMs = 20;
+
+    const first = runSocketTurn('Rewrite the greeting', { socketId: 'socket-1' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(chatTurnService.isRunning(project.id), true);
+
+    const second = runSocketTurn('Add a footer', { socketId: 'socket-2' });
+    assert.deepEqual(await second.done, { started: false });
+    assert.match(second.sent[0].payload.error, /already being processed/);
+
+    await first.done;
+    assert.equal(chatTurnService.isRunning(project.id), false);
+    assert.equal(agentRunner.calls.length, 1);
+  });
+
+  test('stops a turn without saving a reply or committing', async () => {
+    agentRunner.delayMs = 20;
+    const head = await gitService.getHead(project.path);
+
+    const { done, broadcast } = runSocketTurn('Rewrite the greeting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(chatTurnService.stop('other-socket', project.id), false);
+    assert.equal(chatTurnService.stop('socket-1', project.id), true);
+
+    const result = await done;
+    assert.equal(result.exitCode, null);
+    assert.equal(result.commitSha, null);
+    assert.equal(await gitService.getHead(project.path), head);
+    assert.ok(!inserts('chat_messages').some(params => params[2] === 'assistant'));
+    assert.equal(broadcast.at(-1).event, 'claude-complete');
+  });
+
+  test('refuses an attachment outside the workspace before starting', async () => {
+    const { done } = runSocketTurn('What is in this image?', { attachments: ['/etc/passwd'] });
+
+    await assert.rejects(done, error => error.code === 'INVALID_ATTACHMENT');
+    assert.equal(agentRunner.calls.length, 0);
+  });
+});
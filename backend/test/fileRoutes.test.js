@@ -0,0 +1,200 @@
+/**
+ * File Route Tests
+ * Writes through symlinks into .git, saving file content and the patch endpoint (database faked, see helpers/routeHarness.js)
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { installFakeDatabase, startProjectsApi } from './helpers/routeHarness.js';
+
+const USER = { id: crypto.randomUUID(), email: 'editor@example.com', name: 'Editor' };
+
+let project;
+
+const queries = installFakeDatabase((text, params) => {
+  if (text === 'SELECT * FROM projects WHERE id = $1' && params[0] === project.id) {
+    return { rows: [project], rowCount: 1 };
+  }
+
+  if (text.includes('AS project_role')) {
+    return { rows: [{ project_role: 'editor', org_role: null }], rowCount: 1 };
+  }
+
+  if (text.includes('AS bytes')) {
+    return { rows: [{ bytes: '0' }], rowCount: 1 };
+  }
+});
+
+let tmpDir;
+let api;
+let gitService;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-file-routes-')));
+
+  const { default: filesRouter } = await import('../src/routes/files.js');
+  gitService = (await import('../src/services/gitService.js')).default;
+  api = await startProjectsApi([filesRouter], USER);
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const projectPath = path.join(tmpDir, crypto.randomUUID());
+  await fs.mkdir(projectPath);
+  await fs.writeFile(path.join(projectPath, 'a.txt'), 'one\ntwo\n');
+  await fs.mkdir(path.join(projectPath, '.git', 'hooks'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, '.git', 'config'), '[core]\n');
+  await fs.symlink('.git', path.join(projectPath, 'foo'));
+  await fs.symlink('.git/config', path.join(projectPath, 'config-link'));
+
+  project = { id: crypto.randomUUID(), name: 'Patched', path: projectPath, status: 'active', organization_id: null };
+  queries.length = 0;
+});
+
+// POST a patch to the project
+async function postPatch(patch, options = {}) {
+  const response = await fetch(`${api.baseUrl}/api/projects/${project.id}/patch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ patch, ...options })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// PUT file content (as a new file unless the ETag of the loaded version is given)
+async function putContent(relativePath, content, etag = null) {
+  const response = await fetch(`${api.baseUrl}/api/projects/${project.id}/files/content`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }) },
+    body: JSON.stringify({ path: relativePath, content })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// ETag GET files/content would return for content
+function etagOf(content) {
+  return `"${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}"`;
+}
+
+// Paths recorded in file history
+function historyPaths() {
+  return queries.filter(entry => entry.text.includes('INSERT INTO file_versions')).map(entry => entry.params[1]);
+}
+
+const MODIFY_A = '--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n one\n-two\n+TWO\n';
+
+describe('writes through symlinks into .git', () => {
+  test('are refused for a symlink to .git', async () => {
+    assert.equal((await putContent('foo/hooks/pre-commit', '#!/bin/sh\ntouch /tmp/pwned\n')).status, 403);
+    assert.equal((await putContent('foo/config', '[core]\n\tfsmonitor = touch /tmp/pwned\n')).status, 403);
+    assert.equal(await fs.access(path.join(project.path, '.git', 'hooks', 'pre-commit')).then(() => true, () => false), false);
+  });
+
+  test('are refused for a symlink to a file inside .git', async () => {
+    const { status } = await postPatch('--- a/config-link\n+++ b/config-link\n@@ -1 +1,2 @@\n [core]\n+\tfsmonitor = touch /tmp/pwned\n');
+
+    assert.equal(status, 403);
+    assert.equal(await fs.readFile(path.join(project.path, '.git', 'config'), 'utf8'), '[core]\n');
+  });
+});
+
+describe('PUT /api/projects/:id/files/content', () => {
+  test('saves the file and records the previous version', async () => {
+    const { status } = await putContent('a.txt', 'one\nTWO\n', etagOf('one\ntwo\n'));
+
+    assert.equal(status, 200);
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\nTWO\n');
+    assert.deepEqual(historyPaths(), ['a.txt']);
+  });
+
+  test('refuses content that is not a string', async () => {
+    for (const content of [{ text: 'hi' }, ['hi'], 42, null]) {
+      const { status, body } = await putContent('a.txt', content, etagOf('one\ntwo\n'));
+
+      assert.equal(status, 400, JSON.stringify(content));
+      assert.equal(body.error, 'content must be a string');
+    }
+
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\ntwo\n');
+    assert.deepEqual(historyPaths(), []);
+  });
+
+  test('records no history when the write fails', async () => {
+    const writeFile = fs.writeFile;
+    fs.writeFile = async () => {
+      throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    };
+
+    try {
+      const { status } = await putContent('a.txt', 'one\nTWO\n', etagOf('one\ntwo\n'));
+      assert.equal(status, 500);
+    } finally {
+      fs.writeFile = writeFile;
+    }
+
+    assert.deepEqual(historyPaths(), []);
+  });
+});
+
+describe('POST /api/projects/:id/patch', () => {
+  test('applies the patch and records the previous version', async () => {
+    const { status, body } = await postPatch(MODIFY_A);
+
+    assert.equal(status, 200);
+    assert.equal(body.applied, true);
+    assert.equal(body.files[0].status, 'modified');
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\nTWO\n');
+    assert.deepEqual(historyPaths(), ['a.txt']);
+  });
+
+  test('dry runs and rejected patches change nothing and record no history', async () => {
+    const dryRun = await postPatch(MODIFY_A, { dryRun: true });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.applied, false);
+
+    const rejected = await postPatch(`${MODIFY_A}--- /dev/null\n+++ b/a.txt.bak\n@@ -0,0 +1 @@\n+x\n--- a/missing.txt\n+++ b/missing.txt\n@@ -1 +1 @@\n-a\n+b\n`);
+    assert.equal(rejected.status, 409);
+    assert.match(rejected.body.files[2].rejects[0].reason, /does not exist/);
+
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\ntwo\n');
+    assert.equal(await fs.access(path.join(project.path, 'a.txt.bak')).then(() => true, () => false), false);
+    assert.deepEqual(historyPaths(), []);
+  });
+
+  test('reads the files only once it holds the project lock', async () => {
+    let release;
+    const held = gitService.withLock(project.path, () => new Promise(resolve => { release = resolve; }));
+
+    const pending = postPatch(MODIFY_A);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Changed by whoever holds the lock (a restore, another patch) after the request arrived
+    await fs.writeFile(path.join(project.path, 'a.txt'), 'one\nthree\n');
+    release();
+    await held;
+
+    const { status, body } = await pending;
+    assert.equal(status, 409);
+    assert.equal(body.applied, false);
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\nthree\n');
+  });
+
+  test('records no history when the write fails and is rolled back', async () => {
+    // A file where the new file's directory should be
+    await fs.writeFile(path.join(project.path, 'blocker'), 'not a directory\n');
+
+    const { status } = await postPatch(`${MODIFY_A}--- /dev/null\n+++ b/blocker/new.txt\n@@ -0,0 +1 @@\n+hello\n`);
+
+    assert.equal(status, 409);
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\ntwo\n');
+    assert.deepEqual(historyPaths(), []);
+  });
+});
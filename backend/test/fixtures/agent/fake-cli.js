@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Fake agent CLI for CliAgentRunner tests
+ * Prints a stream-json fixture (FAKE_CLI_FIXTURE) in uneven chunks, preceded by an event
+ * echoing its arguments and stdin, then exits with FAKE_CLI_EXIT_CODE
+ */
+
+import fs from 'fs';
+
+const stdin = fs.readFileSync(0, 'utf8');
+const fixture = fs.readFileSync(process.env.FAKE_CLI_FIXTURE, 'utf8');
+
+const output = JSON.stringify({ type: 'fake_cli', argv: process.argv.slice(2), stdin, cwd: process.cwd() }) +
+  '\nnot json: verbose debug output\n' +
+  fixture;
+
+process.stderr.write('warning: running the fake CLI\n');
+
+// Split events across writes so the runner has to buffer partial lines
+const chunks = [];
+for (let i = 0; i < output.length; i += 37) {
+  chunks.push(output.slice(i, i + 37));
+}
+
+const writeNext = () => {
+  if (chunks.length === 0) {
+    process.exitCode = parseInt(process.env.FAKE_CLI_EXIT_CODE || '0');
+    return;
+  }
+  process.stdout.write(chunks.shift(), () => setTimeout(writeNext, 1));
+};
+
+if (process.env.FAKE_CLI_HANG === 'true') {
+  setInterval(() => {}, 1000);
+} else {
+  writeNext();
+}
@@ -0,0 +1,70 @@
+/**
+ * Route Test Harness
+ * Runs API routers without PostgreSQL or real authentication
+ *
+ * installFakeDatabase must run before any module that imports db/connection.js
+ * is loaded (import routes dynamically after calling it). It replaces pg.Pool
+ * so every query, inside transactions too, goes to a responder; queries it
+ * does not answer return no rows.
+ */
+
+import express from 'express';
+import pg from 'pg';
+
+/**
+ * Route all database queries to a responder
+ * @param {Function} respond - (text, params) => result ({ rows, rowCount }) or undefined for no rows
+ * @returns {Array<Object>} Log of { text, params } for every query
+ */
+export function installFakeDatabase(respond = () => undefined) {
+  const queries = [];
+
+  const fakeQuery = async (text, params = []) => {
+    queries.push({ text, params });
+    return (await respond(text, params)) || { rows: [], rowCount: 0 };
+  };
+
+  pg.Pool.prototype.query = fakeQuery;
+  pg.Pool.prototype.connect = async () => ({ query: fakeQuery, release() {} });
+
+  return queries;
+}
+
+/**
+ * Serve routers as an authenticated session user
+ * @param {Array<Array>} mounts - [path, router] pairs in server.js mount order
+ * @param {Object} user - req.user ({ id, email, name })
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+export async function startApi(mounts, user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    req.auth = { type: 'session', scopes: ['read', 'write', 'chat'] };
+    next();
+  });
+  for (const [mountPath, router] of mounts) {
+    app.use(mountPath, router);
+  }
+  app.use((req, res) => res.status(404).json({ error: 'Not found' }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Serve routers under /api/projects as an authenticated session user
+ * @param {Array<Function>} routers - Routers in server.js mount order
+ * @param {Object} user - req.user ({ id, email, name })
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+export function startProjectsApi(routers, user) {
+  return startApi(routers.map(router => ['/api/projects', router]), user);
+}
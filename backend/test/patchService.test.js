@@ -0,0 +1,326 @@
+/**
+ * Patch Service Tests
+ * Unified diff parsing, hunk application and all-or-nothing writes
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import patchService from '../src/services/patchService.js';
+
+// Parse a single-file patch and return its hunks
+function hunksOf(patchText) {
+  return patchService.parsePatch(patchText)[0].hunks;
+}
+
+describe('patchService.parsePatch', () => {
+  test('strips a/ b/ prefixes from git diffs', () => {
+    const [file] = patchService.parsePatch([
+      'diff --git a/src/app.js b/src/app.js',
+      'index 83db48f..bf269f4 100644',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1 +1 @@',
+      '-old',
+      '+new',
+      ''
+    ].join('\n'));
+
+    assert.equal(file.oldPath, 'src/app.js');
+    assert.equal(file.newPath, 'src/app.js');
+    assert.equal(file.hunks.length, 1);
+    assert.deepEqual(file.hunks[0].lines, [{ type: '-', text: 'old' }, { type: '+', text: 'new' }]);
+  });
+
+  test('keeps plain diff paths and drops header timestamps', () => {
+    const [file] = patchService.parsePatch([
+      '--- src/app.js\t2024-01-01 00:00:00.000000000 +0000',
+      '+++ src/app.js\t2024-01-02 00:00:00.000000000 +0000',
+      '@@ -1 +1 @@',
+      '-old',
+      '+new'
+    ].join('\n'));
+
+    assert.equal(file.oldPath, 'src/app.js');
+    assert.equal(file.newPath, 'src/app.js');
+  });
+
+  test('reads created, deleted and renamed files', () => {
+    const files = patchService.parsePatch([
+      'diff --git a/new.txt b/new.txt',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      'diff --git a/gone.txt b/gone.txt',
+      'deleted file mode 100644',
+      '--- a/gone.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      'diff --git a/old name.txt b/new name.txt',
+      'similarity index 100%',
+      'rename from old name.txt',
+      'rename to new name.txt'
+    ].join('\n'));
+
+    assert.deepEqual(files.map(({ oldPath, newPath, isNew, isDeleted }) => ({ oldPath, newPath, isNew, isDeleted })), [
+      { oldPath: null, newPath: 'new.txt', isNew: true, isDeleted: false },
+      { oldPath: 'gone.txt', newPath: null, isNew: false, isDeleted: true },
+      { oldPath: 'old name.txt', newPath: 'new name.txt', isNew: false, isDeleted: false }
+    ]);
+    assert.equal(files[2].hunks.length, 0);
+  });
+
+  test('rejects empty patches, stray hunks and short hunks', () => {
+    assert.throws(() => patchService.parsePatch('  \n'), { code: 'INVALID_PATCH' });
+    assert.throws(() => patchService.parsePatch('just some text\n'), { code: 'INVALID_PATCH' });
+    assert.throws(() => patchService.parsePatch('@@ -1 +1 @@\n-a\n+b\n'), { code: 'INVALID_PATCH' });
+    assert.throws(() => patchService.parsePatch('--- a.txt\n+++ a.txt\n@@ -1,3 +1,3 @@\n-a\n+b\n'), /shorter than its header/);
+  });
+});
+
+describe('patchService.applyHunks', () => {
+  const patch = [
+    '--- a.txt',
+    '+++ a.txt',
+    '@@ -2,3 +2,3 @@',
+    ' two',
+    '-three',
+    '+THREE',
+    ' four',
+    ''
+  ].join('\n');
+
+  test('applies a hunk at its stated line', () => {
+    const { content, rejects, offsets } = patchService.applyHunks('one\ntwo\nthree\nfour\nfive\n', hunksOf(patch));
+
+    assert.equal(content, 'one\ntwo\nTHREE\nfour\nfive\n');
+    assert.deepEqual(rejects, []);
+    assert.deepEqual(offsets, [0]);
+  });
+
+  test('applies a hunk that moved and reports the offset', () => {
+    const { content, rejects, offsets } = patchService.applyHunks('zero\nzero\none\ntwo\nthree\nfour\n', hunksOf(patch));
+
+    assert.equal(content, 'zero\nzero\none\ntwo\nTHREE\nfour\n');
+    assert.deepEqual(rejects, []);
+    assert.deepEqual(offsets, [2]);
+  });
+
+  test('rejects a hunk whose context does not match', () => {
+    const original = 'one\ntwo\n3\nfour\n';
+    const { content, rejects } = patchService.applyHunks(original, hunksOf(patch));
+
+    assert.equal(rejects.length, 1);
+    assert.equal(rejects[0].hunk, 1);
+    assert.match(rejects[0].reason, /Context does not match/);
+    assert.equal(content, original);
+  });
+
+  test('adds a missing final newline', () => {
+    const { content } = patchService.applyHunks('one\ntwo', hunksOf([
+      '--- a.txt',
+      '+++ a.txt',
+      '@@ -1,2 +1,2 @@',
+      ' one',
+      '-two',
+      '\\ No newline at end of file',
+      '+two'
+    ].join('\n')));
+
+    assert.equal(content, 'one\ntwo\n');
+  });
+
+  test('removes the final newline', () => {
+    const { content } = patchService.applyHunks('one\ntwo\n', hunksOf([
+      '--- a.txt',
+      '+++ a.txt',
+      '@@ -1,2 +1,2 @@',
+      ' one',
+      '-two',
+      '+two',
+      '\\ No newline at end of file'
+    ].join('\n')));
+
+    assert.equal(content, 'one\ntwo');
+  });
+
+  test('keeps a missing final newline when editing above it', () => {
+    const { content } = patchService.applyHunks('one\ntwo\nthree', hunksOf([
+      '--- a.txt',
+      '+++ a.txt',
+      '@@ -1,3 +1,3 @@',
+      '-one',
+      '+ONE',
+      ' two',
+      ' three',
+      '\\ No newline at end of file'
+    ].join('\n')));
+
+    assert.equal(content, 'ONE\ntwo\nthree');
+  });
+});
+
+describe('patchService.planPatch and writePlan', () => {
+  let projectPath;
+  const resolveTarget = async (relativePath) => path.join(projectPath, relativePath);
+  const read = (relativePath) => fs.readFile(path.join(projectPath, relativePath), 'utf8');
+  const exists = (relativePath) => fs.access(path.join(projectPath, relativePath)).then(() => true, () => false);
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-patch-'));
+    await fs.writeFile(path.join(projectPath, 'a.txt'), 'one\ntwo\nthree\n');
+    await fs.writeFile(path.join(projectPath, 'gone.txt'), 'bye\n');
+    await fs.writeFile(path.join(projectPath, 'old.txt'), 'keep\nchange\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectPath, { recursive: true, force: true });
+  });
+
+  test('applies a multi-file patch with create, delete and rename', async () => {
+    const plan = await patchService.planPatch([
+      'diff --git a/a.txt b/a.txt',
+      '--- a/a.txt',
+      '+++ b/a.txt',
+      '@@ -2 +2 @@',
+      '-two',
+      '+TWO',
+      'diff --git a/docs/new.txt b/docs/new.txt',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/docs/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      'diff --git a/gone.txt b/gone.txt',
+      'deleted file mode 100644',
+      '--- a/gone.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      'diff --git a/old.txt b/renamed.txt',
+      'similarity index 50%',
+      'rename from old.txt',
+      'rename to renamed.txt',
+      '--- a/old.txt',
+      '+++ b/renamed.txt',
+      '@@ -1,2 +1,2 @@',
+      ' keep',
+      '-change',
+      '+changed',
+      ''
+    ].join('\n'), { resolveTarget });
+
+    assert.equal(plan.hasRejects, false);
+    assert.deepEqual(plan.files.map(file => file.result.status), ['modified', 'created', 'deleted', 'renamed']);
+    assert.equal(plan.files[3].result.oldPath, 'old.txt');
+    assert.equal(plan.files[0].previous.toString(), 'one\ntwo\nthree\n');
+
+    await patchService.writePlan(plan);
+
+    assert.equal(await read('a.txt'), 'one\nTWO\nthree\n');
+    assert.equal(await read('docs/new.txt'), 'hello\n');
+    assert.equal(await exists('gone.txt'), false);
+    assert.equal(await exists('old.txt'), false);
+    assert.equal(await read('renamed.txt'), 'keep\nchanged\n');
+  });
+
+  test('reports rejects for every file and writes nothing', async () => {
+    const plan = await patchService.planPatch([
+      '--- a/a.txt',
+      '+++ b/a.txt',
+      '@@ -1 +1 @@',
+      '-one',
+      '+ONE',
+      '--- a/old.txt',
+      '+++ b/old.txt',
+      '@@ -2 +2 @@',
+      '-not in the file',
+      '+changed',
+      '--- /dev/null',
+      '+++ b/gone.txt',
+      '@@ -0,0 +1 @@',
+      '+exists already',
+      ''
+    ].join('\n'), { resolveTarget });
+
+    assert.equal(plan.hasRejects, true);
+    assert.deepEqual(plan.files[0].result.rejects, []);
+    assert.match(plan.files[1].result.rejects[0].text, /^@@ -2 \+2 @@\n-not in the file\n\+changed$/);
+    assert.match(plan.files[2].result.rejects[0].reason, /already exists/);
+
+    assert.equal(await read('a.txt'), 'one\ntwo\nthree\n');
+    assert.equal(await read('old.txt'), 'keep\nchange\n');
+    assert.equal(await read('gone.txt'), 'bye\n');
+  });
+
+  test('puts written files back when a later write fails', async () => {
+    // A file where the new file's directory should be
+    await fs.writeFile(path.join(projectPath, 'blocker'), 'not a directory\n');
+
+    const plan = await patchService.planPatch([
+      '--- a/a.txt',
+      '+++ b/a.txt',
+      '@@ -1 +1 @@',
+      '-one',
+      '+ONE',
+      '--- a/gone.txt',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      '--- /dev/null',
+      '+++ b/blocker/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      ''
+    ].join('\n'), { resolveTarget });
+
+    assert.equal(plan.hasRejects, false);
+    await assert.rejects(patchService.writePlan(plan));
+
+    assert.equal(await read('a.txt'), 'one\ntwo\nthree\n');
+    assert.equal(await read('gone.txt'), 'bye\n');
+    assert.equal(await read('blocker'), 'not a directory\n');
+  });
+
+  test('removes directories it created when a later write fails', async () => {
+    await fs.writeFile(path.join(projectPath, 'blocker'), 'not a directory\n');
+
+    const plan = await patchService.planPatch([
+      '--- /dev/null',
+      '+++ b/src/lib/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      '--- /dev/null',
+      '+++ b/blocker/new.txt',
+      '@@ -0,0 +1 @@',
+      '+hello',
+      ''
+    ].join('\n'), { resolveTarget });
+
+    await assert.rejects(patchService.writePlan(plan));
+
+    assert.equal(await exists('src'), false);
+    assert.deepEqual((await fs.readdir(projectPath)).sort(), ['a.txt', 'blocker', 'gone.txt', 'old.txt']);
+  });
+
+  test('rejects paths the resolver refuses before reading anything', async () => {
+    await assert.rejects(
+      patchService.planPatch('--- a/a.txt\n+++ b/../escape.txt\n@@ -1 +1 @@\n-one\n+ONE\n', {
+        resolveTarget: async (relativePath) => relativePath.includes('..') ? null : path.join(projectPath, relativePath)
+      }),
+      { code: 'INVALID_PATH', path: '../escape.txt' }
+    );
+  });
+
+  test('rejects patches that touch a file twice', async () => {
+    await assert.rejects(
+      patchService.planPatch('--- a/a.txt\n+++ b/a.txt\n@@ -1 +1 @@\n-one\n+ONE\n--- a/a.txt\n+++ b/a.txt\n@@ -2 +2 @@\n-two\n+TWO\n', { resolveTarget }),
+      /same file more than once/
+    );
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Project Path Resolver Tests
+ * Regression suite for path traversal and symlink escapes (run with `npm test`)
+ *
+ * Each run builds a scratch layout in the OS temp dir:
+ *   <tmp>/app            project workspace
+ *   <tmp>/app-evil       sibling whose name starts with the project's
+ *   <tmp>/outside        directory symlinks point at
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveProjectPath, isPathInside } from '../src/utils/projectPath.js';
+
+let tmpDir;
+let projectPath;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-paths-')));
+  projectPath = path.join(tmpDir, 'app');
+
+  await fs.mkdir(path.join(projectPath, 'src'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, 'src', 'index.js'), 'export {};\n');
+  await fs.writeFile(path.join(projectPath, 'README.md'), '# app\n');
+  await fs.mkdir(path.join(projectPath, '.git', 'hooks'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, '.git', 'config'), '[core]\n');
+
+  await fs.mkdir(path.join(tmpDir, 'app-evil'));
+  await fs.writeFile(path.join(tmpDir, 'app-evil', 'secret.txt'), 'secret\n');
+
+  await fs.mkdir(path.join(tmpDir, 'outside'));
+  await fs.writeFile(path.join(tmpDir, 'outside', 'secret.txt'), 'secret\n');
+
+  await fs.symlink(path.join(tmpDir, 'outside'), path.join(projectPath, 'escape-dir'));
+  await fs.symlink(path.join(tmpDir, 'outside', 'secret.txt'), path.join(projectPath, 'escape-file'));
+  await fs.symlink('../outside', path.join(projectPath, 'src', 'relative-escape'));
+  await fs.symlink(path.join(tmpDir, 'outside', 'not-yet-created'), path.join(projectPath, 'dangling'));
+  await fs.symlink('src', path.join(projectPath, 'src-link'));
+  await fs.symlink('loop-b', path.join(projectPath, 'loop-a'));
+  await fs.symlink('loop-a', path.join(projectPath, 'loop-b'));
+  await fs.symlink(projectPath, path.join(tmpDir, 'app-link'));
+  await fs.symlink('.git', path.join(projectPath, 'git-link'));
+  await fs.symlink('.git/config', path.join(projectPath, 'git-config'));
+  await fs.symlink('../.git/hooks', path.join(projectPath, 'src', 'hooks'));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('isPathInside', () => {
+  test('accepts the directory itself and paths below it', () => {
+    assert.equal(isPathInside('/projects/app', '/projects/app'), true);
+    assert.equal(isPathInside('/projects/app', '/projects/app/src/index.js'), true);
+    assert.equal(isPathInside('/projects/app', '/projects/app/..hidden'), true);
+  });
+
+  test('rejects siblings that share a name prefix', () => {
+    assert.equal(isPathInside('/projects/app', '/projects/app-evil'), false);
+    assert.equal(isPathInside('/projects/app', '/projects/app-evil/secret.txt'), false);
+    assert.equal(isPathInside('/projects/app', '/projects/application'), false);
+  });
+
+  test('rejects parents and unrelated paths', () => {
+    assert.equal(isPathInside('/projects/app', '/projects'), false);
+    assert.equal(isPathInside('/projects/app', '/etc/passwd'), false);
+  });
+});
+
+describe('resolveProjectPath', () => {
+  test('resolves the project root and paths inside it', async () => {
+    assert.equal(await resolveProjectPath(projectPath, ''), projectPath);
+    assert.equal(await resolveProjectPath(projectPath, 'src/index.js'), path.join(projectPath, 'src', 'index.js'));
+    assert.equal(await resolveProjectPath(projectPath, './src/../README.md'), path.join(projectPath, 'README.md'));
+  });
+
+  test('resolves paths that do not exist yet', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'new/dir/file.txt'), path.join(projectPath, 'new', 'dir', 'file.txt'));
+  });
+
+  test('rejects ../ sequences that leave the project', async () => {
+    assert.equal(await resolveProjectPath(projectPath, '..'), null);
+    assert.equal(await resolveProjectPath(projectPath, '../outside/secret.txt'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'src/../../outside/secret.txt'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'src/../../../../../../etc/passwd'), null);
+  });
+
+  test('rejects sibling directories that share the project name as a prefix', async () => {
+    assert.equal(await resolveProjectPath(projectPath, '../app-evil/secret.txt'), null);
+    assert.equal(await resolveProjectPath(projectPath, path.join(tmpDir, 'app-evil', 'secret.txt')), null);
+  });
+
+  test('rejects absolute paths outside the project', async () => {
+    assert.equal(await resolveProjectPath(projectPath, '/etc/passwd'), null);
+  });
+
+  test('does not decode URL-encoded paths again', async () => {
+    assert.equal(await resolveProjectPath(projectPath, '%2e%2e/%2e%2e/etc/passwd'), path.join(projectPath, '%2e%2e', '%2e%2e', 'etc', 'passwd'));
+    assert.equal(await resolveProjectPath(projectPath, '..%2foutside%2fsecret.txt'), path.join(projectPath, '..%2foutside%2fsecret.txt'));
+    assert.equal(await resolveProjectPath(projectPath, '%252e%252e/secret'), path.join(projectPath, '%252e%252e', 'secret'));
+  });
+
+  test('rejects decoded traversal and NUL bytes', async () => {
+    assert.equal(await resolveProjectPath(projectPath, decodeURIComponent('%2e%2e%2foutside%2fsecret.txt')), null);
+    assert.equal(await resolveProjectPath(projectPath, 'README.md\0.png'), null);
+    assert.equal(await resolveProjectPath(projectPath, null), null);
+  });
+
+  test('rejects symlinks that point outside the project', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'escape-dir'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'escape-dir/secret.txt'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'escape-file'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'src/relative-escape/secret.txt'), null);
+  });
+
+  test('rejects writes through an escaping symlink', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'escape-dir/new-file.txt'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'escape-dir/new/nested/file.txt'), null);
+  });
+
+  test('rejects dangling symlinks whose target could be created outside', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'dangling'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'dangling/file.txt'), null);
+  });
+
+  test('rejects symlink loops', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'loop-a'), null);
+    assert.equal(await resolveProjectPath(projectPath, 'loop-a/file.txt'), null);
+  });
+
+  test('follows symlinks that stay inside the project', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'src-link/index.js'), path.join(projectPath, 'src-link', 'index.js'));
+  });
+
+  test('accepts a symlink itself when the last component is not followed', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'escape-dir', { followLeaf: false }), path.join(projectPath, 'escape-dir'));
+    assert.equal(await resolveProjectPath(projectPath, 'dangling', { followLeaf: false }), path.join(projectPath, 'dangling'));
+    assert.equal(await resolveProjectPath(projectPath, 'escape-dir/secret.txt', { followLeaf: false }), null);
+  });
+
+  test('works when the project path itself is a symlink', async () => {
+    const linkedProject = path.join(tmpDir, 'app-link');
+
+    assert.equal(await resolveProjectPath(linkedProject, 'src/index.js'), path.join(linkedProject, 'src', 'index.js'));
+    assert.equal(await resolveProjectPath(linkedProject, 'escape-dir/secret.txt'), null);
+    assert.equal(await resolveProjectPath(linkedProject, '../app-evil/secret.txt'), null);
+  });
+
+  test('resolves paths in a project that does not exist yet', async () => {
+    const missingProject = path.join(tmpDir, 'not-created');
+
+    assert.equal(await resolveProjectPath(missingProject, 'file.txt'), path.join(missingProject, 'file.txt'));
+    assert.equal(await resolveProjectPath(missingProject, '../outside/secret.txt'), null);
+  });
+
+  test('leaves paths below a file to fail at the filesystem', async () => {
+    assert.equal(await resolveProjectPath(projectPath, 'README.md/child'), path.join(projectPath, 'README.md', 'child'));
+  });
+
+  test('rejects .git when writers exclude it, also through symlinks', async () => {
+    const options = { excludeGitDir: true };
+
+    assert.equal(await resolveProjectPath(projectPath, '.git/config', options), null);
+    assert.equal(await resolveProjectPath(projectPath, '.git/hooks/pre-commit', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'git-link', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'git-link/config', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'git-link/hooks/pre-commit', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'git-link/hooks/new/dir/file', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'src/hooks/post-commit', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'git-config', options), null);
+    assert.equal(await resolveProjectPath(projectPath, 'git-link/config', { ...options, followLeaf: false }), null);
+  });
+
+  test('allows a symlink to .git itself to be removed or moved', async () => {
+    const options = { excludeGitDir: true, followLeaf: false };
+
+    assert.equal(await resolveProjectPath(projectPath, 'git-link', options), path.join(projectPath, 'git-link'));
+    assert.equal(await resolveProjectPath(projectPath, 'git-config', options), path.join(projectPath, 'git-config'));
+  });
+
+  test('keeps paths next to .git writable', async () => {
+    const options = { excludeGitDir: true };
+
+    assert.equal(await resolveProjectPath(projectPath, '.gitignore', options), path.join(projectPath, '.gitignore'));
+    assert.equal(await resolveProjectPath(projectPath, 'src/.git-notes', options), path.join(projectPath, 'src', '.git-notes'));
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Project Route Tests
+ * Forking with a viewer or editor role (database faked, see helpers/routeHarness.js)
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { installFakeDatabase, startProjectsApi } from './helpers/routeHarness.js';
+
+const USER = { id: crypto.randomUUID(), email: 'forker@example.com', name: 'Forker' };
+
+let parent;
+let role;
+
+installFakeDatabase((text, params) => {
+  if (text === 'SELECT * FROM projects WHERE id = $1' && params[0] === parent.id) {
+    return { rows: [parent], rowCount: 1 };
+  }
+
+  if (text.includes('AS project_role')) {
+    return { rows: [{ project_role: role, org_role: null }], rowCount: 1 };
+  }
+
+  if (text.includes('AS bytes')) {
+    return { rows: [{ bytes: '0' }], rowCount: 1 };
+  }
+
+  if (/^\s*INSERT INTO projects\b/.test(text)) {
+    const [userId, sessionId, name, description, projectPath, organizationId, forkedFromCommit, parentProjectId] = params;
+    return {
+      rows: [{
+        id: crypto.randomUUID(),
+        user_id: userId,
+        session_id: sessionId,
+        name,
+        description,
+        path: projectPath,
+        organization_id: organizationId,
+        parent_project_id: parentProjectId,
+        forked_from_commit: forkedFromCommit,
+        created_at: new Date()
+      }],
+      rowCount: 1
+    };
+  }
+});
+
+let tmpDir;
+let api;
+let gitService;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-project-routes-')));
+  process.env.PROJECTS_DIR = path.join(tmpDir, 'projects');
+
+  // Routes read PROJECTS_DIR and open the pool when they load
+  const { default: projectsRouter } = await import('../src/routes/projects.js');
+  gitService = (await import('../src/services/gitService.js')).default;
+
+  api = await startProjectsApi([projectsRouter], USER);
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const projectPath = path.join(tmpDir, `parent-${crypto.randomUUID()}`);
+  await fs.mkdir(projectPath);
+  await fs.writeFile(path.join(projectPath, 'index.html'), '<h1>v1</h1>\n');
+  await gitService.initRepo(projectPath);
+
+  // Pending edit made by someone else
+  await fs.writeFile(path.join(projectPath, 'index.html'), '<h1>v2</h1>\n');
+
+  parent = { id: crypto.randomUUID(), name: 'Parent', path: projectPath, status: 'active', organization_id: null };
+});
+
+// Fork the parent as the test user
+async function fork() {
+  const response = await fetch(`${api.baseUrl}/api/projects/${parent.id}/fork`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'My Fork' })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('POST /api/projects/:id/fork', () => {
+  test('a viewer forks from HEAD without committing to the parent', async () => {
+    role = 'viewer';
+    const head = await gitService.getHead(parent.path);
+
+    const { status, body } = await fork();
+
+    assert.equal(status, 201);
+    assert.equal(body.project.forkedFromCommit, head);
+    assert.equal(await gitService.getHead(parent.path), head);
+    assert.match(await gitService.git(parent.path, ['status', '--porcelain']), /index\.html/);
+
+    // The pending edit comes along uncommitted
+    const forkPath = path.join(process.env.PROJECTS_DIR, `${USER.id}_${body.project.sessionId}`);
+    assert.equal(await fs.readFile(path.join(forkPath, 'index.html'), 'utf8'), '<h1>v2</h1>\n');
+    assert.equal(await gitService.getHead(forkPath), head);
+  });
+
+  test('an editor snapshots pending edits into the parent first', async () => {
+    role = 'editor';
+    const head = await gitService.getHead(parent.path);
+
+    const { status, body } = await fork();
+    const snapshot = await gitService.getHead(parent.path);
+
+    assert.equal(status, 201);
+    assert.notEqual(snapshot, head);
+    assert.equal(body.project.forkedFromCommit, snapshot);
+    assert.equal(await gitService.git(parent.path, ['log', '-1', '--format=%s|%ae']), 'Snapshot before fork|forker@example.com\n');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Search Service Tests
+ * Matching in the search worker, including the deadline for runaway regexes
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import searchService from '../src/services/searchService.js';
+
+let projectPath;
+
+before(async () => {
+  projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-search-'));
+
+  await fs.mkdir(path.join(projectPath, 'src'));
+  await fs.mkdir(path.join(projectPath, 'node_modules', 'dep'), { recursive: true });
+  await fs.writeFile(path.join(projectPath, 'src', 'app.js'), 'const greeting = "hello";\nconsole.log(greeting);\n');
+  await fs.writeFile(path.join(projectPath, 'src', 'util.js'), 'export const Hello = () => "HELLO";\n');
+  await fs.writeFile(path.join(projectPath, 'node_modules', 'dep', 'index.js'), 'hello\n');
+  await fs.writeFile(path.join(projectPath, 'image.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]));
+  await fs.writeFile(path.join(projectPath, 'backtrack.txt'), `${'a'.repeat(40)}!\n`);
+});
+
+after(async () => {
+  await fs.rm(projectPath, { recursive: true, force: true });
+});
+
+describe('searchService.search', () => {
+  test('finds matches with line, column and context', async () => {
+    const search = await searchService.search(projectPath, { query: 'greeting', contextLines: 1 });
+
+    assert.equal(search.totalMatches, 2);
+    assert.equal(search.filesMatched, 1);
+    assert.equal(search.truncated, false);
+    assert.deepEqual(search.results[0].matches[1], {
+      line: 2,
+      column: 13,
+      length: 8,
+      text: 'console.log(greeting);',
+      before: ['const greeting = "hello";'],
+      after: ['']
+    });
+  });
+
+  test('skips node_modules and binary files', async () => {
+    const search = await searchService.search(projectPath, { query: 'hello' });
+
+    assert.deepEqual(search.results.map(result => result.path).sort(), ['src/app.js', 'src/util.js']);
+    assert.equal(search.filesSearched, 3);
+  });
+
+  test('applies case sensitivity, whole words and the result limit', async () => {
+    const caseSensitive = await searchService.search(projectPath, { query: 'Hello', caseSensitive: true });
+    assert.equal(caseSensitive.totalMatches, 1);
+
+    const wholeWord = await searchService.search(projectPath, { query: 'greet', wholeWord: true });
+    assert.equal(wholeWord.totalMatches, 0);
+
+    const limited = await searchService.search(projectPath, { query: 'hello', maxResults: 2 });
+    assert.equal(limited.totalMatches, 2);
+    assert.equal(limited.truncated, true);
+  });
+
+  test('rejects invalid regular expressions', async () => {
+    await assert.rejects(searchService.search(projectPath, { query: '(unclosed', regex: true }), { code: 'INVALID_QUERY' });
+  });
+
+  test('stops a catastrophically backtracking regex at the deadline without blocking', async () => {
+    let ticks = 0;
+    const interval = setInterval(() => ticks++, 10);
+    const started = Date.now();
+
+    try {
+      const search = await searchService.search(projectPath, { query: '(a+)+$', regex: true, timeoutMs: 300 });
+
+      assert.equal(search.truncated, true);
+      assert.equal(search.totalMatches, 0);
+    } finally {
+      clearInterval(interval);
+    }
+
+    assert.ok(Date.now() - started < 5000);
+    assert.ok(ticks > 5, `event loop ticked only ${ticks} times`);
+  });
+});
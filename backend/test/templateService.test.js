@@ -0,0 +1,42 @@
+/**
+ * Template Service Tests
+ * Where installed templates are read from
+ */
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import templateService from '../src/services/templateService.js';
+
+const REPO_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const originalCwd = process.cwd();
+const originalTemplatesDir = process.env.TEMPLATES_DIR;
+
+after(() => {
+  process.chdir(originalCwd);
+  if (originalTemplatesDir === undefined) {
+    delete process.env.TEMPLATES_DIR;
+  } else {
+    process.env.TEMPLATES_DIR = originalTemplatesDir;
+  }
+});
+
+describe('templateService.getCustomTemplatesDir', () => {
+  test('defaults to templates/ at the repository root from any working directory', () => {
+    delete process.env.TEMPLATES_DIR;
+
+    for (const cwd of [originalCwd, os.tmpdir(), REPO_ROOT]) {
+      process.chdir(cwd);
+      assert.equal(templateService.getCustomTemplatesDir(), path.join(REPO_ROOT, 'templates'));
+    }
+  });
+
+  test('uses TEMPLATES_DIR when set', () => {
+    process.env.TEMPLATES_DIR = '/srv/templates';
+
+    assert.equal(templateService.getCustomTemplatesDir(), '/srv/templates');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Version Route Tests
+ * Workspace restores keep the replaced files in file history and notify open clients
+ * (database faked, see helpers/routeHarness.js)
+ */
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { installFakeDatabase, startProjectsApi } from './helpers/routeHarness.js';
+
+const USER = { id: crypto.randomUUID(), email: 'editor@example.com', name: 'Editor' };
+
+let project;
+
+const queries = installFakeDatabase((text, params) => {
+  if (text === 'SELECT * FROM projects WHERE id = $1' && params[0] === project.id) {
+    return { rows: [project], rowCount: 1 };
+  }
+
+  if (text.includes('AS project_role')) {
+    return { rows: [{ project_role: 'editor', org_role: null }], rowCount: 1 };
+  }
+});
+
+let tmpDir;
+let api;
+let gitService;
+let emitted;
+let firstSha;
+
+before(async () => {
+  tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-version-routes-')));
+
+  const { default: versionsRouter } = await import('../src/routes/versions.js');
+  gitService = (await import('../src/services/gitService.js')).default;
+
+  // Collect what would be broadcast to the project room
+  const { default: realtimeService } = await import('../src/services/realtimeService.js');
+  realtimeService.attach({ to: room => ({ emit: (event, data) => emitted.push({ room, event, data }) }) });
+
+  api = await startProjectsApi([versionsRouter], USER);
+});
+
+after(async () => {
+  await api.close();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  const projectPath = path.join(tmpDir, crypto.randomUUID());
+  await fs.mkdir(projectPath);
+  await fs.writeFile(path.join(projectPath, 'a.txt'), 'one\n');
+  await gitService.initRepo(projectPath);
+  firstSha = await gitService.getHead(projectPath);
+
+  await fs.writeFile(path.join(projectPath, 'a.txt'), 'two\n');
+  await fs.writeFile(path.join(projectPath, 'b.txt'), 'added\n');
+  await gitService.commitAll(projectPath, 'Second');
+
+  project = { id: crypto.randomUUID(), name: 'Restored', path: projectPath, status: 'active', organization_id: null };
+  emitted = [];
+  queries.length = 0;
+});
+
+// Restore the workspace to a commit
+async function restore(sha) {
+  const response = await fetch(`${api.baseUrl}/api/projects/${project.id}/commits/${sha}/restore`, { method: 'POST' });
+  return { status: response.status, body: await response.json() };
+}
+
+// Recorded versions as [path, content, operation]
+function recordedVersions() {
+  return queries
+    .filter(entry => entry.text.includes('INSERT INTO file_versions'))
+    .map(entry => [entry.params[1], entry.params[2], entry.params[6]]);
+}
+
+describe('POST /api/projects/:id/commits/:sha/restore', () => {
+  test('records the replaced files and notifies the project room', async () => {
+    // Unsaved changes are committed before the restore and count as the replaced version
+    await fs.writeFile(path.join(project.path, 'a.txt'), 'three\n');
+
+    const { status, body } = await restore(firstSha);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.paths, ['a.txt', 'b.txt']);
+    assert.equal(await fs.readFile(path.join(project.path, 'a.txt'), 'utf8'), 'one\n');
+    assert.equal(await fs.access(path.join(project.path, 'b.txt')).then(() => true, () => false), false);
+
+    assert.deepEqual(recordedVersions(), [['a.txt', 'three\n', 'restore'], ['b.txt', 'added\n', 'restore']]);
+
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0].room, `project-${project.id}`);
+    assert.equal(emitted[0].event, 'files-changed');
+    assert.deepEqual(
+      { ...emitted[0].data, timestamp: undefined },
+      { projectId: project.id, action: 'restored', type: 'file', path: '', paths: ['a.txt', 'b.txt'], userId: USER.id, commitSha: body.commitSha, timestamp: undefined }
+    );
+  });
+
+  test('records and emits nothing when the workspace already matches', async () => {
+    const head = await gitService.getHead(project.path);
+
+    const { status, body } = await restore(head);
+
+    assert.equal(status, 200);
+    assert.equal(body.commitSha, head);
+    assert.deepEqual(body.paths, []);
+    assert.deepEqual(recordedVersions(), []);
+    assert.deepEqual(emitted, []);
+  });
+});
@@ -10,26 +10,47 @@ import CodeEditor from './components/CodeEditor';
 import PreviewPanel from './components/PreviewPanel';
 import BuildPanel from './components/BuildPanel';
 import MemoryPanel from './components/MemoryPanel';
+import SecretsPanel from './components/SecretsPanel';
+import SearchPanel from './components/SearchPanel';
 import ChatPanel from './components/ChatPanel';
 import AdminPanel from './components/AdminPanel';
-import { projectApi } from './services/api';
-import type { Project } from './types';
+import MergeDialog from './components/MergeDialog';
+import FileHistoryPanel from './components/FileHistoryPanel';
+import { projectApi, authApi, templateApi } from './services/api';
+import { mergeThreeWay } from './utils/merge';
+import type { FileChangeEvent, FileConflict, FileVersion, FsChangeEvent, Project, User } from './types';
 
 interface Tab {
   id: string;
-  type: 'file' | 'preview' | 'build' | 'memory' | 'admin';
+  type: 'file' | 'preview' | 'build' | 'memory' | 'secrets' | 'admin';
   title: string;
   path?: string;
   content?: string;
+  savedContent?: string; // Content as of `etag`; the base for three-way merges
+  etag?: string | null; // null = not on disk yet
+  stale?: 'changed' | 'deleted'; // Disk moved on while the tab had unsaved edits
   isDirty?: boolean;
+  position?: { lineNumber: number; column: number };
 }
 
+// Pick the Monaco language for a file tab
+const getEditorLanguage = (path?: string) =>
+  path?.endsWith('.ts') || path?.endsWith('.tsx') ? 'typescript' : 'javascript';
+
 function App() {
+  const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [currentProject, setCurrentProject] = useState<Project | null>(null);
   const [projects, setProjects] = useState<Project[]>([]);
   const [isCreatingProject, setIsCreatingProject] = useState(false);
   const [tabs, setTabs] = useState<Tab[]>([]);
   const [activeTabId, setActiveTabId] = useState<string | null>(null);
+  const [saveConflict, setSaveConflict] = useState<{ tabId: string; conflict: FileConflict } | null>(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Version shown against the editor, per tab
+  const [historyVersion, setHistoryVersion] = useState<{ tabId: string; version: FileVersion } | null>(null);
+  const tabsRef = useRef(tabs);
+  tabsRef.current = tabs;
+  const [sidebarView, setSidebarView] = useState<'files' | 'search'>('files');
 
   // Panel widths (in pixels)
   const [leftPanelWidth, setLeftPanelWidth] = useState(256);
@@ -45,11 +66,14 @@ function App() {
   // File change tracking - increment this to trigger refreshes
   const [fileChangeCounter, setFileChangeCounter] = useState(0);
 
-  // Load projects on mount
+  // Load current user and projects on mount
   useEffect(() => {
+    loadCurrentUser();
     loadProjects();
   }, []);
 
+  const isAdmin = currentUser?.role === 'admin';
+
   // Handle mouse move for resizing with smooth performance
   useEffect(() => {
     const handleMouseMove = (e: MouseEvent) => {
@@ -107,7 +131,7 @@ function App() {
     };
   }, []); // Empty dependency array - listeners added once
 
-  // Auto-open Preview, Build, Memory, and Admin tabs when project loads
+  // Auto-open Preview, Build, Memory (and Secrets for editors) tabs when project loads
   useEffect(() => {
     if (currentProject && tabs.length === 0) {
       const previewTab: Tab = {
@@ -125,24 +149,42 @@ function App() {
         type: 'memory',
         title: 'Memory',
       };
-      const adminTab: Tab = {
-        id: 'admin',
-        type: 'admin',
-        title: 'Admin',
-      };
-      setTabs([previewTab, buildTab, memoryTab, adminTab]);
+      const projectTabs = [previewTab, buildTab, memoryTab];
+      if (currentProject.role && currentProject.role !== 'viewer') {
+        projectTabs.push({ id: 'secrets', type: 'secrets', title: 'Secrets' });
+      }
+      setTabs(projectTabs);
       setActiveTabId('preview');
     }
   }, [currentProject]);
 
+  // Admin tab is only added once the current user is known to be an admin
+  useEffect(() => {
+    if (isAdmin && tabs.length > 0 && !tabs.some((tab) => tab.id === 'admin')) {
+      setTabs((prev) => [...prev, { id: 'admin', type: 'admin', title: 'Admin' }]);
+    }
+  }, [isAdmin, tabs]);
+
+  const loadCurrentUser = async () => {
+    try {
+      const response = await authApi.me();
+      setCurrentUser(response.user);
+    } catch (error) {
+      console.error('Failed to load current user:', error);
+    }
+  };
+
   const loadProjects = async () => {
     try {
-      const response = await projectApi.list();
-      setProjects(response.projects);
+      const [active, archived] = await Promise.all([
+        projectApi.list(),
+        projectApi.list({ status: 'archived' }),
+      ]);
+      setProjects([...active.projects, ...archived.projects]);
 
       // Auto-select first project if available
-      if (response.projects.length > 0 && !currentProject) {
-        setCurrentProject(response.projects[0]);
+      if (active.projects.length > 0 && !currentProject) {
+        setCurrentProject(active.projects[0]);
       }
     } catch (error) {
       console.error('Failed to load projects:', error);
@@ -158,11 +200,24 @@ function App() {
 
     setIsCreatingProject(true);
     try {
+      const { templates } = await templateApi.list();
+      const templateId = templates.length > 0
+        ? prompt(
+            `Template (leave empty for a blank project):\n${templates
+              .map((t) => `  ${t.id} - ${t.name}`)
+              .join('\n')}`
+          )
+        : null;
+
+      if (templateId && !templates.some((t) => t.id === templateId.trim())) {
+        toast.error(`Unknown template "${templateId}"`);
+        return;
+      }
+
       const response = await projectApi.create({
         name,
         description: description || undefined,
-        framework: 'react',
-        language: 'typescript',
+        template: templateId?.trim() || undefined,
       });
 
       setProjects([...projects, response.project]);
@@ -176,10 +231,181 @@ function App() {
     }
   };
 
-  const handleSelectFile = (path: string, content: string) => {
-    // Check if file is already open
+  const handleImportProject = async () => {
+    const repoUrl = prompt('Git repository URL:');
+    if (!repoUrl) return;
+
+    setIsCreatingProject(true);
+    try {
+      const response = await projectApi.import({ repoUrl: repoUrl.trim() });
+
+      setProjects([...projects, response.project]);
+      setCurrentProject(response.project);
+      toast.success(`Imported "${response.project.name}"`);
+    } catch (error: any) {
+      console.error('Failed to import project:', error);
+      const data = error.response?.data;
+      toast.error(data?.details ? `${data.error}: ${data.details}` : data?.error || 'Failed to import project.');
+    } finally {
+      setIsCreatingProject(false);
+    }
+  };
+
+  const handleForkProject = async () => {
+    if (!currentProject) return;
+
+    const name = prompt('Fork name:', `${currentProject.name} (fork)`);
+    if (!name) return;
+    const includeChat = confirm('Copy the chat history into the fork too?');
+
+    setIsCreatingProject(true);
+    try {
+      const response = await projectApi.fork(currentProject.id, { name, includeChat });
+
+      setProjects([
+        ...projects.map((p) => (p.id === currentProject.id ? { ...p, forkCount: (p.forkCount || 0) + 1 } : p)),
+        response.project,
+      ]);
+      setCurrentProject(response.project);
+      setTabs([]);
+      setActiveTabId(null);
+      toast.success(`Forked "${currentProject.name}"`);
+    } catch (error: any) {
+      console.error('Failed to fork project:', error);
+      toast.error(error.response?.data?.error || 'Failed to fork project.');
+    } finally {
+      setIsCreatingProject(false);
+    }
+  };
+
+  const handleToggleArchived = async () => {
+    if (!currentProject) return;
+
+    const archiving = currentProject.status !== 'archived';
+    if (archiving && !confirm(`Archive "${currentProject.name}"? Its dev server and previews will be stopped and it becomes read-only until restored.`)) {
+      return;
+    }
+
+    setIsCreatingProject(true);
+    try {
+      const { project } = archiving
+        ? await projectApi.archive(currentProject.id)
+        : await projectApi.unarchive(currentProject.id);
+
+      const updated = {
+        ...currentProject,
+        status: project.status,
+        archivedAt: archiving ? (project as { archivedAt: string }).archivedAt : null,
+      };
+      setProjects(projects.map((p) => (p.id === updated.id ? updated : p)));
+      setCurrentProject(updated);
+      setTabs([]);
+      setActiveTabId(null);
+      toast.success(archiving ? `Archived "${updated.name}"` : `Restored "${updated.name}"`);
+    } catch (error: any) {
+      console.error('Failed to change archive state:', error);
+      toast.error(error.response?.data?.error || 'Failed to update project.');
+    } finally {
+      setIsCreatingProject(false);
+    }
+  };
+
+  const handleDeleteProject = async () => {
+    if (!currentProject) return;
+    if (!confirm(`Move "${currentProject.name}" to the trash? It can be restored until it is purged.`)) return;
+
+    try {
+      const response = await projectApi.delete(currentProject.id);
+      const remaining = projects.filter((p) => p.id !== currentProject.id);
+
+      setProjects(remaining);
+      setCurrentProject(remaining.find((p) => p.status === 'active') || null);
+      setTabs([]);
+      setActiveTabId(null);
+      toast.success(`Moved to trash - purged after ${new Date(response.project.purgeAfter).toLocaleDateString()}`);
+    } catch (error: any) {
+      console.error('Failed to delete project:', error);
+      toast.error(error.response?.data?.error || 'Failed to delete project.');
+    }
+  };
+
+  const handleRestoreFromTrash = async () => {
+    try {
+      const { projects: trashed } = await projectApi.listTrash();
+      if (trashed.length === 0) {
+        toast('Trash is empty');
+        return;
+      }
+
+      const choice = prompt(
+        'Restore which project?\n' +
+          trashed
+            .map((p, i) => `${i + 1}. ${p.name} (purged ${new Date(p.purgeAfter).toLocaleDateString()})`)
+            .join('\n')
+      );
+      const selected = trashed[parseInt(choice || '') - 1];
+      if (!selected) return;
+
+      const response = await projectApi.restore(selected.id);
+      setProjects([...projects, response.project]);
+      setCurrentProject(response.project);
+      setTabs([]);
+      setActiveTabId(null);
+      toast.success(`Restored "${response.project.name}"`);
+    } catch (error: any) {
+      console.error('Failed to restore project:', error);
+      toast.error(error.response?.data?.error || 'Failed to restore project.');
+    }
+  };
+
+  const handleImportArchive = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const archive = e.target.files?.[0];
+    e.target.value = '';
+    if (!archive) return;
+
+    setIsCreatingProject(true);
+    try {
+      const response = await projectApi.importArchive(archive);
+
+      setProjects([...projects, response.project]);
+      setCurrentProject(response.project);
+      toast.success(`Imported "${response.project.name}"`);
+    } catch (error: any) {
+      console.error('Failed to import archive:', error);
+      toast.error(error.response?.data?.error || 'Failed to import archive.');
+    } finally {
+      setIsCreatingProject(false);
+    }
+  };
+
+  const handleExportProject = async () => {
+    if (!currentProject) return;
+
+    try {
+      const { blob, fileName } = await projectApi.export(currentProject.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export project:', error);
+      toast.error('Failed to export project.');
+    }
+  };
+
+  const handleSelectFile = (
+    path: string,
+    content: string,
+    { etag, position }: { etag?: string | null; position?: Tab['position'] } = {}
+  ) => {
+    // Check if file is already open (keep its unsaved edits, just move the cursor)
     const existingTab = tabs.find((tab) => tab.type === 'file' && tab.path === path);
     if (existingTab) {
+      if (position) {
+        setTabs(tabs.map((tab) => (tab.id === existingTab.id ? { ...tab, position } : tab)));
+      }
       setActiveTabId(existingTab.id);
       return;
     }
@@ -191,7 +417,10 @@ function App() {
       title: path.split('/').pop() || path,
       path,
       content,
+      savedContent: content,
+      etag: etag ?? null,
       isDirty: false,
+      position,
     };
 
     setTabs([...tabs, newTab]);
@@ -202,37 +431,96 @@ function App() {
     setTabs(
       tabs.map((tab) =>
         tab.id === tabId
-          ? { ...tab, content, isDirty: tab.content !== content }
+          ? { ...tab, content, isDirty: tab.savedContent !== content }
           : tab
       )
     );
   };
 
-  const handleSaveFile = async (tabId: string) => {
+  // Save only if the file is unchanged on disk since the tab loaded it (etag: null overrides that check)
+  const handleSaveFile = async (tabId: string, etag?: string | null) => {
     if (!currentProject) return;
 
     const tab = tabs.find((t) => t.id === tabId);
-    if (!tab || tab.type !== 'file' || !tab.path || !tab.content) return;
+    if (!tab || tab.type !== 'file' || !tab.path || tab.content === undefined) return;
 
+    const content = tab.content;
     try {
-      await projectApi.updateFileContent(currentProject.id, tab.path, tab.content);
-      setTabs(
-        tabs.map((t) =>
-          t.id === tabId ? { ...t, isDirty: false } : t
+      const result = await projectApi.updateFileContent(
+        currentProject.id,
+        tab.path,
+        content,
+        etag === undefined ? tab.etag ?? null : etag
+      );
+      setTabs((prev) =>
+        prev.map((t) =>
+          t.id === tabId
+            ? { ...t, etag: result.etag, savedContent: content, isDirty: t.content !== content, stale: undefined }
+            : t
         )
       );
       toast.success(`${tab.title} saved successfully`);
-    } catch (error) {
+    } catch (error: any) {
+      if (error.response?.status === 409) {
+        setSaveConflict({ tabId, conflict: error.response.data });
+        return;
+      }
       console.error('Failed to save file:', error);
       toast.error(`Failed to save ${tab.title}. Please try again.`);
     }
   };
 
+  // Combine the editor's changes with the disk version; the result still needs saving
+  const handleMergeConflict = () => {
+    if (!saveConflict) return;
+    const { tabId, conflict } = saveConflict;
+    const tab = tabs.find((t) => t.id === tabId);
+    if (!tab || conflict.content === null) return;
+
+    const merged = mergeThreeWay(tab.savedContent ?? '', tab.content ?? '', conflict.content);
+    setTabs((prev) =>
+      prev.map((t) =>
+        t.id === tabId
+          ? { ...t, content: merged.content, savedContent: conflict.content ?? '', etag: conflict.etag, isDirty: true, stale: undefined }
+          : t
+      )
+    );
+    setSaveConflict(null);
+
+    if (merged.conflicts > 0) {
+      toast.error(`${merged.conflicts} conflict${merged.conflicts === 1 ? '' : 's'} marked in ${tab.title}. Resolve and save.`);
+    } else {
+      toast.success(`Merged changes into ${tab.title}. Review and save.`);
+    }
+  };
+
+  const handleReloadConflict = () => {
+    if (!saveConflict) return;
+    const { tabId, conflict } = saveConflict;
+
+    setTabs((prev) =>
+      prev.map((t) =>
+        t.id === tabId
+          ? { ...t, content: conflict.content ?? '', savedContent: conflict.content ?? '', etag: conflict.etag, isDirty: false, stale: undefined }
+          : t
+      )
+    );
+    setSaveConflict(null);
+  };
+
+  const handleOverwriteConflict = () => {
+    if (!saveConflict) return;
+    const { tabId, conflict } = saveConflict;
+
+    setSaveConflict(null);
+    handleSaveFile(tabId, conflict.etag);
+  };
+
   const handleCloseTab = (tabId: string) => {
     const tab = tabs.find((t) => t.id === tabId);
 
     // Don't allow closing Preview, Build, Memory, and Admin tabs
-    if (tab?.id === 'preview' || tab?.id === 'build' || tab?.id === 'memory' || tab?.id === 'admin') {
+    if (tab?.id === 'preview' || tab?.id === 'build' || tab?.id === 'memory' || tab?.id === 'secrets' || tab?.id === 'admin') {
       return;
     }
 
@@ -264,6 +552,106 @@ function App() {
     });
   };
 
+  const handleFilesChanged = (change: FileChangeEvent) => {
+    const isAffected = (tabPath: string, changedPath: string) =>
+      tabPath === changedPath || tabPath.startsWith(`${changedPath}/`);
+
+    // Keep open tabs pointing at moved files and drop unmodified tabs of deleted ones
+    if (change.action === 'moved' && change.from) {
+      const from = change.from;
+      setTabs((prev) =>
+        prev.map((tab) => {
+          if (tab.type !== 'file' || !tab.path || !isAffected(tab.path, from)) return tab;
+          const path = change.path + tab.path.slice(from.length);
+          return { ...tab, path, title: path.split('/').pop() || path };
+        })
+      );
+    } else if (change.action === 'deleted') {
+      setTabs((prev) =>
+        prev.filter((tab) => tab.type !== 'file' || !tab.path || tab.isDirty || !isAffected(tab.path, change.path))
+      );
+    } else if (change.action === 'updated') {
+      syncOpenTabs(change.projectId, (tabPath) => tabPath === change.path);
+    } else if ((change.action === 'patched' || change.action === 'restored') && change.paths) {
+      const paths = change.paths;
+      syncOpenTabs(change.projectId, (tabPath) => paths.includes(tabPath));
+    }
+
+    handleFileChange();
+  };
+
+  // Changes on disk from any source (Claude, dev servers, installs, collaborators)
+  const handleFsChanged = (event: FsChangeEvent) => {
+    const isAffected = (tabPath: string) =>
+      event.truncated ||
+      event.changes.some((change) => tabPath === change.path || tabPath.startsWith(`${change.path}/`));
+
+    syncOpenTabs(event.projectId, isAffected);
+    handleFileChange();
+  };
+
+  // Reload clean tabs whose file changed on disk and mark modified ones stale
+  // (tabs are read through a ref: socket listeners hold on to an old render's closure)
+  const syncOpenTabs = (projectId: string, isAffected: (tabPath: string) => boolean) => {
+    tabsRef.current
+      .filter((tab) => tab.type === 'file' && tab.path && isAffected(tab.path))
+      .forEach(async (tab) => {
+        try {
+          const { content, etag } = await projectApi.getFileContent(projectId, tab.path!);
+          setTabs((prev) =>
+            prev.map((t) => {
+              if (t.id !== tab.id) return t;
+              // Unchanged, e.g. the echo of our own save
+              if (t.etag === etag) return { ...t, stale: undefined };
+              return t.isDirty
+                ? { ...t, stale: 'changed' }
+                : { ...t, content, savedContent: content, etag, stale: undefined };
+            })
+          );
+        } catch (error: any) {
+          if (error.response?.status === 404) {
+            setTabs((prev) => prev.map((t) => (t.id === tab.id ? { ...t, stale: 'deleted' } : t)));
+          } else {
+            console.error('Failed to refresh open file:', error);
+          }
+        }
+      });
+  };
+
+  const handleVersionRestored = (tabId: string, { content, etag }: { content: string; etag: string }) => {
+    setTabs((prev) =>
+      prev.map((t) =>
+        t.id === tabId ? { ...t, content, savedContent: content, etag, isDirty: false, stale: undefined } : t
+      )
+    );
+    setHistoryVersion(null);
+  };
+
+  // Show the disk version of a stale tab next to the editor's, with merge/reload/overwrite
+  const handleCompareTab = async (tabId: string) => {
+    const tab = tabs.find((t) => t.id === tabId);
+    if (!currentProject || !tab?.path) return;
+
+    try {
+      const { content, etag } = await projectApi.getFileContent(currentProject.id, tab.path);
+      setSaveConflict({
+        tabId,
+        conflict: { error: 'File has changed on disk', path: tab.path, exists: true, content, etag },
+      });
+    } catch (error) {
+      console.error('Failed to load file from disk:', error);
+      toast.error(`Failed to load ${tab.title} from disk`);
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await authApi.logout();
+    } finally {
+      window.location.href = '/login';
+    }
+  };
+
   const activeTab = tabs.find((tab) => tab.id === activeTabId);
 
   return (
@@ -313,6 +701,9 @@ function App() {
             {projects.map((project) => (
               <option key={project.id} value={project.id}>
                 {project.name}
+                {project.parentName ? ` ⑂ fork of ${project.parentName}` : ''}
+                {project.forkCount ? ` (${project.forkCount} fork${project.forkCount === 1 ? '' : 's'})` : ''}
+                {project.status === 'archived' ? ' [archived]' : ''}
               </option>
             ))}
           </select>
@@ -323,13 +714,103 @@ function App() {
           >
             {isCreatingProject ? 'Creating...' : '+ New Project'}
           </button>
+          <button
+            onClick={handleImportProject}
+            disabled={isCreatingProject}
+            className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+          >
+            Import from Git
+          </button>
+          <label className="block w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm text-center cursor-pointer">
+            Import Archive
+            <input
+              type="file"
+              accept=".tar.gz,.tgz,application/gzip"
+              onChange={handleImportArchive}
+              disabled={isCreatingProject}
+              className="hidden"
+            />
+          </label>
+          {currentProject && (
+            <button
+              onClick={handleForkProject}
+              disabled={isCreatingProject}
+              className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+            >
+              Fork Project
+            </button>
+          )}
+          {currentProject && (currentProject.status === 'archived' ? currentProject.role !== 'viewer' : currentProject.role === 'owner') && (
+            <button
+              onClick={handleToggleArchived}
+              disabled={isCreatingProject}
+              className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+            >
+              {currentProject.status === 'archived' ? 'Restore Project' : 'Archive Project'}
+            </button>
+          )}
+          {currentProject?.role === 'owner' && (
+            <button
+              onClick={handleExportProject}
+              className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+            >
+              Export Project
+            </button>
+          )}
+          {currentProject?.role === 'owner' && (
+            <button
+              onClick={handleDeleteProject}
+              className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-red-700 rounded text-sm"
+            >
+              Delete Project
+            </button>
+          )}
+          <button
+            onClick={handleRestoreFromTrash}
+            className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+          >
+            Trash
+          </button>
+          <button
+            onClick={handleLogout}
+            className="w-full mt-2 px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm text-gray-300"
+          >
+            Sign Out
+          </button>
         </div>
+        {currentProject && currentProject.status !== 'archived' && (
+          <div className="flex border-b border-gray-700 text-xs">
+            {(['files', 'search'] as const).map((view) => (
+              <button
+                key={view}
+                onClick={() => setSidebarView(view)}
+                className={`flex-1 py-1.5 ${
+                  sidebarView === view ? 'text-white border-b-2 border-blue-500' : 'text-gray-400 hover:text-gray-200'
+                }`}
+              >
+                {view === 'files' ? 'Explorer' : 'Search'}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="flex-1 overflow-auto">
-          {currentProject ? (
+          {currentProject?.status === 'archived' ? (
+            <div className="p-4 text-gray-500 text-sm">
+              This project is archived and read-only. Restore it to browse and edit files.
+            </div>
+          ) : currentProject && sidebarView === 'search' ? (
+            <SearchPanel
+              key={`search-${currentProject.id}`}
+              projectId={currentProject.id}
+              onOpenMatch={handleSelectFile}
+            />
+          ) : currentProject ? (
             <FileTree
-              key={`filetree-${currentProject.id}-${fileChangeCounter}`}
+              key={`filetree-${currentProject.id}`}
               projectId={currentProject.id}
               onSelectFile={handleSelectFile}
+              refreshKey={fileChangeCounter}
+              readOnly={currentProject.role === 'viewer'}
             />
           ) : (
             <div className="p-4 text-gray-500 text-sm">
@@ -399,25 +880,73 @@ function App() {
             <div className="h-full flex flex-col">
               <div className="h-10 bg-gray-800 border-b border-gray-700 flex items-center px-4">
                 <span className="text-xs text-gray-400">{activeTab.path}</span>
-                {activeTab.isDirty && (
-                  <button
-                    onClick={() => handleSaveFile(activeTab.id)}
-                    className="ml-auto px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm"
-                  >
-                    Save
-                  </button>
+                {activeTab.stale === 'deleted' && (
+                  <span className="ml-3 text-xs text-yellow-400">Deleted on disk</span>
                 )}
+                {activeTab.stale === 'changed' && (
+                  <>
+                    <span className="ml-3 text-xs text-yellow-400">Changed on disk</span>
+                    <button
+                      onClick={() => handleCompareTab(activeTab.id)}
+                      className="ml-2 text-xs text-blue-400 hover:text-blue-300"
+                    >
+                      Compare...
+                    </button>
+                  </>
+                )}
+                {historyVersion?.tabId === activeTab.id && (
+                  <span className="ml-3 text-xs text-gray-400">
+                    Comparing with version from {new Date(historyVersion.version.createdAt).toLocaleString()}
+                    <button onClick={() => setHistoryVersion(null)} className="ml-2 text-blue-400 hover:text-blue-300">
+                      Back to editor
+                    </button>
+                  </span>
+                )}
+                <div className="ml-auto flex items-center gap-2">
+                  {activeTab.etag && (
+                    <button
+                      onClick={() => setHistoryOpen(!historyOpen)}
+                      className={`px-2 py-1 rounded text-xs ${historyOpen ? 'bg-gray-600' : 'text-gray-400 hover:bg-gray-700'}`}
+                    >
+                      History
+                    </button>
+                  )}
+                  {activeTab.isDirty && (
+                    <button
+                      onClick={() => handleSaveFile(activeTab.id)}
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm"
+                    >
+                      Save
+                    </button>
+                  )}
+                </div>
               </div>
-              <div className="flex-1">
-                <CodeEditor
-                  value={activeTab.content || ''}
-                  onChange={(value) => handleUpdateFileContent(activeTab.id, value)}
-                  language={
-                    activeTab.path?.endsWith('.ts') || activeTab.path?.endsWith('.tsx')
-                      ? 'typescript'
-                      : 'javascript'
-                  }
-                />
+              <div className="flex-1 flex min-h-0">
+                <div className="flex-1 min-w-0">
+                  <CodeEditor
+                    value={activeTab.content || ''}
+                    onChange={(value) => handleUpdateFileContent(activeTab.id, value)}
+                    position={activeTab.position}
+                    language={getEditorLanguage(activeTab.path)}
+                    original={historyVersion?.tabId === activeTab.id ? historyVersion.version.content : undefined}
+                  />
+                </div>
+                {historyOpen && activeTab.etag && activeTab.path && currentProject && (
+                  <FileHistoryPanel
+                    projectId={currentProject.id}
+                    path={activeTab.path}
+                    refreshKey={activeTab.etag}
+                    selectedVersionId={historyVersion?.tabId === activeTab.id ? historyVersion.version.id : null}
+                    readOnly={currentProject.role === 'viewer'}
+                    isDirty={activeTab.isDirty}
+                    onSelectVersion={(version) => setHistoryVersion(version ? { tabId: activeTab.id, version } : null)}
+                    onRestored={(result) => handleVersionRestored(activeTab.id, result)}
+                    onClose={() => {
+                      setHistoryOpen(false);
+                      setHistoryVersion(null);
+                    }}
+                  />
+                )}
               </div>
             </div>
           )}
@@ -433,7 +962,10 @@ function App() {
           {activeTab?.type === 'memory' && currentProject && (
             <MemoryPanel projectId={currentProject.id} />
           )}
-          {activeTab?.type === 'admin' && (
+          {activeTab?.type === 'secrets' && currentProject && (
+            <SecretsPanel projectId={currentProject.id} role={currentProject.role} />
+          )}
+          {activeTab?.type === 'admin' && isAdmin && (
             <AdminPanel />
           )}
           {!activeTab && currentProject && (
@@ -480,6 +1012,8 @@ function App() {
           <ChatPanel
             projectId={currentProject.id}
             onFileChange={handleFileChange}
+            onFilesChanged={handleFilesChanged}
+            onFsChanged={handleFsChanged}
           />
         ) : (
           <div className="h-full flex items-center justify-center text-gray-500">
@@ -491,6 +1025,22 @@ function App() {
         )}
       </div>
     </div>
+
+    {saveConflict && (() => {
+      const conflictTab = tabs.find((tab) => tab.id === saveConflict.tabId);
+      return conflictTab?.path ? (
+        <MergeDialog
+          path={conflictTab.path}
+          mine={conflictTab.content ?? ''}
+          conflict={saveConflict.conflict}
+          language={getEditorLanguage(conflictTab.path)}
+          onMerge={handleMergeConflict}
+          onReload={handleReloadConflict}
+          onOverwrite={handleOverwriteConflict}
+          onCancel={() => setSaveConflict(null)}
+        />
+      ) : null;
+    })()}
     </>
   );
 }
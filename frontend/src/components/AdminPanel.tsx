@@ -4,40 +4,18 @@
  */
 
 import { useState, useEffect } from 'react';
-import axios from 'axios';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
-
-interface ClaudeSession {
-  projectId: string;
-  userId: string;
-  projectPath: string;
-  isActive: boolean;
-  messageCount: number;
-  tokensUsed: number;
-  startTime: number;
-  lastActivity: number;
-  uptime: number;
-  uptimeFormatted: string;
-  lastActivityRelative: string;
-}
-
-interface SessionsData {
-  totalSessions: number;
-  activeSessions: number;
-  sessions: ClaudeSession[];
-}
+import { adminApi, type ClaudeSessionsData } from '@/services/api';
 
 function AdminPanel() {
-  const [sessionsData, setSessionsData] = useState<SessionsData | null>(null);
+  const [sessionsData, setSessionsData] = useState<ClaudeSessionsData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [autoRefresh, setAutoRefresh] = useState(true);
 
   const fetchSessions = async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL.replace('/api', '')}/api/admin/claude-sessions`);
-      setSessionsData(response.data);
+      const data = await adminApi.getClaudeSessions();
+      setSessionsData(data);
       setError(null);
     } catch (err) {
       setError('Failed to load session data');
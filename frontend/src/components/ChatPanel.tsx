@@ -5,15 +5,17 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { io, Socket } from 'socket.io-client';
-import axios from 'axios';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { chatApi, type UploadedFile } from '@/services/api';
 import toast from 'react-hot-toast';
+import type { FileChangeEvent, FsChangeEvent } from '@/types';
 
 interface ChatPanelProps {
   projectId: string;
   onFileChange?: () => void; // Callback when files are modified
+  onFilesChanged?: (change: FileChangeEvent) => void; // Callback for file API changes from any client
+  onFsChanged?: (event: FsChangeEvent) => void; // Callback for changes on disk (Claude, dev servers, installs...)
 }
 
 interface Message {
@@ -29,12 +31,10 @@ interface Message {
   attachments?: UploadedFile[];
 }
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
-
 // Simple unique ID generator
 const generateId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-function ChatPanel({ projectId, onFileChange }: ChatPanelProps) {
+function ChatPanel({ projectId, onFileChange, onFilesChanged, onFsChanged }: ChatPanelProps) {
   const [messages, setMessages] = useState<Message[]>([]);
   const [input, setInput] = useState('');
   const [isConnected, setIsConnected] = useState(false);
@@ -54,13 +54,13 @@ function ChatPanel({ projectId, onFileChange }: ChatPanelProps) {
   const loadHistory = async () => {
     try {
       setIsLoadingHistory(true);
-      const response = await axios.get(`${API_BASE_URL}/chat/sessions/${projectId}/history`);
+      const response = await chatApi.getHistory(projectId);
 
-      if (response.data.success && response.data.messages.length > 0) {
+      if (response.success && response.messages.length > 0) {
         // Convert database messages to UI format
         const historyMessages: Message[] = [];
 
-        for (const msg of response.data.messages) {
+        for (const msg of response.messages) {
           // Check if message has tool use events in meta
           if (msg.meta && msg.meta.toolUseEvents && Array.isArray(msg.meta.toolUseEvents)) {
             // Create separate messages for each tool use event
@@ -131,6 +131,8 @@ function ChatPanel({ projectId, onFileChange }: ChatPanelProps) {
 
     const socket = io(wsUrl, {
       transports: ['websocket'],
+      // Same bearer token as the REST API - the server rejects unauthenticated handshakes
+      auth: { token: localStorage.getItem('auth_token') },
     });
 
     socketRef.current = socket;
@@ -147,6 +149,11 @@ function ChatPanel({ projectId, onFileChange }: ChatPanelProps) {
       setIsConnected(false);
     });
 
+    socket.on('connect_error', (error: Error) => {
+      console.error('Socket connection failed:', error.message);
+      setIsConnected(false);
+    });
+
     // Handle AI typing indicator
     socket.on('ai-typing', () => {
       setIsTyping(true);
@@ -235,6 +242,20 @@ function ChatPanel({ projectId, onFileChange }: ChatPanelProps) {
       }
     });
 
+    // Files created, moved or deleted through the file API (by anyone in the project)
+    socket.on('files-changed', (change: FileChangeEvent) => {
+      if (onFilesChanged) {
+        onFilesChanged(change);
+      }
+    });
+
+    // Anything that changed in the workspace on disk, debounced by the server's file watcher
+    socket.on('fs-changed', (event: FsChangeEvent) => {
+      if (onFsChanged) {
+        onFsChanged(event);
+      }
+    });
+
     // Keep old ai-response handler for backward compatibility
     socket.on('ai-response', (data: { message: string }) => {
       setIsTyping(false);
@@ -350,7 +371,7 @@ function ChatPanel({ projectId, onFileChange }: ChatPanelProps) {
     }
 
     try {
-      await axios.delete(`${API_BASE_URL}/chat/sessions/${projectId}/history`);
+      await chatApi.clearHistory(projectId);
       setMessages([
         {
           id: 'welcome',
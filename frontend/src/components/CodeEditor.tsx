@@ -1,10 +1,11 @@
 /**
  * Code Editor Component
  * Monaco Editor wrapper for code editing
+ * With `original` set it shows a read-only diff instead (e.g. a history version against the file)
  */
 
 import { useRef, useEffect } from 'react';
-import Editor, { OnMount } from '@monaco-editor/react';
+import Editor, { DiffEditor, OnMount } from '@monaco-editor/react';
 import * as monaco from 'monaco-editor';
 
 interface CodeEditorProps {
@@ -12,13 +13,30 @@ interface CodeEditorProps {
   onChange: (value: string) => void;
   language?: string;
   readOnly?: boolean;
+  position?: { lineNumber: number; column: number };
+  original?: string; // Left side of a diff against `value`
 }
 
-function CodeEditor({ value, onChange, language = 'typescript', readOnly = false }: CodeEditorProps) {
+function CodeEditor({ value, onChange, language = 'typescript', readOnly = false, position, original }: CodeEditorProps) {
   const editorRef = useRef<monaco.editor.IStandaloneCodeEditor | null>(null);
 
+  // Move the cursor to a requested position (e.g. a search match)
+  const revealPosition = (editor: monaco.editor.IStandaloneCodeEditor) => {
+    if (!position) return;
+    editor.setPosition(position);
+    editor.revealPositionInCenter(position);
+    editor.focus();
+  };
+
+  useEffect(() => {
+    if (editorRef.current) {
+      revealPosition(editorRef.current);
+    }
+  }, [position]);
+
   const handleEditorMount: OnMount = (editor, monaco) => {
     editorRef.current = editor;
+    revealPosition(editor);
 
     // Configure Monaco theme
     monaco.editor.defineTheme('atlas-dark', {
@@ -46,6 +64,28 @@ function CodeEditor({ value, onChange, language = 'typescript', readOnly = false
     onChange(value || '');
   };
 
+  if (original !== undefined) {
+    return (
+      <div className="h-full w-full">
+        <DiffEditor
+          height="100%"
+          language={language}
+          original={original}
+          modified={value}
+          theme="vs-dark"
+          options={{
+            readOnly: true,
+            renderSideBySide: true,
+            minimap: { enabled: false },
+            fontSize: 14,
+            scrollBeyondLastLine: false,
+            automaticLayout: true,
+          }}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="h-full w-full">
       <Editor
@@ -0,0 +1,154 @@
+/**
+ * File History Panel Component
+ * Sidebar listing a file's previous versions and who replaced each one
+ * Selecting a version shows it against the editor; editors can restore it
+ */
+
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { projectApi } from '@/services/api';
+import type { FileVersion } from '@/types';
+
+interface FileHistoryPanelProps {
+  projectId: string;
+  path: string;
+  refreshKey?: string | null; // Changes whenever the file is saved (e.g. its ETag)
+  selectedVersionId?: string | null;
+  readOnly?: boolean; // Hide restore (viewers)
+  isDirty?: boolean; // Editor has unsaved changes that a restore would discard
+  onSelectVersion: (version: FileVersion | null) => void; // Version with content, or null to go back to the editor
+  onRestored: (result: { content: string; etag: string }) => void;
+  onClose: () => void;
+}
+
+const OPERATION_LABELS: Record<FileVersion['operation'], string> = {
+  save: 'Saved',
+  restore: 'Restored an older version',
+  write: 'Rewrote the file',
+  edit: 'Edited',
+};
+
+function FileHistoryPanel({
+  projectId,
+  path,
+  refreshKey,
+  selectedVersionId,
+  readOnly = false,
+  isDirty = false,
+  onSelectVersion,
+  onRestored,
+  onClose,
+}: FileHistoryPanelProps) {
+  const [versions, setVersions] = useState<FileVersion[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadHistory();
+  }, [projectId, path, refreshKey]);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    try {
+      const response = await projectApi.getFileHistory(projectId, path);
+      setVersions(response.versions);
+    } catch (error) {
+      console.error('Failed to load file history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelect = async (version: FileVersion) => {
+    if (version.id === selectedVersionId) {
+      onSelectVersion(null);
+      return;
+    }
+
+    try {
+      const response = await projectApi.getFileVersion(projectId, version.id);
+      onSelectVersion(response.version);
+    } catch (error) {
+      console.error('Failed to load version:', error);
+      toast.error('Failed to load version');
+    }
+  };
+
+  const handleRestore = async (version: FileVersion) => {
+    const warning = isDirty ? '\nYour unsaved changes will be lost.' : '';
+    if (!confirm(`Restore ${path} to the version from ${new Date(version.createdAt).toLocaleString()}?${warning}`)) return;
+
+    try {
+      const result = await projectApi.restoreFileVersion(projectId, version.id);
+      onRestored(result);
+      toast.success('Version restored');
+    } catch (error: any) {
+      console.error('Failed to restore version:', error);
+      toast.error(error.response?.data?.error || 'Failed to restore version');
+    }
+  };
+
+  // Who replaced this version: a user's save, or the Claude turn they prompted
+  const describeAuthor = (version: FileVersion) => {
+    const userName = version.user?.name || version.user?.email || 'Unknown user';
+    return version.source === 'claude' ? `Claude (asked by ${userName})` : userName;
+  };
+
+  return (
+    <div className="w-72 h-full flex flex-col border-l border-gray-700 bg-gray-800 text-sm">
+      <div className="h-10 px-3 flex items-center border-b border-gray-700">
+        <span className="font-semibold text-xs uppercase tracking-wide text-gray-400">History</span>
+        <button onClick={onClose} className="ml-auto text-gray-500 hover:text-gray-300" title="Close history">
+          ×
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {loading && versions.length === 0 && <div className="p-3 text-xs text-gray-500">Loading...</div>}
+        {versions.length > 0 && (
+          <div className="px-3 py-2 text-xs text-gray-500 border-b border-gray-700">
+            Each version is the file as it was before the change shown.
+          </div>
+        )}
+        {!loading && versions.length === 0 && (
+          <div className="p-3 text-xs text-gray-500">No previous versions yet. They are kept each time the file is saved or changed by Claude.</div>
+        )}
+
+        {versions.map((version) => (
+          <div
+            key={version.id}
+            onClick={() => handleSelect(version)}
+            className={`px-3 py-2 border-b border-gray-700 cursor-pointer ${
+              version.id === selectedVersionId ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <span>{version.source === 'claude' ? '🤖' : '👤'}</span>
+              <span className="truncate text-gray-200">{describeAuthor(version)}</span>
+            </div>
+            <div className="mt-1 text-xs text-gray-400">
+              {OPERATION_LABELS[version.operation]} · {new Date(version.createdAt).toLocaleString()}
+            </div>
+            {version.prompt && (
+              <div className="mt-1 text-xs text-gray-500 truncate" title={version.prompt}>
+                “{version.prompt}”
+              </div>
+            )}
+            {version.id === selectedVersionId && !readOnly && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleRestore(version);
+                }}
+                className="mt-2 px-2 py-0.5 bg-blue-600 hover:bg-blue-700 rounded text-xs"
+              >
+                Restore this version
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default FileHistoryPanel;
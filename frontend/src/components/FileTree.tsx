@@ -1,40 +1,130 @@
 /**
  * File Tree Component
- * Displays project files and folders
+ * Displays project files and folders as an expandable tree
+ * Folders are listed two levels at a time and loaded lazily when expanded
+ * Right-click opens a context menu to create, rename, copy, delete, upload and download files
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
 import { projectApi } from '@/services/api';
 import type { FileItem } from '@/types';
 
 interface FileTreeProps {
   projectId: string;
-  onSelectFile: (path: string, content: string) => void;
+  onSelectFile: (path: string, content: string, options?: { etag?: string | null }) => void;
+  refreshKey?: number; // Increment this to reload the loaded folders
+  readOnly?: boolean; // Context menu only offers downloads (viewers)
 }
 
-function FileTree({ projectId, onSelectFile }: FileTreeProps) {
-  const [files, setFiles] = useState<FileItem[]>([]);
+interface ContextMenuState {
+  x: number;
+  y: number;
+  file: FileItem | null; // null = empty space (project root)
+}
+
+// Levels fetched per request; deeper folders load when expanded
+const LIST_DEPTH = 2;
+
+function FileTree({ projectId, onSelectFile, refreshKey, readOnly = false }: FileTreeProps) {
+  // Children by folder path ('' = project root); missing = not loaded yet
+  const [children, setChildren] = useState<Record<string, FileItem[]>>({});
+  // Offset of the next page for folders whose listing was paginated
+  const [nextOffsets, setNextOffsets] = useState<Record<string, number>>({});
   const [expandedFolders, setExpandedFolders] = useState<Set<string>>(new Set());
   const [loading, setLoading] = useState(false);
-  const [currentPath, setCurrentPath] = useState('');
+  const [contextMenu, setContextMenu] = useState<ContextMenuState | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const uploadDirRef = useRef('');
 
   useEffect(() => {
+    setChildren({});
+    setNextOffsets({});
+    setExpandedFolders(new Set());
     loadFiles('');
   }, [projectId]);
 
-  const loadFiles = async (path: string) => {
+  useEffect(() => {
+    if (refreshKey) {
+      refreshTree();
+    }
+  }, [refreshKey]);
+
+  // Close the context menu on any click or Escape
+  useEffect(() => {
+    if (!contextMenu) return;
+
+    const close = () => setContextMenu(null);
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') close();
+    };
+
+    window.addEventListener('click', close);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('click', close);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [contextMenu]);
+
+  const parentOf = (filePath: string) => filePath.split('/').slice(0, -1).join('/');
+
+  // Load a folder (and the level below it); offset > 0 appends the next page
+  const loadFiles = async (path: string, offset = 0) => {
     setLoading(true);
     try {
-      const response = await projectApi.listFiles(projectId, path);
-      setFiles(response.files);
-      setCurrentPath(path);
-    } catch (error) {
+      const response = await projectApi.listFiles(projectId, path, { depth: LIST_DEPTH, offset });
+
+      setChildren((prev) => {
+        const next = { ...prev };
+        if (offset === 0) {
+          next[path] = [];
+        }
+        for (const file of response.files) {
+          if (file.type === 'directory' && file.childrenLoaded && !(offset > 0 && next[file.path])) {
+            next[file.path] = [];
+          }
+        }
+        for (const file of response.files) {
+          const parent = parentOf(file.path);
+          next[parent] = [...(next[parent] || []), file];
+        }
+        return next;
+      });
+
+      setNextOffsets((prev) => {
+        const next = { ...prev };
+        if (response.hasMore && response.nextOffset !== null) {
+          next[path] = response.nextOffset;
+        } else {
+          delete next[path];
+        }
+        return next;
+      });
+    } catch (error: any) {
+      if (error.response?.status === 404 && path) {
+        // Folder was moved or deleted
+        setExpandedFolders((prev) => {
+          const next = new Set(prev);
+          next.delete(path);
+          return next;
+        });
+        return;
+      }
       console.error('Failed to load files:', error);
     } finally {
       setLoading(false);
     }
   };
 
+  // Reload the root and every expanded folder, dropping folders that no longer exist
+  const refreshTree = async () => {
+    await loadFiles('');
+    for (const folderPath of expandedFolders) {
+      await loadFiles(folderPath);
+    }
+  };
+
   const handleFileClick = async (file: FileItem) => {
     if (file.type === 'directory') {
       const folderPath = file.path;
@@ -46,20 +136,184 @@ function FileTree({ projectId, onSelectFile }: FileTreeProps) {
         });
       } else {
         setExpandedFolders((prev) => new Set(prev).add(folderPath));
-        // Load files in this directory
-        await loadFiles(file.path);
+        // Load folders the listing stopped at
+        if (!children[folderPath]) {
+          await loadFiles(folderPath);
+        }
+      }
+    } else if (file.isBinary) {
+      // Binaries would be corrupted as text, so offer the bytes instead
+      if (confirm(`${file.name} is a binary file and can't be opened in the editor. Download it?`)) {
+        handleDownload(file);
       }
     } else {
       // Load file content
       try {
         const response = await projectApi.getFileContent(projectId, file.path);
-        onSelectFile(file.path, response.content);
+        onSelectFile(file.path, response.content, { etag: response.etag });
       } catch (error) {
         console.error('Failed to load file:', error);
       }
     }
   };
 
+  const joinPath = (dir: string, name: string) => (dir ? `${dir}/${name}` : name);
+
+  const runFileOperation = async (operation: () => Promise<unknown>, failureMessage: string) => {
+    try {
+      await operation();
+      await refreshTree();
+    } catch (error: any) {
+      console.error(`${failureMessage}:`, error);
+      toast.error(error.response?.data?.error || failureMessage);
+    }
+  };
+
+  const handleNew = (dir: string, type: 'file' | 'directory') => {
+    const name = prompt(type === 'file' ? 'New file name:' : 'New folder name:');
+    if (!name) return;
+
+    const newPath = joinPath(dir, name);
+    runFileOperation(async () => {
+      const created = await projectApi.createFile(projectId, newPath, type);
+      if (type === 'file') {
+        onSelectFile(newPath, '', { etag: created.etag });
+      }
+    }, `Failed to create ${type === 'file' ? 'file' : 'folder'}`);
+  };
+
+  const handleRename = (file: FileItem) => {
+    const newPath = prompt('Rename or move to:', file.path);
+    if (!newPath || newPath === file.path) return;
+
+    runFileOperation(() => projectApi.moveFile(projectId, file.path, newPath), `Failed to rename ${file.name}`);
+  };
+
+  const handleDuplicate = (file: FileItem) => {
+    const extension = file.type === 'file' && file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')) : '';
+    const baseName = extension ? file.name.slice(0, -extension.length) : file.name;
+    const newPath = prompt('Copy to:', joinPath(parentOf(file.path), `${baseName} copy${extension}`));
+    if (!newPath) return;
+
+    runFileOperation(() => projectApi.copyFile(projectId, file.path, newPath), `Failed to copy ${file.name}`);
+  };
+
+  const handleDelete = (file: FileItem) => {
+    const message =
+      file.type === 'directory'
+        ? `Delete folder ${file.path} and everything in it?`
+        : `Delete ${file.path}?`;
+    if (!confirm(message)) return;
+
+    runFileOperation(
+      () => projectApi.deleteFile(projectId, file.path, file.type === 'directory'),
+      `Failed to delete ${file.name}`
+    );
+  };
+
+  const saveBlob = (blob: Blob, fileName: string) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleDownload = async (file: FileItem | null) => {
+    try {
+      const { blob, fileName } =
+        file && file.type === 'file'
+          ? await projectApi.downloadFile(projectId, file.path)
+          : await projectApi.downloadFolder(projectId, file?.path || '');
+      saveBlob(blob, fileName);
+    } catch (error) {
+      console.error('Failed to download:', error);
+      toast.error(`Failed to download ${file?.name || 'project'}`);
+    }
+  };
+
+  const handleUploadClick = (dir: string) => {
+    uploadDirRef.current = dir;
+    fileInputRef.current?.click();
+  };
+
+  const handleUploadSelected = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (selected.length === 0) return;
+
+    const dir = uploadDirRef.current;
+    const upload = async (overwrite: boolean) => {
+      const result = await projectApi.uploadFiles(projectId, dir, selected, overwrite);
+      toast.success(`Uploaded ${result.files.length} file${result.files.length === 1 ? '' : 's'}`);
+    };
+
+    runFileOperation(async () => {
+      try {
+        await upload(false);
+      } catch (error: any) {
+        const existing: string[] | undefined = error.response?.data?.existing;
+        if (error.response?.status !== 409 || !existing) throw error;
+        if (!confirm(`Replace ${existing.length} existing file${existing.length === 1 ? '' : 's'}?\n${existing.join('\n')}`)) return;
+        await upload(true);
+      }
+    }, 'Failed to upload files');
+  };
+
+  const openContextMenu = (e: React.MouseEvent, file: FileItem | null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setContextMenu({ x: e.clientX, y: e.clientY, file });
+  };
+
+  const renderContextMenu = () => {
+    if (!contextMenu) return null;
+
+    const { file } = contextMenu;
+    // New items go inside a right-clicked folder, otherwise next to the item
+    const targetDir = file ? (file.type === 'directory' ? file.path : parentOf(file.path)) : '';
+
+    const download = { label: file?.type === 'file' ? 'Download' : 'Download as Zip', action: () => handleDownload(file) };
+
+    const items: Array<{ label: string; action: () => void; danger?: boolean }> = readOnly
+      ? [download]
+      : [
+          { label: 'New File', action: () => handleNew(targetDir, 'file') },
+          { label: 'New Folder', action: () => handleNew(targetDir, 'directory') },
+          { label: 'Upload Files...', action: () => handleUploadClick(targetDir) },
+          download,
+        ];
+
+    if (file && !readOnly) {
+      items.push(
+        { label: 'Rename / Move', action: () => handleRename(file) },
+        { label: 'Duplicate', action: () => handleDuplicate(file) },
+        { label: 'Delete', action: () => handleDelete(file), danger: true }
+      );
+    }
+
+    return (
+      <div
+        className="fixed z-50 min-w-[10rem] py-1 bg-gray-800 border border-gray-600 rounded shadow-lg text-sm"
+        style={{ top: contextMenu.y, left: contextMenu.x }}
+      >
+        {items.map((item) => (
+          <button
+            key={item.label}
+            onClick={() => {
+              setContextMenu(null);
+              item.action();
+            }}
+            className={`w-full text-left px-3 py-1 hover:bg-gray-700 ${item.danger ? 'text-red-400' : ''}`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
   const getFileIcon = (file: FileItem) => {
     if (file.type === 'directory') {
       return expandedFolders.has(file.path) ? '📂' : '📁';
@@ -84,7 +338,69 @@ function FileTree({ projectId, onSelectFile }: FileTreeProps) {
     }
   };
 
-  if (loading && files.length === 0) {
+  const formatSize = (bytes: number) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const describeFile = (file: FileItem) => {
+    const details = [file.path];
+    if (file.type === 'file' && file.size !== undefined) {
+      details.push(`${formatSize(file.size)}${file.isBinary ? ' (binary)' : file.language ? ` · ${file.language}` : ''}`);
+    }
+    if (file.mtime) {
+      details.push(`Modified ${new Date(file.mtime).toLocaleString()}`);
+    }
+    return details.join('\n');
+  };
+
+  const renderFolder = (dir: string, level: number): React.ReactNode => {
+    const files = children[dir];
+
+    if (!files) {
+      return loading ? (
+        <div className="text-gray-500 text-xs py-1" style={{ paddingLeft: level * 12 + 8 }}>
+          Loading...
+        </div>
+      ) : null;
+    }
+
+    return (
+      <>
+        {files.map((file) => (
+          <div key={file.path}>
+            <button
+              onClick={() => handleFileClick(file)}
+              onContextMenu={(e) => openContextMenu(e, file)}
+              title={describeFile(file)}
+              className="w-full text-left pr-2 py-1 hover:bg-gray-700 rounded text-sm flex items-center gap-2"
+              style={{ paddingLeft: level * 12 + 8 }}
+            >
+              <span>{getFileIcon(file)}</span>
+              <span className={`truncate ${file.isBinary ? 'text-gray-400' : ''}`}>{file.name}</span>
+              {file.isSymlink && <span className="text-xs text-gray-500">↪</span>}
+            </button>
+            {file.type === 'directory' && expandedFolders.has(file.path) && renderFolder(file.path, level + 1)}
+          </div>
+        ))}
+        {nextOffsets[dir] !== undefined && (
+          <button
+            onClick={() => loadFiles(dir, nextOffsets[dir])}
+            disabled={loading}
+            className="w-full text-left pr-2 py-1 hover:bg-gray-700 rounded text-xs text-blue-400 disabled:opacity-50"
+            style={{ paddingLeft: level * 12 + 8 }}
+          >
+            Load more...
+          </button>
+        )}
+      </>
+    );
+  };
+
+  const rootFiles = children[''];
+
+  if (loading && !rootFiles) {
     return (
       <div className="flex items-center justify-center h-full">
         <div className="text-gray-500 text-sm">Loading...</div>
@@ -93,35 +409,15 @@ function FileTree({ projectId, onSelectFile }: FileTreeProps) {
   }
 
   return (
-    <div className="p-2">
-      {currentPath && (
-        <button
-          onClick={() => {
-            const parentPath = currentPath.split('/').slice(0, -1).join('/');
-            loadFiles(parentPath);
-          }}
-          className="w-full text-left px-2 py-1 hover:bg-gray-700 rounded text-sm mb-2 text-gray-400"
-        >
-          ← Back
-        </button>
-      )}
-
-      {files.length === 0 ? (
+    <div className="p-2 min-h-full" onContextMenu={(e) => openContextMenu(e, null)}>
+      {!rootFiles || rootFiles.length === 0 ? (
         <div className="text-gray-500 text-sm p-2">No files yet</div>
       ) : (
-        <div className="space-y-1">
-          {files.map((file) => (
-            <button
-              key={file.path}
-              onClick={() => handleFileClick(file)}
-              className="w-full text-left px-2 py-1 hover:bg-gray-700 rounded text-sm flex items-center gap-2"
-            >
-              <span>{getFileIcon(file)}</span>
-              <span className="truncate">{file.name}</span>
-            </button>
-          ))}
-        </div>
+        <div>{renderFolder('', 0)}</div>
       )}
+
+      {renderContextMenu()}
+      <input ref={fileInputRef} type="file" multiple className="hidden" onChange={handleUploadSelected} />
     </div>
   );
 }
@@ -0,0 +1,98 @@
+/**
+ * Login Page Component
+ * Email/password sign in and account registration
+ */
+
+import { useState } from 'react';
+import { authApi } from '@/services/api';
+
+function LoginPage() {
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      if (mode === 'login') {
+        await authApi.login(email, password);
+      } else {
+        await authApi.register({ email, password, name: name || undefined });
+      }
+      window.location.href = '/';
+    } catch (err: any) {
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex items-center justify-center bg-gray-900 text-gray-100">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-gray-800 border border-gray-700 rounded-lg p-6 space-y-4"
+      >
+        <h1 className="text-xl font-semibold">
+          {mode === 'login' ? 'Sign in to AtlasEngine' : 'Create your account'}
+        </h1>
+
+        {mode === 'register' && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name (optional)"
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          required
+          className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          required
+          minLength={mode === 'register' ? 8 : undefined}
+          className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 rounded text-sm"
+        >
+          {loading ? 'Please wait...' : mode === 'login' ? 'Sign In' : 'Create Account'}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            setMode(mode === 'login' ? 'register' : 'login');
+            setError(null);
+          }}
+          className="w-full text-sm text-gray-400 hover:text-gray-200"
+        >
+          {mode === 'login' ? "Don't have an account? Register" : 'Already have an account? Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginPage;
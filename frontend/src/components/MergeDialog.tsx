@@ -0,0 +1,68 @@
+/**
+ * Merge Dialog Component
+ * Shown when a save conflicts with changes made on disk (e.g. by Claude)
+ * Compares the disk version with the editor and offers merge, reload or overwrite
+ */
+
+import { DiffEditor } from '@monaco-editor/react';
+import type { FileConflict } from '@/types';
+
+interface MergeDialogProps {
+  path: string;
+  mine: string;
+  conflict: FileConflict;
+  language?: string;
+  onMerge: () => void; // Three-way merge into the editor, then review and save
+  onReload: () => void; // Discard local edits and load the disk version
+  onOverwrite: () => void; // Save local edits over the disk version
+  onCancel: () => void;
+}
+
+function MergeDialog({ path, mine, conflict, language, onMerge, onReload, onOverwrite, onCancel }: MergeDialogProps) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60">
+      <div className="w-[90vw] h-[80vh] flex flex-col bg-gray-800 border border-gray-600 rounded shadow-xl">
+        <div className="px-4 py-3 border-b border-gray-700">
+          <h2 className="text-sm font-semibold">{path} changed on disk</h2>
+          <p className="text-xs text-gray-400 mt-1">
+            {conflict.exists
+              ? 'Someone else (possibly Claude) saved this file after you opened it. Left: on disk. Right: your version.'
+              : 'This file was deleted after you opened it. Saving will recreate it with your version.'}
+          </p>
+        </div>
+
+        <div className="flex-1 min-h-0">
+          <DiffEditor
+            height="100%"
+            language={language}
+            original={conflict.content ?? ''}
+            modified={mine}
+            theme="vs-dark"
+            options={{ readOnly: true, renderSideBySide: true, minimap: { enabled: false }, automaticLayout: true }}
+          />
+        </div>
+
+        <div className="px-4 py-3 border-t border-gray-700 flex items-center gap-2">
+          {conflict.exists && (
+            <>
+              <button onClick={onMerge} className="px-3 py-1 bg-blue-600 hover:bg-blue-700 rounded text-sm">
+                Merge
+              </button>
+              <button onClick={onReload} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm">
+                Reload from disk
+              </button>
+            </>
+          )}
+          <button onClick={onOverwrite} className="px-3 py-1 bg-red-700 hover:bg-red-600 rounded text-sm">
+            {conflict.exists ? 'Overwrite with mine' : 'Recreate with mine'}
+          </button>
+          <button onClick={onCancel} className="ml-auto px-3 py-1 text-gray-400 hover:text-gray-200 text-sm">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MergeDialog;
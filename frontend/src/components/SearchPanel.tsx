@@ -0,0 +1,189 @@
+/**
+ * Search Panel Component
+ * Search across project files and open matches in the editor
+ */
+
+import { useState } from 'react';
+import { projectApi, searchApi } from '@/services/api';
+import type { SearchFileResult, SearchMatch } from '@/types';
+
+interface SearchPanelProps {
+  projectId: string;
+  onOpenMatch: (
+    path: string,
+    content: string,
+    options: { etag: string; position: { lineNumber: number; column: number } }
+  ) => void;
+}
+
+function SearchPanel({ projectId, onOpenMatch }: SearchPanelProps) {
+  const [query, setQuery] = useState('');
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [include, setInclude] = useState('');
+  const [exclude, setExclude] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState<SearchFileResult[]>([]);
+  const [summary, setSummary] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [collapsed, setCollapsed] = useState<Set<string>>(new Set());
+
+  const handleSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!query) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await searchApi.search(projectId, query, {
+        regex,
+        caseSensitive,
+        wholeWord,
+        include: include || undefined,
+        exclude: exclude || undefined,
+      });
+      setResults(response.results);
+      setCollapsed(new Set());
+      setSummary(
+        `${response.totalMatches} result${response.totalMatches === 1 ? '' : 's'} in ${response.filesMatched} file${
+          response.filesMatched === 1 ? '' : 's'
+        }${response.truncated ? ' (truncated)' : ''}`
+      );
+    } catch (err: any) {
+      console.error('Search failed:', err);
+      setResults([]);
+      setSummary(null);
+      setError(err.response?.data?.error || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenMatch = async (path: string, match: SearchMatch) => {
+    try {
+      const response = await projectApi.getFileContent(projectId, path);
+      onOpenMatch(path, response.content, {
+        etag: response.etag,
+        position: { lineNumber: match.line, column: match.column },
+      });
+    } catch (err) {
+      console.error('Failed to open file:', err);
+    }
+  };
+
+  const toggleFile = (path: string) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const renderLine = (match: SearchMatch) => {
+    const start = match.column - 1;
+    const end = start + match.length;
+    return (
+      <>
+        <span className="text-gray-400">{match.text.slice(0, start).trimStart()}</span>
+        <span className="bg-yellow-600/50 text-white">{match.text.slice(start, end)}</span>
+        <span className="text-gray-400">{match.text.slice(end)}</span>
+      </>
+    );
+  };
+
+  const optionButton = (label: string, title: string, active: boolean, onClick: () => void) => (
+    <button
+      type="button"
+      title={title}
+      onClick={onClick}
+      className={`px-1.5 py-0.5 rounded text-xs font-mono ${
+        active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="h-full flex flex-col text-sm">
+      <form onSubmit={handleSearch} className="p-2 space-y-2 border-b border-gray-700">
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search (Enter)"
+          className="w-full px-2 py-1 bg-gray-900 border border-gray-700 rounded text-sm"
+        />
+        <div className="flex items-center gap-1">
+          {optionButton('Aa', 'Match case', caseSensitive, () => setCaseSensitive(!caseSensitive))}
+          {optionButton('ab', 'Match whole word', wholeWord, () => setWholeWord(!wholeWord))}
+          {optionButton('.*', 'Use regular expression', regex, () => setRegex(!regex))}
+          <button
+            type="button"
+            onClick={() => setShowFilters(!showFilters)}
+            className="ml-auto text-xs text-gray-400 hover:text-gray-200"
+          >
+            {showFilters ? 'Hide filters' : 'Filters'}
+          </button>
+        </div>
+        {showFilters && (
+          <>
+            <input
+              value={include}
+              onChange={(e) => setInclude(e.target.value)}
+              placeholder="Files to include (e.g. src/**, *.ts)"
+              className="w-full px-2 py-1 bg-gray-900 border border-gray-700 rounded text-xs"
+            />
+            <input
+              value={exclude}
+              onChange={(e) => setExclude(e.target.value)}
+              placeholder="Files to exclude (e.g. *.test.ts, dist/)"
+              className="w-full px-2 py-1 bg-gray-900 border border-gray-700 rounded text-xs"
+            />
+          </>
+        )}
+      </form>
+
+      <div className="flex-1 overflow-auto">
+        {loading && <div className="p-2 text-gray-500 text-xs">Searching...</div>}
+        {error && <div className="p-2 text-red-400 text-xs">{error}</div>}
+        {!loading && summary && <div className="p-2 text-gray-500 text-xs">{summary}</div>}
+
+        {results.map((file) => (
+          <div key={file.path}>
+            <div
+              className="flex items-center px-2 py-1 hover:bg-gray-700 cursor-pointer"
+              onClick={() => toggleFile(file.path)}
+            >
+              <span className="mr-1 text-gray-500 text-xs">{collapsed.has(file.path) ? '▸' : '▾'}</span>
+              <span className="truncate" title={file.path}>
+                {file.path.split('/').pop()}
+              </span>
+              <span className="ml-2 text-xs text-gray-500 truncate">{file.path}</span>
+              <span className="ml-auto pl-2 text-xs text-gray-400">{file.matches.length}</span>
+            </div>
+            {!collapsed.has(file.path) &&
+              file.matches.map((match) => (
+                <div
+                  key={`${match.line}:${match.column}`}
+                  className="pl-6 pr-2 py-0.5 hover:bg-gray-700 cursor-pointer truncate font-mono text-xs"
+                  onClick={() => handleOpenMatch(file.path, match)}
+                  title={`Line ${match.line}, column ${match.column}`}
+                >
+                  <span className="text-gray-500 mr-2">{match.line}</span>
+                  {renderLine(match)}
+                </div>
+              ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,217 @@
+/**
+ * Secrets Panel Component
+ * Manage a project's encrypted environment variables
+ * Values can be set or replaced but are never shown again
+ */
+
+import { useState, useEffect } from 'react';
+import { secretApi } from '@/services/api';
+import type { ProjectSecret, ProjectRole } from '@/types';
+
+interface SecretsPanelProps {
+  projectId: string;
+  role?: ProjectRole;
+}
+
+function SecretsPanel({ projectId, role }: SecretsPanelProps) {
+  const [secrets, setSecrets] = useState<ProjectSecret[]>([]);
+  const [configured, setConfigured] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [name, setName] = useState('');
+  const [value, setValue] = useState('');
+  const [exposeToBuild, setExposeToBuild] = useState(false);
+
+  const canManage = role === 'owner';
+
+  useEffect(() => {
+    loadSecrets();
+  }, [projectId]);
+
+  const loadSecrets = async () => {
+    setLoading(true);
+    try {
+      const response = await secretApi.list(projectId);
+      setSecrets(response.secrets);
+      setConfigured(response.configured);
+    } catch (error) {
+      console.error('Failed to load secrets:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name || !value) return;
+
+    setLoading(true);
+    try {
+      await secretApi.create(projectId, { name, value, exposeToBuild });
+      setName('');
+      setValue('');
+      setExposeToBuild(false);
+      await loadSecrets();
+    } catch (error: any) {
+      console.error('Failed to create secret:', error);
+      alert(error.response?.data?.error || 'Failed to create secret');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReplace = async (secret: ProjectSecret) => {
+    const newValue = prompt(`New value for ${secret.name}:`);
+    if (!newValue) return;
+
+    setLoading(true);
+    try {
+      await secretApi.update(projectId, secret.name, { value: newValue });
+      await loadSecrets();
+    } catch (error: any) {
+      console.error('Failed to update secret:', error);
+      alert(error.response?.data?.error || 'Failed to update secret');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleBuild = async (secret: ProjectSecret) => {
+    setLoading(true);
+    try {
+      await secretApi.update(projectId, secret.name, { exposeToBuild: !secret.exposeToBuild });
+      await loadSecrets();
+    } catch (error: any) {
+      console.error('Failed to update secret:', error);
+      alert(error.response?.data?.error || 'Failed to update secret');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (secret: ProjectSecret) => {
+    if (!confirm(`Delete secret ${secret.name}?`)) return;
+
+    setLoading(true);
+    try {
+      await secretApi.remove(projectId, secret.name);
+      await loadSecrets();
+    } catch (error) {
+      console.error('Failed to delete secret:', error);
+      alert('Failed to delete secret');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-gray-800">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-700">
+        <h2 className="text-lg font-semibold mb-1">Secrets</h2>
+        <p className="text-xs text-gray-400">
+          Environment variables for the dev server and preview containers. Builds only receive secrets marked
+          for build. Changes apply on the next start, build or deploy.
+        </p>
+      </div>
+
+      {!configured && (
+        <div className="p-3 bg-orange-900/40 border-b border-orange-700 text-sm text-orange-200">
+          Secrets are not configured on this server (SECRETS_MASTER_KEY is missing).
+        </div>
+      )}
+
+      {/* Add form */}
+      {canManage && configured && (
+        <form onSubmit={handleAdd} className="p-4 border-b border-gray-700 flex flex-wrap gap-2 items-center">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value.toUpperCase())}
+            placeholder="NAME"
+            className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-sm font-mono w-48"
+          />
+          <input
+            type="password"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="value"
+            autoComplete="off"
+            className="px-2 py-1 bg-gray-900 border border-gray-700 rounded text-sm font-mono flex-1 min-w-[12rem]"
+          />
+          <label className="flex items-center gap-1 text-xs text-gray-300">
+            <input type="checkbox" checked={exposeToBuild} onChange={(e) => setExposeToBuild(e.target.checked)} />
+            Available to builds
+          </label>
+          <button
+            type="submit"
+            disabled={loading || !name || !value}
+            className="px-3 py-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 rounded text-sm"
+          >
+            Add
+          </button>
+        </form>
+      )}
+
+      {/* List */}
+      <div className="flex-1 overflow-auto p-4">
+        {secrets.length === 0 ? (
+          <div className="text-gray-500 text-sm">{loading ? 'Loading secrets...' : 'No secrets yet'}</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-400 border-b border-gray-700">
+                <th className="py-2">Name</th>
+                <th className="py-2">Value</th>
+                <th className="py-2">Builds</th>
+                <th className="py-2">Updated</th>
+                {canManage && <th className="py-2" />}
+              </tr>
+            </thead>
+            <tbody>
+              {secrets.map((secret) => (
+                <tr key={secret.name} className="border-b border-gray-700">
+                  <td className="py-2 font-mono text-gray-200">{secret.name}</td>
+                  <td className="py-2 font-mono text-gray-500">••••••••</td>
+                  <td className="py-2">
+                    {canManage ? (
+                      <input
+                        type="checkbox"
+                        checked={secret.exposeToBuild}
+                        disabled={loading}
+                        onChange={() => handleToggleBuild(secret)}
+                      />
+                    ) : secret.exposeToBuild ? (
+                      'Yes'
+                    ) : (
+                      'No'
+                    )}
+                  </td>
+                  <td className="py-2 text-gray-400">{new Date(secret.updatedAt).toLocaleString()}</td>
+                  {canManage && (
+                    <td className="py-2 text-right space-x-2">
+                      <button
+                        onClick={() => handleReplace(secret)}
+                        disabled={loading}
+                        className="px-2 py-0.5 bg-gray-600 hover:bg-gray-700 rounded text-xs"
+                      >
+                        Replace
+                      </button>
+                      <button
+                        onClick={() => handleDelete(secret)}
+                        disabled={loading}
+                        className="px-2 py-0.5 bg-red-600 hover:bg-red-700 rounded text-xs"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SecretsPanel;
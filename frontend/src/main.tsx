@@ -1,10 +1,15 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.tsx';
+import LoginPage from './components/LoginPage.tsx';
+import { authApi } from './services/api';
 import './index.css';
 
+// Unauthenticated visitors (and the /login redirect target) get the login page
+const showLogin = !authApi.isAuthenticated() || window.location.pathname === '/login';
+
 ReactDOM.createRoot(document.getElementById('root')!).render(
   <React.StrictMode>
-    <App />
+    {showLogin ? <LoginPage /> : <App />}
   </React.StrictMode>
 );
@@ -4,7 +4,7 @@
  */
 
 import axios from 'axios';
-import type { Project, Build, Preview, MemoryStats, FileItem, QuotaSummary } from '@/types';
+import type { Project, ProjectMember, ProjectRole, ProjectSecret, ProjectTemplate, SearchOptions, SearchResponse, TrashedProject, Build, Commit, CommitDiff, Preview, MemoryStats, FileListOptions, FileListResponse, FileVersion, PatchResult, WorkspaceUpload, QuotaSummary, User } from '@/types';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
 
@@ -28,7 +28,8 @@ api.interceptors.request.use((config) => {
 api.interceptors.response.use(
   (response) => response,
   (error) => {
-    if (error.response?.status === 401) {
+    // Failed logins are reported inline by the login page, not redirected
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/')) {
       // Handle unauthorized
       localStorage.removeItem('auth_token');
       window.location.href = '/login';
@@ -37,16 +38,92 @@ api.interceptors.response.use(
   }
 );
 
+// ============================================================================
+// AUTH API
+// ============================================================================
+
+export const authApi = {
+  register: async (data: { email: string; password: string; name?: string }) => {
+    const response = await api.post<{ success: boolean; token: string; expiresAt: string; user: User }>(
+      '/auth/register',
+      data
+    );
+    localStorage.setItem('auth_token', response.data.token);
+    return response.data;
+  },
+
+  login: async (email: string, password: string) => {
+    const response = await api.post<{ success: boolean; token: string; expiresAt: string; user: User }>(
+      '/auth/login',
+      { email, password }
+    );
+    localStorage.setItem('auth_token', response.data.token);
+    return response.data;
+  },
+
+  logout: async () => {
+    try {
+      await api.post<{ success: boolean }>('/auth/logout');
+    } finally {
+      localStorage.removeItem('auth_token');
+    }
+  },
+
+  me: async () => {
+    const response = await api.get<{ success: boolean; user: User }>('/auth/me');
+    return response.data;
+  },
+
+  isAuthenticated: () => Boolean(localStorage.getItem('auth_token')),
+};
+
 // ============================================================================
 // PROJECT API
 // ============================================================================
 
 export const projectApi = {
-  create: async (data: { name: string; description?: string; framework?: string; language?: string }) => {
+  create: async (data: { name: string; description?: string; framework?: string; language?: string; template?: string }) => {
     const response = await api.post<{ success: boolean; project: Project }>('/projects', data);
     return response.data;
   },
 
+  import: async (data: { repoUrl: string; name?: string; description?: string; branch?: string }) => {
+    const response = await api.post<{ success: boolean; project: Project; commitSha: string | null }>(
+      '/projects/import',
+      data
+    );
+    return response.data;
+  },
+
+  fork: async (id: string, data: { name?: string; description?: string; includeChat?: boolean; organizationId?: string | null } = {}) => {
+    const response = await api.post<{
+      success: boolean;
+      project: Project;
+      copied: { memorySnapshots: number; chatMessages: number };
+    }>(`/projects/${id}/fork`, data);
+    return response.data;
+  },
+
+  importArchive: async (archive: File, name?: string) => {
+    const formData = new FormData();
+    formData.append('archive', archive);
+    if (name) formData.append('name', name);
+
+    const response = await api.post<{ success: boolean; project: Project; imported: Record<string, number> }>(
+      '/projects/import/archive',
+      formData,
+      { headers: { 'Content-Type': 'multipart/form-data' } }
+    );
+    return response.data;
+  },
+
+  export: async (id: string) => {
+    const response = await api.get<Blob>(`/projects/${id}/export`, { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] as string | undefined;
+    const fileName = disposition?.match(/filename="?([^"]+)"?/)?.[1] || 'project.tar.gz';
+    return { blob: response.data, fileName };
+  },
+
   list: async (params?: { limit?: number; offset?: number; status?: string }) => {
     const response = await api.get<{ success: boolean; projects: Project[] }>('/projects', { params });
     return response.data;
@@ -63,7 +140,38 @@ export const projectApi = {
   },
 
   delete: async (id: string) => {
-    const response = await api.delete<{ success: boolean }>(`/projects/${id}`);
+    const response = await api.delete<{
+      success: boolean;
+      project: { id: string; status: Project['status']; deletedAt: string; purgeAfter: string };
+    }>(`/projects/${id}`);
+    return response.data;
+  },
+
+  listTrash: async () => {
+    const response = await api.get<{ success: boolean; projects: TrashedProject[]; retentionDays: number }>(
+      '/projects/trash'
+    );
+    return response.data;
+  },
+
+  restore: async (id: string) => {
+    const response = await api.post<{ success: boolean; project: Project }>(`/projects/${id}/restore`);
+    return response.data;
+  },
+
+  archive: async (id: string) => {
+    const response = await api.post<{
+      success: boolean;
+      project: { id: string; status: Project['status']; archivedAt: string; archiveSizeBytes: number };
+    }>(`/projects/${id}/archive`);
+    return response.data;
+  },
+
+  unarchive: async (id: string) => {
+    const response = await api.post<{
+      success: boolean;
+      project: { id: string; status: Project['status']; lastAccessed: string };
+    }>(`/projects/${id}/unarchive`);
     return response.data;
   },
 
@@ -77,22 +185,137 @@ export const projectApi = {
     return response.data;
   },
 
-  listFiles: async (id: string, path = '') => {
-    const response = await api.get<{ success: boolean; files: FileItem[] }>(`/projects/${id}/files`, {
-      params: { path },
+  listFiles: async (id: string, path = '', options: FileListOptions = {}) => {
+    const response = await api.get<FileListResponse>(`/projects/${id}/files`, {
+      params: { path, ...options },
     });
     return response.data;
   },
 
   getFileContent: async (id: string, path: string) => {
-    const response = await api.get<{ success: boolean; content: string }>(`/projects/${id}/files/content`, {
+    const response = await api.get<{ success: boolean; content: string; etag: string }>(`/projects/${id}/files/content`, {
       params: { path },
     });
     return response.data;
   },
 
-  updateFileContent: async (id: string, path: string, content: string) => {
-    const response = await api.put<{ success: boolean }>(`/projects/${id}/files/content`, { path, content });
+  /**
+   * Save a file only if it is unchanged since `etag` was read
+   * A null etag creates the file and fails if it already exists
+   * Throws a 409 carrying a FileConflict when the file changed meanwhile
+   */
+  updateFileContent: async (id: string, path: string, content: string, etag: string | null) => {
+    const response = await api.put<{ success: boolean; etag: string; commitSha: string | null }>(
+      `/projects/${id}/files/content`,
+      { path, content },
+      { headers: etag ? { 'If-Match': etag } : { 'If-None-Match': '*' } }
+    );
+    return response.data;
+  },
+
+  createFile: async (id: string, path: string, type: 'file' | 'directory' = 'file', content = '') => {
+    const response = await api.post<{ success: boolean; path: string; type: 'file' | 'directory'; etag: string | null }>(`/projects/${id}/files`, {
+      path,
+      type,
+      content,
+    });
+    return response.data;
+  },
+
+  moveFile: async (id: string, from: string, to: string, overwrite = false) => {
+    const response = await api.post<{ success: boolean; from: string; path: string }>(`/projects/${id}/files/move`, {
+      from,
+      to,
+      overwrite,
+    });
+    return response.data;
+  },
+
+  copyFile: async (id: string, from: string, to: string, overwrite = false) => {
+    const response = await api.post<{ success: boolean; from: string; path: string }>(`/projects/${id}/files/copy`, {
+      from,
+      to,
+      overwrite,
+    });
+    return response.data;
+  },
+
+  deleteFile: async (id: string, path: string, recursive = false) => {
+    const response = await api.delete<{ success: boolean; path: string }>(`/projects/${id}/files`, {
+      params: { path, recursive },
+    });
+    return response.data;
+  },
+
+  /**
+   * Upload files byte-for-byte into a directory
+   * Files from a folder picker keep their relative paths
+   */
+  uploadFiles: async (id: string, directory: string, files: File[], overwrite = false) => {
+    const formData = new FormData();
+    formData.append('path', directory);
+    formData.append('overwrite', String(overwrite));
+    files.forEach((file) => {
+      formData.append('files', file, file.webkitRelativePath || file.name);
+    });
+
+    const response = await api.post<{ success: boolean; files: WorkspaceUpload[]; commitSha: string | null }>(
+      `/projects/${id}/files/upload`,
+      formData,
+      { headers: { 'Content-Type': 'multipart/form-data' } }
+    );
+    return response.data;
+  },
+
+  downloadFile: async (id: string, path: string) => {
+    const response = await api.get<Blob>(`/projects/${id}/files/raw`, {
+      params: { path, download: true },
+      responseType: 'blob',
+    });
+    return { blob: response.data, fileName: path.split('/').pop() || 'download' };
+  },
+
+  getFileHistory: async (id: string, path: string) => {
+    const response = await api.get<{ success: boolean; path: string; versions: FileVersion[] }>(
+      `/projects/${id}/files/history`,
+      { params: { path } }
+    );
+    return response.data;
+  },
+
+  getFileVersion: async (id: string, versionId: string) => {
+    const response = await api.get<{ success: boolean; version: FileVersion }>(`/projects/${id}/files/history/${versionId}`);
+    return response.data;
+  },
+
+  restoreFileVersion: async (id: string, versionId: string) => {
+    const response = await api.post<{ success: boolean; path: string; content: string; etag: string; commitSha: string | null }>(
+      `/projects/${id}/files/history/${versionId}/restore`
+    );
+    return response.data;
+  },
+
+  // A patch that does not apply is a 409 whose body (PatchResult) lists the rejects
+  applyPatch: async (id: string, patch: string, options: { dryRun?: boolean; strip?: number } = {}) => {
+    const response = await api.post<PatchResult>(`/projects/${id}/patch`, { patch, ...options });
+    return response.data;
+  },
+
+  downloadFolder: async (id: string, path = '') => {
+    const response = await api.get<Blob>(`/projects/${id}/files/zip`, { params: { path }, responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] as string | undefined;
+    const fileName = disposition?.match(/filename="?([^"]+)"?/)?.[1] || 'folder.zip';
+    return { blob: response.data, fileName };
+  },
+};
+
+// ============================================================================
+// TEMPLATE API
+// ============================================================================
+
+export const templateApi = {
+  list: async () => {
+    const response = await api.get<{ success: boolean; templates: ProjectTemplate[]; total: number }>('/templates');
     return response.data;
   },
 };
@@ -141,6 +364,112 @@ export const memoryApi = {
   },
 };
 
+// ============================================================================
+// MEMBER API
+// ============================================================================
+
+export const memberApi = {
+  list: async (projectId: string) => {
+    const response = await api.get<{ success: boolean; members: ProjectMember[]; total: number }>(
+      `/projects/${projectId}/members`
+    );
+    return response.data;
+  },
+
+  invite: async (projectId: string, email: string, role: ProjectRole = 'viewer') => {
+    const response = await api.post<{ success: boolean; member: ProjectMember }>(`/projects/${projectId}/members`, {
+      email,
+      role,
+    });
+    return response.data;
+  },
+
+  updateRole: async (projectId: string, userId: string, role: ProjectRole) => {
+    const response = await api.patch<{ success: boolean; member: ProjectMember }>(
+      `/projects/${projectId}/members/${userId}`,
+      { role }
+    );
+    return response.data;
+  },
+
+  remove: async (projectId: string, userId: string) => {
+    const response = await api.delete<{ success: boolean }>(`/projects/${projectId}/members/${userId}`);
+    return response.data;
+  },
+};
+
+// ============================================================================
+// SECRET API
+// ============================================================================
+
+export const secretApi = {
+  list: async (projectId: string) => {
+    const response = await api.get<{ success: boolean; secrets: ProjectSecret[]; configured: boolean; total: number }>(
+      `/projects/${projectId}/secrets`
+    );
+    return response.data;
+  },
+
+  create: async (projectId: string, data: { name: string; value: string; exposeToBuild?: boolean }) => {
+    const response = await api.post<{ success: boolean; secret: ProjectSecret }>(`/projects/${projectId}/secrets`, data);
+    return response.data;
+  },
+
+  update: async (projectId: string, name: string, data: { value?: string; exposeToBuild?: boolean }) => {
+    const response = await api.put<{ success: boolean; secret: ProjectSecret }>(
+      `/projects/${projectId}/secrets/${encodeURIComponent(name)}`,
+      data
+    );
+    return response.data;
+  },
+
+  remove: async (projectId: string, name: string) => {
+    const response = await api.delete<{ success: boolean }>(`/projects/${projectId}/secrets/${encodeURIComponent(name)}`);
+    return response.data;
+  },
+};
+
+// ============================================================================
+// SEARCH API
+// ============================================================================
+
+export const searchApi = {
+  search: async (projectId: string, query: string, options: SearchOptions = {}) => {
+    const response = await api.get<SearchResponse>(`/projects/${projectId}/search`, {
+      params: { q: query, ...options },
+    });
+    return response.data;
+  },
+};
+
+// ============================================================================
+// VERSION API
+// ============================================================================
+
+export const versionApi = {
+  listCommits: async (projectId: string, params?: { limit?: number; offset?: number; path?: string }) => {
+    const response = await api.get<{ success: boolean; commits: Commit[]; head: string | null; total: number }>(
+      `/projects/${projectId}/commits`,
+      { params }
+    );
+    return response.data;
+  },
+
+  diff: async (projectId: string, from: string, to: string, path?: string) => {
+    const response = await api.get<{ success: boolean } & CommitDiff>(`/projects/${projectId}/diff`, {
+      params: { from, to, path },
+    });
+    return response.data;
+  },
+
+  restore: async (projectId: string, sha: string) => {
+    const response = await api.post<{ success: boolean; message: string; restoredSha: string; commitSha: string; paths: string[] }>(
+      `/projects/${projectId}/commits/${sha}/restore`
+    );
+    return response.data;
+  },
+};
+
 // ============================================================================
 // BUILD API
 // ============================================================================
@@ -213,6 +542,14 @@ export interface UploadedFile {
   relativePath: string;
 }
 
+export interface ChatHistoryMessage {
+  id: string;
+  role: 'user' | 'assistant' | 'system';
+  content: string;
+  meta?: any;
+  created_at: string;
+}
+
 export const chatApi = {
   /**
    * Upload files (images) for use in chat messages
@@ -223,9 +560,6 @@ export const chatApi = {
       formData.append('files', file);
     });
 
-    // Add userId for authentication (mock for MVP)
-    formData.append('userId', localStorage.getItem('userId') || '00000000-0000-0000-0000-000000000000');
-
     const response = await axios.post<{ success: boolean; files: UploadedFile[]; count: number }>(
       `${API_BASE_URL}/chat/sessions/${projectId}/upload`,
       formData,
@@ -242,6 +576,21 @@ export const chatApi = {
 
     return response.data;
   },
+
+  getHistory: async (projectId: string, limit = 50, offset = 0) => {
+    const response = await api.get<{ success: boolean; messages: ChatHistoryMessage[]; count: number }>(
+      `/chat/sessions/${projectId}/history`,
+      { params: { limit, offset } }
+    );
+    return response.data;
+  },
+
+  clearHistory: async (projectId: string) => {
+    const response = await api.delete<{ success: boolean; deletedCount: number }>(
+      `/chat/sessions/${projectId}/history`
+    );
+    return response.data;
+  },
 };
 
 // ============================================================================
@@ -293,6 +642,47 @@ export const devServerApi = {
   },
 };
 
+// ============================================================================
+// ADMIN API (admin role only)
+// ============================================================================
+
+export interface ClaudeSession {
+  projectId: string;
+  userId: string;
+  projectPath: string;
+  isActive: boolean;
+  messageCount: number;
+  tokensUsed: number;
+  startTime: number;
+  lastActivity: number;
+  uptime: number;
+  uptimeFormatted: string;
+  lastActivityRelative: string;
+}
+
+export interface ClaudeSessionsData {
+  totalSessions: number;
+  activeSessions: number;
+  sessions: ClaudeSession[];
+}
+
+export const adminApi = {
+  getClaudeSessions: async () => {
+    const response = await api.get<ClaudeSessionsData>('/admin/claude-sessions');
+    return response.data;
+  },
+
+  getPorts: async () => {
+    const response = await api.get('/admin/ports');
+    return response.data;
+  },
+
+  getDocker: async () => {
+    const response = await api.get('/admin/docker');
+    return response.data;
+  },
+};
+
 // ============================================================================
 // HEALTH API
 // ============================================================================
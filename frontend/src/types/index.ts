@@ -1,3 +1,14 @@
+// User types
+export interface User {
+  id: string;
+  email: string;
+  name?: string;
+  plan: 'free' | 'pro' | 'enterprise';
+  role: 'user' | 'admin';
+  createdAt: string;
+  lastLogin?: string;
+}
+
 // Project types
 export interface Project {
   id: string;
@@ -9,16 +20,103 @@ export interface Project {
   hasMemory: boolean;
   memorySize?: number;
   status: 'active' | 'archived' | 'deleted';
+  organizationId?: string | null;
+  repoUrl?: string | null;
+  parentProjectId?: string | null;
+  parentName?: string | null;
+  forkedFromCommit?: string | null;
+  forkCount?: number;
+  archivedAt?: string | null;
+  role?: ProjectRole;
   createdAt: string;
   updatedAt: string;
   lastAccessed?: string;
 }
 
+export type ProjectRole = 'owner' | 'editor' | 'viewer';
+
+export interface TrashedProject {
+  id: string;
+  name: string;
+  description?: string;
+  framework?: string;
+  organizationId?: string | null;
+  deletedAt: string;
+  deletedBy: string | null;
+  purgeAfter: string;
+}
+
+export interface ProjectTemplate {
+  id: string;
+  name: string;
+  description: string;
+  framework: string | null;
+  language: string | null;
+  techStack: string[];
+  source: 'builtin' | 'custom';
+}
+
+export interface ProjectMember {
+  userId: string;
+  email: string;
+  name?: string;
+  role: ProjectRole;
+  invitedBy?: string;
+  createdAt: string;
+}
+
+// Project secrets (values are write-only)
+export interface ProjectSecret {
+  name: string;
+  exposeToBuild: boolean;
+  createdBy: string | null;
+  updatedBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Search types
+export interface SearchMatch {
+  line: number;
+  column: number;
+  length: number;
+  text: string;
+  before?: string[];
+  after?: string[];
+}
+
+export interface SearchFileResult {
+  path: string;
+  matches: SearchMatch[];
+}
+
+export interface SearchOptions {
+  regex?: boolean;
+  caseSensitive?: boolean;
+  wholeWord?: boolean;
+  include?: string;
+  exclude?: string;
+  gitignore?: boolean;
+  maxResults?: number;
+  context?: number;
+}
+
+export interface SearchResponse {
+  success: boolean;
+  query: string;
+  results: SearchFileResult[];
+  totalMatches: number;
+  filesSearched: number;
+  filesMatched: number;
+  truncated: boolean;
+}
+
 // Build types
 export interface Build {
   id: string;
   projectId: string;
   status: 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+  commitSha?: string | null;
   buildLogs?: string;
   errorMessage?: string;
   queuedAt: string;
@@ -27,6 +125,23 @@ export interface Build {
   durationSeconds?: number;
 }
 
+// Version (git) types
+export interface Commit {
+  sha: string;
+  shortSha: string;
+  authorName: string;
+  authorEmail: string;
+  date: string;
+  message: string;
+}
+
+export interface CommitDiff {
+  from: string;
+  to: string;
+  files: { path: string; additions: number | null; deletions: number | null }[];
+  diff: string;
+}
+
 // Preview types
 export interface Preview {
   id: string;
@@ -62,6 +177,119 @@ export interface FileItem {
   name: string;
   type: 'file' | 'directory';
   path: string;
+  depth?: number; // 1 = direct child of the listed directory
+  size?: number;
+  mtime?: string;
+  isSymlink?: boolean;
+  isBinary?: boolean; // files only
+  language?: string | null; // files only, Monaco language ID
+  childrenLoaded?: boolean; // directories only: false when the listing stopped at this depth
+}
+
+export interface FileListOptions {
+  depth?: number;
+  includeIgnored?: boolean;
+  offset?: number;
+  limit?: number;
+}
+
+export interface FileListResponse {
+  success: boolean;
+  files: FileItem[];
+  currentPath: string;
+  total: number;
+  offset: number;
+  limit: number;
+  hasMore: boolean;
+  nextOffset: number | null;
+  truncated: boolean;
+}
+
+// Body of a 409 from a conditional save: the file as it is now on disk
+export interface FileConflict {
+  error: string;
+  path: string;
+  exists: boolean;
+  content: string | null;
+  etag: string | null;
+}
+
+// File uploaded into the workspace
+export interface WorkspaceUpload {
+  path: string;
+  size: number;
+  mimetype: string;
+  replaced: boolean;
+}
+
+// Hunk of a patch that did not apply (hunk is null when the whole file was rejected)
+export interface PatchReject {
+  hunk: number | null;
+  header: string | null;
+  reason: string;
+  text?: string;
+}
+
+// Per-file outcome of POST /projects/:id/patch
+export interface PatchFileResult {
+  path: string;
+  oldPath?: string; // renamed files
+  status: 'modified' | 'created' | 'deleted' | 'renamed';
+  hunks: number;
+  additions: number;
+  deletions: number;
+  rejects: PatchReject[];
+  offsets?: number[]; // lines each hunk moved from where the patch placed it
+  etag?: string | null; // after applying
+}
+
+export interface PatchResult {
+  success?: boolean;
+  error?: string;
+  dryRun: boolean;
+  applied: boolean;
+  files: PatchFileResult[];
+  commitSha?: string | null;
+}
+
+// Broadcast to open clients when a project's files change
+export interface FileChangeEvent {
+  projectId: string;
+  action: 'created' | 'updated' | 'moved' | 'copied' | 'deleted' | 'uploaded' | 'patched' | 'restored';
+  type: 'file' | 'directory';
+  path: string; // for uploads, the target directory; for patches and restores, the project root
+  from?: string;
+  paths?: string[]; // uploaded, patched or restored files (patches include old names of renamed files)
+  userId: string;
+  commitSha?: string | null;
+  timestamp: string;
+}
+
+// Previous version of a file, recorded before a save, restore or Claude edit
+export interface FileVersion {
+  id: string;
+  path: string;
+  sizeBytes: number;
+  source: 'user' | 'claude';
+  operation: 'save' | 'restore' | 'write' | 'edit';
+  user: { id: string; name: string | null; email: string } | null; // Saving user, or who prompted Claude
+  prompt: string | null; // Claude turn prompt
+  createdAt: string;
+  content?: string; // Only when fetching a single version
+}
+
+// Change seen on disk by the project's file watcher
+export interface FsChange {
+  action: 'created' | 'changed' | 'deleted';
+  type: 'file' | 'directory';
+  path: string;
+}
+
+export interface FsChangeEvent {
+  projectId: string;
+  changes: FsChange[];
+  truncated: boolean; // Too many changes to list; treat everything as changed
+  timestamp: string;
 }
 
 // Quota types
@@ -85,6 +313,13 @@ export interface QuotaSummary {
   containers: {
     limit: number;
   };
+  storage: {
+    usedBytes: number;
+    limitMb: number | null;
+    limitBytes: number | null;
+    percentage: string | null;
+    exceeded: boolean;
+  };
   status: {
     exceeded: boolean;
     reason?: string;
@@ -0,0 +1,125 @@
+/**
+ * Three-way merge
+ * Line-based diff3 used when a save conflicts with changes made on disk
+ */
+
+export interface MergeResult {
+  content: string;
+  conflicts: number;
+}
+
+// Above this many cells the LCS table is skipped and the changed region is treated as one block
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Longest common subsequence of two line arrays
+ * @returns For each line of `a`, the index of its matching line in `b` (or -1)
+ */
+function matchLines(a: string[], b: string[]): number[] {
+  const matches = new Array<number>(a.length).fill(-1);
+
+  // Common prefix and suffix are matched directly
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows === 0 || cols === 0 || rows * cols > MAX_LCS_CELLS) {
+    return matches;
+  }
+
+  // lengths[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+const sameLines = (a: string[], b: string[]) => a.length === b.length && a.every((line, index) => line === b[index]);
+
+/**
+ * Merge two edits of the same base text
+ * Non-overlapping changes are combined; overlapping ones are kept with conflict markers
+ * @param base - Content both sides started from
+ * @param mine - Local (editor) content
+ * @param theirs - Current content on disk
+ */
+export function mergeThreeWay(base: string, mine: string, theirs: string): MergeResult {
+  const baseLines = base.split('\n');
+  const mineLines = mine.split('\n');
+  const theirLines = theirs.split('\n');
+
+  const toMine = matchLines(baseLines, mineLines);
+  const toTheirs = matchLines(baseLines, theirLines);
+
+  const output: string[] = [];
+  let conflicts = 0;
+  let b = 0;
+  let m = 0;
+  let t = 0;
+
+  const resolveChunk = (baseEnd: number, mineEnd: number, theirEnd: number) => {
+    const baseChunk = baseLines.slice(b, baseEnd);
+    const mineChunk = mineLines.slice(m, mineEnd);
+    const theirChunk = theirLines.slice(t, theirEnd);
+
+    if (sameLines(mineChunk, baseChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(mineChunk, theirChunk)) {
+      output.push(...mineChunk);
+    } else {
+      conflicts++;
+      output.push('<<<<<<< Yours', ...mineChunk, '=======', ...theirChunk, '>>>>>>> On disk');
+    }
+  };
+
+  // Walk base lines kept by both sides; everything between them is a changed chunk
+  for (let index = 0; index < baseLines.length; index++) {
+    if (toMine[index] === -1 || toTheirs[index] === -1) {
+      continue;
+    }
+
+    resolveChunk(index, toMine[index], toTheirs[index]);
+    output.push(baseLines[index]);
+    b = index + 1;
+    m = toMine[index] + 1;
+    t = toTheirs[index] + 1;
+  }
+
+  resolveChunk(baseLines.length, mineLines.length, theirLines.length);
+
+  return { content: output.join('\n'), conflicts };
+}
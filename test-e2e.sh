@@ -156,6 +156,7 @@ PACKAGE_JSON='{
 
 FILE_CREATE_RESPONSE=$(curl -s -X PUT "$API_BASE_URL/api/projects/$PROJECT_ID/files/content" \
   -H "Content-Type: application/json" \
+  -H "If-None-Match: *" \
   -d "{\"path\": \"package.json\", \"content\": $(echo $PACKAGE_JSON | jq -R .)}")
 
 FILE_SUCCESS=$(echo $FILE_CREATE_RESPONSE | jq -r '.success')